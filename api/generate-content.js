@@ -1,5 +1,19 @@
 // Vercel Serverless Function - Content Generation with Claude API
 // Generates marketing content for various asset types
+//
+// With `assetType` the model has to answer with JSON following the schema from
+// src/lib/content-schemas.js. The answer is validated here; if it does not
+// match, the model gets one repair round with the validation errors. The
+// response carries the typed data plus its mapping onto defaultContent fields
+// (and content.slides for presentations). With `assetTypes` (campaigns) all
+// channels are generated in one answer following campaignSchema; data and
+// content are then keyed by asset type. Without either, free text is returned.
+
+import { contentSchemas, campaignSchema, CAMPAIGN_CHANNELS, validateSchema, extractJson, mapStructuredContent } from '../src/lib/content-schemas.js';
+
+const DEFAULT_SYSTEM_PROMPT = 'Du bist ein erfahrener Marketing-Texter. Schreibe auf Deutsch.';
+const MAX_TOKENS = 4096;
+const CAMPAIGN_MAX_TOKENS = 8192;
 
 export const config = {
   runtime: 'edge',
@@ -31,7 +45,7 @@ export default async function handler(request) {
   }
 
   try {
-    const { brandPrompt, userPrompt } = await request.json();
+    const { brandPrompt, userPrompt, assetType, assetTypes } = await request.json();
 
     if (!userPrompt) {
       return new Response(JSON.stringify({ error: 'No prompt provided' }), {
@@ -40,58 +54,80 @@ export default async function handler(request) {
       });
     }
 
-    // Call Claude API
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4096,
-        system: brandPrompt || 'Du bist ein erfahrener Marketing-Texter. Schreibe auf Deutsch.',
-        messages: [{
-          role: 'user',
-          content: userPrompt
-        }]
-      })
-    });
+    if (assetTypes !== undefined && (!Array.isArray(assetTypes) || assetTypes.length === 0)) {
+      return new Response(JSON.stringify({ error: 'assetTypes must be a non-empty array' }), {
+        status: 400,
+        headers: corsHeaders(),
+      });
+    }
+
+    const unknownType = assetTypes
+      ? assetTypes.find(type => !CAMPAIGN_CHANNELS.includes(type))
+      : assetType && !contentSchemas[assetType] && assetType;
+    if (unknownType) {
+      return new Response(JSON.stringify({ error: `Unknown asset type: ${unknownType}` }), {
+        status: 400,
+        headers: corsHeaders(),
+      });
+    }
 
-    if (!response.ok) {
-      const errorData = await response.text();
-      console.error('Claude API error:', errorData);
+    const system = brandPrompt || DEFAULT_SYSTEM_PROMPT;
 
-      let errorMessage = 'Claude API error';
-      try {
-        const parsed = JSON.parse(errorData);
-        errorMessage = parsed.error?.message || parsed.message || errorData;
-      } catch {
-        errorMessage = errorData;
-      }
+    if (!assetType && !assetTypes) {
+      const result = await callClaude(apiKey, system, [{ role: 'user', content: userPrompt }]);
+      if (result.error) return errorResponse(result);
 
-      return new Response(JSON.stringify({
-        error: errorMessage,
-        status: response.status
-      }), {
-        status: 500,
+      return new Response(JSON.stringify({ content: result.text }), {
+        status: 200,
         headers: corsHeaders(),
       });
     }
 
-    const data = await response.json();
+    // Structured output: schema in the prompt, validation, one repair round
+    const schema = assetTypes ? campaignSchema(assetTypes) : contentSchemas[assetType];
+    const maxTokens = assetTypes ? CAMPAIGN_MAX_TOKENS : MAX_TOKENS;
+    const label = assetTypes ? `campaign (${assetTypes.join(', ')})` : assetType;
+    const messages = [{ role: 'user', content: `${userPrompt}\n\n${schemaInstructions(schema)}` }];
+
+    let result = await callClaude(apiKey, system, messages, maxTokens);
+    if (result.error) return errorResponse(result);
+    let checked = checkStructured(schema, result.text);
 
-    // Extract the text response
-    const textContent = data.content?.find(c => c.type === 'text');
-    if (!textContent?.text) {
-      return new Response(JSON.stringify({ error: 'No response from Claude' }), {
-        status: 500,
+    if (checked.errors.length > 0) {
+      console.warn(`Structured ${label} response invalid, retrying:`, checked.errors);
+      messages.push(
+        { role: 'assistant', content: result.text },
+        { role: 'user', content: repairInstructions(checked.errors) }
+      );
+      result = await callClaude(apiKey, system, messages, maxTokens);
+      if (result.error) return errorResponse(result);
+      checked = checkStructured(schema, result.text);
+    }
+
+    // Texts that are only too long are returned (the editors flag them),
+    // structural errors after the repair round are not
+    const structural = checked.errors.filter(error => !error.length);
+    if (structural.length > 0) {
+      return new Response(JSON.stringify({
+        error: 'Response does not match the content schema',
+        details: structural.map(formatError)
+      }), {
+        status: 502,
         headers: corsHeaders(),
       });
     }
 
-    return new Response(JSON.stringify({ content: textContent.text }), {
+    const warnings = checked.errors.map(formatError);
+    const body = assetTypes
+      ? {
+        assetTypes,
+        data: checked.data,
+        content: Object.fromEntries(assetTypes.map(type => [type, mapStructuredContent(type, checked.data[type])])),
+        warnings
+      }
+      : { assetType, data: checked.data, content: mapStructuredContent(assetType, checked.data), warnings };
+
+    return new Response(JSON.stringify(body), {
       status: 200,
       headers: corsHeaders(),
     });
@@ -108,6 +144,84 @@ export default async function handler(request) {
   }
 }
 
+/**
+ * Call Claude API, returns { text } or { error, status }
+ */
+async function callClaude(apiKey, system, messages, maxTokens = MAX_TOKENS) {
+  const response = await fetch('https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': apiKey,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: maxTokens,
+      system,
+      messages
+    })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.text();
+    console.error('Claude API error:', errorData);
+
+    let errorMessage = 'Claude API error';
+    try {
+      const parsed = JSON.parse(errorData);
+      errorMessage = parsed.error?.message || parsed.message || errorData;
+    } catch {
+      errorMessage = errorData;
+    }
+    return { error: errorMessage, status: response.status };
+  }
+
+  const data = await response.json();
+
+  // Extract the text response
+  const textContent = data.content?.find(c => c.type === 'text');
+  if (!textContent?.text) {
+    return { error: 'No response from Claude' };
+  }
+  return { text: textContent.text };
+}
+
+function errorResponse({ error, status }) {
+  return new Response(JSON.stringify({ error, ...(status ? { status } : {}) }), {
+    status: 500,
+    headers: corsHeaders(),
+  });
+}
+
+/**
+ * Parse and validate a structured answer
+ */
+function checkStructured(schema, text) {
+  const data = extractJson(text);
+  if (data === undefined) {
+    return { data, errors: [{ path: 'Antwort', message: 'kein gültiges JSON' }] };
+  }
+  return { data, errors: validateSchema(schema, data) };
+}
+
+function formatError(error) {
+  return `${error.path}: ${error.message}`;
+}
+
+function schemaInstructions(schema) {
+  return `Antworte ausschließlich mit einem JSON-Objekt nach diesem JSON-Schema – ohne Erklärungen, ohne Markdown. Die "description"-Angaben beschreiben den gewünschten Inhalt, "maxLength" ist ein hartes Zeichenlimit.
+
+${JSON.stringify(schema, null, 2)}`;
+}
+
+function repairInstructions(errors) {
+  return `Deine Antwort entspricht nicht dem Schema:
+${errors.map(error => `- ${formatError(error)}`).join('\n')}
+
+Korrigiere diese Punkte (zu lange Texte kürzen, fehlende Felder ergänzen) und antworte erneut ausschließlich mit dem vollständigen JSON-Objekt.`;
+}
+
 function corsHeaders() {
   return {
     'Content-Type': 'application/json',
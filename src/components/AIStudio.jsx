@@ -10,7 +10,8 @@ export default function AIStudio({ brand, selectedAsset, onApplyContent }) {
   const [scrapedContents, setScrapedContents] = useState([]);
   const [scrapingIndex, setScrapingIndex] = useState(-1);
 
-  const [generatedText, setGeneratedText] = useState('');
+  // Structured result from generateCompleteAsset ({ content, text, warnings, ... })
+  const [generated, setGenerated] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
   const [error, setError] = useState(null);
 
@@ -109,12 +110,12 @@ export default function AIStudio({ brand, selectedAsset, onApplyContent }) {
         .map(sc => `[Quelle: ${sc.url}]\n${sc.content}`)
         .join('\n\n---\n\n');
 
-      const text = await generateCompleteAsset(brand, selectedAsset, briefing, combinedContent || null);
-      setGeneratedText(text);
+      const result = await generateCompleteAsset(brand, selectedAsset, briefing, combinedContent || null);
+      setGenerated(result);
 
       // Auto-apply to preview
-      if (onApplyContent && text) {
-        onApplyContent(text);
+      if (onApplyContent) {
+        onApplyContent(result.content);
       }
     } catch (err) {
       setError(err.message);
@@ -143,8 +144,8 @@ export default function AIStudio({ brand, selectedAsset, onApplyContent }) {
   };
 
   const handleApplyText = () => {
-    if (onApplyContent && generatedText) {
-      onApplyContent(generatedText);
+    if (onApplyContent && generated) {
+      onApplyContent(generated.content);
     }
   };
 
@@ -344,7 +345,7 @@ Beispiele:
           </button>
 
           {/* Generated Result */}
-          {generatedText && (
+          {generated && (
             <div className="ai-result">
               <div className="ai-result-header">
                 <h4>Generierter Content</h4>
@@ -352,7 +353,7 @@ Beispiele:
                   <button
                     className="btn-copy"
                     onClick={() => {
-                      navigator.clipboard.writeText(generatedText);
+                      navigator.clipboard.writeText(generated.text);
                     }}
                   >
                     Kopieren
@@ -362,8 +363,16 @@ Beispiele:
                   </button>
                 </div>
               </div>
+              {generated.demo && (
+                <div className="ai-result-note">Demo-Inhalt – die AI war nicht erreichbar.</div>
+              )}
+              {generated.warnings.length > 0 && (
+                <ul className="ai-result-warnings">
+                  {generated.warnings.map(warning => <li key={warning}>{warning}</li>)}
+                </ul>
+              )}
               <div className="ai-result-content">
-                <pre>{generatedText}</pre>
+                <pre>{generated.text}</pre>
               </div>
             </div>
           )}
@@ -21,6 +21,19 @@ export default function AccessibilityChecker({ brand }) {
         </span>
       </div>
 
+      {results.themes.length > 1 && (
+        <div className="a11y-themes">
+          {results.themes.map(theme => (
+            <div key={theme.id} className="a11y-theme">
+              <span className="check-name">{theme.name}</span>
+              <span className="a11y-theme-score" style={{ color: theme.ratingColor }}>
+                {theme.score}% · {theme.checks.filter(c => c.wcag.pass).length}/{theme.checks.length}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
       <div className="a11y-checks">
         {results.checks.map((check, i) => (
           <div key={i} className={`a11y-check ${check.wcag.pass ? 'pass' : 'fail'}`}>
@@ -46,15 +59,15 @@ export default function AccessibilityChecker({ brand }) {
         ))}
       </div>
 
-      {results.errors.length > 0 && (
+      {results.themes.some(theme => theme.errors.length > 0) && (
         <div className="a11y-errors">
           <h4>Probleme</h4>
-          {results.errors.map((error, i) => (
-            <div key={i} className="a11y-error">
-              <p>{error.message}</p>
+          {results.themes.flatMap(theme => theme.errors.map((error, i) => (
+            <div key={`${theme.id}-${i}`} className="a11y-error">
+              <p>{results.themes.length > 1 ? `${theme.name}: ` : ''}{error.message}</p>
               <small>{error.suggestion}</small>
             </div>
-          ))}
+          )))}
         </div>
       )}
     </div>
@@ -0,0 +1,9 @@
+import React from 'react';
+import { useAssetUrl } from '../hooks/useAssetUrl';
+
+// <img> for brand assets: resolves "asset:" references from the asset store
+export default function AssetImage({ src, alt = '', ...props }) {
+  const url = useAssetUrl(src);
+  if (!url) return null;
+  return <img src={url} alt={alt} {...props} />;
+}
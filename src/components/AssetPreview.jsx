@@ -19,18 +19,12 @@ export default function AssetPreview({ brand, selectedAsset, onAssetChange, cont
 
   const PreviewComponent = previewComponents[selectedAsset];
 
-  const handleApplyAIContent = (generatedText) => {
-    // Parse the generated text and apply to content fields
-    const lines = generatedText.split('\n').filter(l => l.trim());
-    const headline = lines.find(l => l.includes('Headline') || l.includes('HEADLINE'))?.replace(/.*?[:：]\s*/, '').replace(/\*\*/g, '') || '';
-
+  // Generated content already uses the defaultContent field keys (see content-schemas.js)
+  const handleApplyAIContent = (generated) => {
     onContentChange({
       ...content,
-      fields: {
-        ...content.fields,
-        headline: { value: headline || lines[0]?.replace(/^\d+\.\s*/, '').replace(/\*\*/g, '') || '' },
-        body: { value: generatedText }
-      }
+      ...(generated.slides ? { slides: generated.slides } : {}),
+      fields: { ...content.fields, ...generated.fields }
     });
   };
 
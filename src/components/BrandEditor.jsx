@@ -1,7 +1,10 @@
 import React, { useState } from 'react';
+import { useBrandRole } from '../stores/authStore';
+import AssetImage from './AssetImage';
 
 export default function BrandEditor({ brand, onUpdate }) {
   const [openSection, setOpenSection] = useState(null);
+  const { canEdit } = useBrandRole(brand.id);
 
   const updateColors = (colorKey, value) => {
     onUpdate({ ...brand, colors: { ...brand.colors, [colorKey]: value } });
@@ -50,7 +53,7 @@ export default function BrandEditor({ brand, onUpdate }) {
             </button>
 
             {openSection === section.id && (
-              <div className="dropdown-content">
+              <fieldset className={`dropdown-content ${canEdit ? '' : 'edit-readonly'}`} disabled={!canEdit}>
                 {section.id === 'colors' && (
                   <div className="color-grid-compact">
                     {[
@@ -184,7 +187,7 @@ export default function BrandEditor({ brand, onUpdate }) {
                     >
                       {brand.logo ? (
                         <div className="logo-preview-container">
-                          <img src={brand.logo} alt="Logo" />
+                          <AssetImage src={brand.logo} alt="Logo" />
                           <button
                             className="logo-remove"
                             onClick={() => onUpdate({ ...brand, logo: null })}
@@ -208,7 +211,7 @@ export default function BrandEditor({ brand, onUpdate }) {
                     </div>
                   </div>
                 )}
-              </div>
+              </fieldset>
             )}
           </div>
         ))}
@@ -25,6 +25,7 @@ export default function ExportPanel({ brand, content }) {
     tokens: 'Design Tokens',
     documents: 'Dokumente',
     web: 'Web / E-Mail',
+    platforms: 'Plattformen',
     all: 'Komplett'
   };
 
@@ -1,17 +1,44 @@
 import React, { useState } from 'react';
+import { useAuthStore } from '../stores/authStore';
 
-export default function LoginScreen({ onLogin }) {
+export default function LoginScreen() {
+  const { signIn, signUp } = useAuthStore();
+  const [mode, setMode] = useState('signin');
+  const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    const success = onLogin(password);
-    if (!success) {
-      setError('Falsches Passwort');
+    setError('');
+    setNotice('');
+    setIsSubmitting(true);
+
+    try {
+      if (mode === 'signin') {
+        await signIn(email, password);
+      } else {
+        const { needsConfirmation } = await signUp(email, password);
+        if (needsConfirmation) {
+          setNotice('Fast geschafft: Bitte bestätige deine E-Mail-Adresse und melde dich dann an.');
+          setMode('signin');
+        }
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSubmitting(false);
     }
   };
 
+  const toggleMode = () => {
+    setMode(mode === 'signin' ? 'signup' : 'signin');
+    setError('');
+    setNotice('');
+  };
+
   return (
     <div className="login-screen">
       <div className="login-card">
@@ -22,16 +49,34 @@ export default function LoginScreen({ onLogin }) {
         </div>
 
         <form className="login-form" onSubmit={handleSubmit}>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="E-Mail"
+            autoComplete="email"
+            required
+            autoFocus
+          />
           <input
             type="password"
             value={password}
             onChange={(e) => setPassword(e.target.value)}
-            placeholder="Team-Passwort"
-            autoFocus
+            placeholder="Passwort"
+            autoComplete={mode === 'signin' ? 'current-password' : 'new-password'}
+            minLength={6}
+            required
           />
-          <button type="submit" className="btn-primary">Einloggen</button>
+          <button type="submit" className="btn-primary" disabled={isSubmitting}>
+            {mode === 'signin' ? 'Einloggen' : 'Konto erstellen'}
+          </button>
           {error && <p className="login-error">{error}</p>}
+          {notice && <p className="login-notice">{notice}</p>}
         </form>
+
+        <button className="btn-text login-switch" onClick={toggleMode}>
+          {mode === 'signin' ? 'Noch kein Konto? Registrieren' : 'Schon registriert? Einloggen'}
+        </button>
       </div>
     </div>
   );
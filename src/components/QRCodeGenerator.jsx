@@ -1,21 +1,59 @@
 import React, { useState } from 'react';
-import { generateQRCode, qrCodeTypes } from '../lib/qrcode.js';
+import { generateQRCode, qrCodeTypes, validateQRPayload, formatQRPayload, getBrandQRStyle, checkQRContrast, QR_MODULE_SHAPES, MIN_QR_CONTRAST } from '../lib/qrcode.js';
+import { useAssetUrl } from '../hooks/useAssetUrl';
+import QRPayloadFields from './QRPayloadFields';
 
 export default function QRCodeGenerator({ brand, content }) {
   const [qrType, setQrType] = useState('url');
-  const [qrValue, setQrValue] = useState('');
+  // Field values per type, so switching types keeps the input
+  const [qrValues, setQrValues] = useState({});
+  const [fieldErrors, setFieldErrors] = useState({});
   const [qrSvg, setQrSvg] = useState('');
+  const [error, setError] = useState(null);
+  // Branded style: brand colours (readable fallback), rounded modules
+  const [style, setStyle] = useState(() => getBrandQRStyle(brand));
+  // Brand logo in the centre by default (forces error correction H)
+  const [withLogo, setWithLogo] = useState(true);
+  const logoUrl = useAssetUrl(brand.logo);
+
+  const contrast = checkQRContrast(style.darkColor, style.lightColor);
+  const finderContrast = checkQRContrast(style.finderColor, style.lightColor);
+
+  const values = qrValues[qrType] || {};
+  const allowLogo = qrCodeTypes[qrType].allowLogo !== false;
+
+  const selectType = (type) => {
+    setQrType(type);
+    setFieldErrors({});
+  };
+
+  const updateStyle = (key, value) => {
+    setStyle(prev => ({ ...prev, [key]: value }));
+  };
 
   const handleGenerate = () => {
-    if (!qrValue.trim()) return;
-
-    const type = qrCodeTypes[qrType];
-    const formattedValue = type.format(qrValue);
-    const svg = generateQRCode(formattedValue, {
-      darkColor: brand.colors.primary,
-      size: 150
-    });
-    setQrSvg(svg);
+    const errors = validateQRPayload(qrType, values);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      setQrSvg('');
+      return;
+    }
+
+    try {
+      const payload = formatQRPayload(qrType, values);
+      const svg = generateQRCode(payload.text, {
+        ...style,
+        ...payload.encodeOptions,
+        logo: withLogo && payload.allowLogo ? logoUrl : null,
+        size: 150
+      });
+      setQrSvg(svg);
+      setError(null);
+    } catch (err) {
+      // Contrast guard or text too long
+      setQrSvg('');
+      setError(err.message);
+    }
   };
 
   return (
@@ -23,11 +61,11 @@ export default function QRCodeGenerator({ brand, content }) {
       <h4>QR-Code</h4>
 
       <div className="qr-type-select">
-        {Object.entries(qrCodeTypes).slice(0, 4).map(([key, type]) => (
+        {Object.entries(qrCodeTypes).map(([key, type]) => (
           <button
             key={key}
             className={qrType === key ? 'active' : ''}
-            onClick={() => setQrType(key)}
+            onClick={() => selectType(key)}
           >
             {type.icon} {type.name}
           </button>
@@ -35,15 +73,60 @@ export default function QRCodeGenerator({ brand, content }) {
       </div>
 
       <div className="qr-input">
-        <input
-          type="text"
-          value={qrValue}
-          onChange={(e) => setQrValue(e.target.value)}
-          placeholder={qrCodeTypes[qrType].placeholder}
+        <QRPayloadFields
+          type={qrType}
+          values={values}
+          errors={fieldErrors}
+          onChange={(next) => setQrValues(prev => ({ ...prev, [qrType]: next }))}
         />
         <button onClick={handleGenerate}>Erstellen</button>
       </div>
 
+      <div className="qr-style">
+        <label>
+          <span>Module</span>
+          <input type="color" value={style.darkColor} onChange={(e) => updateStyle('darkColor', e.target.value)} />
+        </label>
+        <label>
+          <span>Positionsmarken</span>
+          <input type="color" value={style.finderColor} onChange={(e) => updateStyle('finderColor', e.target.value)} />
+        </label>
+        <label>
+          <span>Hintergrund</span>
+          <input type="color" value={style.lightColor} onChange={(e) => updateStyle('lightColor', e.target.value)} />
+        </label>
+        <label>
+          <span>Form</span>
+          <select value={style.moduleShape} onChange={(e) => updateStyle('moduleShape', e.target.value)}>
+            {Object.values(QR_MODULE_SHAPES).map(shape => (
+              <option key={shape.id} value={shape.id}>{shape.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="qr-style-logo">
+          <input
+            type="checkbox"
+            checked={withLogo && allowLogo}
+            disabled={!logoUrl || !allowLogo}
+            onChange={(e) => setWithLogo(e.target.checked)}
+          />
+          <span>{allowLogo ? 'Logo in der Mitte (Fehlerkorrektur H)' : 'Kein Logo (Format schreibt Stufe M vor)'}</span>
+        </label>
+        <button className="qr-style-reset" onClick={() => setStyle(getBrandQRStyle(brand))}>
+          Markenfarben
+        </button>
+      </div>
+
+      {(!contrast.pass || !finderContrast.pass) && (
+        <div className="qr-contrast-warning">
+          {contrast.inverted || finderContrast.inverted
+            ? 'Module müssen dunkler als der Hintergrund sein.'
+            : `Kontrast ${Math.min(contrast.ratio, finderContrast.ratio).toFixed(1)}:1 – Scanner brauchen mindestens ${MIN_QR_CONTRAST}:1.`}
+        </div>
+      )}
+
+      {error && <div className="qr-error">{error}</div>}
+
       {qrSvg && (
         <div
           className="qr-preview"
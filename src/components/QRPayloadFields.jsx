@@ -0,0 +1,66 @@
+import React from 'react';
+import { qrCodeTypes } from '../lib/qrcode.js';
+
+// Input fields for one QR payload type (see qrCodeTypes[type].fields)
+export default function QRPayloadFields({ type, values, errors = {}, onChange }) {
+  const fields = qrCodeTypes[type]?.fields || [];
+
+  const update = (key, value) => {
+    onChange({ ...values, [key]: value });
+  };
+
+  return (
+    <div className="qr-fields">
+      {fields.map(field => {
+        const value = values[field.key] ?? '';
+        const id = `qr-${type}-${field.key}`;
+
+        if (field.type === 'checkbox') {
+          return (
+            <label key={field.key} className="qr-field checkbox" htmlFor={id}>
+              <input
+                id={id}
+                type="checkbox"
+                checked={Boolean(values[field.key])}
+                onChange={(e) => update(field.key, e.target.checked)}
+              />
+              <span>{field.label}</span>
+            </label>
+          );
+        }
+
+        return (
+          <label key={field.key} className={`qr-field ${errors[field.key] ? 'invalid' : ''}`} htmlFor={id}>
+            <span>{field.label}{field.required && ' *'}</span>
+            {field.type === 'select' ? (
+              <select id={id} value={value || field.options[0].value} onChange={(e) => update(field.key, e.target.value)}>
+                {field.options.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            ) : field.type === 'textarea' ? (
+              <textarea
+                id={id}
+                rows={2}
+                value={value}
+                maxLength={field.maxLength}
+                placeholder={field.placeholder}
+                onChange={(e) => update(field.key, e.target.value)}
+              />
+            ) : (
+              <input
+                id={id}
+                type={field.type || 'text'}
+                value={value}
+                maxLength={field.maxLength}
+                placeholder={field.placeholder}
+                onChange={(e) => update(field.key, e.target.value)}
+              />
+            )}
+            {errors[field.key] && <small className="qr-field-error">{errors[field.key]}</small>}
+          </label>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
 import { useParams } from 'react-router-dom';
 import { useBrandStore } from '../../stores/brandStore';
-import { generateCompleteAsset } from '../../lib/ai';
+import { useLibraryStore } from '../../stores/libraryStore';
+import { generateCampaignTexts } from '../../lib/ai';
 
 const campaignTypes = [
   { id: 'product-launch', name: 'Produktlaunch', icon: '🚀', description: 'Neues Produkt einführen' },
@@ -21,7 +22,7 @@ const channelOptions = [
 
 export default function CampaignManager() {
   const { brandId } = useParams();
-  const { getBrandById, updateAssetContent } = useBrandStore();
+  const { getBrandById, getAssetContent, updateAssetContent } = useBrandStore();
   const brand = getBrandById(brandId);
 
   const [step, setStep] = useState(1);
@@ -36,7 +37,6 @@ export default function CampaignManager() {
   });
   const [generating, setGenerating] = useState(false);
   const [generatedAssets, setGeneratedAssets] = useState({});
-  const [progress, setProgress] = useState(0);
 
   if (!brand) {
     return <div className="not-found">Marke nicht gefunden</div>;
@@ -55,9 +55,7 @@ export default function CampaignManager() {
 
   const handleGenerate = async () => {
     setGenerating(true);
-    setProgress(0);
 
-    const totalChannels = campaignData.channels.length;
     const results = {};
 
     const fullBriefing = `
@@ -71,18 +69,33 @@ Briefing:
 ${campaignData.briefing}
     `.trim();
 
-    for (let i = 0; i < campaignData.channels.length; i++) {
-      const channel = campaignData.channels[i];
-      try {
-        const content = await generateCompleteAsset(brand, channel, fullBriefing);
-        results[channel] = { success: true, content };
-
-        // Save to asset content
-        updateAssetContent(brandId, channel, { fields: { body: { value: content } } });
-      } catch (error) {
-        results[channel] = { success: false, error: error.message };
+    // One request for all channels keeps message and facts consistent
+    const texts = await generateCampaignTexts(brand, fullBriefing, campaignData.channels);
+    campaignData.channels.forEach(channel => {
+      if (!texts[channel]) {
+        results[channel] = { success: false, error: 'Keine Texte für diesen Kanal erhalten' };
+        return;
       }
-      setProgress(Math.round(((i + 1) / totalChannels) * 100));
+      results[channel] = { success: true, content: texts[channel].text };
+
+      // Merge into the asset content (fields not generated, e.g. navigation, stay)
+      const existing = getAssetContent(brandId, channel) || { fields: {} };
+      const generated = texts[channel].content;
+      updateAssetContent(brandId, channel, {
+        ...existing,
+        ...(generated.slides ? { slides: generated.slides } : {}),
+        fields: { ...existing.fields, ...generated.fields }
+      });
+    });
+
+    // Usage tracking: the campaign assets carry the current logo
+    const generatedChannels = Object.keys(results).filter(channel => results[channel].success);
+    if (generatedChannels.length > 0) {
+      useLibraryStore.getState().recordUsage(brandId, [brand.logo], {
+        kind: 'campaign',
+        target: campaignData.name || campaignTypes.find(t => t.id === campaignData.type)?.name || 'Kampagne',
+        detail: generatedChannels.map(id => channelOptions.find(c => c.id === id)?.name || id).join(', ')
+      });
     }
 
     setGeneratedAssets(results);
@@ -255,7 +268,7 @@ ${campaignData.briefing}
                   onClick={handleGenerate}
                   disabled={campaignData.channels.length === 0 || generating}
                 >
-                  {generating ? `Generiere... ${progress}%` : 'Content generieren'}
+                  {generating ? 'Generiere...' : 'Content generieren'}
                 </button>
               </div>
             </div>
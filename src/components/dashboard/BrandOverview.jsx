@@ -2,6 +2,7 @@ import React from 'react';
 import { Link, useParams, useNavigate } from 'react-router-dom';
 import { useBrandStore } from '../../stores/brandStore';
 import { useRulesStore } from '../../stores/rulesStore';
+import AssetImage from '../AssetImage';
 
 export default function BrandOverview() {
   const { brandId } = useParams();
@@ -65,7 +66,7 @@ export default function BrandOverview() {
       }}>
         <div className="brand-hero-content">
           {brand.logo ? (
-            <img src={brand.logo} alt={brand.name} className="brand-hero-logo" />
+            <AssetImage src={brand.logo} alt={brand.name} className="brand-hero-logo" />
           ) : (
             <div
               className="brand-hero-initial"
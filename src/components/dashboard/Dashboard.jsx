@@ -1,16 +1,40 @@
-import React from 'react';
+import React, { useRef } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useBrandStore } from '../../stores/brandStore';
+import { importTokensFile } from '../../lib/analyzer/token-import';
+import AssetImage from '../AssetImage';
 
 export default function Dashboard() {
-  const { brands, createBrand } = useBrandStore();
+  const { brands, createBrand, importBrand } = useBrandStore();
   const navigate = useNavigate();
+  const importInputRef = useRef(null);
 
   const handleCreateBrand = async () => {
     const brand = await createBrand('Neue Marke');
     navigate(`/brand/${brand.id}/tokens`);
   };
 
+  // Tokens Studio / Style Dictionary / Figma Variables / tokens.json als Marke
+  const handleImportTokens = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      // Colour values that could not be mapped stay in the extensions
+      const warnings = [];
+      const brand = await importBrand(await importTokensFile(file, { onWarning: (message) => warnings.push(message) }));
+      if (warnings.length > 0) {
+        console.warn('Token import warnings:', warnings);
+        alert(`Import mit ${warnings.length} Hinweis(en):\n${warnings.join('\n')}`);
+      }
+      navigate(`/brand/${brand.id}/tokens`);
+    } catch (error) {
+      console.error('Token import failed:', error);
+      alert(`Import fehlgeschlagen: ${error.message}`);
+    }
+  };
+
   return (
     <div className="dashboard">
       <header className="page-header">
@@ -18,9 +42,21 @@ export default function Dashboard() {
           <h1>Brand Portfolio</h1>
           <p className="page-subtitle">Alle deine Marken an einem Ort</p>
         </div>
-        <button className="btn-primary" onClick={handleCreateBrand}>
-          + Neue Marke
-        </button>
+        <div className="page-header-actions">
+          <button className="btn-secondary" onClick={() => importInputRef.current?.click()}>
+            Tokens importieren
+          </button>
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            onChange={handleImportTokens}
+            hidden
+          />
+          <button className="btn-primary" onClick={handleCreateBrand}>
+            + Neue Marke
+          </button>
+        </div>
       </header>
 
       <div className="dashboard-grid">
@@ -47,7 +83,7 @@ export default function Dashboard() {
                 }}
               >
                 {brand.logo ? (
-                  <img src={brand.logo} alt={brand.name} className="brand-card-logo" />
+                  <AssetImage src={brand.logo} alt={brand.name} className="brand-card-logo" />
                 ) : (
                   <div className="brand-card-initial">
                     {brand.name.charAt(0).toUpperCase()}
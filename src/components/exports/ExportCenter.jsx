@@ -1,10 +1,17 @@
 import React, { useState } from 'react';
 import { useParams } from 'react-router-dom';
 import { useBrandStore } from '../../stores/brandStore';
+import { useRulesStore } from '../../stores/rulesStore';
+import { useLibraryStore } from '../../stores/libraryStore';
 import { exportFigmaVariables } from '../../lib/exporters/figma';
 import { exportPptxTheme } from '../../lib/exporters/pptx-theme';
 import { exportPrintSpecs } from '../../lib/exporters/print-specs';
-import { exportAsset } from '../../lib/exporters';
+import { exportAsset, buildBrandPackage, buildPlatformExport, platformFormatters } from '../../lib/exporters';
+import { PRINT_FORMATS, DEFAULT_PRINT_OPTIONS } from '../../lib/exporters/print-layout';
+import { PRINT_PROFILES } from '../../lib/print-color';
+import { GUIDELINE_SECTIONS, DEFAULT_GUIDELINE_SECTIONS } from '../../lib/exporters/guidelines';
+import { qrCodeTypes, validateQRPayload } from '../../lib/qrcode';
+import QRPayloadFields from '../QRPayloadFields';
 
 const exportPresets = [
   {
@@ -53,7 +60,15 @@ const individualFormats = [
   { id: 'pptx', name: 'PowerPoint Template', category: 'Microsoft', ext: '.pptx' },
   { id: 'print-specs', name: 'Print Specs (CMYK)', category: 'Print', ext: '.json' },
   { id: 'pdf-guidelines', name: 'Brand Guidelines', category: 'Print', ext: '.pdf' },
+  { id: 'pdf-flyer', name: 'Flyer (druckfertig)', category: 'Print', ext: '.pdf' },
+  { id: 'pdf-businesscard', name: 'Visitenkarte (druckfertig)', category: 'Print', ext: '.pdf' },
   { id: 'html-email', name: 'Email Template', category: 'Web', ext: '.html' },
+  ...Object.values(platformFormatters).map(formatter => ({
+    id: `platform-${formatter.id}`,
+    name: formatter.name,
+    category: formatter.category === 'mobile' ? 'Mobile' : 'Web',
+    ext: formatter.ext
+  })),
 ];
 
 export default function ExportCenter() {
@@ -62,11 +77,64 @@ export default function ExportCenter() {
   const brand = getBrandById(brandId);
   const [exporting, setExporting] = useState(null);
   const [exportLog, setExportLog] = useState([]);
+  const [printOptions, setPrintOptions] = useState(DEFAULT_PRINT_OPTIONS);
+  // Guidelines chapters: order of the list = order in the PDF
+  const [guidelineSections, setGuidelineSections] = useState(
+    DEFAULT_GUIDELINE_SECTIONS.map(id => ({ id, enabled: true }))
+  );
+  // QR code on flyer / business card: '' = default (vCard on the card only), 'none' = no QR code
+  const [qrSettings, setQrSettings] = useState({ type: '', values: {}, logo: true });
+  const brandRules = useRulesStore(state => state.rules[brandId]);
+  const libraryAssets = useLibraryStore(state => state.assets);
 
   if (!brand) {
     return <div className="not-found">Marke nicht gefunden</div>;
   }
 
+  const updatePrintOption = (key, value) => {
+    setPrintOptions(prev => ({ ...prev, [key]: value }));
+  };
+
+  const updateQrSetting = (key, value) => {
+    setQrSettings(prev => ({ ...prev, [key]: value }));
+  };
+
+  // Guidelines PDF (single, presets, package) needs at least one chapter
+  const noGuidelineSections = !guidelineSections.some(section => section.enabled);
+  const needsGuidelines = (formats) => formats.includes('pdf-guidelines') || formats.includes('all');
+
+  const qrErrors = qrCodeTypes[qrSettings.type] ? validateQRPayload(qrSettings.type, qrSettings.values) : {};
+
+  // QR option for the PDF generators (see pdf.js)
+  const qrOption = () => {
+    if (qrSettings.type === 'none') return false;
+    if (!qrCodeTypes[qrSettings.type]) return undefined;
+    return { type: qrSettings.type, values: qrSettings.values, logo: qrSettings.logo };
+  };
+
+  const toggleGuidelineSection = (id) => {
+    setGuidelineSections(prev => prev.map(section => (
+      section.id === id ? { ...section, enabled: !section.enabled } : section
+    )));
+  };
+
+  const moveGuidelineSection = (index, direction) => {
+    setGuidelineSections(prev => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  // Content for the guidelines PDF (confirmed rules are picked in guidelines.js)
+  const guidelineOptions = () => ({
+    rules: brandRules || [],
+    libraryAssets: libraryAssets.filter(asset => asset.brand_id === brand.id),
+    sections: guidelineSections.filter(section => section.enabled).map(section => section.id)
+  });
+
   const addLog = (message, type = 'info') => {
     setExportLog(prev => [...prev, { message, type, time: new Date().toLocaleTimeString() }]);
   };
@@ -79,8 +147,12 @@ export default function ExportCenter() {
       if (preset.id === 'complete') {
         // Export all formats as ZIP
         addLog('Generating complete brand package...');
-        await exportCompletePackage(brand);
-        addLog('Complete package exported!', 'success');
+        const warnings = await exportCompletePackage(brand);
+        if (warnings.length > 0) {
+          addLog(`Complete package exported with ${warnings.length} warning(s)`, 'warning');
+        } else {
+          addLog('Complete package exported!', 'success');
+        }
       } else {
         for (const format of preset.formats) {
           addLog(`Exporting ${format}...`);
@@ -101,6 +173,9 @@ export default function ExportCenter() {
       addLog(`Exporting ${formatId}...`);
     }
 
+    // Layout warnings from the PDF generators (text overflow etc.)
+    const warnings = [];
+
     try {
       let blob, filename;
 
@@ -123,8 +198,23 @@ export default function ExportCenter() {
           break;
 
         default:
-          // Use existing exporters
-          const result = await exportAsset(brand, {}, formatId, {});
+          // Plattform-Builds (SCSS, iOS, Android, ...)
+          if (formatId.startsWith('platform-')) {
+            ({ blob, filename } = await buildPlatformExport(brand, formatId.slice('platform-'.length)));
+            break;
+          }
+
+          // Use existing exporters (print options only matter for the PDF formats)
+          const result = await exportAsset(brand, {}, formatId, {
+            ...printOptions,
+            ...guidelineOptions(),
+            qr: qrOption(),
+            onWarning: (message) => warnings.push(message)
+          });
+          if (result === undefined) {
+            // Exporter already triggered the download itself
+            break;
+          }
           if (result instanceof Blob) {
             blob = result;
           } else {
@@ -135,15 +225,24 @@ export default function ExportCenter() {
       }
 
       // Download
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      a.click();
-      URL.revokeObjectURL(url);
+      if (blob) {
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+      }
+
+      // Warnings are logged for preset exports too
+      warnings.forEach(message => addLog(`${formatId}: ${message}`, 'warning'));
 
       if (showLog) {
-        addLog(`${formatId} exported successfully!`, 'success');
+        if (warnings.length > 0) {
+          addLog(`${formatId} exported with ${warnings.length} warning(s)`, 'warning');
+        } else {
+          addLog(`${formatId} exported successfully!`, 'success');
+        }
       }
     } catch (error) {
       if (showLog) {
@@ -158,74 +257,21 @@ export default function ExportCenter() {
   };
 
   const exportCompletePackage = async (brand) => {
-    const JSZip = (await import('jszip')).default;
-    const zip = new JSZip();
-
-    // Add all formats
-    const figmaData = exportFigmaVariables(brand);
-    zip.file('design/figma-variables.json', JSON.stringify(figmaData, null, 2));
-
-    const printData = exportPrintSpecs(brand);
-    zip.file('print/print-specs.json', JSON.stringify(printData, null, 2));
-
-    // CSS and Tailwind
-    const cssResult = await exportAsset(brand, {}, 'tokens-css', {});
-    zip.file('web/tokens.css', cssResult);
-
-    const tailwindResult = await exportAsset(brand, {}, 'tokens-tailwind', {});
-    zip.file('web/tailwind.config.js', tailwindResult);
-
-    const jsonResult = await exportAsset(brand, {}, 'tokens-json', {});
-    zip.file('tokens.json', jsonResult);
-
-    // README
-    zip.file('README.md', generateReadme(brand));
-
-    const blob = await zip.generateAsync({ type: 'blob' });
+    // Same warnings collector as single exports (guidelines text overflow etc.)
+    const warnings = [];
+    const blob = await buildBrandPackage(brand, null, {
+      ...guidelineOptions(),
+      onWarning: (message) => warnings.push(message)
+    });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
     a.download = `${brand.name}-brand-package.zip`;
     a.click();
-  };
-
-  const generateReadme = (brand) => {
-    return `# ${brand.name} Brand Package
-
-## Exported from TYRN.ON Brand Engine
-
-### Contents
-
-- \`/design/figma-variables.json\` - Import into Figma as Variables
-- \`/print/print-specs.json\` - CMYK color values and print specifications
-- \`/web/tokens.css\` - CSS custom properties
-- \`/web/tailwind.config.js\` - Tailwind CSS configuration
-- \`tokens.json\` - Complete design token JSON
-
-### Colors
-
-| Name | HEX | Usage |
-|------|-----|-------|
-| Primary | ${brand.colors.primary} | Main brand color |
-| Secondary | ${brand.colors.secondary} | Supporting color |
-| Accent | ${brand.colors.accent} | CTAs, highlights |
-| Background | ${brand.colors.background} | Page backgrounds |
-| Text | ${brand.colors.text} | Body text |
-
-### Typography
+    URL.revokeObjectURL(url);
 
-- **Heading:** ${brand.fonts.heading}
-- **Body:** ${brand.fonts.body}
-
-### Brand Voice
-
-- **Tone:** ${brand.voice?.tone || 'Professional'}
-- **Formality:** ${brand.voice?.formality || 'Sie'}
-${brand.voice?.tagline ? `- **Tagline:** ${brand.voice.tagline}` : ''}
-
----
-Generated with TYRN.ON Brand Engine
-`;
+    warnings.forEach(message => addLog(`brand-package: ${message}`, 'warning'));
+    return warnings;
   };
 
   return (
@@ -247,7 +293,8 @@ Generated with TYRN.ON Brand Engine
               key={preset.id}
               className={`preset-card ${exporting === preset.id ? 'exporting' : ''}`}
               onClick={() => handlePresetExport(preset)}
-              disabled={exporting}
+              disabled={exporting || (noGuidelineSections && needsGuidelines(preset.formats))}
+              title={noGuidelineSections && needsGuidelines(preset.formats) ? 'Kein Guidelines-Kapitel ausgewählt' : undefined}
             >
               <div className="preset-icon">{preset.icon}</div>
               <div className="preset-content">
@@ -265,7 +312,7 @@ Generated with TYRN.ON Brand Engine
         <p className="section-description">Exportiere spezifische Dateien</p>
 
         <div className="formats-grid">
-          {['Web', 'Design', 'Microsoft', 'Print'].map(category => (
+          {['Web', 'Mobile', 'Design', 'Microsoft', 'Print'].map(category => (
             <div key={category} className="format-category">
               <h4>{category}</h4>
               <div className="format-list">
@@ -274,7 +321,8 @@ Generated with TYRN.ON Brand Engine
                     key={format.id}
                     className={`format-btn ${exporting === format.id ? 'exporting' : ''}`}
                     onClick={() => handleSingleExport(format.id)}
-                    disabled={exporting}
+                    disabled={exporting || (noGuidelineSections && needsGuidelines([format.id]))}
+                    title={noGuidelineSections && needsGuidelines([format.id]) ? 'Kein Guidelines-Kapitel ausgewählt' : undefined}
                   >
                     <span className="format-name">{format.name}</span>
                     <span className="format-ext">{format.ext}</span>
@@ -286,6 +334,123 @@ Generated with TYRN.ON Brand Engine
         </div>
       </section>
 
+      <section className="export-print-settings">
+        <h2>Druckeinstellungen</h2>
+        <p className="section-description">Gelten für Flyer und Visitenkarte (PDF mit Beschnitt, Marken und CMYK)</p>
+
+        <div className="print-settings-grid">
+          <label className="print-setting">
+            <span>Flyer-Format</span>
+            <select value={printOptions.format || 'a4'} onChange={(e) => updatePrintOption('format', e.target.value)}>
+              {Object.values(PRINT_FORMATS).filter(f => f.id !== 'businesscard').map(format => (
+                <option key={format.id} value={format.id}>
+                  {format.name} ({format.width} × {format.height} mm)
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="print-setting">
+            <span>Beschnitt (mm)</span>
+            <input
+              type="number"
+              min="0"
+              max="10"
+              step="0.5"
+              value={printOptions.bleed}
+              onChange={(e) => updatePrintOption('bleed', e.target.value)}
+            />
+          </label>
+          <label className="print-setting">
+            <span>Druckprofil</span>
+            <select value={printOptions.profile} onChange={(e) => updatePrintOption('profile', e.target.value)}>
+              {Object.entries(PRINT_PROFILES).map(([id, profile]) => (
+                <option key={id} value={id}>{profile.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="print-setting checkbox">
+            <input
+              type="checkbox"
+              checked={printOptions.marks}
+              onChange={(e) => updatePrintOption('marks', e.target.checked)}
+            />
+            <span>Schneide- &amp; Passermarken</span>
+          </label>
+          <label className="print-setting checkbox">
+            <input
+              type="checkbox"
+              checked={printOptions.slug}
+              onChange={(e) => updatePrintOption('slug', e.target.checked)}
+            />
+            <span>Infozeile &amp; Kontrollfelder</span>
+          </label>
+        </div>
+
+        <div className="print-qr">
+          <label className="print-setting">
+            <span>QR-Code</span>
+            <select value={qrSettings.type} onChange={(e) => setQrSettings({ type: e.target.value, values: {}, logo: qrSettings.logo })}>
+              <option value="">Standard (vCard auf der Visitenkarte)</option>
+              <option value="none">Ohne QR-Code</option>
+              {Object.entries(qrCodeTypes).map(([id, type]) => (
+                <option key={id} value={id}>{type.icon} {type.name}</option>
+              ))}
+            </select>
+          </label>
+          {qrCodeTypes[qrSettings.type] && (
+            <>
+              <QRPayloadFields
+                type={qrSettings.type}
+                values={qrSettings.values}
+                errors={qrErrors}
+                onChange={(values) => updateQrSetting('values', values)}
+              />
+              {qrCodeTypes[qrSettings.type].allowLogo !== false && (
+                <label className="print-setting checkbox">
+                  <input
+                    type="checkbox"
+                    checked={qrSettings.logo}
+                    onChange={(e) => updateQrSetting('logo', e.target.checked)}
+                  />
+                  <span>Logo im QR-Code (Fehlerkorrektur H)</span>
+                </label>
+              )}
+              <p className="print-qr-hint">
+                Flyer: unten rechts neben dem CTA. Visitenkarte: ersetzt die vCard auf der Rückseite.
+              </p>
+            </>
+          )}
+        </div>
+      </section>
+
+      <section className="export-guideline-sections">
+        <h2>Guidelines-Kapitel</h2>
+        <p className="section-description">Auswahl und Reihenfolge der Kapitel im Brand-Guidelines-PDF</p>
+
+        <ol className="guideline-sections">
+          {guidelineSections.map((section, index) => (
+            <li key={section.id} className={`guideline-section ${section.enabled ? '' : 'disabled'}`}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={section.enabled}
+                  onChange={() => toggleGuidelineSection(section.id)}
+                />
+                <span className="guideline-section-title">{GUIDELINE_SECTIONS[section.id].title}</span>
+                <span className="guideline-section-description">{GUIDELINE_SECTIONS[section.id].description}</span>
+              </label>
+              <div className="guideline-section-actions">
+                <button onClick={() => moveGuidelineSection(index, -1)} disabled={index === 0} title="Nach oben">↑</button>
+                <button onClick={() => moveGuidelineSection(index, 1)} disabled={index === guidelineSections.length - 1} title="Nach unten">↓</button>
+              </div>
+            </li>
+          ))}
+        </ol>
+        {noGuidelineSections && (
+          <p className="guideline-sections-hint">Mindestens ein Kapitel auswählen – sonst lassen sich Guidelines und Complete Package nicht exportieren.</p>
+        )}
+      </section>
+
       {exportLog.length > 0 && (
         <section className="export-log">
           <div className="log-header">
@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useBrandStore } from '../../stores/brandStore';
+import { getUserName, getUserColor } from '../../lib/supabase';
+import { createSnapshot, diffBrands } from '../../lib/history';
+import { computeNextRelease, getReleaseVersion } from '../../lib/releases';
+import { exportAsset } from '../../lib/exporters';
+import { useBrandRole } from '../../stores/authStore';
+import DiffValue from './DiffValue';
+
+const bumpLabels = {
+  major: 'Major – Tokens entfernt',
+  minor: 'Minor – neue Tokens',
+  patch: 'Patch – geänderte Werte'
+};
+
+export default function BrandHistory() {
+  const { brandId } = useParams();
+  const { getBrandById, loadVersions, saveVersion, restoreVersion, publishRelease } = useBrandStore();
+  const brand = getBrandById(brandId);
+  const { canEdit } = useBrandRole(brandId);
+  const versions = useBrandStore(state => state.versions[brandId] || []);
+  const [selectedId, setSelectedId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [releaseNotes, setReleaseNotes] = useState('');
+
+  useEffect(() => {
+    loadVersions(brandId);
+  }, [brandId, loadVersions]);
+
+  if (!brand) {
+    return <div className="not-found">Marke nicht gefunden</div>;
+  }
+
+  const selected = versions.find(v => v.id === selectedId) || versions[0];
+  const previous = selected ? versions[versions.indexOf(selected) + 1] : null;
+  const changes = selected ? diffBrands(previous?.snapshot, selected.snapshot) : [];
+  const unsavedChanges = diffBrands(versions[0]?.snapshot, createSnapshot(brand));
+  const releases = brand.releases || [];
+  const nextRelease = computeNextRelease(brand);
+  const releaseByVersionId = Object.fromEntries(releases.map(r => [r.versionId, r]));
+
+  const handleSave = async () => {
+    await saveVersion(brandId, message.trim() || undefined);
+    setMessage('');
+  };
+
+  const handlePublish = async () => {
+    const { added, removed, changed } = nextRelease.changes;
+    const summary = releases.length === 0
+      ? `${added.length} Tokens`
+      : `${removed.length} entfernt, ${added.length} neu, ${changed.length} geändert`;
+    if (!confirm(`Release ${nextRelease.version} veröffentlichen? (${summary})`)) return;
+
+    try {
+      await publishRelease(brandId, releaseNotes);
+      setReleaseNotes('');
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleRestore = async (version) => {
+    const date = new Date(version.created_at).toLocaleString('de-DE');
+    if (confirm(`Version vom ${date} wiederherstellen? Der aktuelle Stand bleibt in der Historie erhalten.`)) {
+      await restoreVersion(brandId, version.id);
+      setSelectedId(null);
+    }
+  };
+
+  return (
+    <div className="brand-history">
+      <header className="page-header">
+        <div className="page-header-content">
+          <h1>Versionen</h1>
+          <p className="page-subtitle">Änderungsverlauf von {brand.name}</p>
+        </div>
+      </header>
+
+      <div className="history-release">
+        <div className="history-release-info">
+          <span className="color-label">Aktuelles Release</span>
+          <span className="history-release-version">v{getReleaseVersion(brand)}</span>
+          {nextRelease.version ? (
+            <span className="history-meta">
+              Nächstes: v{nextRelease.version} · {bumpLabels[nextRelease.bump]}
+              {releases.length > 0 && (
+                <> ({nextRelease.changes.removed.length} entfernt, {nextRelease.changes.added.length} neu, {nextRelease.changes.changed.length} geändert)</>
+              )}
+            </span>
+          ) : (
+            <span className="history-meta">Keine Token-Änderungen seit dem letzten Release</span>
+          )}
+        </div>
+        <input
+          type="text"
+          value={releaseNotes}
+          onChange={(e) => setReleaseNotes(e.target.value)}
+          placeholder="Release Notes (optional)"
+          disabled={!nextRelease.version || !canEdit}
+        />
+        {canEdit && (
+          <button className="btn-primary" onClick={handlePublish} disabled={!nextRelease.version}>
+            {nextRelease.version ? `v${nextRelease.version} veröffentlichen` : 'Veröffentlichen'}
+          </button>
+        )}
+        {releases.length > 0 && (
+          <button className="btn-secondary" onClick={() => exportAsset(brand, null, 'changelog')}>
+            CHANGELOG.md
+          </button>
+        )}
+      </div>
+
+      {canEdit && (
+        <div className="history-save">
+          <input
+            type="text"
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Beschreibung der Version (optional)"
+          />
+          <button className="btn-primary" onClick={handleSave}>
+            Version speichern
+          </button>
+          {unsavedChanges.length > 0 && (
+            <span className="history-unsaved">
+              {unsavedChanges.length} ungespeicherte Änderung{unsavedChanges.length === 1 ? '' : 'en'}
+            </span>
+          )}
+        </div>
+      )}
+
+      {versions.length === 0 ? (
+        <div className="empty-state">
+          <h2>Noch keine Versionen</h2>
+          <p>Jede Änderung an der Marke wird automatisch als Version gespeichert.</p>
+        </div>
+      ) : (
+        <div className="history-layout">
+          <ul className="history-list">
+            {versions.map((version, index) => (
+              <li
+                key={version.id}
+                className={`history-item ${selected?.id === version.id ? 'active' : ''}`}
+                onClick={() => setSelectedId(version.id)}
+              >
+                <span
+                  className="history-author-dot"
+                  style={{ backgroundColor: getUserColor(version.author) }}
+                />
+                <div className="history-item-info">
+                  <span className="history-message">{version.message}</span>
+                  <span className="history-meta">
+                    {getUserName(version.author)} · {new Date(version.created_at).toLocaleString('de-DE')}
+                  </span>
+                </div>
+                {releaseByVersionId[version.id] && (
+                  <span className="history-badge release">v{releaseByVersionId[version.id].version}</span>
+                )}
+                {index === 0 && <span className="history-badge">Aktuell</span>}
+              </li>
+            ))}
+          </ul>
+
+          {selected && (
+            <div className="history-detail">
+              <div className="history-detail-header">
+                <div>
+                  <h3>{selected.message}</h3>
+                  <p className="history-meta">
+                    {getUserName(selected.author)} · {new Date(selected.created_at).toLocaleString('de-DE')}
+                  </p>
+                </div>
+                {canEdit && selected.id !== versions[0].id && (
+                  <button className="btn-secondary" onClick={() => handleRestore(selected)}>
+                    Wiederherstellen
+                  </button>
+                )}
+              </div>
+
+              {!previous ? (
+                <p className="editor-description">Erste gespeicherte Version.</p>
+              ) : changes.length === 0 ? (
+                <p className="editor-description">Keine Änderungen an Farben, Schriften, Stimme oder Logos.</p>
+              ) : (
+                <table className="history-diff">
+                  <thead>
+                    <tr>
+                      <th>Feld</th>
+                      <th>Vorher</th>
+                      <th>Nachher</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {changes.map(change => (
+                      <tr key={change.field}>
+                        <td>
+                          <span className="diff-group">{change.group}</span>
+                          {change.label}
+                        </td>
+                        <td className="diff-before"><DiffValue type={change.type} value={change.before} /></td>
+                        <td className="diff-after"><DiffValue type={change.type} value={change.after} /></td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import React from 'react';
+import AssetImage from '../AssetImage';
+
+export default function DiffValue({ type, value }) {
+  if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return <span className="diff-empty">–</span>;
+  }
+
+  if (type === 'color') {
+    return (
+      <span className="diff-color">
+        <span className="color-swatch-small" style={{ backgroundColor: value }} />
+        {value}
+      </span>
+    );
+  }
+
+  if (type === 'font') {
+    return <span style={{ fontFamily: value }}>{value.split(',')[0].replace(/'/g, '')}</span>;
+  }
+
+  if (type === 'image') {
+    return <AssetImage src={value} className="diff-image" />;
+  }
+
+  if (type === 'list') {
+    return <span>{value.map(item => (typeof item === 'object' ? item.hex || item.name || '…' : item)).join(', ')}</span>;
+  }
+
+  if (type === 'json') {
+    return <code className="diff-json">{JSON.stringify(value)}</code>;
+  }
+
+  return <span>{String(value)}</span>;
+}
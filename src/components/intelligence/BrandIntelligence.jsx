@@ -4,6 +4,7 @@ import { useBrandStore } from '../../stores/brandStore';
 import { analyzeFiles } from '../../lib/analyzer/index.js';
 import { aggregateExtraction } from '../../lib/analyzer/aggregator.js';
 import { analyzeWithAI } from '../../lib/analyzer/ai-analyzer.js';
+import { dedupeColors } from '../../lib/color.js';
 import AnalyzerUpload from './AnalyzerUpload';
 import AnalysisProgress from './AnalysisProgress';
 import BrandPreview from './BrandPreview';
@@ -87,8 +88,8 @@ export default function BrandIntelligence() {
         }
       }
 
-      // Deduplicate colors by similarity
-      aggregated.colors = deduplicateColors(aggregated.colors);
+      // Deduplicate perceptually identical colors (AI and PPTX often report the same brand color)
+      aggregated.colors = dedupeColors(aggregated.colors);
 
       setProgress(100);
       setProgressMessage('Fertig!');
@@ -102,41 +103,6 @@ export default function BrandIntelligence() {
     }
   }, []);
 
-  // Helper to deduplicate similar colors
-  const deduplicateColors = (colors) => {
-    const unique = [];
-    for (const color of colors) {
-      const isDuplicate = unique.some(c => {
-        if (!c.hex || !color.hex) return false;
-        return colorDistance(c.hex, color.hex) < 20;
-      });
-      if (!isDuplicate) {
-        unique.push(color);
-      }
-    }
-    return unique;
-  };
-
-  const colorDistance = (hex1, hex2) => {
-    const rgb1 = hexToRgb(hex1);
-    const rgb2 = hexToRgb(hex2);
-    if (!rgb1 || !rgb2) return Infinity;
-    return Math.sqrt(
-      Math.pow(rgb1.r - rgb2.r, 2) +
-      Math.pow(rgb1.g - rgb2.g, 2) +
-      Math.pow(rgb1.b - rgb2.b, 2)
-    );
-  };
-
-  const hexToRgb = (hex) => {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-      r: parseInt(result[1], 16),
-      g: parseInt(result[2], 16),
-      b: parseInt(result[3], 16)
-    } : null;
-  };
-
   const handleFigmaAnalysis = useCallback((analysis) => {
     // Convert Figma analysis to simple format for preview
     const aggregated = {
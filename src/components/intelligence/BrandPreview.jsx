@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import AssetImage from '../AssetImage';
 
 export default function BrandPreview({ extractedData, existingBrand, onApply, onCancel }) {
   const { colors = [], fonts = [], logos = [], toneOfVoice, additionalNotes } = extractedData || {};
@@ -139,7 +140,7 @@ export default function BrandPreview({ extractedData, existingBrand, onApply, on
             <div className="existing-logos">
               <span className="existing-label">Logos:</span>
               {existingLogos.map((l, i) => (
-                <img key={i} src={l.dataUrl} alt={l.name} className="existing-logo-thumb" />
+                <AssetImage key={i} src={l.dataUrl} alt={l.name} className="existing-logo-thumb" />
               ))}
             </div>
           )}
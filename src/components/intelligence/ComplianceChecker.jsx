@@ -0,0 +1,170 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useBrandStore } from '../../stores/brandStore';
+import { useRulesStore } from '../../stores/rulesStore';
+import { useLibraryStore } from '../../stores/libraryStore';
+import {
+  getBrandStandards,
+  checkFileCompliance,
+  SEVERITY,
+  CHECK_CATEGORIES,
+  POSITION_LABELS
+} from '../../lib/compliance';
+
+const ACCEPT = '.pptx,.potx,.pdf,.png,.jpg,.jpeg,.svg,.webp,.gif';
+
+const scoreClass = (score) => (score >= 90 ? 'good' : score >= 60 ? 'medium' : 'poor');
+
+export default function ComplianceChecker() {
+  const { brandId } = useParams();
+  const { getBrandById } = useBrandStore();
+  const brandRules = useRulesStore(state => state.rules[brandId]);
+  const libraryAssets = useLibraryStore(state => state.assets);
+  const brand = getBrandById(brandId);
+  const fileInputRef = useRef(null);
+
+  const [reports, setReports] = useState([]);
+  const [checking, setChecking] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+
+  const standards = useMemo(() => getBrandStandards(
+    brand,
+    brandRules || [],
+    libraryAssets.filter(asset => asset.brand_id === brandId)
+  ), [brand, brandRules, libraryAssets, brandId]);
+
+  if (!brand) {
+    return <div className="not-found">Marke nicht gefunden</div>;
+  }
+
+  const checkFiles = async (files) => {
+    for (const file of files) {
+      setChecking(file.name);
+      let report;
+      try {
+        report = await checkFileCompliance(file, standards);
+      } catch (error) {
+        console.error(`Compliance check failed for ${file.name}:`, error);
+        report = { source: file.name, error: error.message };
+      }
+      // Re-checking a file replaces its previous report
+      setReports(prev => [report, ...prev.filter(r => r.source !== file.name)]);
+    }
+    setChecking(null);
+  };
+
+  const handleSelect = (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    checkFiles(files);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    checkFiles([...e.dataTransfer.files]);
+  };
+
+  return (
+    <div className="compliance-checker">
+      <header className="page-header">
+        <div className="page-header-content">
+          <h1>Compliance-Check</h1>
+          <p className="page-subtitle">PPTX, PDF oder Bilder gegen die Regeln von {brand.name} prüfen</p>
+        </div>
+      </header>
+
+      <section className="compliance-standards">
+        <div>
+          <h4>Farben</h4>
+          <div className="compliance-swatches">
+            {standards.palette.map(color => (
+              <span key={color.hex} className="compliance-swatch" style={{ background: color.hex }} title={`${color.name} ${color.hex}`} />
+            ))}
+          </div>
+        </div>
+        <div>
+          <h4>Schriften</h4>
+          <p>{standards.fonts.map(font => font.name).join(', ') || '–'}</p>
+        </div>
+        <div>
+          <h4>Schriftgrößen</h4>
+          <p>{standards.fontSizes.length > 0 ? `${standards.fontSizes.join(', ')}pt` : '–'}</p>
+        </div>
+        <div>
+          <h4>Logo</h4>
+          <p>
+            {standards.logoPosition ? POSITION_LABELS[standards.logoPosition] : 'Position frei'}
+            {' · '}{standards.logos.length} in der Bibliothek
+          </p>
+        </div>
+      </section>
+
+      <div
+        className={`compliance-dropzone ${isDragging ? 'dragging' : ''}`}
+        onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => !checking && fileInputRef.current?.click()}
+      >
+        {checking ? `Prüfe ${checking}...` : 'Dateien hierher ziehen oder klicken (PPTX, PDF, PNG, JPG, SVG)'}
+        <input ref={fileInputRef} type="file" multiple accept={ACCEPT} onChange={handleSelect} hidden />
+      </div>
+
+      {reports.map(report => (
+        <article key={report.source} className="compliance-report">
+          <header className="compliance-report-header">
+            <h3>{report.source}</h3>
+            {!report.error && (
+              <>
+                <span className="compliance-report-meta">
+                  {report.summary.errors} Verstöße · {report.summary.warnings} Warnungen
+                  {' · '}{report.checked.colors} Farben, {report.checked.fonts} Schriften, {report.checked.logos} Logos geprüft
+                </span>
+                <span className={`compliance-score ${scoreClass(report.score)}`}>{report.score}</span>
+              </>
+            )}
+            <button className="btn-text" onClick={() => setReports(prev => prev.filter(r => r !== report))}>
+              Entfernen
+            </button>
+          </header>
+
+          {report.error ? (
+            <p className="compliance-error">{report.error}</p>
+          ) : report.issues.length === 0 ? (
+            <p className="compliance-ok">Keine Abweichungen von den Markenregeln gefunden.</p>
+          ) : (
+            <ul className="compliance-issues">
+              {report.issues.map(issue => (
+                <li key={issue.id} className={`compliance-issue ${issue.severity}`}>
+                  <span className={`compliance-severity ${issue.severity}`}>{SEVERITY[issue.severity].label}</span>
+                  <div className="compliance-issue-body">
+                    <strong>
+                      {issue.category === 'color' && issue.value && (
+                        <span className="compliance-swatch small" style={{ background: issue.value }} />
+                      )}
+                      {issue.title}
+                    </strong>
+                    <span className="compliance-issue-detail">
+                      {CHECK_CATEGORIES[issue.category]} · {issue.detail}
+                      {issue.category === 'color' && issue.expected && (
+                        <span className="compliance-swatch small" style={{ background: issue.expected }} />
+                      )}
+                    </span>
+                    {issue.locations.length > 0 && (
+                      <div className="compliance-locations">
+                        {issue.locations.map(location => (
+                          <span key={location} className="compliance-location">{location}</span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </article>
+      ))}
+    </div>
+  );
+}
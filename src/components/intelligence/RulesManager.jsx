@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
 import { useRulesStore } from '../../stores/rulesStore';
+import { useBrandRole } from '../../stores/authStore';
+import AssetImage from '../AssetImage';
 
 const categoryLabels = {
   color: { label: 'Farben', icon: 'C' },
@@ -19,6 +21,7 @@ export default function RulesManager({ brandId, onReanalyze, extractedAssets })
     importRules
   } = useRulesStore();
 
+  const { canEdit } = useBrandRole(brandId);
   const [filter, setFilter] = useState('all');
   const [showImportModal, setShowImportModal] = useState(false);
   const [importJson, setImportJson] = useState('');
@@ -87,7 +90,7 @@ export default function RulesManager({ brandId, onReanalyze, extractedAssets })
             {assets.logos.slice(0, 4).map((logo, i) => (
               <div key={i} className="asset-item">
                 {logo.data ? (
-                  <img src={logo.data} alt={logo.name || 'Logo'} />
+                  <AssetImage src={logo.data} alt={logo.name || 'Logo'} />
                 ) : (
                   <div className="asset-placeholder">{logo.name}</div>
                 )}
@@ -118,15 +121,19 @@ export default function RulesManager({ brandId, onReanalyze, extractedAssets })
         </div>
 
         <div className="action-buttons">
-          <button className="btn-text" onClick={() => setShowImportModal(true)}>
-            Importieren
-          </button>
+          {canEdit && (
+            <button className="btn-text" onClick={() => setShowImportModal(true)}>
+              Importieren
+            </button>
+          )}
           <button className="btn-text" onClick={handleExport}>
             Exportieren
           </button>
-          <button className="btn-text danger" onClick={handleClearAll}>
-            Alle löschen
-          </button>
+          {canEdit && (
+            <button className="btn-text danger" onClick={handleClearAll}>
+              Alle löschen
+            </button>
+          )}
         </div>
       </div>
 
@@ -162,12 +169,14 @@ export default function RulesManager({ brandId, onReanalyze, extractedAssets })
               <div className="rule-confidence">
                 {Math.round(rule.confidence * 100)}%
               </div>
-              <button
-                className="btn-remove"
-                onClick={() => deleteRule(brandId, rule.id)}
-              >
-                ×
-              </button>
+              {canEdit && (
+                <button
+                  className="btn-remove"
+                  onClick={() => deleteRule(brandId, rule.id)}
+                >
+                  ×
+                </button>
+              )}
             </div>
           ))
         )}
@@ -178,13 +187,15 @@ export default function RulesManager({ brandId, onReanalyze, extractedAssets })
         <p>
           Diese Regeln werden automatisch auf neue Assets angewendet und in AI-Generierungen berücksichtigt.
         </p>
-        <button className="btn-secondary" onClick={onReanalyze}>
-          Assets neu analysieren
-        </button>
+        {canEdit && (
+          <button className="btn-secondary" onClick={onReanalyze}>
+            Assets neu analysieren
+          </button>
+        )}
       </div>
 
       {/* Import Modal */}
-      {showImportModal && (
+      {showImportModal && canEdit && (
         <div className="modal-overlay" onClick={() => setShowImportModal(false)}>
           <div className="modal-content" onClick={e => e.stopPropagation()}>
             <div className="modal-header">
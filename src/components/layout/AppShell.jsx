@@ -1,22 +1,36 @@
-import React, { useState, useEffect } from 'react';
-import { Outlet, useNavigate, useParams, useLocation } from 'react-router-dom';
+import React, { useEffect } from 'react';
+import { Outlet, useParams, useLocation } from 'react-router-dom';
 import Sidebar from './Sidebar';
 import LoginScreen from '../LoginScreen';
+import ConflictDialog from './ConflictDialog';
 import { useBrandStore } from '../../stores/brandStore';
+import { useRulesStore } from '../../stores/rulesStore';
+import { useLibraryStore } from '../../stores/libraryStore';
+import { useAuthStore } from '../../stores/authStore';
+import { useSyncStore } from '../../stores/syncStore';
 
 export default function AppShell() {
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
   const { brands, isLoading, activeBrandId, setActiveBrand } = useBrandStore();
-  const navigate = useNavigate();
+  const { user, isAuthEnabled, isLoading: isAuthLoading, initialize: initializeAuth, signOut } = useAuthStore();
   const { brandId } = useParams();
   const location = useLocation();
 
   useEffect(() => {
-    const auth = localStorage.getItem('brand_engine_auth');
-    if (auth === 'authenticated') {
-      setIsAuthenticated(true);
-    }
-  }, []);
+    initializeAuth();
+  }, [initializeAuth]);
+
+  // Load brands and rules once signed in (or in local mode without Supabase)
+  const sessionKey = isAuthEnabled ? user?.id : 'local';
+  useEffect(() => {
+    if (isAuthLoading || !sessionKey) return;
+    // The outbox state decides whether pending offline edits are replayed first
+    useSyncStore.getState().initialize().then(async () => {
+      useRulesStore.getState().initialize();
+      // The library adopts the logos of the loaded brands
+      await useBrandStore.getState().initialize();
+      useLibraryStore.getState().initialize();
+    });
+  }, [isAuthLoading, sessionKey]);
 
   useEffect(() => {
     if (brandId && brandId !== activeBrandId) {
@@ -24,25 +38,15 @@ export default function AppShell() {
     }
   }, [brandId, activeBrandId, setActiveBrand]);
 
-  const handleLogin = (password) => {
-    if (password === 'brandengine2024') {
-      localStorage.setItem('brand_engine_auth', 'authenticated');
-      setIsAuthenticated(true);
-      return true;
-    }
-    return false;
-  };
-
-  const handleLogout = () => {
-    localStorage.removeItem('brand_engine_auth');
-    setIsAuthenticated(false);
+  const handleLogout = async () => {
+    await signOut();
+    useBrandStore.getState().reset();
+    useRulesStore.getState().reset();
+    useLibraryStore.getState().reset();
+    await useSyncStore.getState().reset();
   };
 
-  if (!isAuthenticated) {
-    return <LoginScreen onLogin={handleLogin} />;
-  }
-
-  if (isLoading) {
+  if (isAuthLoading || (isLoading && sessionKey)) {
     return (
       <div className="loading-screen">
         <div className="loading-spinner"></div>
@@ -51,17 +55,22 @@ export default function AppShell() {
     );
   }
 
+  if (!sessionKey) {
+    return <LoginScreen />;
+  }
+
   return (
     <div className="app-shell">
       <Sidebar
         brands={brands}
         activeBrandId={activeBrandId || brandId}
         currentPath={location.pathname}
-        onLogout={handleLogout}
+        onLogout={isAuthEnabled ? handleLogout : null}
       />
       <main className="main-content">
         <Outlet />
       </main>
+      <ConflictDialog />
     </div>
   );
 }
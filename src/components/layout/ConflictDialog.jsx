@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { useBrandStore } from '../../stores/brandStore';
+import { getUserName } from '../../lib/supabase';
+import DiffValue from '../history/DiffValue';
+
+export default function ConflictDialog() {
+  const { conflicts, getBrandById, resolveConflict } = useBrandStore();
+  const [choices, setChoices] = useState({});
+
+  const brandId = Object.keys(conflicts)[0];
+  if (!brandId) return null;
+
+  const { conflicts: fields, remote } = conflicts[brandId];
+  const brand = getBrandById(brandId);
+  const otherUser = remote.updated_by ? getUserName(remote.updated_by) : 'Jemand';
+
+  const choose = (field, side) => {
+    setChoices({ ...choices, [field]: side });
+  };
+
+  const chooseAll = (side) => {
+    setChoices(Object.fromEntries(fields.map(c => [c.field, side])));
+  };
+
+  const handleResolve = async () => {
+    await resolveConflict(brandId, choices);
+    setChoices({});
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content conflict-dialog">
+        <div className="modal-header">
+          <h3>Konflikt in {brand?.name || 'Marke'}</h3>
+        </div>
+
+        <div className="modal-body">
+          <p className="editor-description">
+            {otherUser} hat gleichzeitig dieselben Felder geändert. Alle anderen Änderungen
+            wurden bereits zusammengeführt. Welche Version soll gelten?
+          </p>
+
+          <table className="history-diff conflict-table">
+            <thead>
+              <tr>
+                <th>Feld</th>
+                <th>Meine Änderung</th>
+                <th>{otherUser}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map(conflict => {
+                const side = choices[conflict.field] || 'local';
+                return (
+                  <tr key={conflict.field}>
+                    <td>{conflict.label}</td>
+                    <td
+                      className={`conflict-option ${side === 'local' ? 'selected' : ''}`}
+                      onClick={() => choose(conflict.field, 'local')}
+                    >
+                      <DiffValue type={conflict.type} value={conflict.local} />
+                    </td>
+                    <td
+                      className={`conflict-option ${side === 'remote' ? 'selected' : ''}`}
+                      onClick={() => choose(conflict.field, 'remote')}
+                    >
+                      <DiffValue type={conflict.type} value={conflict.remote} />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn-text" onClick={() => chooseAll('local')}>Alle meine</button>
+          <button className="btn-text" onClick={() => chooseAll('remote')}>Alle von {otherUser}</button>
+          <button className="btn-primary" onClick={handleResolve}>Übernehmen</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,12 +1,15 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useBrandStore } from '../../stores/brandStore';
+import { useAuthStore, ROLES } from '../../stores/authStore';
+import SyncStatus from './SyncStatus';
 
 export default function Sidebar({ brands, activeBrandId, currentPath, onLogout }) {
   const [showBrandMenu, setShowBrandMenu] = useState(false);
   const [editingBrandId, setEditingBrandId] = useState(null);
   const [editName, setEditName] = useState('');
   const { createBrand, updateBrand, deleteBrand, setActiveBrand } = useBrandStore();
+  const { user, isAuthEnabled, getRole } = useAuthStore();
   const navigate = useNavigate();
 
   const activeBrand = brands.find(b => b.id === activeBrandId);
@@ -51,9 +54,13 @@ export default function Sidebar({ brands, activeBrandId, currentPath, onLogout }
     { path: `/brand/${activeBrandId}`, label: 'Overview', icon: 'O' },
     { path: `/brand/${activeBrandId}/tokens`, label: 'Tokens', icon: 'T' },
     { path: `/brand/${activeBrandId}/assets`, label: 'Assets', icon: 'A' },
+    { path: `/brand/${activeBrandId}/library`, label: 'Library', icon: 'L' },
     { path: `/brand/${activeBrandId}/intelligence`, label: 'Upload', icon: '↑' },
+    { path: `/brand/${activeBrandId}/compliance`, label: 'Check', icon: '✓' },
     { path: `/brand/${activeBrandId}/campaigns`, label: 'Campaigns', icon: 'C' },
     { path: `/brand/${activeBrandId}/exports`, label: 'Exports', icon: 'E' },
+    { path: `/brand/${activeBrandId}/history`, label: 'History', icon: 'H' },
+    ...(isAuthEnabled ? [{ path: `/brand/${activeBrandId}/members`, label: 'Team', icon: '@' }] : []),
   ] : [];
 
   return (
@@ -110,9 +117,16 @@ export default function Sidebar({ brands, activeBrandId, currentPath, onLogout }
                       style={{ backgroundColor: brand.colors.primary }}
                     />
                     <span className="brand-label">{brand.name}</span>
+                    {isAuthEnabled && getRole(brand.id) && (
+                      <span className="brand-role">{ROLES[getRole(brand.id)].label}</span>
+                    )}
                     <div className="brand-actions">
-                      <button onClick={(e) => startEditing(brand, e)} title="Umbenennen">✎</button>
-                      <button onClick={(e) => handleDeleteBrand(brand.id, e)} title="Löschen">×</button>
+                      {['owner', 'editor'].includes(getRole(brand.id)) && (
+                        <button onClick={(e) => startEditing(brand, e)} title="Umbenennen">✎</button>
+                      )}
+                      {getRole(brand.id) === 'owner' && (
+                        <button onClick={(e) => handleDeleteBrand(brand.id, e)} title="Löschen">×</button>
+                      )}
                     </div>
                   </>
                 )}
@@ -157,14 +171,17 @@ export default function Sidebar({ brands, activeBrandId, currentPath, onLogout }
       )}
 
       <div className="sidebar-footer">
+        <SyncStatus />
         <Link to="/settings" className={`nav-item ${currentPath === '/settings' ? 'active' : ''}`}>
           <span className="nav-icon">⚙</span>
           <span className="nav-label">Einstellungen</span>
         </Link>
-        <button className="logout-btn" onClick={onLogout}>
-          <span className="nav-icon">↪</span>
-          <span className="nav-label">Abmelden</span>
-        </button>
+        {onLogout && (
+          <button className="logout-btn" onClick={onLogout} title={user?.email}>
+            <span className="nav-icon">↪</span>
+            <span className="nav-label">Abmelden</span>
+          </button>
+        )}
       </div>
     </aside>
   );
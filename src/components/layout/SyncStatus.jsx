@@ -0,0 +1,37 @@
+import React from 'react';
+import { useSyncStore } from '../../stores/syncStore';
+
+const STATUS_LABELS = {
+  online: 'Synchronisiert',
+  syncing: 'Synchronisiere…',
+  offline: 'Offline',
+  error: 'Sync-Fehler'
+};
+
+export default function SyncStatus() {
+  const { status, pending, lastSyncedAt, lastError, flush } = useSyncStore();
+
+  // Local mode without Supabase: nothing to sync
+  if (status === 'local') return null;
+
+  const title = [
+    lastError,
+    lastSyncedAt && `Zuletzt synchronisiert: ${new Date(lastSyncedAt).toLocaleString('de-DE')}`,
+    status !== 'syncing' && 'Klicken, um jetzt zu synchronisieren'
+  ].filter(Boolean).join('\n');
+
+  return (
+    <button
+      className={`sync-status ${status}`}
+      onClick={() => flush()}
+      disabled={status === 'syncing'}
+      title={title}
+    >
+      <span className="sync-status-dot" />
+      <span className="nav-label">{STATUS_LABELS[status]}</span>
+      {pending > 0 && (
+        <span className="sync-status-pending">{pending} ausstehend</span>
+      )}
+    </button>
+  );
+}
@@ -0,0 +1,270 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useBrandStore } from '../../stores/brandStore';
+import { useLibraryStore } from '../../stores/libraryStore';
+import { useBrandRole } from '../../stores/authStore';
+import { ASSET_CATEGORIES, ASSET_STATUS, USAGE_KINDS, getBrandReferences } from '../../lib/assetLibrary';
+import { exportFormats } from '../../lib/exporters';
+import AssetImage from '../AssetImage';
+
+const formatLabel = (format) => exportFormats.find(f => f.id === format)?.name || format;
+
+const formatSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+export default function AssetLibrary() {
+  const { brandId } = useParams();
+  const { getBrandById, updateBrand } = useBrandStore();
+  const { addAsset, updateAsset, deleteAsset, searchBrandAssets, getUsages } = useLibraryStore();
+  // Re-render on library changes
+  useLibraryStore(state => state.assets);
+  useLibraryStore(state => state.usages);
+  const { canEdit } = useBrandRole(brandId);
+  const brand = getBrandById(brandId);
+  const fileInputRef = useRef(null);
+
+  const [query, setQuery] = useState('');
+  const [category, setCategory] = useState('');
+  const [status, setStatus] = useState('');
+  const [uploadCategory, setUploadCategory] = useState('logo');
+  const [selectedId, setSelectedId] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  const assets = searchBrandAssets(brandId, query, { category, status });
+  const selected = assets.find(a => a.id === selectedId) || null;
+  const usages = selected ? getUsages(selected.id) : [];
+  const references = useMemo(() => (selected ? getBrandReferences(brand, selected) : []), [brand, selected]);
+
+  if (!brand) {
+    return <div className="not-found">Marke nicht gefunden</div>;
+  }
+
+  const handleUpload = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    setIsUploading(true);
+    try {
+      for (const file of files) {
+        const asset = await addAsset(brandId, file, { category: uploadCategory });
+        setSelectedId(asset.id);
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+    setIsUploading(false);
+  };
+
+  const handleUpdate = async (updates) => {
+    try {
+      await updateAsset(selected.id, updates);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (references.length > 0) {
+      alert(`${selected.name} wird noch verwendet: ${references.join(', ')}`);
+      return;
+    }
+    if (!confirm(`${selected.name} aus der Bibliothek löschen?`)) return;
+    await deleteAsset(selected.id);
+    setSelectedId(null);
+  };
+
+  const handleUseAsLogo = () => {
+    updateBrand(brandId, { logo: selected.ref }, `Haupt-Logo: ${selected.name}`);
+  };
+
+  return (
+    <div className="asset-library">
+      <header className="page-header">
+        <div className="page-header-content">
+          <h1>Bibliothek</h1>
+          <p className="page-subtitle">Logos, Icons, Fotos, Schriften und Patterns von {brand.name}</p>
+        </div>
+        {canEdit && (
+          <div className="page-header-actions library-upload">
+            <select value={uploadCategory} onChange={(e) => setUploadCategory(e.target.value)}>
+              {Object.entries(ASSET_CATEGORIES).map(([id, { singular }]) => (
+                <option key={id} value={id}>{singular}</option>
+              ))}
+            </select>
+            <button className="btn-primary" onClick={() => fileInputRef.current?.click()} disabled={isUploading}>
+              {isUploading ? 'Lade hoch...' : 'Hochladen'}
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              multiple
+              accept={ASSET_CATEGORIES[uploadCategory].accept}
+              onChange={handleUpload}
+              hidden
+            />
+          </div>
+        )}
+      </header>
+
+      <div className="library-toolbar">
+        <input
+          type="search"
+          className="library-search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Suchen nach Name, Tag, Beschreibung..."
+        />
+        <div className="filter-tabs">
+          <button className={`filter-tab ${!category ? 'active' : ''}`} onClick={() => setCategory('')}>
+            Alle
+          </button>
+          {Object.entries(ASSET_CATEGORIES).map(([id, { label }]) => (
+            <button
+              key={id}
+              className={`filter-tab ${category === id ? 'active' : ''}`}
+              onClick={() => setCategory(id)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          <option value="">Jeder Status</option>
+          {Object.entries(ASSET_STATUS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="library-layout">
+        {assets.length === 0 ? (
+          <div className="library-empty">
+            {query || category || status ? 'Keine Treffer' : 'Noch keine Assets in der Bibliothek'}
+          </div>
+        ) : (
+          <div className="library-grid">
+            {assets.map(asset => (
+              <button
+                key={asset.id}
+                className={`library-card ${asset.status} ${selectedId === asset.id ? 'selected' : ''}`}
+                onClick={() => setSelectedId(asset.id)}
+              >
+                <div className="library-thumb">
+                  {asset.category === 'font' ? (
+                    <span className="library-font-sample">Aa</span>
+                  ) : (
+                    <AssetImage src={asset.ref} alt={asset.name} />
+                  )}
+                </div>
+                <span className="library-card-name">{asset.name}</span>
+                <span className={`library-status ${asset.status}`}>{ASSET_STATUS[asset.status].label}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {selected && (
+          <aside className="library-detail">
+            <div className="library-detail-preview">
+              {selected.category === 'font' ? (
+                <span className="library-font-sample">Aa</span>
+              ) : (
+                <AssetImage src={selected.ref} alt={selected.name} />
+              )}
+            </div>
+
+            <fieldset className="library-detail-fields" disabled={!canEdit}>
+              <label>
+                Name
+                <input
+                  key={`name-${selected.id}`}
+                  defaultValue={selected.name}
+                  onBlur={(e) => e.target.value !== selected.name && handleUpdate({ name: e.target.value })}
+                />
+              </label>
+              <label>
+                Kategorie
+                <select value={selected.category} onChange={(e) => handleUpdate({ category: e.target.value })}>
+                  {Object.entries(ASSET_CATEGORIES).map(([id, { singular }]) => (
+                    <option key={id} value={id}>{singular}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Status
+                <select value={selected.status} onChange={(e) => handleUpdate({ status: e.target.value })}>
+                  {Object.entries(ASSET_STATUS).map(([id, { label }]) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                Tags
+                <input
+                  key={`tags-${selected.id}`}
+                  defaultValue={selected.tags.join(', ')}
+                  onBlur={(e) => handleUpdate({ tags: e.target.value })}
+                  placeholder="z.B. dunkel, quer, print"
+                />
+              </label>
+              <label>
+                Beschreibung
+                <textarea
+                  key={`description-${selected.id}`}
+                  defaultValue={selected.description}
+                  onBlur={(e) => e.target.value !== selected.description && handleUpdate({ description: e.target.value })}
+                  rows={3}
+                />
+              </label>
+            </fieldset>
+
+            <p className="library-meta">
+              {[selected.mime_type, formatSize(selected.size)].filter(Boolean).join(' · ')}
+            </p>
+
+            {selected.status === 'deprecated' && (references.length > 0 || usages.length > 0) && (
+              <div className="library-warning">
+                Veraltet, aber noch in Verwendung – siehe unten.
+              </div>
+            )}
+
+            <h4>Verwendet in</h4>
+            {references.length === 0 && usages.length === 0 ? (
+              <p className="library-meta">Noch nicht verwendet</p>
+            ) : (
+              <ul className="library-usages">
+                {references.map(reference => (
+                  <li key={reference}>
+                    <span className="library-usage-kind">Marke</span>
+                    {reference}
+                  </li>
+                ))}
+                {usages.map(usage => (
+                  <li key={usage.id}>
+                    <span className="library-usage-kind">{USAGE_KINDS[usage.kind]}</span>
+                    {usage.kind === 'export' ? formatLabel(usage.target) : usage.target}
+                    {usage.detail && <span className="library-meta"> · {usage.detail}</span>}
+                    <span className="library-meta"> · {new Date(usage.used_at).toLocaleString('de-DE')}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {canEdit && (
+              <div className="library-detail-actions">
+                {['logo', 'logo-variant'].includes(selected.category) && brand.logo !== selected.ref && (
+                  <button className="btn-secondary" onClick={handleUseAsLogo} disabled={selected.status === 'deprecated'}>
+                    Als Haupt-Logo verwenden
+                  </button>
+                )}
+                <button className="btn-text danger" onClick={handleDelete}>Löschen</button>
+              </div>
+            )}
+          </aside>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import { useBrandStore } from '../../stores/brandStore';
+import { useAuthStore, useBrandRole, ROLES } from '../../stores/authStore';
+
+export default function BrandMembers() {
+  const { brandId } = useParams();
+  const { getBrandById } = useBrandStore();
+  const { user, loadMembers, addMember, updateMemberRole, removeMember } = useAuthStore();
+  const members = useAuthStore(state => state.members[brandId] || []);
+  const { role, isOwner } = useBrandRole(brandId);
+  const brand = getBrandById(brandId);
+  const [email, setEmail] = useState('');
+  const [newRole, setNewRole] = useState('editor');
+
+  useEffect(() => {
+    loadMembers(brandId);
+  }, [brandId, loadMembers]);
+
+  if (!brand) {
+    return <div className="not-found">Marke nicht gefunden</div>;
+  }
+
+  const ownerCount = members.filter(m => m.role === 'owner').length;
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    try {
+      await addMember(brandId, email, newRole);
+      setEmail('');
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleRoleChange = async (member, role) => {
+    try {
+      await updateMemberRole(brandId, member.user_id, role);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  const handleRemove = async (member) => {
+    if (!confirm(`${member.email || 'Mitglied'} aus ${brand.name} entfernen?`)) return;
+    try {
+      await removeMember(brandId, member.user_id);
+    } catch (error) {
+      alert(error.message);
+    }
+  };
+
+  return (
+    <div className="brand-members">
+      <header className="page-header">
+        <div className="page-header-content">
+          <h1>Team</h1>
+          <p className="page-subtitle">
+            Wer hat Zugriff auf {brand.name}? Deine Rolle: {role ? ROLES[role].label : '–'}
+          </p>
+        </div>
+      </header>
+
+      {isOwner && (
+        <form className="members-invite" onSubmit={handleAdd}>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="E-Mail eines registrierten Benutzers"
+            required
+          />
+          <select value={newRole} onChange={(e) => setNewRole(e.target.value)}>
+            {Object.entries(ROLES).map(([id, { label }]) => (
+              <option key={id} value={id}>{label}</option>
+            ))}
+          </select>
+          <button type="submit" className="btn-primary">Hinzufügen</button>
+        </form>
+      )}
+
+      <ul className="members-list">
+        {members.map(member => {
+          // The last owner cannot be demoted or removed
+          const isLastOwner = member.role === 'owner' && ownerCount <= 1;
+          return (
+            <li key={member.user_id} className="members-item">
+              <div className="members-info">
+                <span className="members-email">
+                  {member.email || member.user_id}
+                  {member.user_id === user?.id && <span className="presence-you-badge"> (Du)</span>}
+                </span>
+                <span className="members-role-description">{ROLES[member.role].description}</span>
+              </div>
+              {isOwner && !isLastOwner ? (
+                <>
+                  <select value={member.role} onChange={(e) => handleRoleChange(member, e.target.value)}>
+                    {Object.entries(ROLES).map(([id, { label }]) => (
+                      <option key={id} value={id}>{label}</option>
+                    ))}
+                  </select>
+                  <button className="btn-text danger" onClick={() => handleRemove(member)}>
+                    Entfernen
+                  </button>
+                </>
+              ) : (
+                <span className="members-role">{ROLES[member.role].label}</span>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
 import { generateVCardQR } from '../../lib/qrcode.js';
+import AssetImage from '../AssetImage';
+import { useAssetUrl } from '../../hooks/useAssetUrl';
 
 // Editable text component
 function EditableText({ value, onChange, placeholder, style, className, multiline = false, tag: Tag = 'span' }) {
@@ -157,7 +159,7 @@ export function WebsitePreview({ brand, content, onFieldChange }) {
     <div className="preview-frame website-preview" style={{ backgroundColor: brand.colors.background, color: brand.colors.text }}>
       <nav style={navStyle}>
         <div className="nav-logo" style={{ color: brand.colors.primary }}>
-          {brand.logo ? <img src={brand.logo} alt="" style={{ height: '24px' }} /> : brand.name}
+          {brand.logo ? <AssetImage src={brand.logo} alt="" style={{ height: '24px' }} /> : brand.name}
         </div>
         <div className="nav-links">
           {(fields.navLinks?.value || ['Produkte', 'Uber uns', 'Kontakt']).map((link, i) => <span key={i}>{link}</span>)}
@@ -211,7 +213,7 @@ export function SocialPreview({ brand, content, onFieldChange }) {
   return (
     <div className="preview-frame social-preview" style={{ backgroundColor: brand.colors.primary }}>
       <div className="social-content">
-        {brand.logo && <img src={brand.logo} alt="" className={logoClass} />}
+        {brand.logo && <AssetImage src={brand.logo} alt="" className={logoClass} />}
         {fields.image?.value ? (
           <img src={fields.image.value} alt="" className="social-main-image" />
         ) : (
@@ -261,7 +263,7 @@ export function PresentationPreview({ brand, content, onFieldChange }) {
   return (
     <div className="preview-frame presentation-preview" style={{ backgroundColor: brand.colors.background }}>
       <div className="slide-header" style={headerStyle}>
-        {brand.logo && <img src={brand.logo} alt="" />}
+        {brand.logo && <AssetImage src={brand.logo} alt="" />}
       </div>
       <div className="slide-content" style={{ padding: margin }}>
         <EditableText
@@ -313,7 +315,7 @@ export function FlyerPreview({ brand, content, onFieldChange }) {
   return (
     <div className="preview-frame flyer-preview" style={{ backgroundColor: brand.colors.background }}>
       <div className="flyer-header" style={headerStyle}>
-        {brand.logo && <img src={brand.logo} alt="" />}
+        {brand.logo && <AssetImage src={brand.logo} alt="" />}
       </div>
       {fields.image?.value ? (
         <img src={fields.image.value} alt="" className="flyer-image" />
@@ -372,7 +374,7 @@ export function EmailPreview({ brand, content, onFieldChange }) {
   return (
     <div className="preview-frame email-preview">
       <div className="email-header" style={headerStyle}>
-        {brand.logo && <img src={brand.logo} alt="" />}
+        {brand.logo && <AssetImage src={brand.logo} alt="" />}
       </div>
       <div className="email-body" style={{ padding: margin }}>
         <EditableText
@@ -414,7 +416,9 @@ export function EmailPreview({ brand, content, onFieldChange }) {
 
 export function BusinessCardPreview({ brand, content, onFieldChange }) {
   const fields = content?.fields || {};
-  const qrSvg = generateVCardQR(content, brand, { size: 50 });
+  // vCard QR with the brand logo in the centre (re-rendered once the logo has loaded)
+  const logoUrl = useAssetUrl(brand.logo);
+  const qrSvg = generateVCardQR(content, brand, { size: 50, logo: logoUrl });
   const headlineStyle = { ...getHeadlineStyle(brand), color: brand.colors.text };
   const bodyStyle = { ...getBodyStyle(brand), color: brand.colors.primary };
   const logoPosition = getLogoPosition(brand);
@@ -431,7 +435,7 @@ export function BusinessCardPreview({ brand, content, onFieldChange }) {
   return (
     <div className="preview-frame businesscard-preview">
       <div className="card-front" style={{ backgroundColor: brand.colors.background, borderColor: brand.colors.primary }}>
-        {brand.logo && <img src={brand.logo} alt="" className={logoClass} />}
+        {brand.logo && <AssetImage src={brand.logo} alt="" className={logoClass} />}
         <EditableText
           tag="div"
           className="card-name"
@@ -1,5 +1,6 @@
 import React from 'react';
 import { generateCompleteAsset, assetStructures } from '../../lib/ai.js';
+import AssetImage from '../AssetImage';
 
 /**
  * GenerateStep - Select asset type and generate content
@@ -33,14 +34,12 @@ export default function GenerateStep({
       // Use default briefing if none provided
       const actualBriefing = briefing.trim() || `Allgemeiner Content für ${brand.name || 'die Marke'}`;
 
-      const content = await generateCompleteAsset(brand, assetType, actualBriefing, null);
-
-      // Parse generated content for preview
-      const parsedContent = parseGeneratedContent(content, assetType);
+      const result = await generateCompleteAsset(brand, assetType, actualBriefing, null);
 
+      // Typed content maps directly onto the preview fields
       onComplete({
-        raw: content,
-        parsed: parsedContent
+        raw: result.text,
+        parsed: result.content
       });
     } catch (err) {
       console.error('Generation failed:', err);
@@ -50,47 +49,6 @@ export default function GenerateStep({
     setIsGenerating(false);
   };
 
-  // Parse generated text into structured content for preview
-  const parseGeneratedContent = (text, type) => {
-    const lines = text.split('\n').filter(l => l.trim());
-
-    // Extract headline
-    let headline = '';
-    const headlineMatch = text.match(/(?:headline|überschrift|hero|titel)[:\s]*[*]*([^*\n]+)/i);
-    if (headlineMatch) {
-      headline = headlineMatch[1].trim();
-    } else {
-      // Take first non-empty line that looks like a headline
-      const firstLine = lines.find(l => !l.startsWith('#') && !l.startsWith('-') && l.length < 100);
-      headline = firstLine?.replace(/^[\d.\-*]+\s*/, '') || 'Willkommen';
-    }
-
-    // Extract subline
-    let subline = '';
-    const sublineMatch = text.match(/(?:subline|untertitel|sub)[:\s]*[*]*([^*\n]+)/i);
-    if (sublineMatch) {
-      subline = sublineMatch[1].trim();
-    }
-
-    // Extract CTA
-    let cta = 'Mehr erfahren';
-    const ctaMatch = text.match(/(?:cta|button|call.to.action)[:\s]*[*]*([^*\n]+)/i);
-    if (ctaMatch) {
-      cta = ctaMatch[1].trim();
-    }
-
-    return {
-      headline,
-      subline,
-      cta,
-      body: text,
-      fields: {
-        headline: { value: headline },
-        body: { value: text }
-      }
-    };
-  };
-
   return (
     <div className="generate-step">
       <div className="generate-content">
@@ -117,7 +75,7 @@ export default function GenerateStep({
             </div>
             {brand.logo && (
               <div className="brand-logo-mini">
-                <img src={brand.logo} alt="Logo" />
+                <AssetImage src={brand.logo} alt="Logo" />
               </div>
             )}
             {brand.toneOfVoice && (
@@ -1,52 +1,8 @@
 import React, { useState } from 'react';
-
-// Generate tints and shades
-function generateColorScale(hex) {
-  const rgb = hexToRgb(hex);
-  const scale = {};
-
-  // Generate 50-900 scale
-  for (let i = 50; i <= 900; i += i < 100 ? 50 : 100) {
-    const factor = i / 500;
-    if (i < 500) {
-      // Lighter (tints)
-      const tint = rgb.map(c => Math.round(c + (255 - c) * (1 - factor)));
-      scale[i] = rgbToHex(tint);
-    } else if (i > 500) {
-      // Darker (shades)
-      const shade = rgb.map(c => Math.round(c * (1 - (factor - 1) * 0.5)));
-      scale[i] = rgbToHex(shade);
-    } else {
-      scale[i] = hex;
-    }
-  }
-
-  return scale;
-}
-
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? [
-    parseInt(result[1], 16),
-    parseInt(result[2], 16),
-    parseInt(result[3], 16)
-  ] : [0, 0, 0];
-}
-
-function rgbToHex(rgb) {
-  return '#' + rgb.map(c => Math.max(0, Math.min(255, c)).toString(16).padStart(2, '0')).join('');
-}
-
-function hexToCmyk(hex) {
-  const rgb = hexToRgb(hex);
-  const [r, g, b] = rgb.map(c => c / 255);
-  const k = 1 - Math.max(r, g, b);
-  if (k === 1) return { c: 0, m: 0, y: 0, k: 100 };
-  const c = Math.round((1 - r - k) / (1 - k) * 100);
-  const m = Math.round((1 - g - k) / (1 - k) * 100);
-  const y = Math.round((1 - b - k) / (1 - k) * 100);
-  return { c, m, y, k: Math.round(k * 100) };
-}
+import { listSemanticTokens, validateTokenReferences, resolveTokens } from '../../lib/tokens';
+import { hexToRgb, generateColorScale } from '../../lib/color';
+import { hexToCmyk, formatCmyk, PRINT_PROFILES, DEFAULT_PRINT_PROFILE, CMYK_APPROXIMATION_NOTE } from '../../lib/print-color';
+import { findClosestSpotColor } from '../../lib/spot-colors';
 
 function getContrastRatio(hex1, hex2) {
   const lum1 = getLuminance(hexToRgb(hex1));
@@ -72,13 +28,34 @@ const colorKeys = [
   { key: 'text', label: 'Text', description: 'Haupttextfarbe' },
 ];
 
-export default function ColorEditor({ colors, onChange }) {
+export default function ColorEditor({ colors, onChange, tokens, semantic = {}, onSemanticChange }) {
   const [expandedColor, setExpandedColor] = useState('primary');
 
   const handleColorChange = (key, value) => {
     onChange({ ...colors, [key]: value });
   };
 
+  // Semantische Aliase: Fehler prüfen, sonst aufgelöste Werte anzeigen
+  const referenceErrors = tokens ? validateTokenReferences(tokens) : [];
+  const resolvedTokens = tokens && referenceErrors.length === 0 ? resolveTokens(tokens) : null;
+  const semanticColors = tokens
+    ? listSemanticTokens(resolvedTokens || tokens).filter(({ token }) =>
+      !/^\{(spacing|borderRadius)\./.test(token.reference ?? token.value)
+    )
+    : [];
+  const referenceOptions = tokens ? [
+    ...Object.keys(tokens.colors).map(name => `{colors.${name}}`),
+    ...semanticColors.map(({ path }) => `{${path}}`)
+  ] : [];
+
+  const getAliasesFor = (key) => semanticColors
+    .filter(({ token }) => token.primitive === `colors.${key}`)
+    .map(({ path }) => path);
+
+  const handleSemanticChange = (path, reference) => {
+    onSemanticChange?.({ ...semantic, [path]: reference });
+  };
+
   const primaryScale = generateColorScale(colors.primary);
   const textContrast = getContrastRatio(colors.text, colors.background);
   const primaryContrast = getContrastRatio(colors.primary, colors.background);
@@ -139,14 +116,23 @@ export default function ColorEditor({ colors, onChange }) {
                     <span className="meta-label">RGB</span>
                     <span className="meta-value">{hexToRgb(colors[key]).join(', ')}</span>
                   </div>
+                  <div className="color-meta-item" title={`${PRINT_PROFILES[DEFAULT_PRINT_PROFILE].name} – ${CMYK_APPROXIMATION_NOTE}`}>
+                    <span className="meta-label">CMYK ≈</span>
+                    <span className="meta-value">{formatCmyk(hexToCmyk(colors[key]))}</span>
+                  </div>
                   <div className="color-meta-item">
-                    <span className="meta-label">CMYK</span>
-                    <span className="meta-value">
-                      {Object.values(hexToCmyk(colors[key])).join(', ')}
-                    </span>
+                    <span className="meta-label">Pantone</span>
+                    <span className="meta-value">{findClosestSpotColor(colors[key], 'pantone-coated')?.code || '–'}</span>
                   </div>
                 </div>
 
+                {getAliasesFor(key).length > 0 && (
+                  <div className="color-aliases">
+                    <span className="meta-label">Verwendet in</span>
+                    <span className="meta-value">{getAliasesFor(key).join(', ')}</span>
+                  </div>
+                )}
+
                 {key === 'primary' && (
                   <div className="color-scale">
                     <h4>Auto-generierte Skala</h4>
@@ -169,6 +155,53 @@ export default function ColorEditor({ colors, onChange }) {
         ))}
       </div>
 
+      {tokens && (
+        <div className="semantic-tokens">
+          <h4>Semantische Tokens</h4>
+          <p className="editor-description">
+            Aliase verweisen auf Primärfarben. Änderungen oben wirken automatisch in allen Exporten.
+          </p>
+
+          {referenceErrors.length > 0 && (
+            <ul className="semantic-errors">
+              {referenceErrors.map(error => (
+                <li key={error.path}>{error.message}</li>
+              ))}
+            </ul>
+          )}
+
+          <div className="semantic-list">
+            {semanticColors.map(({ path, token }) => {
+              const reference = token.reference ?? token.value;
+              const hasError = referenceErrors.some(e => e.path === path);
+              return (
+                <div key={path} className={`semantic-item ${hasError ? 'error' : ''}`}>
+                  <span
+                    className="color-swatch-small"
+                    style={{ backgroundColor: resolvedTokens ? token.value : 'transparent' }}
+                  />
+                  <span className="semantic-path">{path}</span>
+                  <select
+                    value={reference}
+                    onChange={(e) => handleSemanticChange(path, e.target.value)}
+                    disabled={!onSemanticChange}
+                  >
+                    {!referenceOptions.includes(reference) && (
+                      <option value={reference}>{reference}</option>
+                    )}
+                    {referenceOptions
+                      .filter(option => option !== `{${path}}`)
+                      .map(option => (
+                        <option key={option} value={option}>{option}</option>
+                      ))}
+                  </select>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       <div className="contrast-checker">
         <h4>Kontrast-Check (WCAG)</h4>
         <div className="contrast-items">
@@ -0,0 +1,164 @@
+import React from 'react';
+import {
+  defaultSpacingScale,
+  defaultRadiusScale,
+  defaultTypeScale,
+  modularScaleRatios,
+  generateModularScale,
+  scalesFromRules
+} from '../../lib/tokens';
+
+const ruleLabels = {
+  spacing: 'Abstände',
+  borderRadius: 'Radien',
+  type: 'Typo-Skala'
+};
+
+export default function ScaleEditor({ scales = {}, rules = [], onChange }) {
+  const spacing = { ...defaultSpacingScale, ...scales.spacing };
+  const borderRadius = { ...defaultRadiusScale, ...scales.borderRadius };
+  const type = { ...defaultTypeScale, ...scales.type };
+  const modular = { base: 16, ratio: 1.25, ...scales.modular };
+  const fromRules = scalesFromRules(rules);
+
+  const handleChange = (key, value) => {
+    onChange({ ...scales, [key]: value });
+  };
+
+  const handleNumber = (key, current, name, value) => {
+    const number = parseFloat(value);
+    if (Number.isNaN(number) || number < 0) return;
+    handleChange(key, { ...current, [name]: number });
+  };
+
+  const handleTypeSize = (name, value) => {
+    const size = parseFloat(value);
+    if (Number.isNaN(size) || size <= 0) return;
+    handleChange('type', { ...type, [name]: { ...type[name], size } });
+  };
+
+  const handleModular = (updates) => {
+    const next = { ...modular, ...updates };
+    onChange({ ...scales, modular: next, type: generateModularScale(next.base, next.ratio) });
+  };
+
+  const handleApplyRules = () => {
+    onChange({ ...scales, ...fromRules.scales });
+  };
+
+  const handleReset = () => {
+    onChange({});
+  };
+
+  return (
+    <div className="scale-editor">
+      <h3>Skalen</h3>
+      <p className="editor-description">
+        Abstände, Eckenradien und Schriftgrößen deiner Marke. Fließen in alle Token-Exporte ein.
+      </p>
+
+      {fromRules.sources.length > 0 && (
+        <div className="scale-rules">
+          <div className="scale-rules-info">
+            <span className="color-label">Aus bestätigten Regeln</span>
+            <span className="color-value">
+              {fromRules.sources.map(({ key, rule }) => `${ruleLabels[key]}: ${rule.name}`).join(' · ')}
+            </span>
+          </div>
+          <button className="btn-secondary" onClick={handleApplyRules}>
+            Übernehmen
+          </button>
+        </div>
+      )}
+
+      <div className="scale-section">
+        <h4>Typo-Skala</h4>
+        <div className="scale-modular">
+          <label>
+            Basis (px)
+            <input
+              type="number"
+              min="8"
+              value={modular.base}
+              onChange={(e) => {
+                const base = parseFloat(e.target.value);
+                if (base > 0) handleModular({ base });
+              }}
+            />
+          </label>
+          <label>
+            Verhältnis
+            <select
+              value={modular.ratio}
+              onChange={(e) => handleModular({ ratio: parseFloat(e.target.value) })}
+            >
+              {!modularScaleRatios.some(r => r.value === modular.ratio) && (
+                <option value={modular.ratio}>{modular.ratio}</option>
+              )}
+              {modularScaleRatios.map(ratio => (
+                <option key={ratio.value} value={ratio.value}>{ratio.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="scale-rows">
+          {Object.entries(type).map(([name, step]) => (
+            <div key={name} className="scale-row">
+              <span className="scale-name">{name}</span>
+              <input
+                type="number"
+                min="1"
+                value={step.size}
+                onChange={(e) => handleTypeSize(name, e.target.value)}
+              />
+              <span className="scale-sample" style={{ fontSize: Math.min(step.size, 48), fontWeight: step.weight }}>
+                Aa
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="scale-section">
+        <h4>Abstände</h4>
+        <div className="scale-rows">
+          {Object.entries(spacing).map(([name, value]) => (
+            <div key={name} className="scale-row">
+              <span className="scale-name">{name}</span>
+              <input
+                type="number"
+                min="0"
+                value={value}
+                onChange={(e) => handleNumber('spacing', spacing, name, e.target.value)}
+              />
+              <span className="scale-bar" style={{ width: Math.min(value, 200) }} />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="scale-section">
+        <h4>Eckenradien</h4>
+        <div className="scale-rows">
+          {Object.entries(borderRadius).map(([name, value]) => (
+            <div key={name} className="scale-row">
+              <span className="scale-name">{name}</span>
+              <input
+                type="number"
+                min="0"
+                value={value}
+                onChange={(e) => handleNumber('borderRadius', borderRadius, name, e.target.value)}
+              />
+              <span className="scale-radius" style={{ borderRadius: Math.min(value, 24) }} />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <button className="btn-secondary" onClick={handleReset}>
+        Auf Standard zurücksetzen
+      </button>
+    </div>
+  );
+}
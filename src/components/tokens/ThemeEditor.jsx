@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import {
+  BASE_THEME_ID,
+  themePresets,
+  listThemes,
+  applyTheme,
+  createThemeFromPreset
+} from '../../lib/tokens';
+import { checkBrandAccessibility } from '../../lib/accessibility';
+
+const colorKeys = [
+  { key: 'primary', label: 'Primär' },
+  { key: 'secondary', label: 'Sekundär' },
+  { key: 'accent', label: 'Akzent' },
+  { key: 'background', label: 'Hintergrund' },
+  { key: 'text', label: 'Text' },
+];
+
+export default function ThemeEditor({ brand, onChange }) {
+  const themes = brand.themes || {};
+  const [activeThemeId, setActiveThemeId] = useState(
+    Object.keys(themes).find(id => id !== BASE_THEME_ID) || null
+  );
+  const activeTheme = activeThemeId ? themes[activeThemeId] : null;
+  const themed = activeTheme ? applyTheme(brand, activeThemeId) : null;
+  const accessibility = checkBrandAccessibility(brand);
+
+  const updateTheme = (themeId, theme) => {
+    onChange({ ...themes, [themeId]: theme });
+  };
+
+  const handleAddPreset = (presetId) => {
+    // Eindeutige ID, falls die Vorlage schon verwendet wird
+    let themeId = presetId;
+    let counter = 2;
+    while (themes[themeId]) {
+      themeId = `${presetId}${counter++}`;
+    }
+    updateTheme(themeId, createThemeFromPreset(brand, presetId));
+    setActiveThemeId(themeId);
+  };
+
+  const handleRemove = (themeId) => {
+    const { [themeId]: removed, ...rest } = themes;
+    onChange(rest);
+    if (activeThemeId === themeId) {
+      setActiveThemeId(Object.keys(rest).find(id => id !== BASE_THEME_ID) || null);
+    }
+  };
+
+  const handleColorChange = (key, value) => {
+    updateTheme(activeThemeId, {
+      ...activeTheme,
+      colors: { ...activeTheme.colors, [key]: value }
+    });
+  };
+
+  const handleColorReset = (key) => {
+    const { [key]: removed, ...colors } = activeTheme.colors || {};
+    updateTheme(activeThemeId, { ...activeTheme, colors });
+  };
+
+  return (
+    <div className="theme-editor">
+      <h3>Themes</h3>
+      <p className="editor-description">
+        Themes überschreiben einzelne Farben der Basis-Marke (Hell).
+        Nicht gesetzte Farben werden von der Basis übernommen.
+      </p>
+
+      <div className="theme-list">
+        {listThemes(brand).map(theme => {
+          const result = accessibility.themes.find(t => t.id === theme.id);
+          return (
+            <div
+              key={theme.id}
+              className={`theme-item ${activeThemeId === theme.id ? 'active' : ''} ${theme.isBase ? 'base' : ''}`}
+              onClick={() => !theme.isBase && setActiveThemeId(theme.id)}
+            >
+              <div className="theme-swatches">
+                {colorKeys.map(({ key }) => (
+                  <span
+                    key={key}
+                    className="color-swatch-small"
+                    style={{ backgroundColor: applyTheme(brand, theme.id).colors[key] }}
+                  />
+                ))}
+              </div>
+              <span className="theme-name">{theme.name}</span>
+              <span className="theme-scheme">{theme.colorScheme === 'dark' ? 'Dunkel' : 'Hell'}</span>
+              {result && (
+                <span className={`theme-a11y ${result.errors.length ? 'fail' : 'pass'}`}>
+                  {result.checks.filter(c => c.wcag.pass).length}/{result.checks.length} WCAG
+                </span>
+              )}
+              {!theme.isBase && (
+                <button
+                  className="theme-remove"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    handleRemove(theme.id);
+                  }}
+                  title="Theme entfernen"
+                >
+                  ×
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="theme-presets">
+        {Object.entries(themePresets).map(([presetId, preset]) => (
+          <button
+            key={presetId}
+            className="btn-secondary"
+            onClick={() => handleAddPreset(presetId)}
+          >
+            + {preset.name}
+          </button>
+        ))}
+      </div>
+
+      {activeTheme && (
+        <div className="theme-detail">
+          <div className="color-input-group">
+            <label>Name</label>
+            <input
+              type="text"
+              value={activeTheme.name || ''}
+              onChange={(e) => updateTheme(activeThemeId, { ...activeTheme, name: e.target.value })}
+            />
+          </div>
+
+          <div className="color-input-group">
+            <label>Farbschema</label>
+            <select
+              value={activeTheme.colorScheme || 'light'}
+              onChange={(e) => updateTheme(activeThemeId, { ...activeTheme, colorScheme: e.target.value })}
+            >
+              <option value="light">Hell</option>
+              <option value="dark">Dunkel (prefers-color-scheme)</option>
+            </select>
+          </div>
+
+          {colorKeys.map(({ key, label }) => {
+            const isOverridden = activeTheme.colors?.[key] !== undefined;
+            return (
+              <div key={key} className={`theme-color-row ${isOverridden ? 'overridden' : ''}`}>
+                <span className="color-label">{label}</span>
+                <input
+                  type="color"
+                  value={themed.colors[key]}
+                  onChange={(e) => handleColorChange(key, e.target.value)}
+                />
+                <span className="color-value">{themed.colors[key]}</span>
+                {isOverridden ? (
+                  <button className="theme-reset" onClick={() => handleColorReset(key)}>
+                    Basis verwenden
+                  </button>
+                ) : (
+                  <span className="theme-inherited">von Basis</span>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
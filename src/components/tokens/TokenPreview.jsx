@@ -1,4 +1,6 @@
 import React, { useState } from 'react';
+import { BASE_THEME_ID, listThemes, applyTheme } from '../../lib/tokens';
+import AssetImage from '../AssetImage';
 
 const previewModes = [
   { id: 'web', label: 'Web' },
@@ -6,13 +8,28 @@ const previewModes = [
   { id: 'ppt', label: 'PPT' },
 ];
 
-export default function TokenPreview({ brand, activeTab }) {
+export default function TokenPreview({ brand: baseBrand, activeTab }) {
   const [previewMode, setPreviewMode] = useState('web');
+  const [themeId, setThemeId] = useState(BASE_THEME_ID);
+  const themes = listThemes(baseBrand);
+  // Gelöschte Themes fallen auf die Basis zurück
+  const brand = applyTheme(baseBrand, themeId);
 
   return (
     <div className="token-preview">
       <div className="preview-header">
         <h4>Live Preview</h4>
+        {themes.length > 1 && (
+          <select
+            className="preview-theme-switcher"
+            value={themes.some(t => t.id === themeId) ? themeId : BASE_THEME_ID}
+            onChange={(e) => setThemeId(e.target.value)}
+          >
+            {themes.map(theme => (
+              <option key={theme.id} value={theme.id}>{theme.name}</option>
+            ))}
+          </select>
+        )}
         <div className="preview-mode-switcher">
           {previewModes.map(mode => (
             <button
@@ -43,7 +60,7 @@ export default function TokenPreview({ brand, activeTab }) {
               >
                 <div className="web-logo" style={{ color: brand.colors.primary }}>
                   {brand.logo ? (
-                    <img src={brand.logo} alt={brand.name} />
+                    <AssetImage src={brand.logo} alt={brand.name} />
                   ) : (
                     brand.name
                   )}
@@ -113,7 +130,7 @@ export default function TokenPreview({ brand, activeTab }) {
                 style={{ backgroundColor: brand.colors.primary }}
               >
                 {brand.logo && (
-                  <img src={brand.logo} alt={brand.name} className="print-logo" />
+                  <AssetImage src={brand.logo} alt={brand.name} className="print-logo" />
                 )}
               </div>
               <div className="print-content">
@@ -187,7 +204,7 @@ export default function TokenPreview({ brand, activeTab }) {
                 </div>
               </div>
               {brand.logo && (
-                <img src={brand.logo} alt="" className="ppt-logo" />
+                <AssetImage src={brand.logo} alt="" className="ppt-logo" />
               )}
             </div>
             <div className="ppt-info">
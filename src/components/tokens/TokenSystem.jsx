@@ -1,14 +1,22 @@
 import React, { useState } from 'react';
 import { useParams } from 'react-router-dom';
 import { useBrandStore } from '../../stores/brandStore';
+import { useRulesStore } from '../../stores/rulesStore';
+import { useBrandRole } from '../../stores/authStore';
 import ColorEditor from './ColorEditor';
 import TypographyEditor from './TypographyEditor';
 import VoiceEditor from './VoiceEditor';
+import ThemeEditor from './ThemeEditor';
+import ScaleEditor from './ScaleEditor';
 import TokenPreview from './TokenPreview';
+import { brandToTokens } from '../../lib/tokens';
+import AssetImage from '../AssetImage';
 
 const tabs = [
   { id: 'colors', label: 'Farben', icon: '🎨' },
+  { id: 'themes', label: 'Themes', icon: '◐' },
   { id: 'typography', label: 'Typografie', icon: 'Aa' },
+  { id: 'scales', label: 'Skalen', icon: '▦' },
   { id: 'voice', label: 'Stimme', icon: '💬' },
   { id: 'logo', label: 'Logo', icon: '◇' },
 ];
@@ -16,6 +24,8 @@ const tabs = [
 export default function TokenSystem() {
   const { brandId } = useParams();
   const { getBrandById, updateBrand } = useBrandStore();
+  const { getRulesForBrand } = useRulesStore();
+  const { canEdit } = useBrandRole(brandId);
   const brand = getBrandById(brandId);
   const [activeTab, setActiveTab] = useState('colors');
   const [showPreview, setShowPreview] = useState(true);
@@ -28,6 +38,18 @@ export default function TokenSystem() {
     updateBrand(brandId, { colors });
   };
 
+  const handleUpdateSemantic = (semantic) => {
+    updateBrand(brandId, { semantic });
+  };
+
+  const handleUpdateThemes = (themes) => {
+    updateBrand(brandId, { themes });
+  };
+
+  const handleUpdateScales = (scales) => {
+    updateBrand(brandId, { scales });
+  };
+
   const handleUpdateFonts = (fonts) => {
     updateBrand(brandId, { fonts });
   };
@@ -81,11 +103,24 @@ export default function TokenSystem() {
             ))}
           </div>
 
-          <div className="token-content">
+          <fieldset className={`token-content ${canEdit ? '' : 'edit-readonly'}`} disabled={!canEdit}>
+            {!canEdit && (
+              <p className="readonly-notice">Nur Lesezugriff – du bist Viewer dieser Marke.</p>
+            )}
             {activeTab === 'colors' && (
               <ColorEditor
                 colors={brand.colors}
                 onChange={handleUpdateColors}
+                tokens={brandToTokens(brand)}
+                semantic={brand.semantic}
+                onSemanticChange={handleUpdateSemantic}
+              />
+            )}
+
+            {activeTab === 'themes' && (
+              <ThemeEditor
+                brand={brand}
+                onChange={handleUpdateThemes}
               />
             )}
 
@@ -96,6 +131,14 @@ export default function TokenSystem() {
               />
             )}
 
+            {activeTab === 'scales' && (
+              <ScaleEditor
+                scales={brand.scales}
+                rules={getRulesForBrand(brandId)}
+                onChange={handleUpdateScales}
+              />
+            )}
+
             {activeTab === 'voice' && (
               <VoiceEditor
                 voice={brand.voice}
@@ -113,7 +156,7 @@ export default function TokenSystem() {
                 <div className="logo-upload-area">
                   {brand.logo ? (
                     <div className="logo-preview-container">
-                      <img src={brand.logo} alt="Logo" className="logo-preview-img" />
+                      <AssetImage src={brand.logo} alt="Logo" className="logo-preview-img" />
                       <button
                         className="btn-secondary"
                         onClick={() => handleUpdateLogo(null)}
@@ -147,7 +190,7 @@ export default function TokenSystem() {
                 </div>
               </div>
             )}
-          </div>
+          </fieldset>
         </div>
 
         {showPreview && (
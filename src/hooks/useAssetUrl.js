@@ -0,0 +1,27 @@
+import { useState, useEffect } from 'react';
+import { isAssetRef, getAssetUrl, getCachedAssetUrl } from '../lib/assetStore';
+
+// Displayable URL for an asset reference, loaded lazily (data/external URLs pass through)
+export function useAssetUrl(value) {
+  const [url, setUrl] = useState(() => getCachedAssetUrl(value));
+
+  useEffect(() => {
+    if (!isAssetRef(value)) {
+      setUrl(value || null);
+      return;
+    }
+
+    let cancelled = false;
+    setUrl(getCachedAssetUrl(value));
+    getAssetUrl(value).then(loaded => {
+      if (!cancelled) setUrl(loaded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [value]);
+
+  return url;
+}
+
+export default useAssetUrl;
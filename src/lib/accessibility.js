@@ -2,7 +2,7 @@
 // ACCESSIBILITY CHECKER - WCAG 2.1 Compliance
 // ============================================
 
-import { hexToRgb } from './tokens.js';
+import { hexToRgb, listThemes, applyTheme } from './tokens.js';
 
 /**
  * Berechnet die relative Luminanz eines RGB-Farbwerts
@@ -51,8 +51,24 @@ export function getWCAGLevel(ratio, isLargeText = false) {
 
 /**
  * Vollständiger Accessibility-Check für eine Brand
+ * Läuft einmal pro Theme; Basis-Ergebnis auf oberster Ebene,
+ * alle Themes (inkl. Basis) unter results.themes
  */
 export function checkBrandAccessibility(brand) {
+  const themes = listThemes(brand).map(theme => ({
+    id: theme.id,
+    name: theme.name,
+    colorScheme: theme.colorScheme,
+    ...checkColorsAccessibility(applyTheme(brand, theme.id).colors)
+  }));
+
+  return { ...themes[0], themes };
+}
+
+/**
+ * Kontrast-Checks für ein Farbset (Basis oder Theme)
+ */
+function checkColorsAccessibility(colors) {
   const results = {
     score: 0,
     maxScore: 100,
@@ -63,8 +79,8 @@ export function checkBrandAccessibility(brand) {
 
   // 1. Text auf Hintergrund prüfen
   const textOnBg = checkContrast(
-    brand.colors.text, 
-    brand.colors.background,
+    colors.text, 
+    colors.background,
     'Text auf Hintergrund',
     false
   );
@@ -72,8 +88,8 @@ export function checkBrandAccessibility(brand) {
 
   // 2. Primary auf Hintergrund (für Buttons, Links)
   const primaryOnBg = checkContrast(
-    brand.colors.primary,
-    brand.colors.background,
+    colors.primary,
+    colors.background,
     'Primärfarbe auf Hintergrund',
     true // als großer Text / UI-Element
   );
@@ -82,7 +98,7 @@ export function checkBrandAccessibility(brand) {
   // 3. Weiß auf Primary (Button-Text)
   const whiteOnPrimary = checkContrast(
     '#ffffff',
-    brand.colors.primary,
+    colors.primary,
     'Weiß auf Primärfarbe (Button-Text)',
     false
   );
@@ -91,7 +107,7 @@ export function checkBrandAccessibility(brand) {
   // 4. Weiß auf Accent
   const whiteOnAccent = checkContrast(
     '#ffffff',
-    brand.colors.accent,
+    colors.accent,
     'Weiß auf Akzentfarbe',
     false
   );
@@ -100,7 +116,7 @@ export function checkBrandAccessibility(brand) {
   // 5. Text auf Primary (falls als Hintergrund verwendet)
   const textOnPrimary = checkContrast(
     '#ffffff',
-    brand.colors.primary,
+    colors.primary,
     'Text auf Primär-Hintergrund',
     false
   );
@@ -109,7 +125,7 @@ export function checkBrandAccessibility(brand) {
   // 6. Secondary Checks
   const textOnSecondary = checkContrast(
     '#ffffff',
-    brand.colors.secondary,
+    colors.secondary,
     'Text auf Sekundär-Hintergrund',
     false
   );
@@ -230,8 +246,10 @@ function rgbToHex(rgb) {
 export function checkBITV(brand) {
   const results = checkBrandAccessibility(brand);
   
-  // BITV 2.0 basiert auf WCAG 2.1 AA
-  const bitvCompliant = results.checks.every(check => check.wcag.pass);
+  // BITV 2.0 basiert auf WCAG 2.1 AA – jedes Theme muss bestehen
+  const bitvCompliant = results.themes.every(theme =>
+    theme.checks.every(check => check.wcag.pass)
+  );
   
   return {
     compliant: bitvCompliant,
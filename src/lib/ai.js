@@ -3,6 +3,8 @@
 // Uses Claude API via serverless function for text generation
 // ============================================
 
+import { contentSchemas, CAMPAIGN_CHANNELS, mapStructuredContent, formatStructuredContent } from './content-schemas.js';
+
 const getOpenAIKey = () => {
   return localStorage.getItem('openai_api_key') || import.meta.env.VITE_OPENAI_API_KEY || null;
 };
@@ -173,13 +175,15 @@ RÜCKSEITE:
 
 /**
  * Generiert kompletten Asset-Content basierend auf Briefing
- * Uses Claude API via serverless function
+ * Uses Claude API via serverless function – Antwort als JSON nach contentSchemas
+ * @returns {Promise<Object>} { data (Schema-Daten), content ({ fields, slides } wie defaultContent),
+ *   text (lesbare Fassung), warnings, demo }
  */
 export async function generateCompleteAsset(brand, assetType, briefing, scrapedContent = null) {
   const brandPrompt = buildBrandPrompt(brand);
   const structure = assetStructures[assetType];
 
-  if (!structure) {
+  if (!structure || !contentSchemas[assetType]) {
     throw new Error(`Unbekannter Asset-Typ: ${assetType}`);
   }
 
@@ -191,10 +195,10 @@ export async function generateCompleteAsset(brand, assetType, briefing, scrapedC
 
 BRIEFING: ${briefing}${contextInfo}
 
-Liefere die Texte strukturiert und direkt einsetzbar. Formatiere klar mit den angegebenen Abschnitten.`;
+Liefere die Texte direkt einsetzbar.`;
 
   try {
-    // Call Claude API via serverless function
+    // Call Claude API via serverless function (validiert gegen das Schema)
     const response = await fetch('/api/generate-content', {
       method: 'POST',
       headers: {
@@ -202,7 +206,8 @@ Liefere die Texte strukturiert und direkt einsetzbar. Formatiere klar mit den an
       },
       body: JSON.stringify({
         brandPrompt,
-        userPrompt
+        userPrompt,
+        assetType
       })
     });
 
@@ -210,18 +215,109 @@ Liefere die Texte strukturiert und direkt einsetzbar. Formatiere klar mit den an
       const error = await response.json().catch(() => ({ error: 'Unknown error' }));
       // Fallback to demo content if API fails
       console.warn('Claude API failed, using demo content:', error);
-      return generateDemoAsset(brand, assetType, briefing);
+      return toGeneratedAsset(assetType, generateDemoAsset(brand, assetType, briefing), { demo: true });
     }
 
     const data = await response.json();
-    return data.content;
+    return toGeneratedAsset(assetType, data.data, { content: data.content, warnings: data.warnings });
   } catch (error) {
     console.error('AI Generation failed:', error);
     // Fallback to demo content
-    return generateDemoAsset(brand, assetType, briefing);
+    return toGeneratedAsset(assetType, generateDemoAsset(brand, assetType, briefing), { demo: true });
+  }
+}
+
+function toGeneratedAsset(assetType, data, { content, warnings = [], demo = false } = {}) {
+  return {
+    data,
+    content: content || mapStructuredContent(assetType, data),
+    text: formatStructuredContent(assetType, data),
+    warnings,
+    demo
+  };
+}
+
+// ============================================
+// KAMPAGNEN-TEXTE - Ein Briefing, alle Kanäle
+// ============================================
+// Alle Kanäle werden in einer Anfrage generiert, damit Botschaft, Tonalität
+// und Fakten über die Kampagne hinweg konsistent bleiben. Die Antwort ist ein
+// JSON-Objekt mit einem Eintrag je Kanal (campaignSchema aus content-schemas.js),
+// das der Endpoint validiert und bei Bedarf reparieren lässt; abgebildet wird
+// jeder Kanal wie bei generateCompleteAsset mit mapStructuredContent.
+
+/**
+ * Baut den Prompt für alle Kanäle einer Kampagne (Format kommt aus dem Schema)
+ */
+export function buildCampaignPrompt(briefing, assetIds) {
+  const channels = assetIds.map(id => `- ${id}: ${assetStructures[id].name}`).join('\n');
+
+  return `Erstelle die Texte für eine Multi-Channel-Kampagne. Alle Kanäle transportieren dieselbe Kernbotschaft und dieselben Fakten, angepasst an das jeweilige Medium.
+
+KANÄLE (Schlüssel im JSON-Objekt):
+${channels}
+${assetIds.includes('social') ? '\nFür social genügt ein Post – der Hauptpost der Kampagne.\n' : ''}
+BRIEFING:
+${briefing}
+
+Liefere die Texte direkt einsetzbar.`;
+}
+
+/**
+ * Generiert die Texte aller Kanäle einer Kampagne in einem Durchgang
+ * Uses Claude API via serverless function, Demo-Texte als Fallback
+ * @param {Object} brand
+ * @param {string} briefing
+ * @param {string[]} assetIds - Kanäle (siehe CAMPAIGN_CHANNELS)
+ * @returns {Promise<Object>} { [assetId]: Ergebnis wie generateCompleteAsset }
+ */
+export async function generateCampaignTexts(brand, briefing, assetIds = CAMPAIGN_CHANNELS) {
+  const ids = assetIds.filter(id => CAMPAIGN_CHANNELS.includes(id));
+  if (ids.length === 0) return {};
+
+  const demo = () => Object.fromEntries(ids.map(id => [
+    id,
+    toGeneratedAsset(id, generateDemoAsset(brand, id, getCampaignTopic(brand, briefing)), { demo: true })
+  ]));
+
+  try {
+    const response = await fetch('/api/generate-content', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        brandPrompt: buildBrandPrompt(brand),
+        userPrompt: buildCampaignPrompt(briefing, ids),
+        assetTypes: ids
+      })
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({ error: 'Unknown error' }));
+      console.warn('Claude API failed, using demo content:', error);
+      return demo();
+    }
+
+    const data = await response.json();
+    // Warnungen tragen den Kanal als ersten Pfadteil ("social.posts[0].text: …")
+    return Object.fromEntries(ids.map(id => [id, toGeneratedAsset(id, data.data[id], {
+      content: data.content?.[id],
+      warnings: (data.warnings || []).filter(warning => warning.startsWith(`${id}.`))
+    })]));
+  } catch (error) {
+    console.error('Campaign generation failed:', error);
+    return demo();
   }
 }
 
+// Kernbotschaft aus dem Kampagnen-Briefing, sonst die erste Zeile
+function getCampaignTopic(brand, briefing) {
+  const lines = briefing.split('\n').filter(line => line.trim());
+  const topicLine = lines.find(line => /^Kernbotschaft:\s*\S/.test(line)) || lines[0] || '';
+  return topicLine.replace(/^[^:]+:\s*/, '').slice(0, 40) || brand.name;
+}
+
 /**
  * Fetch and analyze website content
  * Returns both raw extracted data and AI analysis
@@ -416,169 +512,110 @@ export async function generateImage(prompt, brand, style = 'modern') {
 }
 
 /**
- * Demo-Asset für Vorschau ohne API
+ * Demo-Asset für Vorschau ohne API (im Schema aus content-schemas.js)
  */
 function generateDemoAsset(brand, assetType, briefing) {
   const formal = brand.voice.formality === 'sie';
   const anrede = formal ? 'Sie' : 'du';
+  const words = briefing.split(' ');
+  const tag = `#${brand.name.replace(/\s/g, '')}`;
 
   const demos = {
-    website: `# HERO-BEREICH
-
-**Headline:** ${briefing.split(' ').slice(0, 4).join(' ')} — Neu gedacht
-
-**Subline:** Entdecken ${anrede} innovative Lösungen, die ${formal ? 'Ihren' : 'deinen'} Alltag verändern. ${brand.name} steht für Qualität und Vertrauen.
-
-**CTA:** Jetzt entdecken
-
----
-
-# FEATURES
-
-**Feature 1: Einfach & Intuitiv**
-Komplexe Herausforderungen verdienen elegante Lösungen. Unsere Plattform ist so gestaltet, dass ${anrede} sofort loslegen ${formal ? 'können' : 'kannst'}.
-
-**Feature 2: Sicher & Zuverlässig**
-${formal ? 'Ihre' : 'Deine'} Daten sind bei uns in besten Händen. Modernste Sicherheitsstandards garantieren Schutz.
-
-**Feature 3: Schnell & Effizient**
-Zeit ist wertvoll. Deshalb optimieren wir jeden Prozess für maximale Effizienz.
-
----
-
-# ÜBER UNS
-
-**Headline:** Wer wir sind
-
-Bei ${brand.name} verbinden wir Innovation mit Tradition. Seit Jahren arbeiten wir daran, ${briefing.toLowerCase()} für unsere Kunden zugänglicher zu machen.
-
----
-
-# CTA-BEREICH
-
-**Headline:** Bereit für den nächsten Schritt?
-
-${formal ? 'Kontaktieren Sie uns' : 'Kontaktiere uns'} noch heute und ${formal ? 'erfahren Sie' : 'erfahre'}, wie wir ${formal ? 'Ihnen' : 'dir'} helfen können.
-
-**Button:** Gespräch vereinbaren`,
-
-    flyer: `# VORDERSEITE
-
-**Headline:** ${briefing.split(' ').slice(0, 3).join(' ')} erleben
-
-**Subline:** ${brand.name} präsentiert die Zukunft von ${briefing.toLowerCase()}.
-
-**Eyecatcher:** Jetzt neu!
-
----
-
-# INNENSEITE
-
-**Einleitung:** In einer Welt voller Möglichkeiten setzen wir auf das Wesentliche: Qualität, Innovation und ${formal ? 'Ihren' : 'deinen'} Erfolg.
-
-**Benefits:**
-• Höchste Qualitätsstandards für beste Ergebnisse
-• Persönliche Betreuung von Anfang bis Ende
-• Schnelle Umsetzung ${formal ? 'Ihrer' : 'deiner'} Projekte
-• Faire und transparente Preise
-
----
-
-# RÜCKSEITE
-
-**CTA:** ${formal ? 'Starten Sie' : 'Starte'} jetzt!
-
-**Kontakt:** ${formal ? 'Rufen Sie uns an' : 'Ruf uns an'} oder ${formal ? 'besuchen Sie' : 'besuch'} unsere Website.
-
-**Claim:** ${brand.voice.tagline || `${brand.name} — Für ${formal ? 'Ihren' : 'deinen'} Erfolg.`}`,
-
-    social: `# POST 1 — INFORMATIV
-
-**Hook:** Wusstest ${anrede}, dass ${briefing.toLowerCase()} der Schlüssel zum Erfolg ist?
-
-**Text:** Bei ${brand.name} haben wir es uns zur Mission gemacht, genau das zu ermöglichen. Mit innovativen Ansätzen und jahrelanger Erfahrung unterstützen wir ${formal ? 'Sie' : 'dich'} dabei, ${formal ? 'Ihre' : 'deine'} Ziele zu erreichen.
-
-**CTA:** Mehr erfahren — Link in Bio
-
-**Hashtags:** #${brand.name.replace(/\s/g, '')} #Innovation #Erfolg #Zukunft #Marketing
-
----
-
-# POST 2 — EMOTIONAL
-
-**Hook:** Der Moment, wenn alles klick macht. ✨
-
-**Text:** Genau dieses Gefühl wollen wir ${formal ? 'Ihnen' : 'dir'} geben. ${brand.name} steht für Lösungen, die wirklich funktionieren — und für Menschen, die an ${formal ? 'Ihren' : 'deinen'} Erfolg glauben.
-
-**CTA:** Was ist ${formal ? 'Ihr' : 'dein'} nächstes Ziel?
-
-**Hashtags:** #Motivation #Erfolgsgeschichte #${brand.name.replace(/\s/g, '')}`,
-
-    email: `**Betreff:** ${briefing.split(' ').slice(0, 4).join(' ')} — ${formal ? 'Ihre' : 'Deine'} Chance
-
-**Preheader:** Entdecken ${anrede} jetzt, was ${brand.name} für ${formal ? 'Sie' : 'dich'} bereithält.
-
----
-
-${formal ? 'Sehr geehrte Damen und Herren' : 'Hallo'},
-
-${briefing} — ein Thema, das uns bei ${brand.name} besonders am Herzen liegt.
-
-**Warum gerade jetzt?**
-In Zeiten des Wandels braucht es Partner, auf die man sich verlassen kann. Wir sind seit Jahren an ${formal ? 'Ihrer' : 'deiner'} Seite und entwickeln Lösungen, die wirklich funktionieren.
-
-**Unser Tipp für ${formal ? 'Sie' : 'dich'}:**
-${formal ? 'Nehmen Sie sich' : 'Nimm dir'} heute 5 Minuten Zeit und ${formal ? 'entdecken Sie' : 'entdeck'}, wie wir ${formal ? 'Ihnen' : 'dir'} helfen können.
-
-**Jetzt entdecken**
-
-Mit besten Grüßen,
-${formal ? 'Ihr' : 'Dein'} ${brand.name} Team
-
-P.S. ${formal ? 'Antworten Sie' : 'Antworte'} einfach auf diese E-Mail — wir freuen uns auf den Austausch!`,
-
-    presentation: `# SLIDE 1 — TITEL
-**${brand.name}**
-${brand.voice.tagline || briefing}
-
-# SLIDE 2 — PROBLEM
-**Die Herausforderung**
-• Komplexität steigt täglich
-• Ressourcen sind begrenzt
-• Zeit wird knapper
-
-# SLIDE 3 — LÖSUNG
-**Unsere Antwort**
-${brand.name} bietet die Lösung für ${briefing.toLowerCase()}. Einfach, effizient, effektiv.
-
-# SLIDE 4-6 — FEATURES
-**Feature 1: Effizienz**
-Maximale Ergebnisse bei minimalem Aufwand.
-
-**Feature 2: Innovation**
-Immer einen Schritt voraus durch moderne Technologie.
-
-**Feature 3: Support**
-Persönliche Betreuung, wann immer ${anrede} sie ${formal ? 'brauchen' : 'brauchst'}.
-
-# SLIDE 7 — SOCIAL PROOF
-**Unsere Kunden vertrauen uns**
-"${brand.name} hat unsere Erwartungen übertroffen." — Beispielkunde
-
-# SLIDE 10 — CTA
-**Nächste Schritte**
-${formal ? 'Vereinbaren Sie' : 'Vereinbare'} jetzt ${formal ? 'Ihr' : 'dein'} kostenloses Beratungsgespräch.`,
-
-    businesscard: `# VORDERSEITE
-**${brand.voice.tagline || brand.name}**
-
-# RÜCKSEITE
-**Position:** Experte für ${briefing.toLowerCase()}
-**Beschreibung:** Innovative Lösungen für ${formal ? 'Ihren' : 'deinen'} Erfolg
-**Motto:** Gemeinsam mehr erreichen`
+    website: {
+      hero: {
+        headline: `${words.slice(0, 4).join(' ')} — Neu gedacht`,
+        subline: `Entdecken ${anrede} innovative Lösungen, die ${formal ? 'Ihren' : 'deinen'} Alltag verändern. ${brand.name} steht für Qualität und Vertrauen.`,
+        cta: 'Jetzt entdecken'
+      },
+      features: [
+        { title: 'Einfach & Intuitiv', description: `Komplexe Herausforderungen verdienen elegante Lösungen. Unsere Plattform ist so gestaltet, dass ${anrede} sofort loslegen ${formal ? 'können' : 'kannst'}.` },
+        { title: 'Sicher & Zuverlässig', description: `${formal ? 'Ihre' : 'Deine'} Daten sind bei uns in besten Händen. Modernste Sicherheitsstandards garantieren Schutz.` },
+        { title: 'Schnell & Effizient', description: 'Zeit ist wertvoll. Deshalb optimieren wir jeden Prozess für maximale Effizienz.' }
+      ],
+      about: {
+        title: 'Wer wir sind',
+        text: `Bei ${brand.name} verbinden wir Innovation mit Tradition. Seit Jahren arbeiten wir daran, ${briefing.toLowerCase()} für unsere Kunden zugänglicher zu machen.`
+      },
+      cta: {
+        headline: 'Bereit für den nächsten Schritt?',
+        text: `${formal ? 'Kontaktieren Sie uns' : 'Kontaktiere uns'} noch heute und ${formal ? 'erfahren Sie' : 'erfahre'}, wie wir ${formal ? 'Ihnen' : 'dir'} helfen können.`,
+        button: 'Gespräch vereinbaren'
+      },
+      footer: `${brand.name} — ${brand.voice.tagline || 'Qualität, der man vertraut.'}`
+    },
+
+    flyer: {
+      headline: `${words.slice(0, 3).join(' ')} erleben`,
+      subline: `${brand.name} präsentiert die Zukunft von ${briefing.toLowerCase()}.`,
+      eyecatcher: 'Jetzt neu!',
+      intro: `In einer Welt voller Möglichkeiten setzen wir auf das Wesentliche: Qualität, Innovation und ${formal ? 'Ihren' : 'deinen'} Erfolg.`,
+      benefits: [
+        'Höchste Qualitätsstandards für beste Ergebnisse',
+        'Persönliche Betreuung von Anfang bis Ende',
+        `Schnelle Umsetzung ${formal ? 'Ihrer' : 'deiner'} Projekte`,
+        'Faire und transparente Preise'
+      ],
+      details: `Alle Infos bei ${brand.name}`,
+      cta: `${formal ? 'Starten Sie' : 'Starte'} jetzt!`,
+      contact: `${formal ? 'Rufen Sie uns an' : 'Ruf uns an'} oder ${formal ? 'besuchen Sie' : 'besuch'} unsere Website.`,
+      claim: brand.voice.tagline || `${brand.name} — Für ${formal ? 'Ihren' : 'deinen'} Erfolg.`
+    },
+
+    social: {
+      posts: [
+        {
+          angle: 'informativ',
+          hook: `Wusstest ${anrede}, dass ${briefing.toLowerCase()} der Schlüssel zum Erfolg ist?`,
+          text: `Bei ${brand.name} haben wir es uns zur Mission gemacht, genau das zu ermöglichen. Mit innovativen Ansätzen und jahrelanger Erfahrung unterstützen wir ${formal ? 'Sie' : 'dich'} dabei, ${formal ? 'Ihre' : 'deine'} Ziele zu erreichen.`,
+          cta: 'Mehr erfahren — Link in Bio',
+          hashtags: [tag, '#Innovation', '#Erfolg', '#Zukunft', '#Marketing'],
+          imageIdea: 'Team bei der Arbeit, helles Licht, Markenfarben im Hintergrund'
+        },
+        {
+          angle: 'emotional',
+          hook: 'Der Moment, wenn alles klick macht. ✨',
+          text: `Genau dieses Gefühl wollen wir ${formal ? 'Ihnen' : 'dir'} geben. ${brand.name} steht für Lösungen, die wirklich funktionieren — und für Menschen, die an ${formal ? 'Ihren' : 'deinen'} Erfolg glauben.`,
+          cta: `Was ist ${formal ? 'Ihr' : 'dein'} nächstes Ziel?`,
+          hashtags: ['#Motivation', '#Erfolgsgeschichte', tag, '#Teamwork', '#Zukunft'],
+          imageIdea: 'Zufriedene Kundin im Gespräch, natürliche Atmosphäre'
+        }
+      ]
+    },
+
+    email: {
+      subject: `${words.slice(0, 4).join(' ')} — ${formal ? 'Ihre' : 'Deine'} Chance`,
+      preheader: `Entdecken ${anrede} jetzt, was ${brand.name} für ${formal ? 'Sie' : 'dich'} bereithält.`,
+      greeting: formal ? 'Sehr geehrte Damen und Herren,' : 'Hallo,',
+      intro: `${briefing} — ein Thema, das uns bei ${brand.name} besonders am Herzen liegt.`,
+      sections: [
+        { title: 'Warum gerade jetzt?', text: `In Zeiten des Wandels braucht es Partner, auf die man sich verlassen kann. Wir sind seit Jahren an ${formal ? 'Ihrer' : 'deiner'} Seite und entwickeln Lösungen, die wirklich funktionieren.` },
+        { title: `Unser Tipp für ${formal ? 'Sie' : 'dich'}`, text: `${formal ? 'Nehmen Sie sich' : 'Nimm dir'} heute 5 Minuten Zeit und ${formal ? 'entdecken Sie' : 'entdeck'}, wie wir ${formal ? 'Ihnen' : 'dir'} helfen können.` }
+      ],
+      cta: 'Jetzt entdecken',
+      closing: `Mit besten Grüßen,\n${formal ? 'Ihr' : 'Dein'} ${brand.name} Team`,
+      ps: `${formal ? 'Antworten Sie' : 'Antworte'} einfach auf diese E-Mail — wir freuen uns auf den Austausch!`
+    },
+
+    presentation: {
+      title: brand.name,
+      subtitle: brand.voice.tagline || briefing,
+      slides: [
+        { layout: 'bullets', headline: 'Die Herausforderung', bullets: ['Komplexität steigt täglich', 'Ressourcen sind begrenzt', 'Zeit wird knapper'] },
+        { layout: 'bullets', headline: 'Unsere Antwort', bullets: [`${brand.name} bietet die Lösung für ${briefing.toLowerCase()}`, 'Einfach, effizient, effektiv'] },
+        { layout: 'twoColumn', headline: 'Was uns auszeichnet', leftColumn: 'Effizienz\nMaximale Ergebnisse bei minimalem Aufwand.', rightColumn: `Support\nPersönliche Betreuung, wann immer ${anrede} sie ${formal ? 'brauchen' : 'brauchst'}.` },
+        { layout: 'closing', headline: 'Nächste Schritte', contact: `${formal ? 'Vereinbaren Sie' : 'Vereinbare'} jetzt ${formal ? 'Ihr' : 'dein'} kostenloses Beratungsgespräch.` }
+      ]
+    },
+
+    businesscard: {
+      tagline: brand.voice.tagline || brand.name,
+      title: `Experte für ${briefing.toLowerCase()}`.slice(0, 50),
+      description: `Innovative Lösungen für ${formal ? 'Ihren' : 'deinen'} Erfolg`,
+      motto: 'Gemeinsam mehr erreichen'
+    }
   };
 
-  return demos[assetType] || `Demo-Content für ${assetType}:\n\n${briefing}`;
+  return demos[assetType];
 }
 
 // Legacy exports for backwards compatibility
@@ -642,6 +679,7 @@ export async function generateText(brand, textType, topic, apiKey = null) {
 export default {
   generateText,
   generateCompleteAsset,
+  generateCampaignTexts,
   generateImage,
   scrapeWebsite,
   textTypes,
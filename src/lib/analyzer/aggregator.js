@@ -2,6 +2,7 @@
 // AGGREGATOR - Collect and simplify analyzer results
 // Prepares data for direct brand import (no rules)
 // ============================================
+import { parseHex, dedupeColors } from '../color.js';
 
 /**
  * Aggregate results from all analyzers into a simple structure
@@ -173,24 +174,18 @@ export function aggregateExtraction(analyzerResults) {
 }
 
 /**
- * Deduplicate colors by similarity and merge priorities
+ * Deduplicate perceptually identical colors (CIEDE2000) and merge priorities
  */
 function deduplicateColors(colors) {
-  const unique = [];
-
-  for (const color of colors) {
-    const similar = unique.find(c => colorDistance(c.hex, color.hex) < 15);
-
-    if (similar) {
+  const unique = dedupeColors(colors, {
+    merge: (similar, color) => {
       // Merge: keep higher priority, combine names
       similar.priority = Math.max(similar.priority || 0, color.priority || 0);
       if (color.name && !similar.name) {
         similar.name = color.name;
       }
-    } else {
-      unique.push({ ...color });
     }
-  }
+  });
 
   // Sort by priority (higher first)
   unique.sort((a, b) => (b.priority || 0) - (a.priority || 0));
@@ -244,39 +239,12 @@ function isValidHex(hex) {
  * Check if color is near white or black (should be filtered)
  */
 function isNearWhiteOrBlack(hex) {
-  const rgb = hexToRgb(hex);
+  const rgb = parseHex(hex);
   if (!rgb) return true;
 
-  const luminance = 0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b;
+  const [r, g, b] = rgb;
+  const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
   return luminance < 25 || luminance > 235;
 }
 
-/**
- * Calculate color distance (simple RGB euclidean)
- */
-function colorDistance(hex1, hex2) {
-  const rgb1 = hexToRgb(hex1);
-  const rgb2 = hexToRgb(hex2);
-  if (!rgb1 || !rgb2) return Infinity;
-
-  return Math.sqrt(
-    Math.pow(rgb1.r - rgb2.r, 2) +
-    Math.pow(rgb1.g - rgb2.g, 2) +
-    Math.pow(rgb1.b - rgb2.b, 2)
-  );
-}
-
-/**
- * Convert hex to RGB
- */
-function hexToRgb(hex) {
-  if (!hex) return null;
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16)
-  } : null;
-}
-
 export default aggregateExtraction;
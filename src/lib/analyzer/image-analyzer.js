@@ -177,15 +177,23 @@ function extractDominantColors(canvas, context, numColors = 8) {
     const qb = Math.round(b / 32) * 32;
 
     const key = `${qr},${qg},${qb}`;
-    colorCounts[key] = (colorCounts[key] || 0) + 1;
+    if (!colorCounts[key]) {
+      colorCounts[key] = { r: 0, g: 0, b: 0, count: 0 };
+    }
+    colorCounts[key].r += r;
+    colorCounts[key].g += g;
+    colorCounts[key].b += b;
+    colorCounts[key].count++;
   }
 
-  // Convert to array and sort
-  const totalPixels = Object.values(colorCounts).reduce((a, b) => a + b, 0);
+  // Convert to array (average color per bucket) and sort
+  const totalPixels = Object.values(colorCounts).reduce((sum, c) => sum + c.count, 0);
 
-  const sortedColors = Object.entries(colorCounts)
-    .map(([key, count]) => {
-      const [r, g, b] = key.split(',').map(Number);
+  const sortedColors = Object.values(colorCounts)
+    .map(({ count, ...sum }) => {
+      const r = Math.round(sum.r / count);
+      const g = Math.round(sum.g / count);
+      const b = Math.round(sum.b / count);
       return {
         r, g, b,
         hex: rgbToHex(r, g, b),
@@ -7,6 +7,7 @@ export { analyzePdf } from './pdf-analyzer.js';
 export { analyzeImage } from './image-analyzer.js';
 export { analyzeFont } from './font-analyzer.js';
 export { analyzeTokens } from './tokens-analyzer.js';
+export { importTokensFile, tokensToBrand } from './token-import.js';
 export { analyzePatterns, generateRules } from './pattern-engine.js';
 
 /**
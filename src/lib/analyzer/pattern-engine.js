@@ -2,6 +2,7 @@
 // PATTERN ENGINE - Generate Brand Rules from Analysis
 // Creates comprehensive rules from PPTX, PDF, and Image analysis
 // ============================================
+import { parseHex, dedupeColors, hueDifference, isAchromatic } from '../color.js';
 
 /**
  * Analyze all parsed assets and generate brand rules with confidence scores
@@ -144,10 +145,9 @@ function detectColorRules(pptxResults, pdfResults, imageResults, tokenResults =
     }
   }
 
-  // Sort colors by frequency
-  const sortedColors = Object.entries(colorFrequency)
-    .filter(([hex]) => !isNearWhiteOrBlack(hex))
-    .sort((a, b) => b[1] - a[1]);
+  // Sort colors by frequency; perceptually identical shades count as one color
+  const sortedColors = clusterColors(colorFrequency, colorSources)
+    .filter(([hex]) => !isNearWhiteOrBlack(hex));
 
   // Generate rules for top colors
   if (sortedColors.length > 0) {
@@ -192,13 +192,14 @@ function detectColorRules(pptxResults, pdfResults, imageResults, tokenResults =
 
   // Find accent colors (different hue from primary)
   if (sortedColors.length > 2) {
-    const primaryHue = getHue(sortedColors[0][0]);
+    const primaryHex = sortedColors[0][0];
     let accentCount = 0;
 
     for (let i = 2; i < Math.min(sortedColors.length, 8); i++) {
       const [hex, freq] = sortedColors[i];
-      const hue = getHue(hex);
-      const hueDiff = Math.min(Math.abs(hue - primaryHue), 360 - Math.abs(hue - primaryHue));
+      // Grays have no meaningful hue and are never accents
+      if (isAchromatic(hex)) continue;
+      const hueDiff = isAchromatic(primaryHex) ? 180 : hueDifference(hex, primaryHex);
 
       if (hueDiff > 30 && accentCount < 2) {
         const sources = colorSources[hex] || [];
@@ -875,10 +876,29 @@ function parseSpacingValue(value) {
   return 0;
 }
 
+/**
+ * Merge colors within the same-color delta-E threshold into the most frequent hex
+ * Sources are combined; returns [hex, frequency] entries sorted by frequency
+ */
+function clusterColors(colorFrequency, colorSources) {
+  const entries = Object.entries(colorFrequency)
+    .sort((a, b) => b[1] - a[1])
+    .map(([hex, frequency]) => ({ hex, frequency }));
+
+  return dedupeColors(entries, {
+    merge: (similar, color) => {
+      similar.frequency += color.frequency;
+      colorSources[similar.hex] = [...(colorSources[similar.hex] || []), ...(colorSources[color.hex] || [])];
+    }
+  })
+    .sort((a, b) => b.frequency - a.frequency)
+    .map(({ hex, frequency }) => [hex, frequency]);
+}
+
 function isNearWhiteOrBlack(hex) {
-  const rgb = hexToRgb(hex);
+  const rgb = parseHex(hex);
   if (!rgb) return true;
-  const luminance = 0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b;
+  const luminance = 0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2];
   return luminance < 30 || luminance > 225;
 }
 
@@ -901,39 +921,5 @@ function detectColorUsage(sources) {
   return Array.from(usage);
 }
 
-function getHue(hex) {
-  const rgb = hexToRgb(hex);
-  if (!rgb) return 0;
-
-  const r = rgb.r / 255;
-  const g = rgb.g / 255;
-  const b = rgb.b / 255;
-
-  const max = Math.max(r, g, b);
-  const min = Math.min(r, g, b);
-
-  if (max === min) return 0;
-
-  let h;
-  const d = max - min;
-
-  switch (max) {
-    case r: h = ((g - b) / d + (g < b ? 6 : 0)) / 6; break;
-    case g: h = ((b - r) / d + 2) / 6; break;
-    case b: h = ((r - g) / d + 4) / 6; break;
-  }
-
-  return Math.round(h * 360);
-}
-
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16)
-  } : null;
-}
-
 export const generateRules = analyzePatterns;
 export default analyzePatterns;
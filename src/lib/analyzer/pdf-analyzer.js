@@ -9,9 +9,10 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs
 /**
  * Analyze a PDF file and extract dominant colors
  * @param {File} file - PDF file to analyze
+ * @param {Object} options - { maxPages } pages to analyze (default 5)
  * @returns {Promise<Object>} Analysis results
  */
-export async function analyzePdf(file) {
+export async function analyzePdf(file, { maxPages = 5 } = {}) {
   const arrayBuffer = await file.arrayBuffer();
   const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
 
@@ -27,11 +28,13 @@ export async function analyzePdf(file) {
     confidence: 0,
     patterns: {
       colorUsage: {}
-    }
+    },
+    // Per-page usage (colors, fonts, sizes) for compliance checks
+    pages: []
   };
 
-  // Analyze up to 5 pages for color extraction
-  const pagesToAnalyze = Math.min(pdf.numPages, 5);
+  // Analyze the first pages for color extraction
+  const pagesToAnalyze = Math.min(pdf.numPages, maxPages);
   const allColors = [];
 
   for (let i = 1; i <= pagesToAnalyze; i++) {
@@ -39,6 +42,15 @@ export async function analyzePdf(file) {
       const page = await pdf.getPage(i);
       const pageColors = await extractColorsFromPage(page);
       allColors.push(...pageColors);
+
+      // Fonts are available in commonObjs once the page has been rendered
+      const { fonts, fontSizes } = await extractTextStyles(page);
+      analysis.pages.push({
+        number: i,
+        colors: clusterColors(pageColors).map(c => ({ hex: c.hex, count: c.count })),
+        fonts,
+        fontSizes
+      });
     } catch (error) {
       console.warn(`Error analyzing page ${i}:`, error);
     }
@@ -96,6 +108,30 @@ async function extractColorsFromPage(page) {
   return sampleCanvasColors(canvas, 500);
 }
 
+/**
+ * Extract font names and sizes (pt) of the text on a rendered page
+ */
+async function extractTextStyles(page) {
+  const content = await page.getTextContent();
+  const fonts = [];
+  const fontSizes = [];
+
+  for (const item of content.items) {
+    if (!item.str?.trim()) continue;
+
+    // Embedded name, e.g. "ABCDEF+Helvetica-Bold" (subset prefix removed)
+    const font = page.commonObjs.has(item.fontName)
+      ? page.commonObjs.get(item.fontName)?.name?.replace(/^[A-Z]{6}\+/, '')
+      : null;
+    if (font && !fonts.includes(font)) fonts.push(font);
+
+    const size = Math.round(Math.hypot(item.transform[2], item.transform[3]) * 10) / 10;
+    if (size > 0 && !fontSizes.includes(size)) fontSizes.push(size);
+  }
+
+  return { fonts, fontSizes: fontSizes.sort((a, b) => a - b) };
+}
+
 /**
  * Sample random pixels from canvas and extract colors
  */
@@ -139,13 +175,22 @@ function clusterColors(colors, numClusters = 10) {
     const key = `${qr},${qg},${qb}`;
 
     if (!quantized[key]) {
-      quantized[key] = { r: qr, g: qg, b: qb, count: 0 };
+      quantized[key] = { r: 0, g: 0, b: 0, count: 0 };
     }
+    quantized[key].r += color.r;
+    quantized[key].g += color.g;
+    quantized[key].b += color.b;
     quantized[key].count++;
   }
 
-  // Convert to array and sort by frequency
+  // Convert to array (average color per bucket) and sort by frequency
   const sorted = Object.values(quantized)
+    .map(c => ({
+      r: Math.round(c.r / c.count),
+      g: Math.round(c.g / c.count),
+      b: Math.round(c.b / c.count),
+      count: c.count
+    }))
     .filter(c => {
       // Filter out near-white and near-black
       const lum = getLuminance(rgbToHex(c.r, c.g, c.b));
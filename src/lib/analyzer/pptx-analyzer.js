@@ -71,6 +71,9 @@ export async function analyzePptx(file) {
       backgrounds: []
     },
 
+    // Per-slide usage (colors, fonts, sizes, placed pictures) for compliance checks
+    slides: [],
+
     slideCount: 0,
     confidence: 0
   };
@@ -649,6 +652,9 @@ async function parseSlides(zip, analysis) {
   for (const slideFile of slideFiles) {
     const xml = await slideFile.async('text');
 
+    // Record what this slide uses (location data for compliance reports)
+    analysis.slides.push(await parseSlideUsage(zip, slideFile, xml, analysis));
+
     // Track color usage
     const colorPatterns = [
       /<a:srgbClr val="([A-Fa-f0-9]{6})"/gi,
@@ -701,6 +707,58 @@ async function parseSlides(zip, analysis) {
   }
 }
 
+/**
+ * Collect colors, fonts, font sizes and placed pictures of a single slide
+ */
+async function parseSlideUsage(zip, slideFile, xml, analysis) {
+  const number = parseInt(slideFile.name.match(/slide(\d+)\.xml/)[1]);
+  const slide = { number, colors: {}, fonts: [], fontSizes: [], pictures: [] };
+
+  // Only explicit RGB values - scheme colors come from the theme
+  for (const match of xml.matchAll(/<a:srgbClr val="([A-Fa-f0-9]{6})"/gi)) {
+    const color = '#' + match[1].toLowerCase();
+    if (isNearWhiteOrBlack(color)) continue;
+    slide.colors[color] = (slide.colors[color] || 0) + 1;
+  }
+
+  // Latin typefaces; +mj-lt / +mn-lt reference the theme fonts
+  for (const match of xml.matchAll(/<a:latin typeface="([^"]+)"/gi)) {
+    let font = match[1];
+    if (font.startsWith('+mj')) font = analysis.theme.fonts.major;
+    else if (font.startsWith('+mn')) font = analysis.theme.fonts.minor;
+    if (font && !slide.fonts.includes(font)) slide.fonts.push(font);
+  }
+
+  for (const match of xml.matchAll(/<a:(?:rPr|defRPr|endParaRPr)[^>]*\ssz="(\d+)"/gi)) {
+    const sizePt = parseInt(match[1]) / 100;
+    if (!slide.fontSizes.includes(sizePt)) slide.fontSizes.push(sizePt);
+  }
+
+  // Placed pictures with their frame (to detect logo position and distortion)
+  const relsFile = zip.file(`ppt/slides/_rels/slide${number}.xml.rels`);
+  const relsXml = relsFile ? await relsFile.async('text') : '';
+  for (const picMatch of xml.matchAll(/<p:pic>([\s\S]*?)<\/p:pic>/gi)) {
+    const picXml = picMatch[1];
+    const embedMatch = picXml.match(/r:embed="(rId\d+)"/);
+    const posMatch = picXml.match(/<a:off x="(\d+)" y="(\d+)"/);
+    const sizeMatch = picXml.match(/<a:ext cx="(\d+)" cy="(\d+)"/);
+    if (!embedMatch || !posMatch || !sizeMatch) continue;
+
+    const targetMatch = relsXml.match(new RegExp(`Id="${embedMatch[1]}"[^>]*Target="([^"]+)"`, 'i'));
+    if (!targetMatch) continue;
+
+    slide.pictures.push({
+      name: targetMatch[1].split('/').pop(),
+      x: emuToPixels(posMatch[1]),
+      y: emuToPixels(posMatch[2]),
+      width: emuToPixels(sizeMatch[1]),
+      height: emuToPixels(sizeMatch[2])
+    });
+  }
+
+  return slide;
+}
+
 /**
  * Extract all media assets (skip those already extracted from master/layouts)
  */
@@ -1027,6 +1085,9 @@ function finalizeAnalysis(analysis) {
   analysis.patterns.detectedGridValues = analysis.spacing.commonSpacings;
   analysis.patterns.gridBase = bestGrid;
 
+  // Zip order is slide1, slide10, slide2, ...
+  analysis.slides.sort((a, b) => a.number - b.number);
+
   // Calculate unique font sizes
   analysis.typography.fontSizes = [...new Set(analysis.typography.fontSizes)]
     .filter(s => s > 6 && s < 200)
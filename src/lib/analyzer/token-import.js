@@ -0,0 +1,507 @@
+// ============================================
+// TOKEN IMPORT - Design Tokens → Brand
+// Tokens Studio, Style Dictionary, Figma Variables und eigene Exporte
+// ============================================
+
+import { detectTokenFormat } from './tokens-analyzer.js';
+import { parseCssColor } from '../color.js';
+import {
+  defaultSemanticTokens,
+  defaultSpacingScale,
+  defaultRadiusScale,
+  defaultTypeScale,
+  listSemanticTokens
+} from '../tokens.js';
+
+/**
+ * Importiert eine Token-Datei als neue Marke
+ * @param {File} file - JSON-Datei mit Design Tokens
+ * @param {Object} options - { onWarning } für Werte, die nicht übernommen werden konnten
+ * @returns {Promise<Object>} Brand-Daten (ohne id) inkl. extensions-Bag
+ */
+export async function importTokensFile(file, options = {}) {
+  const text = await file.text();
+  let json;
+
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${file.name} ist keine gültige JSON-Datei`);
+  }
+
+  return tokensToBrand(json, file.name.replace(/\.json$/i, ''), options);
+}
+
+/**
+ * Mappt einen Token-Baum auf brand.colors, brand.fonts und brand.scales
+ * Nicht zuordenbare Tokens landen unverändert in brand.extensions.tokens,
+ * damit Export → Re-Import verlustfrei bleibt. Farben in rgb()/hsl()/oklch()
+ * werden in Hex umgerechnet; transparente oder unbekannte Farbwerte bleiben
+ * in den Extensions und werden über onWarning gemeldet
+ */
+export function tokensToBrand(json, fallbackName = 'Importierte Marke', { onWarning = () => {} } = {}) {
+  const format = detectTokenFormat(json);
+
+  if (format === 'brand-engine') {
+    return brandEngineTokensToBrand(json);
+  }
+
+  const tokens = format === 'figma-variables'
+    ? flattenFigmaVariables(json)
+    : flattenTokenTree(json);
+  resolveAliases(tokens);
+
+  const generated = isBrandEngineExport(json);
+  const keepPaths = new Set(json._meta?.extensions || []);
+
+  const brand = {
+    name: json._meta?.brand?.name || json.name || json.$metadata?.name || fallbackName,
+    colors: {},
+    fonts: {},
+    scales: {},
+    semantic: {},
+    themes: generated ? modesToThemes(json.modes) : {},
+    extensions: { format, tokens: {} }
+  };
+
+  for (const token of tokens) {
+    const pathKey = token.path.join('.');
+
+    // Mit der Marke exportierte Extensions immer zurück in den Bag
+    if (keepPaths.has(pathKey)) {
+      brand.extensions.tokens[pathKey] = token.raw;
+      continue;
+    }
+
+    if (mapToken(token, brand, onWarning)) continue;
+
+    // Generierte Gruppen unseres eigenen Exports (Skalen, Schatten, Modes) nicht doppeln
+    if (generated) continue;
+
+    brand.extensions.tokens[pathKey] = token.raw;
+  }
+
+  if (generated && json._meta?.scales) {
+    brand.scales = { ...json._meta.scales, ...brand.scales };
+  }
+
+  // Theme-Modes enthalten alle Farben – nur Abweichungen als Override behalten
+  for (const theme of Object.values(brand.themes)) {
+    theme.colors = Object.fromEntries(
+      Object.entries(theme.colors).filter(([key, value]) => value !== brand.colors[key])
+    );
+  }
+
+  if (generated) {
+    brand.voice = voiceFromMeta(json._meta.brand);
+  }
+
+  return brand;
+}
+
+// ============================================
+// FLATTEN - einheitliche Liste { path, value, type, raw }
+// ============================================
+
+/**
+ * W3C / Tokens Studio / Style Dictionary: verschachtelte Gruppen
+ * $type auf Gruppenebene wird vererbt
+ */
+function flattenTokenTree(json) {
+  const tokens = [];
+
+  const walk = (node, path, inheritedType) => {
+    for (const [key, value] of Object.entries(node)) {
+      if (key.startsWith('$') || key === '_meta' || !value || typeof value !== 'object') continue;
+      // Arrays sind keine Token-Gruppen
+      if (Array.isArray(value)) continue;
+
+      const currentPath = [...path, key];
+      const groupType = value.$type || inheritedType;
+
+      if (value.$value !== undefined || (value.value !== undefined && !hasNestedTokens(value))) {
+        const tokenValue = value.$value !== undefined ? value.$value : value.value;
+        tokens.push({
+          path: currentPath,
+          value: tokenValue,
+          type: value.$type || value.type || inheritedType,
+          description: value.$description || value.description || value.comment,
+          alias: value.$extensions?.['brand-engine']?.alias || value.reference || null,
+          raw: normalizeRawToken(value, inheritedType)
+        });
+      } else {
+        walk(value, currentPath, groupType);
+      }
+    }
+  };
+
+  walk(json, [], undefined);
+  return tokens;
+}
+
+function hasNestedTokens(node) {
+  return Object.values(node).some(value =>
+    value && typeof value === 'object' && (value.$value !== undefined || value.value !== undefined)
+  );
+}
+
+/**
+ * Speichert Tokens im W3C-Format ($value, $type, ...) – zusätzliche Felder bleiben erhalten
+ */
+function normalizeRawToken(token, inheritedType) {
+  const { value, type, description, $value, $type, $description, ...rest } = token;
+  const raw = { $value: $value !== undefined ? $value : value };
+  const resolvedType = $type || type || inheritedType;
+  if (resolvedType) raw.$type = resolvedType;
+  if ($description || description) raw.$description = $description || description;
+  return { ...raw, ...rest };
+}
+
+/**
+ * Figma Variables (REST-Export oder Plugin-Format mit valuesByMode)
+ */
+function flattenFigmaVariables(json) {
+  const variables = json.variables || json.collections?.flatMap(c => c.variables || []) || [];
+
+  return variables
+    .filter(variable => variable.name || variable.key)
+    .map(variable => {
+      const modeValues = variable.valuesByMode ? Object.values(variable.valuesByMode) : [];
+      let value = variable.value ?? variable.resolvedValue ?? modeValues[0];
+      const isColor = variable.resolvedType === 'COLOR' || variable.type === 'COLOR';
+      if (isColor && value && typeof value === 'object') {
+        value = figmaColorToHex(value);
+      }
+      const type = isColor ? 'color' : typeof value === 'number' ? 'dimension' : undefined;
+      return {
+        path: (variable.name || variable.key).split('/'),
+        value,
+        type,
+        description: variable.description,
+        alias: null,
+        raw: { $value: value, ...(type && { $type: type }), ...(variable.description && { $description: variable.description }) }
+      };
+    })
+    .filter(token => token.value !== undefined);
+}
+
+function figmaColorToHex({ r = 0, g = 0, b = 0 }) {
+  return '#' + [r, g, b]
+    .map(c => Math.round(c * 255).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Löst {alias}-Werte innerhalb der Datei auf (Tokens Studio nutzt sie häufig)
+ */
+function resolveAliases(tokens) {
+  const byPath = new Map(tokens.map(token => [token.path.join('.'), token]));
+
+  const resolve = (value, seen = []) => {
+    const match = typeof value === 'string' && /^\{([^{}]+)\}$/.exec(value.trim());
+    if (!match) return value;
+    const target = byPath.get(match[1]);
+    if (!target || seen.includes(match[1])) return value;
+    return resolve(target.value, [...seen, match[1]]);
+  };
+
+  for (const token of tokens) {
+    token.value = resolve(token.value);
+  }
+}
+
+// ============================================
+// MAPPING
+// ============================================
+
+const colorRoles = {
+  primary: ['primary', 'brand', 'main'],
+  secondary: ['secondary'],
+  accent: ['accent', 'highlight', 'tertiary'],
+  background: ['background', 'bg'],
+  text: ['text', 'foreground', 'fg']
+};
+
+const fontRoles = {
+  heading: ['heading', 'headline', 'display', 'title'],
+  body: ['body', 'text', 'paragraph', 'base']
+};
+
+// Set-Namen aus Tokens Studio, die vor jeder Gruppe stehen können
+const wrapperRoots = ['global', 'core', 'brand'];
+const colorRoots = ['color', 'colors', 'colour', 'colours', 'palette'];
+const fontRoots = ['font', 'fonts', 'fontfamily', 'fontfamilies', 'family', 'typography'];
+const spacingRoots = ['spacing', 'space', 'spacer', 'size', 'sizes'];
+const radiusRoots = ['borderradius', 'radius', 'radii', 'rounded'];
+const fontSizeRoots = ['fontsize', 'fontsizes'];
+const typeRoots = [...fontSizeRoots, 'typography', 'type', 'text'];
+const defaultSegments = ['default', '500', 'base', 'value'];
+const derivedColors = ['primarylight', 'primarydark', 'textmuted'];
+
+/**
+ * Ordnet einen Token einem Brand-Feld zu
+ * Rückgabe: true wenn zugeordnet
+ */
+function mapToken(token, brand, onWarning) {
+  const segments = token.path.map(normalizeSegment);
+
+  // Semantische Aliase aus eigenen Exporten (Figma: semantic.*, Style Dictionary: reference)
+  if (token.alias) {
+    const path = token.path.slice(1).join('.');
+    if (defaultSemanticTokens[path]) {
+      if (defaultSemanticTokens[path].value !== token.alias) {
+        brand.semantic[path] = token.alias;
+      }
+      return true;
+    }
+  }
+
+  if (isColorToken(token)) {
+    // Abgeleitete Varianten werden beim Export neu berechnet
+    if (derivedColors.includes(stripSegments(segments, colorRoots).join('.'))) return true;
+    const role = matchRole(segments, colorRoots, colorRoles);
+    if (role && !brand.colors[role]) {
+      // brand.colors erwartet deckende Hex-Werte
+      const color = parseCssColor(token.value?.hex ?? token.value);
+      const alpha = color && (token.value?.alpha ?? color.alpha);
+      if (!color || alpha < 1) {
+        onWarning(`${token.path.join('.')}: Farbwert ${JSON.stringify(token.value)} ${color ? 'ist transparent' : 'wird nicht unterstützt'} – nicht als ${role} übernommen, bleibt unter Extensions erhalten`);
+        return false;
+      }
+      brand.colors[role] = color.hex;
+      return true;
+    }
+    return false;
+  }
+
+  if (isFontToken(token, segments)) {
+    const role = matchRole(segments, fontRoots, fontRoles);
+    if (role && !brand.fonts[role]) {
+      brand.fonts[role] = toFontStack(token.value);
+      return true;
+    }
+    return false;
+  }
+
+  if (token.type === 'typography' && token.value && typeof token.value === 'object') {
+    const name = matchName(segments, typeRoots, Object.keys(defaultTypeScale));
+    const size = parseDimension(token.value.fontSize);
+    if (name && size) {
+      brand.scales.type = {
+        ...brand.scales.type,
+        [name]: {
+          ...defaultTypeScale[name],
+          size,
+          ...(parseFloat(token.value.lineHeight) && { lineHeight: parseFloat(token.value.lineHeight) }),
+          ...(parseFloat(token.value.fontWeight) && { weight: parseFloat(token.value.fontWeight) })
+        }
+      };
+      return true;
+    }
+    return false;
+  }
+
+  const dimension = parseDimension(token.value);
+  if (dimension === null) return false;
+
+  if (segments.some(s => radiusRoots.includes(s)) || token.type === 'borderRadius') {
+    const name = matchName(segments, radiusRoots, Object.keys(defaultRadiusScale));
+    if (name) {
+      brand.scales.borderRadius = { ...brand.scales.borderRadius, [name]: dimension };
+      return true;
+    }
+    return false;
+  }
+
+  if (segments.some(s => fontSizeRoots.includes(s)) || token.type === 'fontSizes' || token.type === 'fontSize') {
+    const name = matchName(segments, typeRoots, Object.keys(defaultTypeScale));
+    if (name) {
+      brand.scales.type = {
+        ...brand.scales.type,
+        [name]: { ...defaultTypeScale[name], ...brand.scales.type?.[name], size: dimension }
+      };
+      return true;
+    }
+    return false;
+  }
+
+  if (segments.some(s => spacingRoots.includes(s)) || token.type === 'spacing') {
+    const name = matchName(segments, spacingRoots, Object.keys(defaultSpacingScale));
+    if (name) {
+      brand.scales.spacing = { ...brand.scales.spacing, [name]: dimension };
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Entfernt Wurzel-Gruppen (color, global, ...) und Default-Suffixe (500, default)
+ * und prüft ob genau ein Rollenname übrig bleibt
+ */
+function matchRole(segments, roots, roles) {
+  const rest = stripSegments(segments, roots);
+  if (rest.length !== 1) return null;
+  return Object.keys(roles).find(role => roles[role].includes(rest[0])) || null;
+}
+
+function matchName(segments, roots, names) {
+  const rest = stripSegments(segments, roots);
+  if (rest.length !== 1) return null;
+  return names.find(name => normalizeSegment(name) === rest[0]) || null;
+}
+
+function stripSegments(segments, roots) {
+  let rest = [...segments];
+  while (rest.length > 1 && (wrapperRoots.includes(rest[0]) || roots.includes(rest[0]))) rest = rest.slice(1);
+  while (rest.length > 1 && defaultSegments.includes(rest[rest.length - 1])) rest = rest.slice(0, -1);
+  return rest;
+}
+
+function normalizeSegment(segment) {
+  return String(segment).toLowerCase().replace(/[-_\s]/g, '');
+}
+
+function isColorToken(token) {
+  return token.type === 'color' || (typeof token.value === 'string' && parseCssColor(token.value) !== null);
+}
+
+function isFontToken(token, segments) {
+  if (token.type === 'fontFamily' || token.type === 'fontFamilies') return true;
+  return typeof token.value === 'string'
+    && parseDimension(token.value) === null
+    && segments.some(s => ['font', 'fonts', 'fontfamily', 'fontfamilies', 'family'].includes(s));
+}
+
+/**
+ * "Inter" / ["Inter", "Arial"] → "'Inter', sans-serif" (Format von brand.fonts)
+ */
+function toFontStack(value) {
+  const families = Array.isArray(value) ? value : String(value).split(',');
+  const cleaned = families.map(f => f.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean);
+  if (cleaned.length === 1) cleaned.push('sans-serif');
+  return cleaned
+    .map(f => /^(serif|sans-serif|monospace|cursive|system-ui|-apple-system|BlinkMacSystemFont)$/.test(f) ? f : `'${f}'`)
+    .join(', ');
+}
+
+/**
+ * "16px" / "1rem" / 16 → 16 (px), sonst null
+ */
+function parseDimension(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'object' && value !== null && value.value !== undefined) {
+    return parseDimension(`${value.value}${value.unit || 'px'}`);
+  }
+  const match = /^(-?\d*\.?\d+)(px|rem|em|pt)?$/.exec(String(value).trim());
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  if (match[2] === 'rem' || match[2] === 'em') return number * 16;
+  if (match[2] === 'pt') return Math.round(number * 4 / 3);
+  return number;
+}
+
+// ============================================
+// EIGENE EXPORTE
+// ============================================
+
+function isBrandEngineExport(json) {
+  return typeof json._meta?.generator === 'string' && json._meta.generator.includes('Brand Engine');
+}
+
+function modesToThemes(modes = {}) {
+  const themes = {};
+  for (const [id, mode] of Object.entries(modes)) {
+    if (id === 'light') continue;
+    const colors = {};
+    for (const [key, token] of Object.entries(mode.color || {})) {
+      colors[key] = token.$value;
+    }
+    themes[id] = {
+      name: mode.$description || id,
+      colorScheme: mode.$extensions?.['brand-engine']?.colorScheme || 'light',
+      colors,
+      semantic: {}
+    };
+  }
+  return themes;
+}
+
+function voiceFromMeta(meta = {}) {
+  return {
+    tone: meta.tone || 'professional',
+    formality: meta.formality || 'sie',
+    tagline: meta.tagline || '',
+    dos: '',
+    donts: ''
+  };
+}
+
+/**
+ * tokens.json aus brandToTokens – direkte, verlustfreie Zuordnung
+ */
+function brandEngineTokensToBrand(json) {
+  const colorValue = (colors, key) => colors?.[key]?.value;
+  const baseColors = ['primary', 'secondary', 'accent', 'background', 'text'];
+
+  const colors = Object.fromEntries(baseColors.map(key => [key, colorValue(json.colors, key)]));
+
+  // Nur Aliase übernehmen, die vom Standard abweichen
+  const semantic = {};
+  for (const { path, token } of listSemanticTokens(json)) {
+    const reference = token.reference ?? token.value;
+    if (defaultSemanticTokens[path]?.value !== reference) {
+      semantic[path] = reference;
+    }
+  }
+
+  const themes = {};
+  for (const [id, theme] of Object.entries(json.themes || {})) {
+    const themeColors = {};
+    for (const key of baseColors) {
+      const value = colorValue(theme.colors, key);
+      if (value && value !== colors[key]) themeColors[key] = value;
+    }
+    const themeSemantic = {};
+    for (const { path, token } of listSemanticTokens(theme)) {
+      const reference = token.reference ?? token.value;
+      if ((semantic[path] ?? defaultSemanticTokens[path]?.value) !== reference) {
+        themeSemantic[path] = reference;
+      }
+    }
+    themes[id] = {
+      name: theme.name,
+      colorScheme: theme.colorScheme || 'light',
+      colors: themeColors,
+      semantic: themeSemantic
+    };
+  }
+
+  return {
+    name: json.meta.name,
+    colors,
+    fonts: {
+      heading: json.typography?.heading?.fontFamily,
+      body: json.typography?.body?.fontFamily
+    },
+    voice: {
+      tone: json.voice.tone,
+      formality: json.voice.formality,
+      tagline: json.voice.tagline || '',
+      dos: (json.voice.dos || []).join(', '),
+      donts: (json.voice.donts || []).join(', ')
+    },
+    logo: json.assets?.logo || null,
+    scales: {
+      spacing: json.spacing,
+      borderRadius: json.borderRadius,
+      type: json.typography?.scale
+    },
+    semantic,
+    themes,
+    extensions: { format: 'brand-engine', tokens: { ...json.extensions } }
+  };
+}
+
+export default tokensToBrand;
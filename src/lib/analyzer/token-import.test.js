@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { tokensToBrand } from './token-import.js';
+
+describe('tokensToBrand', () => {
+  it('übernimmt rgb-, hsl- und oklch-Farben als Hex', () => {
+    const brand = tokensToBrand({
+      color: {
+        primary: { $value: 'rgb(11, 95, 255)', $type: 'color' },
+        secondary: { $value: 'hsl(0 100% 50%)', $type: 'color' },
+        accent: { $value: 'oklch(0.5 0.1 200)', $type: 'color' }
+      }
+    });
+    expect(brand.colors).toMatchObject({ primary: '#0b5fff', secondary: '#ff0000' });
+    expect(brand.colors.accent).toMatch(/^#[0-9a-f]{6}$/);
+  });
+
+  it('behält transparente und unbekannte Farben in den Extensions und meldet sie', () => {
+    const warnings = [];
+    const brand = tokensToBrand({
+      color: {
+        primary: { $value: 'rgba(11, 95, 255, 0.4)', $type: 'color' },
+        accent: { $value: 'color-mix(in srgb, red, blue)', $type: 'color' }
+      }
+    }, 'Test', { onWarning: (message) => warnings.push(message) });
+
+    expect(brand.colors.primary).toBeUndefined();
+    expect(brand.colors.accent).toBeUndefined();
+    expect(Object.keys(brand.extensions.tokens)).toEqual(['color.primary', 'color.accent']);
+    expect(warnings).toHaveLength(2);
+    expect(warnings[0]).toMatch(/color\.primary.*transparent/);
+  });
+});
@@ -34,6 +34,7 @@ export async function analyzeTokens(file) {
 
   // Parse based on detected format
   switch (analysis.format) {
+    case 'brand-engine':
     case 'figma-tokens':
     case 'tokens-studio':
       parseTokensStudioFormat(json, analysis);
@@ -55,14 +56,19 @@ export async function analyzeTokens(file) {
 /**
  * Detect the token file format
  */
-function detectTokenFormat(json) {
+export function detectTokenFormat(json) {
+  // Own tokens.json export (brandToTokens)
+  if (json.meta && json.colors && json.typography && json.voice) {
+    return 'brand-engine';
+  }
+
   // Tokens Studio / Figma Tokens format
   if (json.$themes || json.$metadata || hasNestedTokenStructure(json)) {
     return 'tokens-studio';
   }
 
   // Figma Variables export
-  if (json.variables || json.variableCollections) {
+  if (json.variables || json.variableCollections || Array.isArray(json.collections)) {
     return 'figma-variables';
   }
 
@@ -209,7 +215,7 @@ function parseStyleDictionaryFormat(json, analysis) {
  * Parse Figma Variables export format
  */
 function parseFigmaVariablesFormat(json, analysis) {
-  const variables = json.variables || [];
+  const variables = json.variables || json.collections?.flatMap(c => c.variables || []) || [];
 
   for (const variable of variables) {
     const name = variable.name || variable.key;
@@ -0,0 +1,177 @@
+// ============================================
+// ASSET LIBRARY - Kategorien, Status, Volltextsuche
+// ============================================
+// Eine Bibliothek pro Marke für Logos, Varianten, Icons, Fotos,
+// Schriften und Patterns. Die Binärdaten liegen im Asset Store,
+// Bibliothekseinträge verweisen per Referenz darauf.
+import { isAssetRef, parseAssetRef } from './assetStore.js';
+
+export const ASSET_CATEGORIES = {
+  logo: { label: 'Logos', singular: 'Logo', accept: 'image/*' },
+  'logo-variant': { label: 'Logo-Varianten', singular: 'Logo-Variante', accept: 'image/*' },
+  icon: { label: 'Icons', singular: 'Icon', accept: 'image/*' },
+  photo: { label: 'Fotos', singular: 'Foto', accept: 'image/*' },
+  font: { label: 'Schriften', singular: 'Schrift', accept: '.woff,.woff2,.ttf,.otf' },
+  pattern: { label: 'Patterns', singular: 'Pattern', accept: 'image/*' }
+};
+
+export const ASSET_STATUS = {
+  draft: { label: 'Ungeprüft', description: 'Noch nicht freigegeben' },
+  approved: { label: 'Freigegeben', description: 'Darf verwendet werden' },
+  deprecated: { label: 'Veraltet', description: 'Nicht mehr verwenden – Nutzungen prüfen' }
+};
+
+export const USAGE_KINDS = {
+  campaign: 'Kampagne',
+  export: 'Export'
+};
+
+/**
+ * Neuer Bibliothekseintrag; die ID ist die des Asset-Store-Eintrags,
+ * dieselbe Datei landet also nicht zweimal in der Bibliothek
+ */
+export function createLibraryAsset(brandId, ref, data = {}) {
+  const now = new Date().toISOString();
+  const parsed = parseAssetRef(ref);
+  return {
+    id: parsed ? parsed.id : 'u' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    brand_id: brandId,
+    ref,
+    category: data.category || 'photo',
+    name: data.name || 'Unbenannt',
+    description: data.description || '',
+    tags: normalizeTags(data.tags),
+    status: data.status || 'approved',
+    mime_type: data.mimeType || null,
+    size: data.size || null,
+    created_at: now,
+    updated_at: now
+  };
+}
+
+/**
+ * "Logo, Dunkel ,logo" → ['logo', 'dunkel']
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+// ============================================
+// VOLLTEXTSUCHE
+// ============================================
+
+// Kleinschreibung, Umlaute und Akzente vereinheitlichen ("Größe" → "grosse")
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function tokenize(text) {
+  return normalizeText(text).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+// Gewichtung der Felder für das Ranking
+const SEARCH_FIELDS = [
+  { weight: 5, get: asset => asset.name },
+  { weight: 4, get: asset => asset.tags.join(' ') },
+  { weight: 2, get: asset => ASSET_CATEGORIES[asset.category]?.label + ' ' + ASSET_CATEGORIES[asset.category]?.singular },
+  { weight: 2, get: asset => ASSET_STATUS[asset.status]?.label },
+  { weight: 1, get: asset => asset.description },
+  { weight: 1, get: asset => asset.mime_type }
+];
+
+/**
+ * Durchsucht Bibliothekseinträge
+ * Alle Suchbegriffe müssen (als Wortanfang) vorkommen, Treffer im Namen
+ * und in Tags ranken höher. Filter: { category, status }
+ */
+export function searchAssets(assets, query = '', filters = {}) {
+  const terms = tokenize(query);
+
+  const results = [];
+  for (const asset of assets) {
+    if (filters.category && asset.category !== filters.category) continue;
+    if (filters.status && asset.status !== filters.status) continue;
+
+    if (terms.length === 0) {
+      results.push({ asset, score: 0 });
+      continue;
+    }
+
+    const fields = SEARCH_FIELDS.map(field => ({ weight: field.weight, words: tokenize(field.get(asset)) }));
+    let score = 0;
+    const matchesAll = terms.every(term => {
+      let best = 0;
+      for (const { weight, words } of fields) {
+        if (words.includes(term)) best = Math.max(best, weight * 2);
+        else if (words.some(word => word.startsWith(term))) best = Math.max(best, weight);
+      }
+      score += best;
+      return best > 0;
+    });
+
+    if (matchesAll) results.push({ asset, score });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || b.asset.updated_at.localeCompare(a.asset.updated_at))
+    .map(result => result.asset);
+}
+
+// ============================================
+// VERWENDUNG
+// ============================================
+
+/**
+ * Welche Marken-Felder verweisen aktuell auf das Asset?
+ * @returns {string[]} z.B. ['Haupt-Logo', 'Weiteres Logo „Negativ“']
+ */
+export function getBrandReferences(brand, asset) {
+  if (!brand || !isAssetRef(asset.ref)) return [];
+  const { id } = parseAssetRef(asset.ref);
+  const matches = (value) => isAssetRef(value) && parseAssetRef(value).id === id;
+
+  const references = [];
+  if (matches(brand.logo)) references.push('Haupt-Logo');
+  (brand.logos || []).forEach(logo => {
+    if (matches(logo.dataUrl)) references.push(`Weiteres Logo „${logo.name || 'Logo'}“`);
+  });
+  (brand.fonts?.additional || []).forEach(font => {
+    if (matches(font.dataUrl)) references.push(`Schrift „${font.name}“`);
+  });
+  return references;
+}
+
+/**
+ * Bibliothekseinträge für die Assets einer Marke, die noch nicht erfasst sind
+ * (Haupt-Logo, weitere Logos, Schriftdateien)
+ */
+export function collectBrandAssets(brand, existingIds) {
+  const candidates = [];
+  if (isAssetRef(brand.logo)) {
+    candidates.push({ ref: brand.logo, category: 'logo', name: `${brand.name} Logo`, tags: ['haupt-logo'] });
+  }
+  (brand.logos || []).forEach(logo => {
+    if (isAssetRef(logo.dataUrl)) {
+      candidates.push({ ref: logo.dataUrl, category: 'logo-variant', name: logo.name || 'Logo', description: logo.description });
+    }
+  });
+  (brand.fonts?.additional || []).forEach(font => {
+    if (isAssetRef(font.dataUrl)) {
+      candidates.push({ ref: font.dataUrl, category: 'font', name: font.name, description: font.usage });
+    }
+  });
+
+  const seen = new Set(existingIds);
+  return candidates
+    .filter(candidate => {
+      const { id } = parseAssetRef(candidate.ref);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .map(candidate => createLibraryAsset(brand.id, candidate.ref, candidate));
+}
@@ -0,0 +1,361 @@
+// ============================================
+// ASSET STORE - Binärdaten außerhalb von localStorage
+// ============================================
+// Logos, Schriftdateien und extrahierte Medien liegen lokal in IndexedDB
+// und online im Supabase-Storage-Bucket. Marken speichern nur Referenzen
+// der Form "asset:<id>#<sha256>@<brandId>" – gleiche Inhalte werden pro Marke
+// nur einmal abgelegt. Im Bucket liegen Dateien unter "<brandId>/<sha256>",
+// damit die Storage-Policies den Zugriff auf Mitglieder der Marke begrenzen.
+import { supabase } from './supabase';
+
+const DB_NAME = 'brand_engine_assets';
+const DB_VERSION = 1;
+const BLOB_STORE = 'blobs';   // sha256 -> { hash, blob, mimeType, size }
+const ASSET_STORE = 'assets'; // id -> { id, hash, name, mimeType, size, brandId, uploaded, created_at }
+
+export const ASSET_BUCKET = 'brand-assets';
+const REF_PREFIX = 'asset:';
+
+// Fallback ohne IndexedDB: nur im Speicher
+const memory = { blobs: new Map(), assets: new Map() };
+// Geladene Assets als Object-URLs (sha256 -> url) und laufende Ladevorgänge
+const objectUrls = new Map();
+const loading = new Map();
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(BLOB_STORE)) {
+          db.createObjectStore(BLOB_STORE, { keyPath: 'hash' });
+        }
+        if (!db.objectStoreNames.contains(ASSET_STORE)) {
+          const assets = db.createObjectStore(ASSET_STORE, { keyPath: 'id' });
+          assets.createIndex('hash', 'hash');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB not available, assets are kept in memory:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function run(storeName, mode, operation) {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+  }));
+}
+
+async function getRecord(storeName, key) {
+  const db = await openDb();
+  if (!db) return memory[storeName].get(key) || null;
+  return (await run(storeName, 'readonly', store => store.get(key))) || null;
+}
+
+async function putRecord(storeName, record) {
+  const db = await openDb();
+  if (!db) {
+    memory[storeName].set(storeName === BLOB_STORE ? record.hash : record.id, record);
+    return;
+  }
+  await run(storeName, 'readwrite', store => store.put(record));
+}
+
+async function getAllRecords(storeName) {
+  const db = await openDb();
+  if (!db) return [...memory[storeName].values()];
+  return run(storeName, 'readonly', store => store.getAll());
+}
+
+// ============================================
+// REFERENZEN
+// ============================================
+
+export function isAssetRef(value) {
+  return typeof value === 'string' && value.startsWith(REF_PREFIX);
+}
+
+export function isDataUrl(value) {
+  return typeof value === 'string' && value.startsWith('data:');
+}
+
+export function createAssetRef(id, hash, brandId = null) {
+  return `${REF_PREFIX}${id}#${hash}${brandId ? `@${brandId}` : ''}`;
+}
+
+/**
+ * "asset:<id>#<sha256>@<brandId>" → { id, hash, brandId }
+ * Ältere Referenzen ohne Marke liefern brandId null
+ */
+export function parseAssetRef(ref) {
+  if (!isAssetRef(ref)) return null;
+  const [id, rest = ''] = ref.slice(REF_PREFIX.length).split('#');
+  const at = rest.indexOf('@');
+  return at === -1
+    ? { id, hash: rest, brandId: null }
+    : { id, hash: rest.slice(0, at), brandId: rest.slice(at + 1) };
+}
+
+// Erster Pfadteil = Marke, daran hängen die Storage-Policies (siehe supabase-schema.sql)
+const storagePath = (brandId, hash) => `${brandId}/${hash}`;
+
+// ============================================
+// SPEICHERN
+// ============================================
+
+/**
+ * SHA-256 eines Blobs als Hex-String
+ */
+export async function hashBlob(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function dataUrlToBlob(dataUrl) {
+  const response = await fetch(dataUrl);
+  return response.blob();
+}
+
+export function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Legt eine Datei (Blob, File oder Data-URL) im Asset Store ab
+ * Gleicher Inhalt in derselben Marke ergibt dieselbe Referenz (Deduplizierung)
+ * @returns {Promise<string>} Referenz "asset:<id>#<sha256>"
+ */
+export async function storeAsset(source, { name = '', brandId = null } = {}) {
+  const blob = isDataUrl(source) ? await dataUrlToBlob(source) : source;
+  const hash = await hashBlob(blob);
+
+  if (!(await getRecord(BLOB_STORE, hash))) {
+    await putRecord(BLOB_STORE, {
+      hash,
+      blob,
+      mimeType: blob.type || 'application/octet-stream',
+      size: blob.size
+    });
+  }
+
+  const existing = (await findAssetsByHash(hash)).find(asset => asset.brandId === brandId);
+  const asset = existing || {
+    id: 'a' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+    hash,
+    name: name || source.name || '',
+    mimeType: blob.type || 'application/octet-stream',
+    size: blob.size,
+    brandId,
+    uploaded: false,
+    created_at: new Date().toISOString()
+  };
+  if (!existing) {
+    await putRecord(ASSET_STORE, asset);
+  }
+
+  // Upload im Hintergrund; ohne Verbindung holt uploadPendingAssets() das nach
+  uploadAsset(asset.id).catch(error => console.warn('Asset upload postponed:', error.message || error));
+
+  return createAssetRef(asset.id, hash, brandId);
+}
+
+async function findAssetsByHash(hash) {
+  const db = await openDb();
+  if (!db) return [...memory.assets.values()].filter(asset => asset.hash === hash);
+  return run(ASSET_STORE, 'readonly', store => store.index('hash').getAll(hash));
+}
+
+/**
+ * Metadaten eines Assets (Name, Typ, Größe) – null, wenn nur auf dem Server vorhanden
+ */
+export async function getAssetInfo(ref) {
+  const parsed = parseAssetRef(ref);
+  if (!parsed) return null;
+  return getRecord(ASSET_STORE, parsed.id);
+}
+
+// ============================================
+// SUPABASE STORAGE
+// ============================================
+
+// Ein Upload pro Marke und Inhalt; Assets ohne Marke bleiben lokal
+async function uploadAsset(id) {
+  if (!supabase) return;
+  const asset = await getRecord(ASSET_STORE, id);
+  if (!asset || asset.uploaded || !asset.brandId) return;
+  const record = await getRecord(BLOB_STORE, asset.hash);
+  if (!record) return;
+
+  const { error } = await supabase.storage
+    .from(ASSET_BUCKET)
+    .upload(storagePath(asset.brandId, asset.hash), record.blob, { contentType: record.mimeType });
+
+  // Inhaltsadressiert: existiert die Datei schon, ist sie identisch
+  if (error && !/already exists|Duplicate/i.test(error.message)) throw error;
+
+  await putRecord(ASSET_STORE, { ...asset, uploaded: true });
+}
+
+/**
+ * Lädt alle offline abgelegten Assets hoch (z.B. nach dem Reconnect)
+ */
+export async function uploadPendingAssets() {
+  if (!supabase) return;
+  const pending = (await getAllRecords(ASSET_STORE)).filter(asset => asset.brandId && !asset.uploaded);
+  for (const asset of pending) {
+    try {
+      await uploadAsset(asset.id);
+    } catch (error) {
+      console.warn('Asset upload failed:', error.message || error);
+      return;
+    }
+  }
+}
+
+// ============================================
+// LADEN (lazy)
+// ============================================
+
+/**
+ * Lädt die Binärdaten einer Referenz: IndexedDB, sonst Supabase Storage
+ * @returns {Promise<Blob|null>}
+ */
+export async function loadAssetBlob(ref) {
+  const parsed = parseAssetRef(ref);
+  if (!parsed) return null;
+
+  const cached = await getRecord(BLOB_STORE, parsed.hash);
+  if (cached) return cached.blob;
+  if (!supabase) return null;
+
+  const brandId = parsed.brandId || (await getRecord(ASSET_STORE, parsed.id))?.brandId;
+  if (!brandId) {
+    console.warn('Asset not available (no brand):', ref);
+    return null;
+  }
+
+  const { data: blob, error } = await supabase.storage
+    .from(ASSET_BUCKET)
+    .download(storagePath(brandId, parsed.hash));
+
+  if (error) {
+    console.warn('Asset not available:', ref, error.message);
+    return null;
+  }
+
+  await putRecord(BLOB_STORE, {
+    hash: parsed.hash,
+    blob,
+    mimeType: blob.type || 'application/octet-stream',
+    size: blob.size
+  });
+  return blob;
+}
+
+/**
+ * Object-URL für die Anzeige (einmal pro Inhalt geladen)
+ * Werte ohne Referenz (Data-URLs, externe URLs) werden unverändert zurückgegeben
+ */
+export async function getAssetUrl(value) {
+  if (!isAssetRef(value)) return value || null;
+  const { hash } = parseAssetRef(value);
+  if (objectUrls.has(hash)) return objectUrls.get(hash);
+
+  if (!loading.has(hash)) {
+    loading.set(hash, loadAssetBlob(value).then(blob => {
+      loading.delete(hash);
+      if (!blob) return null;
+      const url = URL.createObjectURL(blob);
+      objectUrls.set(hash, url);
+      return url;
+    }));
+  }
+  return loading.get(hash);
+}
+
+/**
+ * Bereits geladene Object-URL oder null (synchron, für den ersten Render)
+ */
+export function getCachedAssetUrl(value) {
+  if (!isAssetRef(value)) return value || null;
+  return objectUrls.get(parseAssetRef(value).hash) || null;
+}
+
+/**
+ * Referenz → Data-URL (für Exporte, die Bilder einbetten)
+ */
+export async function resolveAsset(value) {
+  if (!isAssetRef(value)) return value;
+  const blob = await loadAssetBlob(value);
+  return blob ? blobToDataUrl(blob) : null;
+}
+
+// ============================================
+// MARKEN
+// ============================================
+
+// Felder einer Marke, die Binärdaten enthalten können:
+// logo, logos[].dataUrl, fonts.additional[].dataUrl (Schriftdateien)
+async function mapBrandAssets(fields, transform) {
+  const result = { ...fields };
+
+  if (fields.logo) {
+    result.logo = await transform(fields.logo, 'Logo');
+  }
+  if (Array.isArray(fields.logos)) {
+    result.logos = await Promise.all(fields.logos.map(async logo => (
+      logo.dataUrl ? { ...logo, dataUrl: await transform(logo.dataUrl, logo.name) } : logo
+    )));
+  }
+  if (Array.isArray(fields.fonts?.additional)) {
+    result.fonts = {
+      ...fields.fonts,
+      additional: await Promise.all(fields.fonts.additional.map(async font => (
+        font.dataUrl ? { ...font, dataUrl: await transform(font.dataUrl, font.name) } : font
+      )))
+    };
+  }
+  return result;
+}
+
+/**
+ * Ersetzt eingebettete Data-URLs durch Asset-Referenzen
+ * (vor dem Speichern in localStorage / Supabase)
+ */
+export function externalizeBrandAssets(brandId, fields) {
+  return mapBrandAssets(fields, (value, name) => (
+    isDataUrl(value) ? storeAsset(value, { name, brandId }) : value
+  ));
+}
+
+/**
+ * Löst alle Asset-Referenzen einer Marke in Data-URLs auf (für Exporte)
+ */
+export function resolveBrandAssets(brand) {
+  return mapBrandAssets(brand, resolveAsset);
+}
+
+/**
+ * Enthält die Marke noch eingebettete Binärdaten (ältere Daten)?
+ */
+export function hasInlineAssets(brand) {
+  return isDataUrl(brand.logo) ||
+    (brand.logos || []).some(logo => isDataUrl(logo.dataUrl)) ||
+    (brand.fonts?.additional || []).some(font => isDataUrl(font.dataUrl));
+}
@@ -71,22 +71,19 @@ export function createCampaign(brand, data) {
 
 /**
  * Generiert alle Texte für eine Kampagne mit AI
+ * Alle aktiven Assets in einem Durchgang, Felder wie in defaultContent (content.js)
  */
-export async function generateCampaignContent(campaign, brand, apiKey = null) {
-  const texts = await generateCampaignTexts(brand, campaign.topic, apiKey);
+export async function generateCampaignContent(campaign, brand) {
+  const enabledIds = campaign.assets.filter(asset => asset.enabled).map(asset => asset.id);
+  const texts = await generateCampaignTexts(brand, campaign.topic, enabledIds);
   
   // Texte den Assets zuordnen
   const updatedAssets = campaign.assets.map(asset => {
     if (asset.enabled && texts[asset.id]) {
       return {
         ...asset,
-        generatedText: texts[asset.id],
-        content: {
-          fields: {
-            headline: { value: extractHeadline(texts[asset.id]) },
-            body: { value: texts[asset.id] }
-          }
-        }
+        generatedText: texts[asset.id].text,
+        content: texts[asset.id].content
       };
     }
     return asset;
@@ -99,17 +96,6 @@ export async function generateCampaignContent(campaign, brand, apiKey = null) {
   };
 }
 
-/**
- * Extrahiert die erste Zeile als Headline
- */
-function extractHeadline(text) {
-  if (!text) return '';
-  const lines = text.split('\n').filter(l => l.trim());
-  const firstLine = lines[0] || '';
-  // Nummerierung entfernen falls vorhanden
-  return firstLine.replace(/^\d+\.\s*/, '').substring(0, 80);
-}
-
 /**
  * Kampagnen-Status Management
  */
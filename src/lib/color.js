@@ -0,0 +1,469 @@
+// ============================================
+// COLOR - Gemeinsame Farbmathematik
+// ============================================
+// sRGB ↔ CIELAB / OKLab / OKLCH, Farbabstand nach CIEDE2000 und
+// wahrnehmungsgleichmäßige 50–900-Skalen. Alle Vergleiche von Farben
+// (Deduplizierung, Paletten-Abgleich, Compliance) laufen über dieses Modul.
+
+// CIEDE2000-Schwellen: bis 2.3 kaum wahrnehmbar, bis 5 "dieselbe Farbe"
+// aus unterschiedlichen Quellen (Theme vs. gerendertes PDF), bis 10 "nah dran"
+export const DELTA_E_JND = 2.3;
+export const DELTA_E_SAME = 5;
+export const DELTA_E_NEAR = 10;
+
+// ============================================
+// sRGB
+// ============================================
+
+/**
+ * "#0071e3" / "0071E3" → [0, 113, 227] ([0, 0, 0] bei ungültigen Werten)
+ */
+export function hexToRgb(hex) {
+  return parseHex(hex) || [0, 0, 0];
+}
+
+/**
+ * Wie hexToRgb, aber null bei ungültigen Werten
+ */
+export function parseHex(hex) {
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(String(hex || '').trim());
+  return result ? [
+    parseInt(result[1], 16),
+    parseInt(result[2], 16),
+    parseInt(result[3], 16)
+  ] : null;
+}
+
+export function rgbToHex(r, g, b) {
+  return '#' + [r, g, b].map(x => {
+    const hex = Math.max(0, Math.min(255, Math.round(x))).toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+  }).join('');
+}
+
+const toLinear = c => {
+  c /= 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+const fromLinear = c => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055);
+
+// ============================================
+// CIELAB (D65)
+// ============================================
+
+export function hexToLab(hex) {
+  const rgb = parseHex(hex);
+  if (!rgb) return null;
+
+  const [r, g, b] = rgb.map(toLinear);
+  const x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / 0.95047;
+  const y = r * 0.2126729 + g * 0.7151522 + b * 0.0721750;
+  const z = (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) / 1.08883;
+
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const [fx, fy, fz] = [f(x), f(y), f(z)];
+
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+// ============================================
+// CIEXYZ / CIELAB (D50, ICC-Verbindungsfarbraum)
+// ============================================
+
+// Weißpunkt D50 – Referenz aller Druck-Charakterisierungsdaten
+export const D50_WHITE = [0.9642, 1, 0.8249];
+
+/**
+ * sRGB → XYZ (D50, Bradford-adaptiert wie in ICC-Profilen)
+ */
+export function hexToXyzD50(hex) {
+  const rgb = parseHex(hex);
+  if (!rgb) return null;
+
+  const [r, g, b] = rgb.map(toLinear);
+  return [
+    r * 0.4360747 + g * 0.3850649 + b * 0.1430804,
+    r * 0.2225045 + g * 0.7168786 + b * 0.0606169,
+    r * 0.0139322 + g * 0.0971045 + b * 0.7141733
+  ];
+}
+
+export function xyzToLab([x, y, z], white = D50_WHITE) {
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const [fx, fy, fz] = [f(x / white[0]), f(y / white[1]), f(z / white[2])];
+  return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+}
+
+export function labToXyz({ L, a, b }, white = D50_WHITE) {
+  const fy = (L + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const f = t => (t ** 3 > 216 / 24389 ? t ** 3 : (116 * t - 16) / (24389 / 27));
+  return [f(fx) * white[0], f(fy) * white[1], f(fz) * white[2]];
+}
+
+// ============================================
+// OKLAB / OKLCH
+// ============================================
+
+export function hexToOklab(hex) {
+  const rgb = parseHex(hex);
+  if (!rgb) return null;
+
+  const [r, g, b] = rgb.map(toLinear);
+  const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+  const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+  const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+  return {
+    L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  };
+}
+
+// OKLab → lineares sRGB (ohne Clipping)
+function oklabToLinear({ L, a, b }) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+}
+
+export function oklabToHex(lab) {
+  return rgbToHex(...oklabToLinear(lab).map(fromLinear));
+}
+
+/**
+ * OKLCH: L 0–1, C (Chroma) ~0–0.4, h in Grad
+ */
+export function hexToOklch(hex) {
+  const lab = hexToOklab(hex);
+  if (!lab) return null;
+  const h = (Math.atan2(lab.b, lab.a) * 180 / Math.PI + 360) % 360;
+  return { L: lab.L, C: Math.hypot(lab.a, lab.b), h };
+}
+
+const EPSILON = 0.0001;
+const inGamut = rgb => rgb.every(c => c >= -EPSILON && c <= 1 + EPSILON);
+
+/**
+ * OKLCH → Hex; außerhalb von sRGB wird das Chroma reduziert (Helligkeit und
+ * Farbton bleiben erhalten), statt einzelne Kanäle abzuschneiden
+ */
+export function oklchToHex({ L, C, h }) {
+  const lightness = Math.max(0, Math.min(1, L));
+  const rad = h * Math.PI / 180;
+  const toLab = chroma => ({ L: lightness, a: chroma * Math.cos(rad), b: chroma * Math.sin(rad) });
+
+  if (inGamut(oklabToLinear(toLab(C)))) return oklabToHex(toLab(C));
+
+  let low = 0;
+  let high = C;
+  while (high - low > 0.0005) {
+    const mid = (low + high) / 2;
+    if (inGamut(oklabToLinear(toLab(mid)))) low = mid;
+    else high = mid;
+  }
+  return oklabToHex(toLab(low));
+}
+
+// ============================================
+// CSS-FARBWERTE
+// ============================================
+
+// "50%" → 0.5 * scale, "none" → 0; Winkel in deg, rad, grad oder turn
+function parseCssNumber(part, percentScale = 1) {
+  if (part === 'none') return 0;
+  const match = /^(-?\d*\.?\d+(?:e-?\d+)?)(%|deg|rad|grad|turn)?$/.exec(part);
+  if (!match) return NaN;
+  const number = parseFloat(match[1]);
+  switch (match[2]) {
+    case '%': return number / 100 * percentScale;
+    case 'rad': return number * 180 / Math.PI;
+    case 'grad': return number * 0.9;
+    case 'turn': return number * 360;
+    default: return number;
+  }
+}
+
+function hslToHex(h, s, l) {
+  const hue = ((h % 360) + 360) % 360;
+  const chroma = (1 - Math.abs(2 * l - 1)) * s;
+  const f = (n) => {
+    const k = (n + hue / 30) % 12;
+    return 255 * (l - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1)));
+  };
+  return rgbToHex(f(0), f(8), f(4));
+}
+
+/**
+ * CSS-Farbwert → { hex, alpha }
+ * Unterstützt Hex (3/4/6/8 Stellen), rgb()/rgba(), hsl()/hsla(), oklab() und oklch();
+ * Farben außerhalb von sRGB werden über OKLCH ins Gamut geholt
+ * @returns {{ hex: string, alpha: number } | null} null bei Farbnamen, var(), color-mix() …
+ */
+export function parseCssColor(value) {
+  const text = String(value ?? '').trim().toLowerCase();
+
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(text);
+  if (hex) {
+    const digits = hex[1].length <= 4 ? [...hex[1]].map(d => d + d).join('') : hex[1];
+    const alpha = digits.length === 8 ? parseInt(digits.slice(6), 16) / 255 : 1;
+    return { hex: '#' + digits.slice(0, 6), alpha: Math.round(alpha * 1000) / 1000 };
+  }
+
+  const fn = /^(rgba?|hsla?|oklab|oklch)\(([^()]*)\)$/.exec(text);
+  if (!fn) return null;
+  const parts = fn[2].trim().split(/\s*[,/]\s*|\s+/);
+  if (parts.length < 3 || parts.length > 4) return null;
+
+  const alpha = parts[3] === undefined ? 1 : parseCssNumber(parts[3]);
+  let result;
+  switch (fn[1]) {
+    case 'rgb':
+    case 'rgba': {
+      const channels = parts.slice(0, 3).map(part => parseCssNumber(part, 255));
+      if (channels.some(c => !Number.isFinite(c))) return null;
+      result = rgbToHex(...channels);
+      break;
+    }
+    case 'hsl':
+    case 'hsla': {
+      const [h, sat, light] = [parseCssNumber(parts[0]), ...parts.slice(1, 3).map(part => parseCssNumber(part.endsWith('%') ? part : `${part}%`))];
+      if (![h, sat, light].every(Number.isFinite)) return null;
+      result = hslToHex(h, Math.max(0, Math.min(1, sat)), Math.max(0, Math.min(1, light)));
+      break;
+    }
+    case 'oklab': {
+      const [L, a, b] = [parseCssNumber(parts[0]), parseCssNumber(parts[1], 0.4), parseCssNumber(parts[2], 0.4)];
+      if (![L, a, b].every(Number.isFinite)) return null;
+      result = oklchToHex({ L, C: Math.hypot(a, b), h: (Math.atan2(b, a) * 180 / Math.PI + 360) % 360 });
+      break;
+    }
+    case 'oklch': {
+      const [L, C, h] = [parseCssNumber(parts[0]), parseCssNumber(parts[1], 0.4), parseCssNumber(parts[2])];
+      if (![L, C, h].every(Number.isFinite)) return null;
+      result = oklchToHex({ L, C: Math.max(0, C), h });
+      break;
+    }
+  }
+
+  if (!Number.isFinite(alpha)) return null;
+  return { hex: result, alpha: Math.max(0, Math.min(1, alpha)) };
+}
+
+/**
+ * Farbton-Differenz in Grad (0–180)
+ */
+export function hueDifference(hex1, hex2) {
+  const diff = Math.abs(hexToOklch(hex1).h - hexToOklch(hex2).h);
+  return Math.min(diff, 360 - diff);
+}
+
+/**
+ * Unbunte Farbe (Grau, Schwarz, Weiß) – Farbton ist dann bedeutungslos
+ */
+export function isAchromatic(hex, threshold = 0.02) {
+  const lch = hexToOklch(hex);
+  return !lch || lch.C < threshold;
+}
+
+// ============================================
+// FARBABSTAND (CIEDE2000)
+// ============================================
+
+/**
+ * Farbabstand nach CIEDE2000 zwischen zwei Lab-Werten
+ */
+export function deltaE2000Lab(lab1, lab2) {
+  const rad = Math.PI / 180;
+  const C1 = Math.hypot(lab1.a, lab1.b);
+  const C2 = Math.hypot(lab2.a, lab2.b);
+  const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+  const a1 = lab1.a * (1 + G);
+  const a2 = lab2.a * (1 + G);
+  const C1p = Math.hypot(a1, lab1.b);
+  const C2p = Math.hypot(a2, lab2.b);
+  const hue = (b, a) => (b === 0 && a === 0 ? 0 : (Math.atan2(b, a) / rad + 360) % 360);
+  const h1p = hue(lab1.b, a1);
+  const h2p = hue(lab2.b, a2);
+
+  const dLp = lab2.L - lab1.L;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+
+  const Lbarp = (lab1.L + lab2.L) / 2;
+  const Cbarp = (C1p + C2p) / 2;
+  let hbarp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbarp /= 2;
+    else hbarp = h1p + h2p < 360 ? (hbarp + 360) / 2 : (hbarp - 360) / 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos((hbarp - 30) * rad)
+    + 0.24 * Math.cos(2 * hbarp * rad)
+    + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+    - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+  const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+  const Cbarp7 = Math.pow(Cbarp, 7);
+  const RC = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+  const SL = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+  const SC = 1 + 0.045 * Cbarp;
+  const SH = 1 + 0.015 * Cbarp * T;
+  const RT = -Math.sin(2 * dTheta * rad) * RC;
+
+  return Math.sqrt(
+    Math.pow(dLp / SL, 2) +
+    Math.pow(dCp / SC, 2) +
+    Math.pow(dHp / SH, 2) +
+    RT * (dCp / SC) * (dHp / SH)
+  );
+}
+
+/**
+ * Farbabstand nach CIEDE2000 (Infinity bei ungültigen Werten)
+ */
+export function deltaE2000(hex1, hex2) {
+  const lab1 = hexToLab(hex1);
+  const lab2 = hexToLab(hex2);
+  if (!lab1 || !lab2) return Infinity;
+  return deltaE2000Lab(lab1, lab2);
+}
+
+/**
+ * Nächstliegende Farbe einer Palette
+ * @param {string} hex
+ * @param {Array<string|{hex: string}>} palette
+ * @returns {{ color, deltaE: number } | null}
+ */
+export function findClosestColor(hex, palette) {
+  let best = null;
+  for (const color of palette) {
+    const deltaE = deltaE2000(hex, typeof color === 'string' ? color : color.hex);
+    if (!best || deltaE < best.deltaE) best = { color, deltaE };
+  }
+  return best;
+}
+
+/**
+ * Fasst wahrnehmbar gleiche Farben zusammen; jede Farbe landet beim
+ * nächstliegenden bereits übernommenen Eintrag (nicht beim ersten)
+ * @param {Array} colors - beliebige Objekte, Reihenfolge = Priorität
+ * @param {Object} options - { getHex, threshold, merge(kept, duplicate) }
+ * @returns {Array} Kopien der übernommenen Einträge
+ */
+export function dedupeColors(colors, { getHex = color => color.hex, threshold = DELTA_E_SAME, merge = () => {} } = {}) {
+  const unique = [];
+
+  for (const color of colors) {
+    // Ohne gültigen Hex-Wert nicht vergleichbar – bleibt unverändert erhalten
+    const hex = getHex(color);
+    if (!parseHex(hex)) {
+      unique.push({ ...color });
+      continue;
+    }
+
+    let closest = null;
+    let closestDelta = threshold;
+    for (const kept of unique) {
+      const deltaE = deltaE2000(getHex(kept), hex);
+      if (deltaE < closestDelta) {
+        closest = kept;
+        closestDelta = deltaE;
+      }
+    }
+
+    if (closest) merge(closest, color);
+    else unique.push({ ...color });
+  }
+
+  return unique;
+}
+
+// ============================================
+// SKALEN & ABSTUFUNGEN
+// ============================================
+
+export const SCALE_STEPS = [50, 100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+// Helligkeit (OKLCH L) der hellsten und dunkelsten Stufe
+const SCALE_LIGHTEST = 0.97;
+const SCALE_DARKEST = 0.25;
+
+/**
+ * Wahrnehmungsgleichmäßige 50–900-Skala in OKLCH
+ * 500 ist die Ausgangsfarbe; Tints und Shades liegen in gleichen
+ * Helligkeitsschritten, Farbton bleibt konstant, Chroma läuft zu den
+ * Enden hin aus (hellste Stufen sonst grell bzw. außerhalb von sRGB)
+ * @returns {Object} { 50: '#...', ..., 900: '#...' }
+ */
+export function generateColorScale(hex) {
+  const base = hexToOklch(hex);
+  const scale = {};
+  if (!base) return scale;
+
+  const lighter = [400, 300, 200, 100, 50];
+  const darker = [600, 700, 800, 900];
+  // Sehr helle / sehr dunkle Ausgangsfarben behalten trotzdem Abstufungen
+  const lightest = Math.max(SCALE_LIGHTEST, base.L + (1 - base.L) * 0.6);
+  const darkest = Math.min(SCALE_DARKEST, base.L * 0.6);
+
+  lighter.forEach((step, index) => {
+    const t = (index + 1) / lighter.length;
+    scale[step] = oklchToHex({
+      L: base.L + (lightest - base.L) * t,
+      C: base.C * (1 - 0.8 * t),
+      h: base.h
+    });
+  });
+
+  scale[500] = rgbToHex(...hexToRgb(hex));
+
+  darker.forEach((step, index) => {
+    const t = (index + 1) / darker.length;
+    scale[step] = oklchToHex({
+      L: base.L - (base.L - darkest) * t,
+      C: base.C * (1 - 0.3 * t),
+      h: base.h
+    });
+  });
+
+  return Object.fromEntries(SCALE_STEPS.map(step => [step, scale[step]]));
+}
+
+/**
+ * Mischt zwei Farben in OKLab (gleichmäßiger als sRGB, keine grauen Mitten)
+ */
+export function mixColors(hex1, hex2, amount) {
+  const a = hexToOklab(hex1) || hexToOklab('#000000');
+  const b = hexToOklab(hex2) || hexToOklab('#000000');
+  return oklabToHex({
+    L: a.L + (b.L - a.L) * amount,
+    a: a.a + (b.a - a.a) * amount,
+    b: a.b + (b.b - a.b) * amount
+  });
+}
+
+export function lightenColor(hex, amount) {
+  return mixColors(hex, '#ffffff', amount);
+}
+
+export function darkenColor(hex, amount) {
+  return mixColors(hex, '#000000', amount);
+}
@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest';
+import { parseCssColor, hexToOklab, hexToOklch } from './color.js';
+
+describe('parseCssColor', () => {
+  it('liest Hex mit 3, 4, 6 und 8 Stellen', () => {
+    expect(parseCssColor('#0AF')).toEqual({ hex: '#00aaff', alpha: 1 });
+    expect(parseCssColor('#0af8')).toEqual({ hex: '#00aaff', alpha: 0.533 });
+    expect(parseCssColor('#0B5FFF')).toEqual({ hex: '#0b5fff', alpha: 1 });
+    expect(parseCssColor('#0b5fff80')).toEqual({ hex: '#0b5fff', alpha: 0.502 });
+  });
+
+  it('rechnet rgb(), hsl(), oklab() und oklch() in Hex um', () => {
+    expect(parseCssColor('rgb(11, 95, 255)')).toEqual({ hex: '#0b5fff', alpha: 1 });
+    expect(parseCssColor('rgba(11, 95, 255, 0.5)')).toEqual({ hex: '#0b5fff', alpha: 0.5 });
+    expect(parseCssColor('rgb(100% 0% 0% / 50%)')).toEqual({ hex: '#ff0000', alpha: 0.5 });
+    expect(parseCssColor('hsl(0, 100%, 50%)').hex).toBe('#ff0000');
+    expect(parseCssColor('hsl(120deg 100% 25%)').hex).toBe('#008000');
+
+    const lab = hexToOklab('#0b5fff');
+    const lch = hexToOklch('#0b5fff');
+    expect(parseCssColor(`oklab(${lab.L} ${lab.a} ${lab.b})`).hex).toBe('#0b5fff');
+    expect(parseCssColor(`oklch(${lch.L * 100}% ${lch.C} ${lch.h}deg / 0.8)`)).toEqual({ hex: '#0b5fff', alpha: 0.8 });
+  });
+
+  it('holt Farben außerhalb von sRGB ins Gamut', () => {
+    const { hex } = parseCssColor('oklch(0.7 0.4 145)');
+    expect(hex).toMatch(/^#[0-9a-f]{6}$/);
+  });
+
+  it('liefert null für nicht unterstützte Werte', () => {
+    expect(parseCssColor('rebeccapurple')).toBeNull();
+    expect(parseCssColor('var(--brand)')).toBeNull();
+    expect(parseCssColor('color-mix(in srgb, red, blue)')).toBeNull();
+    expect(parseCssColor('rgb(1, 2)')).toBeNull();
+  });
+});
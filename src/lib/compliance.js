@@ -0,0 +1,498 @@
+// ============================================
+// COMPLIANCE CHECKER - Creatives gegen Markenregeln prüfen
+// ============================================
+// Hochgeladene PPTX-, PDF- und Bilddateien werden mit denselben Analyzern
+// wie beim Regel-Lernen ausgewertet und gegen die Regeln der Marke geprüft:
+// Farben (Delta E), Schriften, Schriftgrößen und Logo-Einsatz – jeweils
+// mit Fundstelle (Folie / Seite).
+import { hashBlob, dataUrlToBlob, parseAssetRef, isDataUrl } from './assetStore.js';
+import { parseHex, hexToLab, findClosestColor, DELTA_E_JND, DELTA_E_NEAR } from './color.js';
+
+// Abweichung des Seitenverhältnisses, ab der ein Logo als verzerrt gilt
+const DISTORTION_TOLERANCE = 0.03;
+// Schriftgrößen gelten bis 0.5pt Abweichung als Teil der Skala
+const SIZE_TOLERANCE = 0.5;
+
+export const SEVERITY = {
+  error: { label: 'Verstoß', weight: 15 },
+  warning: { label: 'Warnung', weight: 5 },
+  info: { label: 'Hinweis', weight: 0 }
+};
+
+export const CHECK_CATEGORIES = {
+  color: 'Farben',
+  typography: 'Typografie',
+  logo: 'Logo'
+};
+
+export const POSITION_LABELS = {
+  'top-left': 'oben links',
+  'top-right': 'oben rechts',
+  'bottom-left': 'unten links',
+  'bottom-right': 'unten rechts',
+  'center': 'zentriert'
+};
+
+// ============================================
+// FARBEN
+// ============================================
+
+// Fast Schwarz/Weiß wird nicht geprüft (Text, Flächen)
+function isNeutralExtreme(hex) {
+  const lab = hexToLab(hex);
+  return !lab || ((lab.L < 12 || lab.L > 95) && Math.hypot(lab.a, lab.b) < 8);
+}
+
+// ============================================
+// SCHRIFTNAMEN
+// ============================================
+
+const WEIGHT_SUFFIXES = /(thin|hairline|extralight|ultralight|light|book|regular|normal|roman|medium|semibold|demibold|extrabold|ultrabold|bold|heavy|black|italic|oblique|condensed|mt|ps)$/;
+
+/**
+ * "ABCDEF+HelveticaNeue-BoldItalic" / "'Helvetica Neue', sans-serif" → "helveticaneue"
+ */
+export function normalizeFontName(name) {
+  let key = String(name || '')
+    .split(',')[0]
+    .replace(/['"]/g, '')
+    .replace(/^[A-Z]{6}\+/, '')
+    .split('-')[0]
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+  // Schnitt-Angaben am Ende entfernen ("OpenSansSemiBold" → "opensans")
+  let previous;
+  do {
+    previous = key;
+    const stripped = key.replace(WEIGHT_SUFFIXES, '');
+    if (stripped.length >= 3) key = stripped;
+  } while (key !== previous);
+
+  return key;
+}
+
+// ============================================
+// MARKENSTANDARDS
+// ============================================
+
+const BRAND_COLOR_LABELS = {
+  primary: 'Primärfarbe',
+  secondary: 'Sekundärfarbe',
+  accent: 'Akzentfarbe',
+  background: 'Hintergrund',
+  text: 'Textfarbe'
+};
+
+/**
+ * Sammelt, wogegen geprüft wird: bestätigte Regeln + Marken-Tokens + Logos der Bibliothek
+ * Unbestätigte (nur vorgeschlagene) Regeln gelten noch nicht als Standard
+ * @returns {{ palette, fonts, fontSizes, logoPosition, logos }}
+ */
+export function getBrandStandards(brand, rules = [], libraryAssets = []) {
+  const palette = [];
+  const addColor = (hex, name) => {
+    if (!parseHex(hex)) return;
+    const value = (hex.startsWith('#') ? hex : '#' + hex).toLowerCase();
+    if (!palette.some(color => color.hex === value)) palette.push({ hex: value, name });
+  };
+
+  const fonts = [];
+  const addFont = (name, usage) => {
+    const key = normalizeFontName(name);
+    if (key && !fonts.some(font => font.key === key)) {
+      fonts.push({ key, name: String(name).split(',')[0].replace(/['"]/g, '').trim(), usage });
+    }
+  };
+
+  let fontSizes = [];
+  let logoPosition = null;
+
+  for (const rule of rules.filter(rule => rule.confirmed)) {
+    const value = rule.value || {};
+    if (rule.category === 'color' && value.color) addColor(value.color, rule.name);
+    if (rule.category === 'typography' && value.fontFamily) addFont(value.fontFamily, rule.name);
+    if (rule.category === 'typography' && Array.isArray(value.scale)) fontSizes = value.scale;
+    if (rule.category === 'component' && value.position && POSITION_LABELS[value.position]) {
+      logoPosition = value.position;
+    }
+  }
+
+  if (brand) {
+    Object.entries(BRAND_COLOR_LABELS).forEach(([key, label]) => addColor(brand.colors?.[key], label));
+    (brand.colors?.palette || []).forEach(color => (
+      addColor(typeof color === 'string' ? color : color.value || color.hex, color.name || 'Palette')
+    ));
+    addFont(brand.fonts?.heading, 'Headline');
+    addFont(brand.fonts?.body, 'Fließtext');
+    (brand.fonts?.additional || []).forEach(font => addFont(font.name, font.usage || 'Weitere Schrift'));
+  }
+
+  const logos = libraryAssets
+    .filter(asset => ['logo', 'logo-variant'].includes(asset.category) && parseAssetRef(asset.ref))
+    .map(asset => ({ hash: parseAssetRef(asset.ref).hash, name: asset.name, status: asset.status }));
+
+  return { palette, fonts, fontSizes, logoPosition, logos };
+}
+
+// ============================================
+// FUNDSTELLEN
+// ============================================
+
+// Map value -> Fundstellen (Reihenfolge bleibt erhalten)
+function addOccurrence(map, value, location) {
+  if (!map.has(value)) map.set(value, []);
+  const locations = map.get(value);
+  if (!locations.includes(location)) locations.push(location);
+}
+
+// Einheitliche Sicht auf die Analyzer-Ergebnisse: Farben, Schriften und Größen je Fundstelle
+function collectUsage(analysis) {
+  const colors = new Map();
+  const fonts = new Map();
+  const sizes = new Map();
+
+  if (analysis.type === 'pptx' || analysis.type === 'potx') {
+    (analysis.theme?.colors || []).forEach(color => addOccurrence(colors, color.value, 'Theme'));
+    [analysis.theme?.fonts?.major, analysis.theme?.fonts?.minor]
+      .filter(Boolean)
+      .forEach(font => addOccurrence(fonts, font, 'Theme'));
+    (analysis.slides || []).forEach(slide => {
+      const location = `Folie ${slide.number}`;
+      Object.keys(slide.colors).forEach(hex => addOccurrence(colors, hex, location));
+      slide.fonts.forEach(font => addOccurrence(fonts, font, location));
+      slide.fontSizes.forEach(size => addOccurrence(sizes, size, location));
+    });
+  } else if (analysis.type === 'pdf') {
+    (analysis.pages || []).forEach(page => {
+      const location = `Seite ${page.number}`;
+      page.colors.forEach(color => addOccurrence(colors, color.hex, location));
+      page.fonts.forEach(font => addOccurrence(fonts, font, location));
+      page.fontSizes.forEach(size => addOccurrence(sizes, size, location));
+    });
+  } else if (analysis.type === 'image') {
+    (analysis.colors?.palette || []).forEach(color => addOccurrence(colors, color.hex, 'Bild'));
+  }
+
+  return { colors, fonts, sizes };
+}
+
+function getPositionCategory(x, y, slideSize) {
+  const { width, height } = slideSize;
+  if (x < width * 0.3 && y < height * 0.3) return 'top-left';
+  if (x > width * 0.5 && y < height * 0.3) return 'top-right';
+  if (x < width * 0.3 && y > height * 0.7) return 'bottom-left';
+  if (x > width * 0.5 && y > height * 0.7) return 'bottom-right';
+  return 'center';
+}
+
+// ============================================
+// PRÜFUNGEN
+// ============================================
+
+function checkColors(colors, standards, issues) {
+  if (colors.size === 0) return 0;
+  if (standards.palette.length === 0) {
+    issues.push({
+      severity: 'info',
+      category: 'color',
+      title: 'Keine Farbregeln',
+      detail: 'Die Marke hat keine Farben – Farbprüfung übersprungen.',
+      locations: []
+    });
+    return 0;
+  }
+
+  let checked = 0;
+  for (const [hex, locations] of colors) {
+    if (isNeutralExtreme(hex)) continue;
+    checked++;
+
+    const { color, deltaE } = findClosestColor(hex, standards.palette);
+    if (deltaE <= DELTA_E_JND) continue;
+
+    const rounded = Math.round(deltaE * 10) / 10;
+    issues.push(deltaE <= DELTA_E_NEAR ? {
+      severity: 'warning',
+      category: 'color',
+      title: `${hex} weicht von ${color.name} ab`,
+      detail: `ΔE ${rounded} zu ${color.hex} – vermutlich ungenauer Farbwert.`,
+      value: hex,
+      expected: color.hex,
+      deltaE: rounded,
+      locations
+    } : {
+      severity: 'error',
+      category: 'color',
+      title: `${hex} ist keine Markenfarbe`,
+      detail: `Nächste Markenfarbe: ${color.name} ${color.hex} (ΔE ${rounded}).`,
+      value: hex,
+      expected: color.hex,
+      deltaE: rounded,
+      locations
+    });
+  }
+  return checked;
+}
+
+function checkFonts(fonts, standards, issues) {
+  if (fonts.size === 0) return 0;
+  if (standards.fonts.length === 0) {
+    issues.push({
+      severity: 'info',
+      category: 'typography',
+      title: 'Keine Schriftregeln',
+      detail: 'Die Marke hat keine Schriften – Schriftprüfung übersprungen.',
+      locations: []
+    });
+    return 0;
+  }
+
+  const approved = new Set(standards.fonts.map(font => font.key));
+  for (const [font, locations] of fonts) {
+    if (approved.has(normalizeFontName(font))) continue;
+    issues.push({
+      severity: 'error',
+      category: 'typography',
+      title: `Schrift „${font}“ ist nicht freigegeben`,
+      detail: `Freigegeben: ${standards.fonts.map(f => f.name).join(', ')}.`,
+      value: font,
+      locations
+    });
+  }
+  return fonts.size;
+}
+
+function checkFontSizes(sizes, standards, issues) {
+  const scale = standards.fontSizes;
+  if (sizes.size === 0 || scale.length === 0) return;
+
+  const smallest = Math.min(...scale);
+  const offScale = [];
+
+  for (const [size, locations] of [...sizes].sort((a, b) => a[0] - b[0])) {
+    if (size < smallest - SIZE_TOLERANCE) {
+      issues.push({
+        severity: 'warning',
+        category: 'typography',
+        title: `Schriftgröße ${size}pt unter Minimum`,
+        detail: `Kleinste Größe der Marke: ${smallest}pt.`,
+        value: size,
+        expected: smallest,
+        locations
+      });
+    } else if (!scale.some(step => Math.abs(step - size) <= SIZE_TOLERANCE)) {
+      offScale.push([size, locations]);
+    }
+  }
+
+  // Größen außerhalb der Skala als ein Hinweis zusammenfassen
+  if (offScale.length > 0) {
+    issues.push({
+      severity: 'info',
+      category: 'typography',
+      title: `${offScale.length} Schriftgröße${offScale.length > 1 ? 'n' : ''} außerhalb der Skala`,
+      detail: `${offScale.map(([size]) => `${size}pt`).join(', ')} – Skala: ${scale.join(', ')}pt.`,
+      locations: [...new Set(offScale.flatMap(([, locations]) => locations))]
+    });
+  }
+}
+
+async function hashLogo(data) {
+  try {
+    const blob = isDataUrl(data) ? await dataUrlToBlob(data) : data;
+    return blob ? await hashBlob(blob) : null;
+  } catch (error) {
+    console.warn('Could not hash logo:', error);
+    return null;
+  }
+}
+
+// Logo-Kandidaten der Datei: Logos aus PPTX oder das Bild selbst
+async function checkLogos(analysis, standards, issues, file) {
+  const candidates = analysis.type === 'image'
+    ? (analysis.properties?.isLikelyLogo && file ? [{ name: analysis.source, data: file, dimensions: analysis.dimensions }] : [])
+    : (analysis.extractedAssets?.logos || []);
+  if (candidates.length === 0) return 0;
+
+  // Bibliothek: veraltete und unbekannte Logos
+  if (standards.logos.length > 0) {
+    for (const logo of candidates) {
+      const hash = await hashLogo(logo.data);
+      if (!hash) continue;
+      const known = standards.logos.find(entry => entry.hash === hash);
+      if (known?.status === 'deprecated') {
+        issues.push({
+          severity: 'error',
+          category: 'logo',
+          title: `Veraltetes Logo „${known.name}“`,
+          detail: `${logo.name} ist in der Bibliothek als veraltet markiert.`,
+          value: logo.name,
+          locations: logoLocations(analysis, logo.name)
+        });
+      } else if (!known && (logo.source === 'slideMaster' || logo.source === 'slideLayout' || /logo/i.test(logo.name))) {
+        issues.push({
+          severity: 'info',
+          category: 'logo',
+          title: `${logo.name} ist kein Logo aus der Bibliothek`,
+          detail: 'Datei weicht von allen Logos der Bibliothek ab – Version prüfen.',
+          value: logo.name,
+          locations: logoLocations(analysis, logo.name)
+        });
+      }
+    }
+  }
+
+  if (analysis.type !== 'pptx' && analysis.type !== 'potx') return candidates.length;
+
+  const slideSize = analysis.layouts?.slideSize;
+  const logosByName = new Map(candidates.map(logo => [logo.name, logo]));
+  const misplaced = new Map();
+  const distorted = new Map();
+
+  // Platzierungen auf Folienmaster und Layouts
+  for (const placement of analysis.layouts?.logoPositions || []) {
+    if (standards.logoPosition && placement.source && placement.position !== standards.logoPosition) {
+      addOccurrence(misplaced, `${placement.name}|${placement.position}`, placement.source === 'master' ? 'Folienmaster' : 'Layout');
+    }
+  }
+
+  // Platzierungen auf den Folien
+  for (const slide of analysis.slides || []) {
+    for (const picture of slide.pictures) {
+      const logo = logosByName.get(picture.name);
+      if (!logo) continue;
+      const location = `Folie ${slide.number}`;
+
+      if (standards.logoPosition && slideSize?.width > 0) {
+        const position = getPositionCategory(picture.x, picture.y, slideSize);
+        if (position !== standards.logoPosition) {
+          addOccurrence(misplaced, `${picture.name}|${position}`, location);
+        }
+      }
+
+      // SVG ohne Maße (100x100) und EMF/WMF (0x0) lassen sich nicht vergleichen
+      const { width = 0, height = 0 } = logo.dimensions || {};
+      const hasNaturalSize = width > 0 && height > 0 && !(logo.isVector && width === 100 && height === 100);
+      if (hasNaturalSize && picture.width > 0 && picture.height > 0) {
+        const distortion = Math.abs((picture.width / picture.height) / (width / height) - 1);
+        if (distortion > DISTORTION_TOLERANCE) {
+          addOccurrence(distorted, `${picture.name}|${Math.round(distortion * 100)}`, location);
+        }
+      }
+    }
+  }
+
+  for (const [key, locations] of misplaced) {
+    const [name, position] = key.split('|');
+    issues.push({
+      severity: 'warning',
+      category: 'logo',
+      title: `Logo ${POSITION_LABELS[position]} statt ${POSITION_LABELS[standards.logoPosition]}`,
+      detail: `${name} steht nicht an der festgelegten Logo-Position.`,
+      value: position,
+      expected: standards.logoPosition,
+      locations
+    });
+  }
+
+  for (const [key, locations] of distorted) {
+    const [name, percent] = key.split('|');
+    issues.push({
+      severity: 'error',
+      category: 'logo',
+      title: `Logo verzerrt (${percent} %)`,
+      detail: `${name} ist nicht proportional skaliert.`,
+      value: name,
+      locations
+    });
+  }
+
+  return candidates.length;
+}
+
+// Wo kommt ein Logo vor? (nur PPTX kennt Fundstellen)
+function logoLocations(analysis, name) {
+  const locations = [];
+  (analysis.layouts?.logoPositions || []).forEach(placement => {
+    if (placement.name === name && placement.source) {
+      const location = placement.source === 'master' ? 'Folienmaster' : 'Layout';
+      if (!locations.includes(location)) locations.push(location);
+    }
+  });
+  (analysis.slides || []).forEach(slide => {
+    if (slide.pictures.some(picture => picture.name === name)) locations.push(`Folie ${slide.number}`);
+  });
+  return locations.length > 0 || analysis.type !== 'image' ? locations : ['Bild'];
+}
+
+// ============================================
+// BERICHT
+// ============================================
+
+const SEVERITY_ORDER = ['error', 'warning', 'info'];
+
+/**
+ * Prüft ein Analyzer-Ergebnis gegen die Markenstandards
+ * @param {Object} analysis - Ergebnis von analyzePptx / analyzePdf / analyzeImage
+ * @param {Object} standards - getBrandStandards()
+ * @param {Object} options - { file } Originaldatei (Logo-Abgleich bei Bildern)
+ * @returns {Promise<Object>} Bericht { source, type, score, issues, summary, checked }
+ */
+export async function checkCompliance(analysis, standards, { file = null } = {}) {
+  const issues = [];
+  const { colors, fonts, sizes } = collectUsage(analysis);
+
+  const checked = {
+    colors: checkColors(colors, standards, issues),
+    fonts: checkFonts(fonts, standards, issues),
+    logos: await checkLogos(analysis, standards, issues, file)
+  };
+  checkFontSizes(sizes, standards, issues);
+
+  issues.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+  issues.forEach((issue, index) => { issue.id = `${issue.category}-${index}`; });
+
+  const summary = {
+    errors: issues.filter(i => i.severity === 'error').length,
+    warnings: issues.filter(i => i.severity === 'warning').length,
+    infos: issues.filter(i => i.severity === 'info').length
+  };
+  const penalty = issues.reduce((sum, issue) => sum + SEVERITY[issue.severity].weight, 0);
+
+  return {
+    source: analysis.source,
+    type: analysis.type,
+    locationCount: analysis.slideCount || analysis.pageCount || 1,
+    score: Math.max(0, 100 - penalty),
+    issues,
+    summary,
+    checked
+  };
+}
+
+/**
+ * Analysiert eine Datei (PPTX, PDF, Bild) und prüft sie
+ * PDFs werden vollständig ausgewertet (max. 50 Seiten)
+ */
+export async function checkFileCompliance(file, standards) {
+  const ext = file.name.split('.').pop().toLowerCase();
+  let analysis;
+
+  if (ext === 'pptx' || ext === 'potx') {
+    const { analyzePptx } = await import('./analyzer/pptx-analyzer.js');
+    analysis = await analyzePptx(file);
+  } else if (ext === 'pdf') {
+    const { analyzePdf } = await import('./analyzer/pdf-analyzer.js');
+    analysis = await analyzePdf(file, { maxPages: 50 });
+  } else if (['png', 'jpg', 'jpeg', 'gif', 'svg', 'webp'].includes(ext)) {
+    const { analyzeImage } = await import('./analyzer/image-analyzer.js');
+    analysis = await analyzeImage(file);
+  } else {
+    throw new Error(`${file.name}: Dateityp wird nicht unterstützt (PPTX, PDF oder Bild)`);
+  }
+
+  return checkCompliance(analysis, standards, { file });
+}
+
+export default { getBrandStandards, checkCompliance, checkFileCompliance };
@@ -0,0 +1,416 @@
+// ============================================
+// CONTENT SCHEMAS - Strukturierte AI-Antworten
+// ============================================
+// Je Asset-Typ ein JSON-Schema (Teilmenge von JSON Schema: type, properties,
+// required, items, minItems, maxItems, minLength, maxLength, enum), dem die
+// Antwort von /api/generate-content folgen muss. Die Datei wird vom Endpoint
+// (Validierung + Reparatur-Runde) und vom Client (Anzeige) gemeinsam genutzt
+// und darf deshalb keine Browser-APIs verwenden.
+//
+// mapStructuredContent bildet die validierten Daten auf die Felder aus
+// defaultContent (content.js) und für Präsentationen auf content.slides
+// (generatePptx) ab. Kampagnen fassen mehrere Schemas in einem Objekt
+// zusammen (campaignSchema), damit alle Kanäle in einer Antwort entstehen.
+
+import { defaultContent } from './content.js';
+
+// Zeichenlimit eines Felds aus defaultContent
+const limit = (assetType, field) => defaultContent[assetType].fields[field].maxLength;
+
+const text = (description, maxLength) => ({
+  type: 'string',
+  minLength: 1,
+  description,
+  ...(maxLength ? { maxLength } : {})
+});
+
+const object = (properties, required = Object.keys(properties)) => ({
+  type: 'object',
+  properties,
+  required
+});
+
+const list = (items, minItems, maxItems) => ({ type: 'array', items, minItems, maxItems });
+
+// Folien-Layouts, die generatePptx rendert (Titelfolie kommt aus title/subtitle)
+const SLIDE_LAYOUTS = ['bullets', 'twoColumn', 'closing'];
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+export const contentSchemas = {
+  website: object({
+    hero: object({
+      headline: text('max. 8 Wörter, kraftvoll', limit('website', 'headline')),
+      subline: text('1-2 Sätze', limit('website', 'subline')),
+      cta: text('Button-Text, 2-4 Wörter', limit('website', 'cta'))
+    }),
+    features: list(object({
+      title: text('3-5 Wörter'),
+      description: text('2-3 Sätze')
+    }), 3, 3),
+    about: object({
+      title: text('Überschrift'),
+      text: text('3-4 Sätze')
+    }),
+    cta: object({
+      headline: text('Überschrift'),
+      text: text('1-2 Sätze'),
+      button: text('Button-Text', limit('website', 'cta'))
+    }),
+    footer: text('Unternehmensbeschreibung in einem Satz')
+  }),
+
+  flyer: object({
+    headline: text('max. 6 Wörter, Aufmerksamkeit erregend', limit('flyer', 'headline')),
+    subline: text('max. 15 Wörter'),
+    eyecatcher: text('kurzer Satz oder Phrase'),
+    intro: text('Einleitung, 1-2 Sätze', limit('flyer', 'description')),
+    benefits: list(text('1 Satz'), 3, 4),
+    details: text('Datum, Ort oder Fakten aus dem Briefing', limit('flyer', 'details')),
+    cta: text('Handlungsaufforderung, 2-4 Wörter', limit('flyer', 'cta')),
+    contact: text('Kontakt-Aufforderung, 1 Satz'),
+    claim: text('Slogan/Claim')
+  }),
+
+  social: object({
+    posts: list(object({
+      angle: {
+        type: 'string',
+        enum: ['informativ', 'emotional', 'frage', 'angebot', 'behind-the-scenes'],
+        description: 'Ausrichtung des Posts'
+      },
+      hook: text('erster Satz, Aufmerksamkeit', limit('social', 'headline')),
+      text: text('2-4 Sätze', limit('social', 'body')),
+      cta: text('Call-to-Action', limit('social', 'cta')),
+      hashtags: list({ type: 'string', minLength: 2, description: 'mit #' }, 5, 7),
+      imageIdea: text('kurze Beschreibung für ein passendes Visual')
+    }), 1, 5)
+  }),
+
+  email: object({
+    subject: text('zum Öffnen animierend, möglichst unter 50 Zeichen', limit('email', 'subject')),
+    preheader: text('ergänzt den Betreff', limit('email', 'preheader')),
+    greeting: text('Anrede', limit('email', 'greeting')),
+    intro: text('Einleitung, 2-3 Sätze'),
+    sections: list(object({
+      title: text('Zwischenüberschrift'),
+      text: text('2-4 Sätze')
+    }), 1, 3),
+    cta: text('Button-Text', limit('email', 'cta')),
+    closing: text('Abschluss und Gruß'),
+    ps: text('P.S., verstärkt den CTA')
+  }, ['subject', 'preheader', 'greeting', 'intro', 'sections', 'cta', 'closing']),
+
+  presentation: object({
+    title: text('Präsentationstitel', limit('presentation', 'title')),
+    subtitle: text('Untertitel/Tagline', limit('presentation', 'subtitle')),
+    slides: list(object({
+      layout: { type: 'string', enum: SLIDE_LAYOUTS, description: 'bullets: Aufzählung, twoColumn: Gegenüberstellung, closing: Abschluss' },
+      headline: text('Folienüberschrift, max. 6 Wörter'),
+      bullets: list(text('max. 12 Wörter'), 2, 5),
+      leftColumn: text('linke Spalte (nur twoColumn)'),
+      rightColumn: text('rechte Spalte (nur twoColumn)'),
+      contact: text('Kontakt/Call-to-Action (nur closing)')
+    }, ['layout', 'headline']), 3, 9)
+  }),
+
+  businesscard: object({
+    tagline: text('Slogan, max. 5 Wörter'),
+    title: text('Titel/Position', limit('businesscard', 'title')),
+    description: text('Tätigkeit, max. 10 Wörter'),
+    motto: text('Call-to-Action oder Motto')
+  }, ['title', 'description'])
+};
+
+// Kanäle, die eine Kampagne gemeinsam generiert
+export const CAMPAIGN_CHANNELS = ['website', 'social', 'email', 'flyer', 'presentation'];
+
+/**
+ * Gemeinsames Schema einer Kampagne: ein Objekt je Kanal nach contentSchemas
+ */
+export function campaignSchema(assetTypes) {
+  return object(Object.fromEntries(assetTypes.map(assetType => [assetType, contentSchemas[assetType]])));
+}
+
+// ============================================
+// VALIDIERUNG
+// ============================================
+
+/**
+ * Prüft Daten gegen ein Schema
+ * @returns {Array<{ path, message, length }>} length: nur zu lang (kein Strukturfehler)
+ */
+export function validateSchema(schema, value, path = '') {
+  const label = path || 'Antwort';
+  const errors = [];
+
+  switch (schema.type) {
+    case 'object': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return [{ path: label, message: 'erwartet ein Objekt' }];
+      }
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) {
+          errors.push({ path: path ? `${path}.${key}` : key, message: 'fehlt' });
+        }
+      }
+      for (const [key, property] of Object.entries(schema.properties)) {
+        const optional = !(schema.required || []).includes(key);
+        if (value[key] === undefined || value[key] === null || (optional && value[key] === '')) continue;
+        errors.push(...validateSchema(property, value[key], path ? `${path}.${key}` : key));
+      }
+      break;
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) {
+        return [{ path: label, message: 'erwartet eine Liste' }];
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push({ path: label, message: `mindestens ${schema.minItems} Einträge (hat ${value.length})` });
+      }
+      if (schema.maxItems && value.length > schema.maxItems) {
+        errors.push({ path: label, message: `höchstens ${schema.maxItems} Einträge (hat ${value.length})` });
+      }
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${label}[${index}]`));
+      });
+      break;
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') {
+        return [{ path: label, message: 'erwartet Text' }];
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path: label, message: `erlaubt: ${schema.enum.join(', ')}` });
+      }
+      if (schema.minLength && value.trim().length < schema.minLength) {
+        errors.push({ path: label, message: 'ist leer' });
+      }
+      if (schema.maxLength && value.length > schema.maxLength) {
+        errors.push({ path: label, message: `höchstens ${schema.maxLength} Zeichen (hat ${value.length})`, length: true });
+      }
+      break;
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Liest JSON aus einer Modellantwort (auch in ```json-Blöcken)
+ * @returns {*} geparste Daten oder undefined
+ */
+export function extractJson(text) {
+  const fenced = String(text || '').match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  const candidates = [fenced?.[1], text];
+  // Notfalls vom ersten { bis zur letzten }
+  const start = String(text || '').indexOf('{');
+  const end = String(text || '').lastIndexOf('}');
+  if (start >= 0 && end > start) candidates.push(text.slice(start, end + 1));
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // nächsten Kandidaten probieren
+    }
+  }
+  return undefined;
+}
+
+// ============================================
+// ABBILDUNG AUF DEFAULTCONTENT / PPTX
+// ============================================
+
+const field = (value) => ({ value: value ?? '' });
+
+function formatHashtags(tags = []) {
+  return tags.map(tag => (tag.startsWith('#') ? tag : `#${tag}`).replace(/\s+/g, '')).join(' ');
+}
+
+function toSlide(slide) {
+  switch (slide.layout) {
+    case 'twoColumn':
+      return {
+        layout: 'twoColumn',
+        fields: {
+          headline: field(slide.headline),
+          leftColumn: field(slide.leftColumn || slide.bullets?.slice(0, Math.ceil(slide.bullets.length / 2)).join('\n')),
+          rightColumn: field(slide.rightColumn || slide.bullets?.slice(Math.ceil(slide.bullets.length / 2)).join('\n'))
+        }
+      };
+    case 'closing':
+      return {
+        layout: 'closing',
+        fields: { headline: field(slide.headline), contact: field(slide.contact) }
+      };
+    default:
+      return {
+        layout: 'bullets',
+        fields: { headline: field(slide.headline), bullets: field(slide.bullets || []) }
+      };
+  }
+}
+
+/**
+ * Bildet validierte Daten auf das Content-Format ab
+ * @returns {Object} { fields } wie in defaultContent, bei Präsentationen zusätzlich slides (generatePptx)
+ */
+export function mapStructuredContent(assetType, data) {
+  switch (assetType) {
+    case 'website':
+      return {
+        fields: {
+          headline: field(data.hero.headline),
+          subline: field(data.hero.subline),
+          cta: field(data.hero.cta)
+        }
+      };
+
+    case 'flyer':
+      return {
+        fields: {
+          headline: field(data.headline),
+          description: field(data.intro),
+          cta: field(data.cta),
+          details: field(data.details)
+        }
+      };
+
+    case 'social': {
+      // Die Vorschau zeigt einen Post – der erste ist der Hauptpost
+      const [post] = data.posts;
+      return {
+        fields: {
+          headline: field(post.hook),
+          body: field(post.text),
+          cta: field(post.cta),
+          hashtags: field(formatHashtags(post.hashtags))
+        }
+      };
+    }
+
+    case 'email':
+      return {
+        fields: {
+          subject: field(data.subject),
+          preheader: field(data.preheader),
+          greeting: field(data.greeting),
+          body: field([
+            data.intro,
+            ...data.sections.map(section => `${section.title}\n${section.text}`),
+            data.closing,
+            data.ps ? `P.S. ${data.ps}` : ''
+          ].filter(Boolean).join('\n\n')),
+          cta: field(data.cta)
+        }
+      };
+
+    case 'presentation':
+      return {
+        fields: {
+          title: field(data.title),
+          subtitle: field(data.subtitle)
+        },
+        slides: [
+          { layout: 'title', fields: { title: field(data.title), subtitle: field(data.subtitle) } },
+          ...data.slides.map(toSlide)
+        ]
+      };
+
+    case 'businesscard':
+      return {
+        fields: {
+          title: field(data.title)
+        }
+      };
+
+    default:
+      throw new Error(`Unbekannter Asset-Typ: ${assetType}`);
+  }
+}
+
+/**
+ * Lesbare Textfassung (Anzeige, Kopieren)
+ */
+export function formatStructuredContent(assetType, data) {
+  const bullets = (items) => items.map(item => `• ${item}`).join('\n');
+
+  switch (assetType) {
+    case 'website':
+      return [
+        `HERO\n${data.hero.headline}\n${data.hero.subline}\n[${data.hero.cta}]`,
+        `FEATURES\n${data.features.map(f => `${f.title}\n${f.description}`).join('\n\n')}`,
+        `ÜBER UNS\n${data.about.title}\n${data.about.text}`,
+        `CALL-TO-ACTION\n${data.cta.headline}\n${data.cta.text}\n[${data.cta.button}]`,
+        `FOOTER\n${data.footer}`
+      ].join('\n\n');
+
+    case 'flyer':
+      return [
+        `VORDERSEITE\n${data.headline}\n${data.subline}\n${data.eyecatcher}`,
+        `INNENSEITE\n${data.intro}\n${bullets(data.benefits)}\n${data.details}`,
+        `RÜCKSEITE\n[${data.cta}]\n${data.contact}\n${data.claim}`
+      ].join('\n\n');
+
+    case 'social':
+      return data.posts.map((post, index) => [
+        `POST ${index + 1}${post.angle ? ` (${post.angle})` : ''}`,
+        post.hook,
+        post.text,
+        post.cta,
+        formatHashtags(post.hashtags),
+        post.imageIdea ? `Bildidee: ${post.imageIdea}` : ''
+      ].filter(Boolean).join('\n')).join('\n\n');
+
+    case 'email':
+      return [
+        `Betreff: ${data.subject}`,
+        `Preheader: ${data.preheader}`,
+        data.greeting,
+        data.intro,
+        ...data.sections.map(section => `${section.title}\n${section.text}`),
+        `[${data.cta}]`,
+        data.closing,
+        data.ps ? `P.S. ${data.ps}` : ''
+      ].filter(Boolean).join('\n\n');
+
+    case 'presentation':
+      return [
+        `FOLIE 1 – ${data.title}\n${data.subtitle}`,
+        ...data.slides.map((slide, index) => [
+          `FOLIE ${index + 2} – ${slide.headline}`,
+          slide.bullets ? bullets(slide.bullets) : '',
+          slide.leftColumn || '',
+          slide.rightColumn || '',
+          slide.contact || ''
+        ].filter(Boolean).join('\n'))
+      ].join('\n\n');
+
+    case 'businesscard':
+      return [
+        data.tagline ? `Slogan: ${data.tagline}` : '',
+        `Position: ${data.title}`,
+        `Beschreibung: ${data.description}`,
+        data.motto ? `Motto: ${data.motto}` : ''
+      ].filter(Boolean).join('\n');
+
+    default:
+      return JSON.stringify(data, null, 2);
+  }
+}
+
+export default {
+  contentSchemas,
+  CAMPAIGN_CHANNELS,
+  campaignSchema,
+  validateSchema,
+  extractJson,
+  mapStructuredContent,
+  formatStructuredContent
+};
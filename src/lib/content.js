@@ -53,6 +53,20 @@ export const defaultContent = {
         placeholder: 'Ihre Social-Media-Botschaft',
         maxLength: 100
       },
+      body: {
+        label: 'Post-Text',
+        type: 'textarea',
+        value: '',
+        placeholder: 'Begleittext zum Post',
+        maxLength: 600
+      },
+      cta: {
+        label: 'Call-to-Action',
+        type: 'text',
+        value: '',
+        placeholder: 'z.B. Link in Bio',
+        maxLength: 40
+      },
       hashtags: {
         label: 'Hashtags',
         type: 'text',
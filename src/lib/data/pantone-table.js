@@ -0,0 +1,668 @@
+// ============================================
+// PANTONE-TABELLE - Solid Coated (_c) und Uncoated (_u)
+// ============================================
+// Übernommen aus pantone-table 1.0.0-rc1
+// (https://github.com/catdad-experiments/pantone-table), beschränkt auf die
+// Solid-Fächer. Es gibt kein stabiles Release, daher liegen die Daten im Repo.
+//
+// MIT License
+//
+// Copyright (c) 2021 Kiril Vatev
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in all
+// copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+// SOFTWARE.
+
+export const PANTONE_TABLE = {
+  pantone_100_c: '#F6EB61', pantone_101_c: '#F7EA48', pantone_102_c: '#FCE300', pantone_103_c: '#C5A900', pantone_104_c: '#AF9800',
+  pantone_105_c: '#897A27', pantone_7401_c: '#F5E1A4', pantone_7402_c: '#ECD898', pantone_7403_c: '#EED484', pantone_7404_c: '#F4DA40',
+  pantone_7405_c: '#F2CD00', pantone_7406_c: '#F1C400', pantone_7407_c: '#CBA052', pantone_106_c: '#F9E547', pantone_107_c: '#FBE122',
+  pantone_108_c: '#FEDB00', pantone_109_c: '#FFD100', pantone_110_c: '#DAAA00', pantone_111_c: '#AA8A00', pantone_112_c: '#9C8412',
+  pantone_113_c: '#FAE053', pantone_114_c: '#FBDD40', pantone_115_c: '#FDDA24', pantone_116_c: '#FFCD00', pantone_117_c: '#C99700',
+  pantone_118_c: '#AC8400', pantone_119_c: '#897322', pantone_127_c: '#F3DD6D', pantone_128_c: '#F3D54E', pantone_129_c: '#F3D03E',
+  pantone_130_c: '#F2A900', pantone_131_c: '#CC8A00', pantone_132_c: '#A07400', pantone_133_c: '#6C571B', pantone_1205_c: '#F8E08E',
+  pantone_1215_c: '#FBD872', pantone_1225_c: '#FFC845', pantone_1235_c: '#FFB81C', pantone_1245_c: '#C69214', pantone_1255_c: '#AD841F',
+  pantone_1265_c: '#886B25', pantone_120_c: '#FBDB65', pantone_121_c: '#FDD757', pantone_122_c: '#FED141', pantone_123_c: '#FFC72C',
+  pantone_124_c: '#EAAA00', pantone_125_c: '#B58500', pantone_126_c: '#9A7611', pantone_7548_c: '#FFC600', pantone_7549_c: '#FFB500',
+  pantone_7550_c: '#D19000', pantone_7551_c: '#B47E00', pantone_7552_c: '#73531D', pantone_7553_c: '#5A4522', pantone_7554_c: '#4B3D2A',
+  pantone_7555_c: '#D29F13', pantone_7556_c: '#B78B20', pantone_7557_c: '#9F7D23', pantone_7558_c: '#967126', pantone_7559_c: '#8F6A2A',
+  pantone_7560_c: '#7D622E', pantone_7561_c: '#6C5D34', pantone_134_c: '#FDD26E', pantone_135_c: '#FFC658', pantone_136_c: '#FFBF3F',
+  pantone_137_c: '#FFA300', pantone_138_c: '#DE7C00', pantone_139_c: '#AF6D04', pantone_140_c: '#74531C', pantone_1345_c: '#FDD086',
+  pantone_1355_c: '#FFC56E', pantone_1365_c: '#FFB549', pantone_1375_c: '#FF9E1B', pantone_1385_c: '#D57800', pantone_1395_c: '#996017',
+  pantone_1405_c: '#6E4C1E', pantone_141_c: '#F2C75C', pantone_142_c: '#F1BE48', pantone_143_c: '#F1B434', pantone_144_c: '#ED8B00',
+  pantone_145_c: '#CF7F00', pantone_146_c: '#A76D11', pantone_147_c: '#715C2A', pantone_7408_c: '#F6BE00', pantone_7409_c: '#F0B323',
+  pantone_7410_c: '#FEAD77', pantone_7411_c: '#E6A65D', pantone_7412_c: '#D38235', pantone_7413_c: '#DC8633', pantone_7414_c: '#C16C18',
+  pantone_7562_c: '#BD9B60', pantone_7563_c: '#D69A2D', pantone_7564_c: '#DB8A06', pantone_7565_c: '#CD7925', pantone_7566_c: '#AD6433',
+  pantone_7567_c: '#89532F', pantone_7568_c: '#775135', pantone_7569_c: '#D78825', pantone_7570_c: '#D3832B', pantone_7571_c: '#C67D30',
+  pantone_7572_c: '#B67233', pantone_7573_c: '#A7662B', pantone_7574_c: '#9E6A38', pantone_7575_c: '#835D32', pantone_712_c: '#FCC89B',
+  pantone_713_c: '#FDBE87', pantone_714_c: '#FDAA63', pantone_715_c: '#F68D2E', pantone_716_c: '#EA7600', pantone_717_c: '#D45D00',
+  pantone_718_c: '#BE4D00', pantone_148_c: '#FECB8B', pantone_149_c: '#FFC27B', pantone_150_c: '#FFB25B', pantone_151_c: '#FF8200',
+  pantone_152_c: '#E57200', pantone_153_c: '#BE6A14', pantone_154_c: '#9B5A1A', pantone_155_c: '#EFD19F', pantone_156_c: '#EFBE7D',
+  pantone_157_c: '#ECA154', pantone_158_c: '#E87722', pantone_159_c: '#CB6015', pantone_160_c: '#A1561C', pantone_161_c: '#603D20',
+  pantone_1485_c: '#FFAE62', pantone_1495_c: '#FF8F1C', pantone_1505_c: '#FF6900', pantone_1525_c: '#B94700', pantone_1535_c: '#94450B',
+  pantone_1545_c: '#653819', pantone_1555_c: '#FFB990', pantone_1565_c: '#FFA06A', pantone_1575_c: '#FF7F32', pantone_1585_c: '#FF6A13',
+  pantone_1595_c: '#D86018', pantone_1605_c: '#A65523', pantone_1615_c: '#8B4720', pantone_162_c: '#FFBE9F', pantone_163_c: '#FF9D6E',
+  pantone_164_c: '#FF7F41', pantone_165_c: '#FF671F', pantone_166_c: '#E35205', pantone_167_c: '#BE531C', pantone_168_c: '#73381D',
+  pantone_7576_c: '#DB864E', pantone_7577_c: '#E07E3C', pantone_7578_c: '#DC6B2F', pantone_7579_c: '#DC582A', pantone_7580_c: '#C05131',
+  pantone_7581_c: '#864A33', pantone_7582_c: '#674736', pantone_1625_c: '#FFA38B', pantone_1635_c: '#FF8D6D', pantone_1645_c: '#FF6A39',
+  pantone_1655_c: '#FC4C02', pantone_1665_c: '#DC4405', pantone_1675_c: '#A9431E', pantone_1685_c: '#833921', pantone_169_c: '#FFB3AB',
+  pantone_170_c: '#FF8674', pantone_171_c: '#FF5C39', pantone_172_c: '#FA4616', pantone_173_c: '#CF4520', pantone_174_c: '#963821',
+  pantone_175_c: '#6B3529', pantone_7583_c: '#C4622D', pantone_7584_c: '#BA5826', pantone_7585_c: '#AF5C37', pantone_7586_c: '#9E5330',
+  pantone_7587_c: '#924C2E', pantone_7588_c: '#7B4D35', pantone_7589_c: '#5C4738', pantone_7590_c: '#D4B59E', pantone_7591_c: '#C07D59',
+  pantone_7592_c: '#B15533', pantone_7593_c: '#9D432C', pantone_7594_c: '#7C3A2D', pantone_7595_c: '#6B3D2E', pantone_7596_c: '#5C3D31',
+  pantone_7597_c: '#D14124', pantone_7598_c: '#BD472A', pantone_7599_c: '#B33D26', pantone_7600_c: '#8D3F2B', pantone_7601_c: '#83412C',
+  pantone_7602_c: '#7B4931', pantone_7603_c: '#674230', pantone_7604_c: '#E4D5D3', pantone_7605_c: '#E1BBB4', pantone_7606_c: '#D6938A',
+  pantone_7607_c: '#C26E60', pantone_7608_c: '#A4493D', pantone_7609_c: '#823B34', pantone_7610_c: '#683431', pantone_7611_c: '#DDBCB0',
+  pantone_7612_c: '#CA9A8E', pantone_7613_c: '#BC8A7E', pantone_7614_c: '#A37F74', pantone_7615_c: '#866761', pantone_7616_c: '#6B4C4C',
+  pantone_7617_c: '#583D3E', pantone_7520_c: '#EABEB0', pantone_7521_c: '#C09C83', pantone_7522_c: '#B46A55', pantone_7523_c: '#AB5C57',
+  pantone_7524_c: '#A45248', pantone_7525_c: '#9A6A4F', pantone_7526_c: '#8A391B', pantone_489_c: '#ECC3B2', pantone_488_c: '#ECBAA8',
+  pantone_487_c: '#EAA794', pantone_486_c: '#E8927C', pantone_485_c: '#DA291C', pantone_484_c: '#9A3324', pantone_483_c: '#653024',
+  pantone_176_c: '#FFB1BB', pantone_177_c: '#FF808B', pantone_178_c: '#FF585D', pantone_179_c: '#E03C31', pantone_180_c: '#BE3A34',
+  pantone_181_c: '#81312F', pantone_1765_c: '#FFA3B5', pantone_1775_c: '#FF8DA1', pantone_1785_c: '#F8485E', pantone_1788_c: '#EE2737',
+  pantone_1795_c: '#D22630', pantone_1805_c: '#AF272F', pantone_1815_c: '#7C2529', pantone_1767_c: '#FCAFC0', pantone_1777_c: '#FB637E',
+  pantone_1787_c: '#F4364C', pantone_1797_c: '#CB333B', pantone_1807_c: '#A4343A', pantone_1817_c: '#643335', pantone_7618_c: '#C66E4E',
+  pantone_7619_c: '#C04C36', pantone_7620_c: '#B7312C', pantone_7621_c: '#AB2328', pantone_7622_c: '#93272C', pantone_7623_c: '#8A2A2B',
+  pantone_7624_c: '#802F2D', pantone_7625_c: '#E1523D', pantone_7626_c: '#C63527', pantone_7627_c: '#A72B2A', pantone_7628_c: '#9E2A2B',
+  pantone_7629_c: '#6D3332', pantone_7630_c: '#633231', pantone_7631_c: '#572D2D', pantone_7415_c: '#E6BAA8', pantone_7416_c: '#E56A54',
+  pantone_7417_c: '#E04E39', pantone_7418_c: '#CD545B', pantone_7419_c: '#B04A5A', pantone_7420_c: '#9B2242', pantone_7421_c: '#651D32',
+  pantone_182_c: '#FABBCB', pantone_183_c: '#FC9BB3', pantone_184_c: '#F65275', pantone_185_c: '#E4002B', pantone_186_c: '#C8102E',
+  pantone_187_c: '#A6192E', pantone_188_c: '#76232F', pantone_196_c: '#ECC7CD', pantone_197_c: '#E89CAE', pantone_198_c: '#DF4661',
+  pantone_199_c: '#D50032', pantone_200_c: '#BA0C2F', pantone_201_c: '#9D2235', pantone_202_c: '#862633', pantone_189_c: '#F8A3BC',
+  pantone_190_c: '#F67599', pantone_191_c: '#EF426F', pantone_192_c: '#E40046', pantone_193_c: '#BF0D3E', pantone_194_c: '#9B2743',
+  pantone_195_c: '#782F40', pantone_1895_c: '#F5B6CD', pantone_1905_c: '#F59BBB', pantone_1915_c: '#EF4A81', pantone_1925_c: '#E0004D',
+  pantone_1935_c: '#C5003E', pantone_1945_c: '#A6093D', pantone_1955_c: '#8A1538', pantone_705_c: '#F5DADF', pantone_706_c: '#F7CED7',
+  pantone_707_c: '#F9B5C4', pantone_708_c: '#F890A5', pantone_709_c: '#EF6079', pantone_710_c: '#E03E52', pantone_711_c: '#CB2C30',
+  pantone_698_c: '#F2D4D7', pantone_699_c: '#F4C3CC', pantone_700_c: '#F2ACB9', pantone_701_c: '#E68699', pantone_702_c: '#D25B73',
+  pantone_703_c: '#B83A4B', pantone_704_c: '#9E2A2F', pantone_203_c: '#ECB3CB', pantone_204_c: '#E782A9', pantone_205_c: '#E0457B',
+  pantone_206_c: '#CE0037', pantone_207_c: '#A50034', pantone_208_c: '#861F41', pantone_209_c: '#6F263D', pantone_210_c: '#F99FC9',
+  pantone_211_c: '#F57EB6', pantone_212_c: '#F04E98', pantone_213_c: '#E31C79', pantone_214_c: '#CE0F69', pantone_215_c: '#AC145A',
+  pantone_216_c: '#7D2248', pantone_7422_c: '#F4CDD4', pantone_7423_c: '#E06287', pantone_7424_c: '#E24585', pantone_7425_c: '#B52555',
+  pantone_7426_c: '#A4123F', pantone_7427_c: '#971B2F', pantone_7428_c: '#6A2C3E', pantone_7632_c: '#D6C9CA', pantone_7633_c: '#C4A4A7',
+  pantone_7634_c: '#C16784', pantone_7635_c: '#C63663', pantone_7636_c: '#BC204B', pantone_7637_c: '#912F46', pantone_7638_c: '#7E2D40',
+  pantone_217_c: '#EABEDB', pantone_218_c: '#E56DB1', pantone_219_c: '#DA1884', pantone_220_c: '#A50050', pantone_221_c: '#910048',
+  pantone_222_c: '#6C1D45', pantone_7639_c: '#936D73', pantone_7640_c: '#934054', pantone_7641_c: '#8E2C48', pantone_7642_c: '#732E4A',
+  pantone_7643_c: '#672E45', pantone_7644_c: '#582D40', pantone_7645_c: '#502B3A', pantone_223_c: '#EF95CF', pantone_224_c: '#EB6FBD',
+  pantone_225_c: '#DF1995', pantone_226_c: '#D0006F', pantone_227_c: '#AA0061', pantone_228_c: '#890C58', pantone_229_c: '#672146',
+  pantone_230_c: '#F4A6D7', pantone_231_c: '#F277C6', pantone_232_c: '#E93CAC', pantone_233_c: '#C6007E', pantone_234_c: '#A20067',
+  pantone_235_c: '#840B55', pantone_670_c: '#EAD3E2', pantone_671_c: '#E6BCD8', pantone_672_c: '#DFA0C9', pantone_673_c: '#D986BA',
+  pantone_674_c: '#C6579A', pantone_675_c: '#AE2573', pantone_676_c: '#960051', pantone_677_c: '#E5CEDB', pantone_678_c: '#E3C8D8',
+  pantone_679_c: '#DEBED2', pantone_680_c: '#C996B6', pantone_681_c: '#B06C96', pantone_682_c: '#994878', pantone_683_c: '#7C2855',
+  pantone_684_c: '#E4C6D4', pantone_685_c: '#DCB6C9', pantone_686_c: '#D0A1BA', pantone_687_c: '#BE84A3', pantone_688_c: '#A76389',
+  pantone_689_c: '#893B67', pantone_690_c: '#612141', pantone_510_c: '#EBBECB', pantone_509_c: '#E8B3C3', pantone_508_c: '#E4A9BB',
+  pantone_507_c: '#D592AA', pantone_506_c: '#84344E', pantone_505_c: '#6F2C3F', pantone_504_c: '#572932', pantone_7429_c: '#E2BCCB',
+  pantone_7430_c: '#DCA9BF', pantone_7431_c: '#C9809E', pantone_7432_c: '#B55C80', pantone_7433_c: '#A73A64', pantone_7434_c: '#9B3259',
+  pantone_7435_c: '#872651', pantone_691_c: '#E9CDD0', pantone_692_c: '#E4BEC3', pantone_693_c: '#D7A3AB', pantone_694_c: '#C48490',
+  pantone_695_c: '#B46B7A', pantone_696_c: '#984856', pantone_697_c: '#893C47', pantone_496_c: '#F2C6CF', pantone_495_c: '#F1BDC8',
+  pantone_494_c: '#E9A2B2', pantone_493_c: '#DC8699', pantone_492_c: '#8F3237', pantone_491_c: '#7F3035', pantone_490_c: '#5D2A2C',
+  pantone_503_c: '#E9C4C7', pantone_502_c: '#E5BAC1', pantone_501_c: '#DAA5AD', pantone_500_c: '#C6858F', pantone_499_c: '#7A3E3A',
+  pantone_498_c: '#6A3735', pantone_497_c: '#512F2E', pantone_5035_c: '#DFC2C3', pantone_5025_c: '#DBB7BB', pantone_5015_c: '#CCA1A6',
+  pantone_5005_c: '#B07C83', pantone_4995_c: '#9C6169', pantone_4985_c: '#874B52', pantone_4975_c: '#3F2021', pantone_236_c: '#F1A7DC',
+  pantone_237_c: '#EC86D0', pantone_238_c: '#E45DBF', pantone_239_c: '#DB3EB1', pantone_240_c: '#C5299B', pantone_241_c: '#AF1685',
+  pantone_242_c: '#80225F', pantone_2365_c: '#EFBAE1', pantone_2375_c: '#E277CD', pantone_2385_c: '#D539B5', pantone_2395_c: '#C800A1',
+  pantone_2405_c: '#B0008E', pantone_2415_c: '#9E007E', pantone_2425_c: '#830065', pantone_243_c: '#EAB8E4', pantone_244_c: '#E59BDC',
+  pantone_245_c: '#DD7FD3', pantone_246_c: '#C724B1', pantone_247_c: '#BB16A3', pantone_248_c: '#A51890', pantone_249_c: '#80276C',
+  pantone_7646_c: '#A56E87', pantone_7647_c: '#A83D72', pantone_7648_c: '#991E66', pantone_7649_c: '#8A1B61', pantone_7650_c: '#722257',
+  pantone_7651_c: '#6A2A5B', pantone_7652_c: '#5E2751', pantone_250_c: '#E7BAE4', pantone_251_c: '#DD9CDF', pantone_252_c: '#C964CF',
+  pantone_253_c: '#AD1AAC', pantone_254_c: '#981D97', pantone_255_c: '#72246C', pantone_517_c: '#EBC6DF', pantone_516_c: '#E6BEDD',
+  pantone_515_c: '#E2ACD7', pantone_514_c: '#D48BC8', pantone_513_c: '#93328E', pantone_512_c: '#833177', pantone_511_c: '#612C51',
+  pantone_7436_c: '#EEDAEA', pantone_7437_c: '#CCAED0', pantone_7438_c: '#D59ED7', pantone_7439_c: '#B288B9', pantone_7440_c: '#A277A6',
+  pantone_7441_c: '#9F5CC0', pantone_7442_c: '#963CBD', pantone_2562_c: '#D7A9E3', pantone_2572_c: '#C98BDB', pantone_2582_c: '#AC4FC6',
+  pantone_2592_c: '#9B26B6', pantone_2602_c: '#87189D', pantone_2612_c: '#772583', pantone_2622_c: '#653165', pantone_7653_c: '#948794',
+  pantone_7654_c: '#A2789C', pantone_7655_c: '#A15A95', pantone_7656_c: '#8E3A80', pantone_7657_c: '#6E2B62', pantone_7658_c: '#6A3460',
+  pantone_7659_c: '#5D3754', pantone_524_c: '#D5C2D8', pantone_523_c: '#C9B1D0', pantone_522_c: '#BA9CC5', pantone_521_c: '#A57FB2',
+  pantone_520_c: '#642F6C', pantone_519_c: '#59315F', pantone_518_c: '#4B3048', pantone_5245_c: '#DBCDD3', pantone_5235_c: '#D0BEC7',
+  pantone_5225_c: '#C6B0BC', pantone_5215_c: '#AF95A6', pantone_5205_c: '#86647A', pantone_5195_c: '#66435A', pantone_5185_c: '#4A3041',
+  pantone_5175_c: '#D8C8D1', pantone_5165_c: '#D3C0CD', pantone_5155_c: '#BFA5B8', pantone_5145_c: '#9B7793', pantone_5135_c: '#7E5475',
+  pantone_5125_c: '#693C5E', pantone_5115_c: '#512A44', pantone_531_c: '#DFC8E7', pantone_530_c: '#D7B9E4', pantone_529_c: '#CAA2DD',
+  pantone_528_c: '#B580D1', pantone_527_c: '#8031A7', pantone_526_c: '#702F8A', pantone_525_c: '#572C5F', pantone_256_c: '#D6BFDD',
+  pantone_257_c: '#C6A1CF', pantone_258_c: '#8C4799', pantone_259_c: '#6D2077', pantone_260_c: '#642667', pantone_261_c: '#5D285F',
+  pantone_262_c: '#51284F', pantone_2563_c: '#CBA3D8', pantone_2573_c: '#B884CB', pantone_2583_c: '#A05EB5', pantone_2593_c: '#84329B',
+  pantone_2603_c: '#702082', pantone_2613_c: '#671E75', pantone_2623_c: '#5F2167', pantone_7660_c: '#9991A4', pantone_7661_c: '#8D6E97',
+  pantone_7662_c: '#7A4183', pantone_7663_c: '#6B3077', pantone_7664_c: '#653279', pantone_7665_c: '#5E366E', pantone_7666_c: '#5C4E63',
+  pantone_2567_c: '#C1A0DA', pantone_2577_c: '#A77BCA', pantone_2587_c: '#8246AF', pantone_2597_c: '#5C068C', pantone_2607_c: '#500778',
+  pantone_2617_c: '#470A68', pantone_2627_c: '#3C1053', pantone_263_c: '#D7C6E6', pantone_264_c: '#C1A7E2', pantone_265_c: '#9063CD',
+  pantone_266_c: '#753BBD', pantone_267_c: '#5F259F', pantone_268_c: '#582C83', pantone_269_c: '#512D6D', pantone_2635_c: '#C5B4E3',
+  pantone_2645_c: '#AD96DC', pantone_2655_c: '#9678D3', pantone_2665_c: '#7D55C7', pantone_2685_c: '#330072', pantone_2695_c: '#2E1A47',
+  pantone_270_c: '#B4B5DF', pantone_271_c: '#9595D2', pantone_272_c: '#7474C1', pantone_273_c: '#24135F', pantone_274_c: '#211551',
+  pantone_275_c: '#201747', pantone_276_c: '#221C35', pantone_2705_c: '#A7A4E0', pantone_2715_c: '#8B84D7', pantone_2725_c: '#685BC7',
+  pantone_2735_c: '#2E008B', pantone_2745_c: '#280071', pantone_2755_c: '#250E62', pantone_2765_c: '#201547', pantone_7667_c: '#6E7CA0',
+  pantone_7668_c: '#686E9F', pantone_7669_c: '#615E9B', pantone_7670_c: '#565294', pantone_7671_c: '#514689', pantone_7672_c: '#4C4184',
+  pantone_7673_c: '#535486', pantone_7443_c: '#DDDAE8', pantone_7444_c: '#B6B8DC', pantone_7445_c: '#A7A2C3', pantone_7446_c: '#8986CA',
+  pantone_7447_c: '#5D4777', pantone_7448_c: '#4B384C', pantone_7449_c: '#41273B', pantone_7674_c: '#878CB4', pantone_7675_c: '#7C7FAB',
+  pantone_7676_c: '#7566A0', pantone_7677_c: '#6F5091', pantone_7678_c: '#68478D', pantone_7679_c: '#563D82', pantone_7680_c: '#523178',
+  pantone_663_c: '#E5E1E6', pantone_664_c: '#E0DBE3', pantone_665_c: '#C6BCD0', pantone_666_c: '#A192B2', pantone_667_c: '#7C6992',
+  pantone_668_c: '#614B79', pantone_669_c: '#3F2A56', pantone_5315_c: '#D8D7DF', pantone_5305_c: '#C6C4D2', pantone_5295_c: '#B3B0C4',
+  pantone_5285_c: '#8D89A5', pantone_5275_c: '#595478', pantone_5265_c: '#403A60', pantone_5255_c: '#1E1A34', pantone_538_c: '#C5CFDA',
+  pantone_537_c: '#BBC7D6', pantone_536_c: '#A2B2C8', pantone_535_c: '#8E9FBC', pantone_534_c: '#1B365D', pantone_533_c: '#1F2A44',
+  pantone_532_c: '#1C1F2A', pantone_7541_c: '#D9E1E2', pantone_7542_c: '#A4BCC2', pantone_7543_c: '#98A4AE', pantone_7544_c: '#768692',
+  pantone_7545_c: '#425563', pantone_7546_c: '#253746', pantone_7547_c: '#131E29', pantone_552_c: '#B9D3DC', pantone_551_c: '#A3C7D2',
+  pantone_550_c: '#8DB9CA', pantone_549_c: '#6BA4B8', pantone_548_c: '#003D4C', pantone_547_c: '#00313C', pantone_546_c: '#072B31',
+  pantone_5455_c: '#BFCED6', pantone_5445_c: '#B7C9D3', pantone_5435_c: '#A6BBC8', pantone_5425_c: '#7A99AC', pantone_5415_c: '#5B7F95',
+  pantone_5405_c: '#4F758B', pantone_5395_c: '#081F2C', pantone_642_c: '#D1DDE6', pantone_643_c: '#C6D6E3', pantone_644_c: '#9BB8D3',
+  pantone_645_c: '#7DA1C4', pantone_646_c: '#5E8AB4', pantone_647_c: '#236192', pantone_648_c: '#002E5D', pantone_649_c: '#DBE2E9',
+  pantone_650_c: '#CED9E5', pantone_651_c: '#A7BCD6', pantone_652_c: '#7D9BC1', pantone_653_c: '#326295', pantone_654_c: '#003A70',
+  pantone_655_c: '#002554', pantone_656_c: '#DDE5ED', pantone_657_c: '#C8D8EB', pantone_658_c: '#B1C9E8', pantone_659_c: '#7BA4DB',
+  pantone_660_c: '#407EC9', pantone_661_c: '#003594', pantone_662_c: '#001A70', pantone_7450_c: '#BDC5DB', pantone_7451_c: '#89ABE3',
+  pantone_7452_c: '#8094DD', pantone_7453_c: '#7BA6DE', pantone_7454_c: '#5F8FB4', pantone_7455_c: '#3A5DAE', pantone_7456_c: '#606EB2',
+  pantone_2706_c: '#CBD3EB', pantone_2716_c: '#9FAEE5', pantone_2726_c: '#485CC7', pantone_2736_c: '#1E22AA', pantone_2746_c: '#171C8F',
+  pantone_2756_c: '#151F6D', pantone_2766_c: '#141B4D', pantone_2708_c: '#B8CCEA', pantone_2718_c: '#5C88DA', pantone_2728_c: '#0047BB',
+  pantone_2738_c: '#06038D', pantone_2748_c: '#001871', pantone_2758_c: '#001E62', pantone_2768_c: '#071D49', pantone_2707_c: '#C3D7EE',
+  pantone_2717_c: '#A7C6ED', pantone_2727_c: '#307FE2', pantone_2747_c: '#001A72', pantone_2757_c: '#001E60', pantone_2767_c: '#13294B',
+  pantone_277_c: '#ABCAE9', pantone_278_c: '#8BB8E8', pantone_279_c: '#418FDE', pantone_280_c: '#012169', pantone_281_c: '#00205B',
+  pantone_282_c: '#041E42', pantone_283_c: '#92C1E9', pantone_284_c: '#6CACE4', pantone_285_c: '#0072CE', pantone_286_c: '#0033A0',
+  pantone_287_c: '#003087', pantone_288_c: '#002D72', pantone_289_c: '#0C2340', pantone_7681_c: '#94A9CB', pantone_7682_c: '#6787B7',
+  pantone_7683_c: '#426DA9', pantone_7684_c: '#385E9D', pantone_7685_c: '#2C5697', pantone_7686_c: '#1D4F91', pantone_7687_c: '#1D428A',
+  pantone_545_c: '#C6DAE7', pantone_544_c: '#BDD6E6', pantone_543_c: '#A4C8E1', pantone_542_c: '#7BAFD4', pantone_541_c: '#003C71',
+  pantone_540_c: '#003057', pantone_539_c: '#00263A', pantone_290_c: '#B9D9EB', pantone_291_c: '#9BCBEB', pantone_292_c: '#69B3E7',
+  pantone_293_c: '#003DA5', pantone_294_c: '#002F6C', pantone_295_c: '#002855', pantone_296_c: '#041C2C', pantone_2905_c: '#8DC8E8',
+  pantone_2915_c: '#62B5E5', pantone_2925_c: '#009CDE', pantone_2935_c: '#0057B8', pantone_2945_c: '#004C97', pantone_2955_c: '#003865',
+  pantone_2965_c: '#00263E', pantone_297_c: '#71C5E8', pantone_298_c: '#41B6E6', pantone_299_c: '#00A3E0', pantone_300_c: '#005EB8',
+  pantone_301_c: '#004B87', pantone_302_c: '#003B5C', pantone_303_c: '#002A3A', pantone_7688_c: '#4698CB', pantone_7689_c: '#298FC2',
+  pantone_7690_c: '#0076A8', pantone_7691_c: '#006298', pantone_7692_c: '#005587', pantone_7693_c: '#004976', pantone_7694_c: '#01426A',
+  pantone_2975_c: '#99D6EA', pantone_2985_c: '#5BC2E7', pantone_2995_c: '#00A9E0', pantone_3005_c: '#0077C8', pantone_3015_c: '#00629B',
+  pantone_3025_c: '#004F71', pantone_3035_c: '#003E51', pantone_7695_c: '#7BA7BC', pantone_7696_c: '#6399AE', pantone_7697_c: '#4E87A0',
+  pantone_7698_c: '#41748D', pantone_7699_c: '#34657F', pantone_7700_c: '#165C7D', pantone_7701_c: '#005776', pantone_7457_c: '#BBDDE6',
+  pantone_7458_c: '#71B2C9', pantone_7459_c: '#4298B5', pantone_7460_c: '#0086BF', pantone_7461_c: '#007DBA', pantone_7462_c: '#00558C',
+  pantone_7463_c: '#002B49', pantone_304_c: '#9ADBE8', pantone_305_c: '#59CBE8', pantone_306_c: '#00B5E2', pantone_307_c: '#006BA6',
+  pantone_308_c: '#00587C', pantone_309_c: '#003B49', pantone_635_c: '#A4DBE8', pantone_636_c: '#8BD3E6', pantone_637_c: '#4EC3E0',
+  pantone_638_c: '#00AFD7', pantone_639_c: '#0095C8', pantone_640_c: '#0082BA', pantone_641_c: '#0067A0', pantone_7702_c: '#48A9C5',
+  pantone_7703_c: '#009CBD', pantone_7704_c: '#0085AD', pantone_7705_c: '#007096', pantone_7706_c: '#006A8E', pantone_7707_c: '#00617F',
+  pantone_7708_c: '#005670', pantone_628_c: '#B8DDE1', pantone_629_c: '#9BD3DD', pantone_630_c: '#77C5D5', pantone_631_c: '#3EB1C8',
+  pantone_632_c: '#0093B2', pantone_633_c: '#007396', pantone_634_c: '#005F83', pantone_310_c: '#6AD1E3', pantone_311_c: '#05C3DE',
+  pantone_312_c: '#00A9CE', pantone_313_c: '#0092BC', pantone_314_c: '#007FA3', pantone_315_c: '#00677F', pantone_316_c: '#004851',
+  pantone_3105_c: '#68D2DF', pantone_3115_c: '#00C1D5', pantone_3125_c: '#00AEC7', pantone_3135_c: '#008EAA', pantone_3145_c: '#00778B',
+  pantone_3155_c: '#006272', pantone_3165_c: '#004F59', pantone_7709_c: '#63B1BC', pantone_7710_c: '#00A7B5', pantone_7711_c: '#0097A9',
+  pantone_7712_c: '#00859B', pantone_7713_c: '#007D8A', pantone_7714_c: '#007680', pantone_7715_c: '#006269', pantone_317_c: '#B1E4E3',
+  pantone_318_c: '#88DBDF', pantone_319_c: '#2DCCD3', pantone_320_c: '#009CA6', pantone_321_c: '#008C95', pantone_322_c: '#007377',
+  pantone_323_c: '#005F61', pantone_7464_c: '#A0D1CA', pantone_7465_c: '#40C1AC', pantone_7466_c: '#00B0B9', pantone_7467_c: '#00A3AD',
+  pantone_7468_c: '#007398', pantone_7469_c: '#005F86', pantone_7470_c: '#005A70', pantone_7471_c: '#7EDDD3', pantone_7472_c: '#5CB8B2',
+  pantone_7473_c: '#279989', pantone_7474_c: '#007681', pantone_7475_c: '#487A7B', pantone_7476_c: '#0D5257', pantone_7477_c: '#244C5A',
+  pantone_5523_c: '#B6CFD0', pantone_5513_c: '#ABC7CA', pantone_5503_c: '#94B7BB', pantone_5493_c: '#7FA9AE', pantone_5483_c: '#4F868E',
+  pantone_5473_c: '#115E67', pantone_5463_c: '#07272D', pantone_7716_c: '#00968F', pantone_7717_c: '#00857D', pantone_7718_c: '#007672',
+  pantone_7719_c: '#006D68', pantone_7720_c: '#00635B', pantone_7721_c: '#005E5D', pantone_7722_c: '#005151', pantone_324_c: '#9CDBD9',
+  pantone_325_c: '#64CCC9', pantone_326_c: '#00B2A9', pantone_327_c: '#008675', pantone_328_c: '#007367', pantone_329_c: '#00685E',
+  pantone_330_c: '#00534C', pantone_3242_c: '#71DBD4', pantone_3252_c: '#2AD2C9', pantone_3262_c: '#00BFB3', pantone_3272_c: '#00A499',
+  pantone_3282_c: '#008578', pantone_3292_c: '#00594F', pantone_3302_c: '#004C45', pantone_3245_c: '#7CE0D3', pantone_3255_c: '#2CD5C4',
+  pantone_3265_c: '#00C7B1', pantone_3275_c: '#00B398', pantone_3285_c: '#009681', pantone_3295_c: '#007864', pantone_3305_c: '#004E42',
+  pantone_3248_c: '#6DCDB8', pantone_3258_c: '#49C5B1', pantone_3268_c: '#00AB8E', pantone_3278_c: '#009B77', pantone_3288_c: '#008264',
+  pantone_3298_c: '#006A52', pantone_3308_c: '#034638', pantone_566_c: '#B9DCD2', pantone_565_c: '#A1D6CA', pantone_564_c: '#86C8BC',
+  pantone_563_c: '#6BBBAE', pantone_562_c: '#006F62', pantone_561_c: '#00594C', pantone_560_c: '#1D3C34', pantone_573_c: '#B5E3D8',
+  pantone_572_c: '#A5DFD3', pantone_571_c: '#98DBCE', pantone_570_c: '#6BCABA', pantone_569_c: '#00816D', pantone_568_c: '#006C5B',
+  pantone_567_c: '#173F35', pantone_559_c: '#ADCAB8', pantone_558_c: '#9ABEAA', pantone_557_c: '#85B09A', pantone_556_c: '#6FA287',
+  pantone_555_c: '#28724F', pantone_554_c: '#205C40', pantone_553_c: '#284734', pantone_5595_c: '#BFCEC2', pantone_5585_c: '#A7BDB1',
+  pantone_5575_c: '#92ACA0', pantone_5565_c: '#7F9C90', pantone_5555_c: '#5C7F71', pantone_5545_c: '#43695B', pantone_5535_c: '#183028',
+  pantone_5665_c: '#BAC5B9', pantone_5655_c: '#B0BDB0', pantone_5645_c: '#A3B2A4', pantone_5635_c: '#94A596', pantone_5625_c: '#708573',
+  pantone_5615_c: '#5E7461', pantone_5605_c: '#22372B', pantone_5527_c: '#BCC9C5', pantone_5517_c: '#B1C0BC', pantone_5507_c: '#9DB0AC',
+  pantone_5497_c: '#829995', pantone_5487_c: '#5D7975', pantone_5477_c: '#3E5D58', pantone_5467_c: '#18332F', pantone_621_c: '#D1E0D7',
+  pantone_622_c: '#B7CDC2', pantone_623_c: '#9AB9AD', pantone_624_c: '#789F90', pantone_625_c: '#507F70', pantone_626_c: '#285C4D',
+  pantone_627_c: '#13322B', pantone_331_c: '#A7E6D7', pantone_332_c: '#8CE2D0', pantone_333_c: '#3CDBC0', pantone_334_c: '#009775',
+  pantone_335_c: '#007B5F', pantone_336_c: '#00664F', pantone_337_c: '#8FD6BD', pantone_338_c: '#6ECEB2', pantone_339_c: '#00B388',
+  pantone_340_c: '#00965E', pantone_341_c: '#007A53', pantone_342_c: '#006747', pantone_343_c: '#115740', pantone_7723_c: '#50A684',
+  pantone_7724_c: '#00966C', pantone_7725_c: '#008755', pantone_7726_c: '#007B4B', pantone_7727_c: '#006F44', pantone_7728_c: '#006845',
+  pantone_7729_c: '#005844', pantone_3375_c: '#7AE1BF', pantone_3385_c: '#47D7AC', pantone_3395_c: '#00C389', pantone_3405_c: '#00AF66',
+  pantone_3415_c: '#007749', pantone_3425_c: '#006341', pantone_3435_c: '#154734', pantone_344_c: '#A0DAB3', pantone_345_c: '#91D6AC',
+  pantone_346_c: '#71CC98', pantone_347_c: '#009A44', pantone_348_c: '#00843D', pantone_349_c: '#046A38', pantone_350_c: '#2C5234',
+  pantone_351_c: '#A2E4B8', pantone_352_c: '#8FE2B0', pantone_353_c: '#80E0A7', pantone_354_c: '#00B140', pantone_355_c: '#009639',
+  pantone_356_c: '#007A33', pantone_357_c: '#215732', pantone_7478_c: '#9BE3BF', pantone_7479_c: '#26D07C', pantone_7480_c: '#00BF6F',
+  pantone_7481_c: '#00B74F', pantone_7482_c: '#009F4D', pantone_7483_c: '#275D38', pantone_7484_c: '#00573F', pantone_7730_c: '#4B9560',
+  pantone_7731_c: '#228848', pantone_7732_c: '#007A3E', pantone_7733_c: '#007041', pantone_7734_c: '#286140', pantone_7735_c: '#36573B',
+  pantone_7736_c: '#395542', pantone_7737_c: '#6BA539', pantone_7738_c: '#48A23F', pantone_7739_c: '#319B42', pantone_7740_c: '#3A913F',
+  pantone_7741_c: '#44883E', pantone_7742_c: '#4A773C', pantone_7743_c: '#44693D', pantone_358_c: '#ADDC91', pantone_359_c: '#A1D884',
+  pantone_360_c: '#6CC24A', pantone_361_c: '#43B02A', pantone_362_c: '#509E2F', pantone_363_c: '#4C8C2B', pantone_364_c: '#4A7729',
+  pantone_7485_c: '#D0DEBB', pantone_7486_c: '#BCE194', pantone_7487_c: '#8EDD65', pantone_7488_c: '#78D64B', pantone_7489_c: '#74AA50',
+  pantone_7490_c: '#719949', pantone_7491_c: '#79863C', pantone_365_c: '#C2E189', pantone_366_c: '#B7DD79', pantone_367_c: '#A4D65E',
+  pantone_368_c: '#78BE20', pantone_369_c: '#64A70B', pantone_370_c: '#658D1B', pantone_371_c: '#546223', pantone_372_c: '#D4EB8E',
+  pantone_373_c: '#CDEA80', pantone_374_c: '#C5E86C', pantone_375_c: '#97D700', pantone_376_c: '#84BD00', pantone_377_c: '#7A9A01',
+  pantone_378_c: '#59621D', pantone_580_c: '#C4D6A4', pantone_579_c: '#BCD19B', pantone_578_c: '#B7CE95', pantone_577_c: '#A9C47F',
+  pantone_576_c: '#789D4A', pantone_575_c: '#67823A', pantone_574_c: '#4E5B31', pantone_5807_c: '#D0D1AB', pantone_5797_c: '#C6C89B',
+  pantone_5787_c: '#BABD8B', pantone_5777_c: '#A2A569', pantone_5767_c: '#8A8D4A', pantone_5757_c: '#6D712E', pantone_5747_c: '#3D441E',
+  pantone_5875_c: '#D2CE9E', pantone_5865_c: '#CBC793', pantone_5855_c: '#C0BB87', pantone_5845_c: '#AFA96E', pantone_5835_c: '#A09958',
+  pantone_5825_c: '#89813D', pantone_5815_c: '#555025', pantone_5803_c: '#C3C6A8', pantone_5793_c: '#B3B995', pantone_5783_c: '#A3AA83',
+  pantone_5773_c: '#899064', pantone_5763_c: '#737B4C', pantone_5753_c: '#5E6738', pantone_5743_c: '#3E4827', pantone_7492_c: '#BFCC80',
+  pantone_7493_c: '#BBC592', pantone_7494_c: '#9CAF88', pantone_7495_c: '#8F993E', pantone_7496_c: '#76881D', pantone_7497_c: '#7A7256',
+  pantone_7498_c: '#5B6236', pantone_7744_c: '#BABC16', pantone_7745_c: '#ABAD23', pantone_7746_c: '#999B30', pantone_7747_c: '#888D30',
+  pantone_7748_c: '#7C8034', pantone_7749_c: '#727337', pantone_7750_c: '#656635', pantone_379_c: '#E2E868', pantone_380_c: '#DBE442',
+  pantone_381_c: '#CEDC00', pantone_382_c: '#C4D600', pantone_383_c: '#A8AD00', pantone_384_c: '#949300', pantone_385_c: '#787121',
+  pantone_386_c: '#E9EC6B', pantone_387_c: '#E3E935', pantone_388_c: '#E0E721', pantone_389_c: '#D0DF00', pantone_390_c: '#B5BD00',
+  pantone_391_c: '#9A9500', pantone_392_c: '#827A04', pantone_587_c: '#E3E48D', pantone_586_c: '#E0E27C', pantone_585_c: '#DBDE70',
+  pantone_584_c: '#D2D755', pantone_583_c: '#B7BF10', pantone_582_c: '#8E8C13', pantone_581_c: '#625D20', pantone_393_c: '#F0EC74',
+  pantone_394_c: '#EDE939', pantone_395_c: '#ECE81A', pantone_396_c: '#E1E000', pantone_397_c: '#BFB800', pantone_398_c: '#ADA400',
+  pantone_399_c: '#A09200', pantone_3935_c: '#F3EA5D', pantone_3945_c: '#F3E500', pantone_3955_c: '#EFDF00', pantone_3965_c: '#EEDC00',
+  pantone_3975_c: '#BBA600', pantone_3985_c: '#9A8700', pantone_3995_c: '#685C20', pantone_600_c: '#F1EB9C', pantone_601_c: '#F0E991',
+  pantone_602_c: '#F0E87B', pantone_603_c: '#EDE04B', pantone_604_c: '#EADA24', pantone_605_c: '#E1CD00', pantone_606_c: '#CFB500',
+  pantone_607_c: '#EBE49A', pantone_608_c: '#E9E186', pantone_609_c: '#E6DE77', pantone_610_c: '#E1D555', pantone_611_c: '#D7C826',
+  pantone_612_c: '#C4B000', pantone_613_c: '#B39B00', pantone_461_c: '#E9DF97', pantone_460_c: '#E4D77E', pantone_459_c: '#DECD63',
+  pantone_458_c: '#D9C756', pantone_457_c: '#B89D18', pantone_456_c: '#A28E2A', pantone_455_c: '#695B24', pantone_614_c: '#DCD59A',
+  pantone_615_c: '#D6CF8D', pantone_616_c: '#D0C883', pantone_617_c: '#C0B561', pantone_618_c: '#AC9F3C', pantone_619_c: '#9F912A',
+  pantone_620_c: '#8A7B19', pantone_7751_c: '#CAB64B', pantone_7752_c: '#CFB023', pantone_7753_c: '#C1A01E', pantone_7754_c: '#A08629',
+  pantone_7755_c: '#897630', pantone_7756_c: '#736635', pantone_7757_c: '#675E33', pantone_7758_c: '#D4C304', pantone_7759_c: '#C4B200',
+  pantone_7760_c: '#91852C', pantone_7761_c: '#747136', pantone_7762_c: '#5D6439', pantone_7763_c: '#585C3B', pantone_7764_c: '#535435',
+  pantone_7765_c: '#BBB323', pantone_7766_c: '#B4A91F', pantone_7767_c: '#AA9D2E', pantone_7768_c: '#8F7E35', pantone_7769_c: '#716135',
+  pantone_7770_c: '#635939', pantone_7771_c: '#4E4934', pantone_4545_c: '#D5CB9F', pantone_4535_c: '#CFC493', pantone_4525_c: '#C5B783',
+  pantone_4515_c: '#B3A369', pantone_4505_c: '#998542', pantone_4495_c: '#8C7732', pantone_4485_c: '#614F25', pantone_454_c: '#CAC7A7',
+  pantone_453_c: '#BFBB98', pantone_452_c: '#B0AA7E', pantone_451_c: '#9B945F', pantone_450_c: '#594A25', pantone_449_c: '#524727',
+  pantone_448_c: '#4A412A', pantone_7499_c: '#F1E6B2', pantone_7500_c: '#DFD1A7', pantone_7501_c: '#D9C89E', pantone_7502_c: '#CEB888',
+  pantone_7503_c: '#A89968', pantone_7504_c: '#94795D', pantone_7505_c: '#816040', pantone_468_c: '#DDCBA4', pantone_467_c: '#D3BC8D',
+  pantone_466_c: '#C6AA76', pantone_465_c: '#B9975B', pantone_464_c: '#8B5B29', pantone_463_c: '#744F28', pantone_462_c: '#5C462B',
+  pantone_7506_c: '#EFDBB2', pantone_7507_c: '#FCD299', pantone_7508_c: '#E1B87F', pantone_7509_c: '#D6A461', pantone_7510_c: '#C6893F',
+  pantone_7511_c: '#B77729', pantone_7512_c: '#A6631B', pantone_719_c: '#EDC8A3', pantone_720_c: '#E7B78A', pantone_721_c: '#DDA46F',
+  pantone_722_c: '#C88242', pantone_723_c: '#B36924', pantone_724_c: '#934D11', pantone_725_c: '#7D3F16', pantone_475_c: '#F3CFB3',
+  pantone_474_c: '#F1C6A7', pantone_473_c: '#F0BF9B', pantone_472_c: '#E59E6D', pantone_471_c: '#B86125', pantone_470_c: '#A45A2A',
+  pantone_469_c: '#693F23', pantone_726_c: '#E0C09F', pantone_727_c: '#D9B48F', pantone_728_c: '#CDA077', pantone_729_c: '#B58150',
+  pantone_730_c: '#9E652E', pantone_731_c: '#774212', pantone_732_c: '#623412', pantone_4685_c: '#E0C6AD', pantone_4675_c: '#DCBFA6',
+  pantone_4665_c: '#CDA788', pantone_4655_c: '#BF9474', pantone_4645_c: '#AD7C59', pantone_4635_c: '#946037', pantone_4625_c: '#4F2C1D',
+  pantone_7513_c: '#E1B7A7', pantone_7514_c: '#D5A286', pantone_7515_c: '#C58B68', pantone_7516_c: '#99552B', pantone_7517_c: '#85431E',
+  pantone_7518_c: '#6D4F47', pantone_7519_c: '#5E4B3C', pantone_4755_c: '#D7C4B7', pantone_4745_c: '#CDB5A7', pantone_4735_c: '#C0A392',
+  pantone_4725_c: '#AE8A79', pantone_4715_c: '#956C58', pantone_4705_c: '#7C4D3A', pantone_4695_c: '#5B3427', pantone_482_c: '#DBC8B6',
+  pantone_481_c: '#D3BBA8', pantone_480_c: '#C6A992', pantone_479_c: '#AA8066', pantone_478_c: '#703F2A', pantone_477_c: '#623B2A',
+  pantone_476_c: '#4E3629', pantone_7527_c: '#D6D2C4', pantone_7528_c: '#C5B9AC', pantone_7529_c: '#B7A99A', pantone_7530_c: '#A39382',
+  pantone_7531_c: '#7A6855', pantone_7532_c: '#63513D', pantone_7533_c: '#473729', pantone_7534_c: '#D1CCBD', pantone_7535_c: '#B7B09C',
+  pantone_7536_c: '#A69F88', pantone_7537_c: '#A7ACA2', pantone_7538_c: '#949A90', pantone_7539_c: '#8E9089', pantone_7540_c: '#4B4F54',
+  pantone_427_c: '#D0D3D4', pantone_428_c: '#C1C6C8', pantone_429_c: '#A2AAAD', pantone_430_c: '#7C878E', pantone_431_c: '#5B6770',
+  pantone_432_c: '#333F48', pantone_433_c: '#1D252D', pantone_420_c: '#C7C9C7', pantone_421_c: '#B2B4B2', pantone_422_c: '#9EA2A2',
+  pantone_423_c: '#898D8D', pantone_424_c: '#707372', pantone_425_c: '#54585A', pantone_426_c: '#25282A', pantone_441_c: '#BEC6C4',
+  pantone_442_c: '#A2ACAB', pantone_443_c: '#919D9D', pantone_444_c: '#717C7D', pantone_445_c: '#505759', pantone_446_c: '#3F4444',
+  pantone_447_c: '#373A36', pantone_413_c: '#BABBB1', pantone_414_c: '#A8A99E', pantone_415_c: '#919388', pantone_416_c: '#7E7F74',
+  pantone_417_c: '#65665C', pantone_418_c: '#51534A', pantone_419_c: '#212322', pantone_400_c: '#C4BFB6', pantone_401_c: '#AFA9A0',
+  pantone_402_c: '#9D968D', pantone_403_c: '#8C857B', pantone_404_c: '#776E64', pantone_405_c: '#696158', pantone_406_c: '#C4BCB7',
+  pantone_407_c: '#B2A8A2', pantone_408_c: '#978C87', pantone_409_c: '#857874', pantone_410_c: '#746661', pantone_411_c: '#5E514D',
+  pantone_412_c: '#382F2D', pantone_434_c: '#D0C4C5', pantone_435_c: '#C1B2B6', pantone_436_c: '#AB989D', pantone_437_c: '#7B6469',
+  pantone_438_c: '#584446', pantone_439_c: '#453536', pantone_440_c: '#382E2C', pantone_warm_gray_1_c: '#D7D2CB', pantone_warm_gray_2_c: '#CBC4BC',
+  pantone_warm_gray_3_c: '#BFB8AF', pantone_warm_gray_4_c: '#B6ADA5', pantone_warm_gray_5_c: '#ACA39A', pantone_warm_gray_6_c: '#A59C94', pantone_warm_gray_7_c: '#968C83',
+  pantone_warm_gray_8_c: '#8C8279', pantone_warm_gray_9_c: '#83786F', pantone_warm_gray_10_c: '#796E65', pantone_warm_gray_11_c: '#6E6259', pantone_cool_gray_1_c: '#D9D9D6',
+  pantone_cool_gray_2_c: '#D0D0CE', pantone_cool_gray_3_c: '#C8C9C7', pantone_cool_gray_4_c: '#BBBCBC', pantone_cool_gray_5_c: '#B1B3B3', pantone_cool_gray_6_c: '#A7A8AA',
+  pantone_cool_gray_7_c: '#97999B', pantone_cool_gray_8_c: '#888B8D', pantone_cool_gray_9_c: '#75787B', pantone_cool_gray_10_c: '#63666A', pantone_cool_gray_11_c: '#53565A',
+  pantone_black_2_c: '#332F21', pantone_black_3_c: '#212721', pantone_black_4_c: '#31261D', pantone_black_5_c: '#3E2B2E', pantone_black_6_c: '#101820',
+  pantone_black_7_c: '#3D3935', pantone_yellow_c: '#FEDD00', pantone_yellow_012_c: '#FFD700', pantone_orange_021_c: '#FE5000', pantone_warm_red_c: '#F9423A',
+  pantone_red_032_c: '#EF3340', pantone_rubine_red_c: '#CE0058', pantone_rhodamine_red_c: '#E10098', pantone_purple_c: '#BB29BB', pantone_violet_c: '#440099',
+  pantone_blue_072_c: '#10069F', pantone_reflex_blue_c: '#001489', pantone_process_blue_c: '#0085CA', pantone_green_c: '#00AB84', pantone_black_c: '#2D2926',
+  pantone_yellow_0131_c: '#F2F0A1', pantone_red_0331_c: '#FCAEBB', pantone_magenta_0521_c: '#F1B2DC', pantone_violet_0631_c: '#BF9BDE', pantone_blue_0821_c: '#74D1EA',
+  pantone_green_0921_c: '#9DE7D7', pantone_black_0961_c: '#9E978E', pantone_801_c: '#009ACE', pantone_802_c: '#44D62C', pantone_803_c: '#FFE900',
+  pantone_804_c: '#FFAA4D', pantone_805_c: '#FF7276', pantone_806_c: '#FF3EB5', pantone_807_c: '#EA27C2', pantone_871_c: '#84754E',
+  pantone_872_c: '#85714D', pantone_873_c: '#866D4B', pantone_874_c: '#8B6F4E', pantone_875_c: '#87674F', pantone_876_c: '#8B634B',
+  pantone_877_c: '#8A8D8F', pantone_medium_yellow_c: '#FFD900', pantone_bright_orange_c: '#FF5E00', pantone_bright_red_c: '#F93822', pantone_strong_red_c: '#CE0056',
+  pantone_pink_c: '#D62598', pantone_medium_purple_c: '#4E008E', pantone_dark_blue_c: '#00239C', pantone_medium_blue_c: '#0084CA', pantone_bright_green_c: '#00B08B',
+  pantone_neutral_black_c: '#222223', pantone_100_u: '#FEF380', pantone_101_u: '#FFF166', pantone_102_u: '#FFEC2D', pantone_103_u: '#B49F29',
+  pantone_104_u: '#9B8D39', pantone_105_u: '#7D7547', pantone_7401_u: '#FEE5A5', pantone_7402_u: '#F3DA9A', pantone_7403_u: '#F4CF81',
+  pantone_7404_u: '#FDCF41', pantone_7405_u: '#E6B10E', pantone_7406_u: '#F1B828', pantone_7407_u: '#CCA36E', pantone_106_u: '#FFEB68',
+  pantone_107_u: '#FFE552', pantone_108_u: '#FFDD35', pantone_109_u: '#FFC700', pantone_110_u: '#CC9F26', pantone_111_u: '#9C873B',
+  pantone_112_u: '#8A7A3E', pantone_113_u: '#FFE15E', pantone_114_u: '#FFD94A', pantone_115_u: '#FFCE2E', pantone_116_u: '#FFB511',
+  pantone_117_u: '#B78C30', pantone_118_u: '#9E8139', pantone_119_u: '#847748', pantone_127_u: '#FCE385', pantone_128_u: '#FCCF61',
+  pantone_129_u: '#FAAF3F', pantone_130_u: '#F79B2E', pantone_131_u: '#BA8032', pantone_132_u: '#977A3C', pantone_133_u: '#7C7047',
+  pantone_1205_u: '#FFE495', pantone_1215_u: '#FFDA7E', pantone_1225_u: '#FFBB4F', pantone_1235_u: '#FFAE3B', pantone_1245_u: '#BB8B41',
+  pantone_1255_u: '#A08246', pantone_1265_u: '#887549', pantone_120_u: '#FFD96A', pantone_121_u: '#FFCC52', pantone_122_u: '#FFC03F',
+  pantone_123_u: '#FFAC2A', pantone_124_u: '#D79133', pantone_125_u: '#A6813D', pantone_126_u: '#8E7742', pantone_7548_u: '#FFC915',
+  pantone_7549_u: '#FFB838', pantone_7550_u: '#CE973D', pantone_7551_u: '#AE8643', pantone_7552_u: '#826F4B', pantone_7553_u: '#70654B',
+  pantone_7554_u: '#6C6558', pantone_7555_u: '#D7A95A', pantone_7556_u: '#BC995D', pantone_7557_u: '#A58D5F', pantone_7558_u: '#9B835E',
+  pantone_7559_u: '#977F5E', pantone_7560_u: '#8E7E62', pantone_7561_u: '#807964', pantone_134_u: '#FFD378', pantone_135_u: '#FFC267',
+  pantone_136_u: '#FFAD4A', pantone_137_u: '#FF9F37', pantone_138_u: '#D37C32', pantone_139_u: '#9D6F3C', pantone_140_u: '#7F6A45',
+  pantone_1345_u: '#FFD591', pantone_1355_u: '#FFC87E', pantone_1365_u: '#FFAD5B', pantone_1375_u: '#FF9940', pantone_1385_u: '#CD7E3E',
+  pantone_1395_u: '#946E43', pantone_1405_u: '#796648', pantone_141_u: '#F9C16E', pantone_142_u: '#F8B05D', pantone_143_u: '#F6A04D',
+  pantone_144_u: '#F38B3C', pantone_145_u: '#C97F3A', pantone_146_u: '#9D7441', pantone_147_u: '#76694A', pantone_7408_u: '#EE9D26',
+  pantone_7409_u: '#F7AD50', pantone_7410_u: '#FFA06E', pantone_7411_u: '#E9A16F', pantone_7412_u: '#D08C60', pantone_7413_u: '#DE8958',
+  pantone_7414_u: '#C07F53', pantone_7562_u: '#BDA078', pantone_7563_u: '#DAA563', pantone_7564_u: '#DE9858', pantone_7565_u: '#C98659',
+  pantone_7566_u: '#AE7B5E', pantone_7567_u: '#90705C', pantone_7568_u: '#826D5E', pantone_7569_u: '#D28E56', pantone_7570_u: '#D18D5B',
+  pantone_7571_u: '#C3895D', pantone_7572_u: '#B17F5B', pantone_7573_u: '#A87B59', pantone_7574_u: '#99775B', pantone_7575_u: '#86715A',
+  pantone_712_u: '#FFCA9D', pantone_713_u: '#FFC190', pantone_714_u: '#FFB07B', pantone_715_u: '#F99963', pantone_716_u: '#EA8651',
+  pantone_717_u: '#D77540', pantone_718_u: '#C76C3D', pantone_148_u: '#FFC688', pantone_149_u: '#FFB575', pantone_150_u: '#FF9955',
+  pantone_151_u: '#FF883E', pantone_152_u: '#E07A3F', pantone_153_u: '#AC6F42', pantone_154_u: '#926844', pantone_155_u: '#F7C995',
+  pantone_156_u: '#F7B984', pantone_157_u: '#F39662', pantone_158_u: '#EE7F4B', pantone_159_u: '#C97146', pantone_160_u: '#9D6B47',
+  pantone_161_u: '#786249', pantone_1485_u: '#FFA563', pantone_1495_u: '#FF9351', pantone_1505_u: '#FF8038', pantone_1525_u: '#BD6439',
+  pantone_1535_u: '#976241', pantone_1545_u: '#7A5F48', pantone_1555_u: '#FFC29E', pantone_1565_u: '#FFAA81', pantone_1575_u: '#FF9665',
+  pantone_1585_u: '#FF8450', pantone_1595_u: '#D37046', pantone_1605_u: '#A76C4C', pantone_1615_u: '#93654A', pantone_162_u: '#FFBB9B',
+  pantone_163_u: '#FF9C76', pantone_164_u: '#FF865F', pantone_165_u: '#FF7548', pantone_166_u: '#E16740', pantone_167_u: '#B46547',
+  pantone_168_u: '#8A614B', pantone_7576_u: '#DA8E6B', pantone_7577_u: '#E18B63', pantone_7578_u: '#DB7D59', pantone_7579_u: '#DF7357',
+  pantone_7580_u: '#C06D59', pantone_7581_u: '#916B5D', pantone_7582_u: '#7A685E', pantone_1625_u: '#FFA891', pantone_1635_u: '#FF967E',
+  pantone_1645_u: '#FF7F61', pantone_1655_u: '#FF6F4C', pantone_1665_u: '#E56849', pantone_1675_u: '#AB614A', pantone_1685_u: '#95614D',
+  pantone_169_u: '#FFB7AE', pantone_170_u: '#FF8D7E', pantone_171_u: '#FF7865', pantone_172_u: '#FF674D', pantone_173_u: '#CE614A',
+  pantone_174_u: '#9C5B4B', pantone_175_u: '#7D594D', pantone_7583_u: '#CA7D5F', pantone_7584_u: '#C07759', pantone_7585_u: '#B67965',
+  pantone_7586_u: '#A2715D', pantone_7587_u: '#996E5C', pantone_7588_u: '#896E61', pantone_7589_u: '#756A63', pantone_7590_u: '#DBBCA9',
+  pantone_7591_u: '#C68D78', pantone_7592_u: '#B47260', pantone_7593_u: '#A26859', pantone_7594_u: '#8B645A', pantone_7595_u: '#80665C',
+  pantone_7596_u: '#776760', pantone_7597_u: '#D66756', pantone_7598_u: '#C36D5C', pantone_7599_u: '#BD695A', pantone_7600_u: '#9B6A5E',
+  pantone_7601_u: '#92695C', pantone_7602_u: '#8D6E61', pantone_7603_u: '#7C675D', pantone_7604_u: '#EAD8D6', pantone_7605_u: '#EAC4BE',
+  pantone_7606_u: '#DEA09A', pantone_7607_u: '#CB867F', pantone_7608_u: '#AB6E67', pantone_7609_u: '#926660', pantone_7610_u: '#80615E',
+  pantone_7611_u: '#E7C8BE', pantone_7612_u: '#D4AAA0', pantone_7613_u: '#C89F97', pantone_7614_u: '#AE928C', pantone_7615_u: '#978480',
+  pantone_7616_u: '#867474', pantone_7617_u: '#756667', pantone_7520_u: '#F3C4BF', pantone_7521_u: '#C4A195', pantone_7522_u: '#AF7871',
+  pantone_7523_u: '#A97576', pantone_7524_u: '#A36D6A', pantone_7525_u: '#997970', pantone_7526_u: '#925F52', pantone_489_u: '#F5C7B8',
+  pantone_488_u: '#F4B9A9', pantone_487_u: '#F3A293', pantone_486_u: '#F08D80', pantone_485_u: '#E45D50', pantone_484_u: '#A05B4E',
+  pantone_483_u: '#7D5B4F', pantone_176_u: '#FFB1BA', pantone_177_u: '#FF8C91', pantone_178_u: '#FF7677', pantone_179_u: '#E15F55',
+  pantone_180_u: '#BF6059', pantone_181_u: '#8B5952', pantone_1765_u: '#FFA7B6', pantone_1775_u: '#FF8B9A', pantone_1785_u: '#FE6672',
+  pantone_1788_u: '#F95D62', pantone_1795_u: '#DA5959', pantone_1805_u: '#B45858', pantone_1815_u: '#8F5652', pantone_1767_u: '#FFBAC9',
+  pantone_1777_u: '#FF8091', pantone_1787_u: '#FC6371', pantone_1797_u: '#CB4F53', pantone_1807_u: '#A75154', pantone_1817_u: '#795453',
+  pantone_7618_u: '#D08A77', pantone_7619_u: '#C87164', pantone_7620_u: '#C0615B', pantone_7621_u: '#BA5D5A', pantone_7622_u: '#A55D5C',
+  pantone_7623_u: '#9B5C57', pantone_7624_u: '#8D5A54', pantone_7625_u: '#EA776C', pantone_7626_u: '#D2625F', pantone_7627_u: '#AD5857',
+  pantone_7628_u: '#A85959', pantone_7629_u: '#805B5A', pantone_7630_u: '#765957', pantone_7631_u: '#6E5555', pantone_7415_u: '#EBB5A5',
+  pantone_7416_u: '#EA746A', pantone_7417_u: '#E76B61', pantone_7418_u: '#BF6366', pantone_7419_u: '#A6626B', pantone_7420_u: '#A45768',
+  pantone_7421_u: '#7D4E5B', pantone_182_u: '#FFB8CA', pantone_183_u: '#FF8DA3', pantone_184_u: '#FC6E83', pantone_185_u: '#F15060',
+  pantone_186_u: '#D2515E', pantone_187_u: '#AE535C', pantone_188_u: '#895559', pantone_196_u: '#F4C3CB', pantone_197_u: '#F2A1B2',
+  pantone_198_u: '#E76B7C', pantone_199_u: '#DD5061', pantone_200_u: '#BD4F5C', pantone_201_u: '#A15760', pantone_202_u: '#90585E',
+  pantone_189_u: '#FFABC2', pantone_190_u: '#FE87A3', pantone_191_u: '#F87089', pantone_192_u: '#EE536B', pantone_193_u: '#C55265',
+  pantone_194_u: '#A35965', pantone_195_u: '#885A61', pantone_1895_u: '#FEB3CD', pantone_1905_u: '#FD9CBA', pantone_1915_u: '#F66F92',
+  pantone_1925_u: '#E9506E', pantone_1935_u: '#C94C63', pantone_1945_u: '#B05468', pantone_1955_u: '#975361', pantone_705_u: '#FFDDE2',
+  pantone_706_u: '#FFCAD4', pantone_707_u: '#FFB0BF', pantone_708_u: '#FE99A8', pantone_709_u: '#F47C8A', pantone_710_u: '#E4636F',
+  pantone_711_u: '#CE5055', pantone_698_u: '#FAD7DA', pantone_699_u: '#FCC2CC', pantone_700_u: '#F8AAB6', pantone_701_u: '#E98F9D',
+  pantone_702_u: '#D87987', pantone_703_u: '#B45A65', pantone_704_u: '#A24F56', pantone_203_u: '#F5B1CC', pantone_204_u: '#EE82A4',
+  pantone_205_u: '#E56284', pantone_206_u: '#D84465', pantone_207_u: '#AF4C64', pantone_208_u: '#905567', pantone_209_u: '#825864',
+  pantone_210_u: '#FFA2CB', pantone_211_u: '#FC85B6', pantone_212_u: '#F56D9E', pantone_213_u: '#E95485', pantone_214_u: '#D1517A',
+  pantone_215_u: '#AE5171', pantone_216_u: '#8A5566', pantone_7422_u: '#FDD4DA', pantone_7423_u: '#E2758F', pantone_7424_u: '#D9577D',
+  pantone_7425_u: '#BB5A73', pantone_7426_u: '#B1556A', pantone_7427_u: '#A5525C', pantone_7428_u: '#805C67', pantone_7632_u: '#DDCFD0',
+  pantone_7633_u: '#C9AAAE', pantone_7634_u: '#C77D92', pantone_7635_u: '#CD627D', pantone_7636_u: '#C3566D', pantone_7637_u: '#955864',
+  pantone_7638_u: '#855660', pantone_217_u: '#F4C1E1', pantone_218_u: '#EF84B9', pantone_219_u: '#E45C96', pantone_220_u: '#B04C75',
+  pantone_221_u: '#9E4C6E', pantone_222_u: '#82566B', pantone_7639_u: '#A0858A', pantone_7640_u: '#9B6673', pantone_7641_u: '#9A5D6D',
+  pantone_7642_u: '#7E5867', pantone_7643_u: '#7A5A67', pantone_7644_u: '#715862', pantone_7645_u: '#6C5760', pantone_223_u: '#F9A4D8',
+  pantone_224_u: '#F587C7', pantone_225_u: '#EA60A7', pantone_226_u: '#DC4588', pantone_227_u: '#AF4879', pantone_228_u: '#8D4D6D',
+  pantone_229_u: '#7A5466', pantone_230_u: '#FEB2E0', pantone_231_u: '#F984CA', pantone_232_u: '#F16AB7', pantone_233_u: '#C84687',
+  pantone_234_u: '#AA4C7D', pantone_235_u: '#914E72', pantone_670_u: '#F3D6E5', pantone_671_u: '#EFC3DD', pantone_672_u: '#E8A7CD',
+  pantone_673_u: '#DF8CBA', pantone_674_u: '#CD72A1', pantone_675_u: '#BD618E', pantone_676_u: '#A85079', pantone_677_u: '#EDD2E0',
+  pantone_678_u: '#E5C0D4', pantone_679_u: '#DAACC6', pantone_680_u: '#C08BA9', pantone_681_u: '#A5708D', pantone_682_u: '#905D78',
+  pantone_683_u: '#805268', pantone_684_u: '#ECCBD9', pantone_685_u: '#E4BDD0', pantone_686_u: '#D5A6BE', pantone_687_u: '#BD8CA6',
+  pantone_688_u: '#A2738C', pantone_689_u: '#8E6178', pantone_690_u: '#7C5060', pantone_510_u: '#F2BFCB', pantone_509_u: '#EAAEBE',
+  pantone_508_u: '#DF9CAE', pantone_507_u: '#CF8FA4', pantone_506_u: '#9A6372', pantone_505_u: '#8A5C66', pantone_504_u: '#7F5D62',
+  pantone_7429_u: '#EECCD9', pantone_7430_u: '#E6B5C9', pantone_7431_u: '#DCA2B9', pantone_7432_u: '#C5819A', pantone_7433_u: '#B96F89',
+  pantone_7434_u: '#A8677D', pantone_7435_u: '#8C566B', pantone_691_u: '#F1D3D5', pantone_692_u: '#E9C0C5', pantone_693_u: '#DAA5AD',
+  pantone_694_u: '#C38D96', pantone_695_u: '#AC7680', pantone_696_u: '#98656C', pantone_697_u: '#87565B', pantone_496_u: '#F9C2CC',
+  pantone_495_u: '#F1AFBC', pantone_494_u: '#E59AA8', pantone_493_u: '#C77C89', pantone_492_u: '#9D5D60', pantone_491_u: '#8E595A',
+  pantone_490_u: '#775554', pantone_503_u: '#F2CDCF', pantone_502_u: '#E6B7BD', pantone_501_u: '#D8A5AC', pantone_500_u: '#BD898F',
+  pantone_499_u: '#8D615F', pantone_498_u: '#805D5B', pantone_497_u: '#715956', pantone_5035_u: '#E6C6C7', pantone_5025_u: '#DCB6BA',
+  pantone_5015_u: '#CAA1A6', pantone_5005_u: '#B28A90', pantone_4995_u: '#9F787F', pantone_4985_u: '#8F6A6F', pantone_4975_u: '#745654',
+  pantone_236_u: '#F8A6DE', pantone_237_u: '#F28DD2', pantone_238_u: '#E971C0', pantone_239_u: '#DB55AA', pantone_240_u: '#C15598',
+  pantone_241_u: '#AF548B', pantone_242_u: '#8D5977', pantone_2365_u: '#F8BFE7', pantone_2375_u: '#EA88D2', pantone_2385_u: '#E06FC2',
+  pantone_2395_u: '#D557AF', pantone_2405_u: '#BB569D', pantone_2415_u: '#AB5491', pantone_2425_u: '#975381', pantone_243_u: '#F1B2E6',
+  pantone_244_u: '#EB9ADE', pantone_245_u: '#E07FD0', pantone_246_u: '#CE57B3', pantone_247_u: '#BD51A2', pantone_248_u: '#A14F8C',
+  pantone_249_u: '#885779', pantone_7646_u: '#B08799', pantone_7647_u: '#B16889', pantone_7648_u: '#9E537B', pantone_7649_u: '#935379',
+  pantone_7650_u: '#835573', pantone_7651_u: '#7F5C78', pantone_7652_u: '#73556C', pantone_250_u: '#EEBAE9', pantone_251_u: '#E096DF',
+  pantone_252_u: '#CE70CC', pantone_253_u: '#B456AE', pantone_254_u: '#9E549A', pantone_255_u: '#83577D', pantone_517_u: '#F2C8E3',
+  pantone_516_u: '#E8B6DC', pantone_515_u: '#E2A5D4', pantone_514_u: '#CE89C3', pantone_513_u: '#9E5F98', pantone_512_u: '#8A587F',
+  pantone_511_u: '#745568', pantone_7436_u: '#F3D5ED', pantone_7437_u: '#D4B6D6', pantone_7438_u: '#D79BD7', pantone_7439_u: '#C09CC6',
+  pantone_7440_u: '#B796BA', pantone_7441_u: '#AE7ECA', pantone_7442_u: '#9E62BE', pantone_2562_u: '#DDAEE9', pantone_2572_u: '#CD90DE',
+  pantone_2582_u: '#BB76CF', pantone_2592_u: '#AA60BF', pantone_2602_u: '#9757A6', pantone_2612_u: '#86578D', pantone_2622_u: '#7B5B7A',
+  pantone_7653_u: '#9E95A0', pantone_7654_u: '#AA8AA5', pantone_7655_u: '#A978A0', pantone_7656_u: '#96648D', pantone_7657_u: '#7E5978',
+  pantone_7658_u: '#7C5E77', pantone_7659_u: '#6E5A6B', pantone_524_u: '#DAC5DC', pantone_523_u: '#D0B7D5', pantone_522_u: '#BC9FC6',
+  pantone_521_u: '#A98BB5', pantone_520_u: '#815F87', pantone_519_u: '#775D7A', pantone_518_u: '#6C5969', pantone_5245_u: '#E0CFD6',
+  pantone_5235_u: '#D6C3CC', pantone_5225_u: '#C2ACB9', pantone_5215_u: '#A28C9C', pantone_5205_u: '#907B8A', pantone_5195_u: '#816C78',
+  pantone_5185_u: '#756069', pantone_5175_u: '#DAC5D0', pantone_5165_u: '#CCB4C4', pantone_5155_u: '#B99EB2', pantone_5145_u: '#A4899F',
+  pantone_5135_u: '#8C7287', pantone_5125_u: '#7D6378', pantone_5115_u: '#6F5564', pantone_531_u: '#E4C7EB', pantone_530_u: '#DBB9E8',
+  pantone_529_u: '#CEA5E1', pantone_528_u: '#B889D2', pantone_527_u: '#9361B0', pantone_526_u: '#805791', pantone_525_u: '#735775',
+  pantone_256_u: '#D4B4DA', pantone_257_u: '#C29BCB', pantone_258_u: '#A276AE', pantone_259_u: '#94679C', pantone_260_u: '#8A658D',
+  pantone_261_u: '#7F6282', pantone_262_u: '#755E74', pantone_2563_u: '#CDA2D9', pantone_2573_u: '#B989CB', pantone_2583_u: '#A372B5',
+  pantone_2593_u: '#8E5DA0', pantone_2603_u: '#845991', pantone_2613_u: '#7D5787', pantone_2623_u: '#75557A', pantone_7660_u: '#9C97A8',
+  pantone_7661_u: '#947F9D', pantone_7662_u: '#84668C', pantone_7663_u: '#7A5C83', pantone_7664_u: '#765D84', pantone_7665_u: '#725E7C',
+  pantone_7666_u: '#706977', pantone_2567_u: '#C09FDB', pantone_2577_u: '#A47EC6', pantone_2587_u: '#936DB7', pantone_2597_u: '#825AA4',
+  pantone_2607_u: '#7A5896', pantone_2617_u: '#735489', pantone_2627_u: '#6E527C', pantone_263_u: '#DCC6EA', pantone_264_u: '#BFA1E3',
+  pantone_265_u: '#9D7AD2', pantone_266_u: '#8A65C4', pantone_267_u: '#7F5DAE', pantone_268_u: '#735990', pantone_269_u: '#6E587F',
+  pantone_2635_u: '#C9B7E8', pantone_2645_u: '#B9A3E3', pantone_2655_u: '#A288D9', pantone_2665_u: '#8C6FCA', pantone_2685_u: '#765BA7',
+  pantone_2695_u: '#6C5D80', pantone_270_u: '#ADAEDE', pantone_271_u: '#9A9BD4', pantone_272_u: '#8586C6', pantone_273_u: '#645D9B',
+  pantone_274_u: '#5F578B', pantone_275_u: '#5D5683', pantone_276_u: '#5C556F', pantone_2705_u: '#BAB6E9', pantone_2715_u: '#9F98DF',
+  pantone_2725_u: '#8980D4', pantone_2735_u: '#6857B2', pantone_2745_u: '#61559A', pantone_2755_u: '#5D538B', pantone_2765_u: '#574F77',
+  pantone_7667_u: '#828CA8', pantone_7668_u: '#7B81A4', pantone_7669_u: '#7878A2', pantone_7670_u: '#706E9A', pantone_7671_u: '#6E6993',
+  pantone_7672_u: '#6B668E', pantone_7673_u: '#6C6D8D', pantone_7443_u: '#DDD8EB', pantone_7444_u: '#BCBDE2', pantone_7445_u: '#ACA8C7',
+  pantone_7446_u: '#9493CF', pantone_7447_u: '#7F7392', pantone_7448_u: '#726874', pantone_7449_u: '#63515C', pantone_7674_u: '#9296B8',
+  pantone_7675_u: '#888CAF', pantone_7676_u: '#827AA3', pantone_7677_u: '#7C6D96', pantone_7678_u: '#766691', pantone_7679_u: '#6E628B',
+  pantone_7680_u: '#695981', pantone_663_u: '#E2D9E3', pantone_664_u: '#DACFDD', pantone_665_u: '#C5B8CE', pantone_666_u: '#AEA1BC',
+  pantone_667_u: '#9083A1', pantone_668_u: '#817391', pantone_669_u: '#71637F', pantone_5315_u: '#DBD8E1', pantone_5305_u: '#C5C2D2',
+  pantone_5295_u: '#B1AFC3', pantone_5285_u: '#9694AC', pantone_5275_u: '#7B7992', pantone_5265_u: '#6D6B82', pantone_5255_u: '#5D566C',
+  pantone_538_u: '#CDD7E1', pantone_537_u: '#BDCADA', pantone_536_u: '#A4B5CB', pantone_535_u: '#8C9DB8', pantone_534_u: '#5B6983',
+  pantone_533_u: '#5E6578', pantone_532_u: '#5B5C64', pantone_7541_u: '#DDE4E6', pantone_7542_u: '#B0C5CC', pantone_7543_u: '#AEB8C0',
+  pantone_7544_u: '#9AA5AF', pantone_7545_u: '#78838E', pantone_7546_u: '#67707A', pantone_7547_u: '#51545D', pantone_552_u: '#B0D0DC',
+  pantone_551_u: '#96C0CE', pantone_550_u: '#7AAABE', pantone_549_u: '#6899AE', pantone_548_u: '#3E5E6F', pantone_547_u: '#415866',
+  pantone_546_u: '#465058', pantone_5455_u: '#C7D7E0', pantone_5445_u: '#B4C7D3', pantone_5435_u: '#9DB4C4', pantone_5425_u: '#7993A5',
+  pantone_5415_u: '#677F91', pantone_5405_u: '#5B6F80', pantone_5395_u: '#464C59', pantone_642_u: '#D3E0EA', pantone_643_u: '#BFD2E4',
+  pantone_644_u: '#9DB9D5', pantone_645_u: '#84A3C4', pantone_646_u: '#6E8DB0', pantone_647_u: '#5F7A9D', pantone_648_u: '#4E6282',
+  pantone_649_u: '#E1E7EE', pantone_650_u: '#D7E0EB', pantone_651_u: '#AFC3DC', pantone_652_u: '#89A2C4', pantone_653_u: '#6780A4',
+  pantone_654_u: '#55688B', pantone_655_u: '#4E5D7F', pantone_656_u: '#E2EAF2', pantone_657_u: '#D6E2F2', pantone_658_u: '#B8CFEE',
+  pantone_659_u: '#96B6E5', pantone_660_u: '#658BCC', pantone_661_u: '#4967AA', pantone_662_u: '#425390', pantone_7450_u: '#C3CBE0',
+  pantone_7451_u: '#94B3EA', pantone_7452_u: '#91A0E4', pantone_7453_u: '#88ADE3', pantone_7454_u: '#7599BB', pantone_7455_u: '#6B7DB9',
+  pantone_7456_u: '#8089C0', pantone_2706_u: '#CCD4F1', pantone_2716_u: '#A2AFE9', pantone_2726_u: '#717ACF', pantone_2736_u: '#5E60BA',
+  pantone_2746_u: '#595CA5', pantone_2756_u: '#585C8C', pantone_2766_u: '#575A7C', pantone_2708_u: '#B2C9EF', pantone_2718_u: '#6A87D8',
+  pantone_2728_u: '#5268C2', pantone_2738_u: '#474DA4', pantone_2748_u: '#484F8C', pantone_2758_u: '#484D7A', pantone_2768_u: '#4A4E6D',
+  pantone_2707_u: '#C7DBF4', pantone_2717_u: '#A9C8F4', pantone_2727_u: '#6490E8', pantone_2747_u: '#424F90', pantone_2757_u: '#454F7E',
+  pantone_2767_u: '#4A4C64', pantone_277_u: '#ADCFF1', pantone_278_u: '#8DBAEE', pantone_279_u: '#5B8EDB', pantone_280_u: '#3C4981',
+  pantone_281_u: '#3F4A75', pantone_282_u: '#434967', pantone_283_u: '#9BC7EE', pantone_284_u: '#7AB1E8', pantone_285_u: '#4982CF',
+  pantone_286_u: '#3255A4', pantone_287_u: '#3C5896', pantone_288_u: '#3D5588', pantone_289_u: '#434F69', pantone_7681_u: '#9DB0D0',
+  pantone_7682_u: '#8097BF', pantone_7683_u: '#6982B0', pantone_7684_u: '#6276A3', pantone_7685_u: '#5E719D', pantone_7686_u: '#556995',
+  pantone_7687_u: '#525F8D', pantone_545_u: '#AECFE6', pantone_544_u: '#97C1DF', pantone_543_u: '#79ABD2', pantone_542_u: '#699CC6',
+  pantone_541_u: '#3A557C', pantone_540_u: '#3F526F', pantone_539_u: '#465062', pantone_290_u: '#A7D4EE', pantone_291_u: '#7FBEEB',
+  pantone_292_u: '#62A8E5', pantone_293_u: '#235BA8', pantone_294_u: '#385988', pantone_295_u: '#375172', pantone_296_u: '#435060',
+  pantone_2905_u: '#8AC9ED', pantone_2915_u: '#64B3E8', pantone_2925_u: '#4097DB', pantone_2935_u: '#1B5FAA', pantone_2945_u: '#29588C',
+  pantone_2955_u: '#395775', pantone_2965_u: '#3D5265', pantone_297_u: '#7ECCEE', pantone_298_u: '#4CB4E7', pantone_299_u: '#1295D8',
+  pantone_300_u: '#006EB6', pantone_301_u: '#28628E', pantone_302_u: '#375E77', pantone_303_u: '#3F5666', pantone_7688_u: '#5E9ACA',
+  pantone_7689_u: '#5693C1', pantone_7690_u: '#4C7FA7', pantone_7691_u: '#467198', pantone_7692_u: '#4C6B8B', pantone_7693_u: '#4D6480',
+  pantone_7694_u: '#4D6179', pantone_2975_u: '#8BD5EE', pantone_2985_u: '#48B8E7', pantone_2995_u: '#0D9DDB', pantone_3005_u: '#0078BF',
+  pantone_3015_u: '#216A95', pantone_3025_u: '#37617A', pantone_3035_u: '#405866', pantone_7695_u: '#82A8BD', pantone_7696_u: '#719BAF',
+  pantone_7697_u: '#698FA4', pantone_7698_u: '#637F92', pantone_7699_u: '#5E7688', pantone_7700_u: '#557288', pantone_7701_u: '#496B80',
+  pantone_7457_u: '#BFE3ED', pantone_7458_u: '#67A5BF', pantone_7459_u: '#518EAA', pantone_7460_u: '#008EC0', pantone_7461_u: '#4492C6',
+  pantone_7462_u: '#547AA3', pantone_7463_u: '#51657D', pantone_304_u: '#8EDDED', pantone_305_u: '#53CAEC', pantone_306_u: '#00B4E4',
+  pantone_307_u: '#0074A2', pantone_308_u: '#266782', pantone_309_u: '#3F5864', pantone_635_u: '#ACE3EF', pantone_636_u: '#8AD8ED',
+  pantone_637_u: '#5EC8E5', pantone_638_u: '#32B8DF', pantone_639_u: '#009ECC', pantone_640_u: '#008ABA', pantone_641_u: '#0078A7',
+  pantone_7702_u: '#5DABC6', pantone_7703_u: '#46A0BF', pantone_7704_u: '#348BAC', pantone_7705_u: '#3C7D9A', pantone_7706_u: '#437A94',
+  pantone_7707_u: '#477388', pantone_7708_u: '#456B7D', pantone_628_u: '#B4E0E6', pantone_629_u: '#8DD0DE', pantone_630_u: '#74C4D7',
+  pantone_631_u: '#56B2CB', pantone_632_u: '#3998B5', pantone_633_u: '#27829E', pantone_634_u: '#226E8A', pantone_310_u: '#5BD0E6',
+  pantone_311_u: '#01BEDB', pantone_312_u: '#00AFD0', pantone_313_u: '#008DB1', pantone_314_u: '#007D99', pantone_315_u: '#206779',
+  pantone_316_u: '#3E5A62', pantone_3105_u: '#4CCEDE', pantone_3115_u: '#00BFD3', pantone_3125_u: '#00ABC2', pantone_3135_u: '#008EA6',
+  pantone_3145_u: '#007788', pantone_3155_u: '#1B6875', pantone_3165_u: '#2F5C66', pantone_7709_u: '#6EB2BD', pantone_7710_u: '#40AAB8',
+  pantone_7711_u: '#179DAB', pantone_7712_u: '#228B9D', pantone_7713_u: '#2D8692', pantone_7714_u: '#358189', pantone_7715_u: '#417178',
+  pantone_317_u: '#AEE9E8', pantone_318_u: '#6BD9DE', pantone_319_u: '#25C9D0', pantone_320_u: '#009DA5', pantone_321_u: '#00838A',
+  pantone_322_u: '#167378', pantone_323_u: '#2F6165', pantone_7464_u: '#AADBD7', pantone_7465_u: '#55C7B5', pantone_7466_u: '#00B4BC',
+  pantone_7467_u: '#00A8B0', pantone_7468_u: '#3F7793', pantone_7469_u: '#3C6E89', pantone_7470_u: '#437083', pantone_7471_u: '#7FE2D8',
+  pantone_7472_u: '#6BBDB9', pantone_7473_u: '#5EA59A', pantone_7474_u: '#458A94', pantone_7475_u: '#6B8B8D', pantone_7476_u: '#5A777B',
+  pantone_7477_u: '#5D7079', pantone_5523_u: '#BCD5D6', pantone_5513_u: '#ACCACD', pantone_5503_u: '#94B7BC', pantone_5493_u: '#769CA3',
+  pantone_5483_u: '#5F8289', pantone_5473_u: '#516D75', pantone_5463_u: '#3E4E56', pantone_7716_u: '#499996', pantone_7717_u: '#3E8E8B',
+  pantone_7718_u: '#358282', pantone_7719_u: '#417B7B', pantone_7720_u: '#477675', pantone_7721_u: '#497375', pantone_7722_u: '#4A6B6E',
+  pantone_324_u: '#82D8D5', pantone_325_u: '#40C1BB', pantone_326_u: '#00AAA1', pantone_327_u: '#008F85', pantone_328_u: '#137D79',
+  pantone_329_u: '#2E7572', pantone_330_u: '#446463', pantone_3242_u: '#5DDBD3', pantone_3252_u: '#00CDC2', pantone_3262_u: '#00BAAE',
+  pantone_3272_u: '#00A49A', pantone_3282_u: '#008780', pantone_3292_u: '#346E6A', pantone_3302_u: '#41615F', pantone_3245_u: '#4EDCCA',
+  pantone_3255_u: '#00CFBB', pantone_3265_u: '#00C0AA', pantone_3275_u: '#00AA93', pantone_3285_u: '#009081', pantone_3295_u: '#237E74',
+  pantone_3305_u: '#466964', pantone_3248_u: '#6ACEB9', pantone_3258_u: '#48C1AC', pantone_3268_u: '#28B29A', pantone_3278_u: '#009C82',
+  pantone_3288_u: '#208776', pantone_3298_u: '#387469', pantone_3308_u: '#48615B', pantone_566_u: '#B4E1D6', pantone_565_u: '#91D1C5',
+  pantone_564_u: '#88C6BC', pantone_563_u: '#76B9AF', pantone_562_u: '#43807A', pantone_561_u: '#466D69', pantone_560_u: '#4B5E5B',
+  pantone_573_u: '#BBE9DE', pantone_572_u: '#95DECF', pantone_571_u: '#85D8C8', pantone_570_u: '#62C2B1', pantone_569_u: '#2C8F82',
+  pantone_568_u: '#458075', pantone_567_u: '#4A635D', pantone_559_u: '#B5D1C0', pantone_558_u: '#9AC0AE', pantone_557_u: '#88B29F',
+  pantone_556_u: '#719E8B', pantone_555_u: '#567E6A', pantone_554_u: '#577565', pantone_553_u: '#5A685D', pantone_5595_u: '#C1D2C7',
+  pantone_5585_u: '#A2B9AF', pantone_5575_u: '#9DB4AB', pantone_5565_u: '#8AA29A', pantone_5555_u: '#768E87', pantone_5545_u: '#60766F',
+  pantone_5535_u: '#485956', pantone_5665_u: '#BCC8BD', pantone_5655_u: '#B3C0B6', pantone_5645_u: '#9FAFA5', pantone_5635_u: '#8D9D94',
+  pantone_5625_u: '#798981', pantone_5615_u: '#6A7970', pantone_5605_u: '#5E695E', pantone_5527_u: '#B8C7C4', pantone_5517_u: '#A9BAB7',
+  pantone_5507_u: '#96A9A7', pantone_5497_u: '#819595', pantone_5487_u: '#697C7D', pantone_5477_u: '#5F7070', pantone_5467_u: '#545F5F',
+  pantone_621_u: '#CADFD4', pantone_622_u: '#B3CBC1', pantone_623_u: '#96B5AB', pantone_624_u: '#82A198', pantone_625_u: '#6C8A82',
+  pantone_626_u: '#59756F', pantone_627_u: '#455D58', pantone_331_u: '#93E8D3', pantone_332_u: '#70E2CB', pantone_333_u: '#00D2B3',
+  pantone_334_u: '#00957E', pantone_335_u: '#247E6F', pantone_336_u: '#3A7267', pantone_337_u: '#82D5BA', pantone_338_u: '#4CC1A1',
+  pantone_339_u: '#22AE8A', pantone_340_u: '#009E77', pantone_341_u: '#347963', pantone_342_u: '#407060', pantone_343_u: '#48655B',
+  pantone_7723_u: '#6BAC92', pantone_7724_u: '#4E9B80', pantone_7725_u: '#379272', pantone_7726_u: '#348569', pantone_7727_u: '#3E7C65',
+  pantone_7728_u: '#457865', pantone_7729_u: '#486F67', pantone_3375_u: '#5FE0B7', pantone_3385_u: '#3AD4A7', pantone_3395_u: '#00C795',
+  pantone_3405_u: '#00B27A', pantone_3415_u: '#308167', pantone_3425_u: '#417764', pantone_3435_u: '#4B675B', pantone_344_u: '#8ED8AC',
+  pantone_345_u: '#6ECD9C', pantone_346_u: '#4EBD88', pantone_347_u: '#169B62', pantone_348_u: '#34855B', pantone_349_u: '#477258',
+  pantone_350_u: '#546758', pantone_351_u: '#93E6B4', pantone_352_u: '#70E0A3', pantone_353_u: '#50D691', pantone_354_u: '#00A95C',
+  pantone_355_u: '#19975D', pantone_356_u: '#397E58', pantone_357_u: '#516E5A', pantone_7478_u: '#A0EAC5', pantone_7479_u: '#29CB7E',
+  pantone_7480_u: '#00C281', pantone_7481_u: '#00BA6E', pantone_7482_u: '#27A770', pantone_7483_u: '#587762', pantone_7484_u: '#456E60',
+  pantone_7730_u: '#689C7A', pantone_7731_u: '#58926B', pantone_7732_u: '#498564', pantone_7733_u: '#4B7C63', pantone_7734_u: '#597765',
+  pantone_7735_u: '#5F7163', pantone_7736_u: '#5C6B62', pantone_7737_u: '#7BAC66', pantone_7738_u: '#65A969', pantone_7739_u: '#5CA369',
+  pantone_7740_u: '#5E9865', pantone_7741_u: '#659267', pantone_7742_u: '#688564', pantone_7743_u: '#5E745D', pantone_358_u: '#97D88A',
+  pantone_359_u: '#7DCC77', pantone_360_u: '#5DB860', pantone_361_u: '#4DAA50', pantone_362_u: '#56944F', pantone_363_u: '#57854E',
+  pantone_364_u: '#5B794E', pantone_7485_u: '#D5E4C0', pantone_7486_u: '#B7E394', pantone_7487_u: '#8BE076', pantone_7488_u: '#63D05A',
+  pantone_7489_u: '#7AAB6D', pantone_7490_u: '#7B9E6B', pantone_7491_u: '#818C61', pantone_365_u: '#C2E692', pantone_366_u: '#A8DC7D',
+  pantone_367_u: '#8FD16A', pantone_368_u: '#67B346', pantone_369_u: '#62A044', pantone_370_u: '#698A48', pantone_371_u: '#68724D',
+  pantone_372_u: '#D1F08F', pantone_373_u: '#B9E972', pantone_374_u: '#A6E35F', pantone_375_u: '#73C92D', pantone_376_u: '#70AB37',
+  pantone_377_u: '#728F41', pantone_378_u: '#747B4D', pantone_580_u: '#C9DCAC', pantone_579_u: '#BAD29E', pantone_578_u: '#A7C58E',
+  pantone_577_u: '#93B479', pantone_576_u: '#7A9B62', pantone_575_u: '#6F8456', pantone_574_u: '#6A7355', pantone_5807_u: '#D1D3A9',
+  pantone_5797_u: '#C7CA9C', pantone_5787_u: '#BABE8F', pantone_5777_u: '#A6A97B', pantone_5767_u: '#94986C', pantone_5757_u: '#81855C',
+  pantone_5747_u: '#70744E', pantone_5875_u: '#D7D3A1', pantone_5865_u: '#CCC895', pantone_5855_u: '#BDB889', pantone_5845_u: '#A7A375',
+  pantone_5835_u: '#938F66', pantone_5825_u: '#8B865D', pantone_5815_u: '#736F4C', pantone_5803_u: '#CFD3B8', pantone_5793_u: '#C5CAAF',
+  pantone_5783_u: '#B5BB9F', pantone_5773_u: '#9AA184', pantone_5763_u: '#7E876D', pantone_5753_u: '#747C61', pantone_5743_u: '#636A51',
+  pantone_7492_u: '#BCCA87', pantone_7493_u: '#B7C194', pantone_7494_u: '#9EB091', pantone_7495_u: '#838E59', pantone_7496_u: '#758448',
+  pantone_7497_u: '#8C8778', pantone_7498_u: '#777D64', pantone_7744_u: '#B9BE56', pantone_7745_u: '#AFB35D', pantone_7746_u: '#9B9F60',
+  pantone_7747_u: '#909661', pantone_7748_u: '#878C62', pantone_7749_u: '#808363', pantone_7750_u: '#777A61', pantone_379_u: '#E7EE7B',
+  pantone_380_u: '#D4E458', pantone_381_u: '#BAD739', pantone_382_u: '#99C221', pantone_383_u: '#8E9A36', pantone_384_u: '#868B3C',
+  pantone_385_u: '#7E7B4B', pantone_386_u: '#EFF178', pantone_387_u: '#E3ED55', pantone_388_u: '#D5E739', pantone_389_u: '#BDDC04',
+  pantone_390_u: '#97A926', pantone_391_u: '#888A3B', pantone_392_u: '#7E7D41', pantone_587_u: '#EAEC97', pantone_586_u: '#E7E988',
+  pantone_585_u: '#E3E685', pantone_584_u: '#CED665', pantone_583_u: '#A6B340', pantone_582_u: '#919145', pantone_581_u: '#78754A',
+  pantone_393_u: '#F8F283', pantone_394_u: '#F2EE56', pantone_395_u: '#EDEC3F', pantone_396_u: '#DBE200', pantone_397_u: '#A8AA31',
+  pantone_398_u: '#959539', pantone_399_u: '#8A8537', pantone_3935_u: '#FCF389', pantone_3945_u: '#FCF05F', pantone_3955_u: '#FAEB37',
+  pantone_3965_u: '#F8E815', pantone_3975_u: '#B6A72D', pantone_3985_u: '#9C903F', pantone_3995_u: '#837B4A', pantone_600_u: '#F9F29D',
+  pantone_601_u: '#F7EF8F', pantone_602_u: '#F7EE83', pantone_603_u: '#F3E564', pantone_604_u: '#EDDC4D', pantone_605_u: '#E0CC39',
+  pantone_606_u: '#CEB829', pantone_607_u: '#F3EAA1', pantone_608_u: '#F0E691', pantone_609_u: '#EBE081', pantone_610_u: '#E0D268',
+  pantone_611_u: '#C8B94E', pantone_612_u: '#B7A73F', pantone_613_u: '#A29438', pantone_461_u: '#EEE29F', pantone_460_u: '#E8D98B',
+  pantone_459_u: '#DDCB77', pantone_458_u: '#CEB964', pantone_457_u: '#AD9844', pantone_456_u: '#908145', pantone_455_u: '#776F48',
+  pantone_614_u: '#E1D9A1', pantone_615_u: '#D8D096', pantone_616_u: '#CDC588', pantone_617_u: '#BBB275', pantone_618_u: '#A69D62',
+  pantone_619_u: '#968D54', pantone_620_u: '#877F49', pantone_7751_u: '#D1BD71', pantone_7752_u: '#D5B961', pantone_7753_u: '#C6AA5D',
+  pantone_7754_u: '#A4915E', pantone_7755_u: '#90855F', pantone_7756_u: '#837D62', pantone_7757_u: '#7A755F', pantone_7758_u: '#DAC958',
+  pantone_7759_u: '#C8B852', pantone_7760_u: '#968F5E', pantone_7761_u: '#828162', pantone_7762_u: '#747A63', pantone_7763_u: '#717463',
+  pantone_7764_u: '#6C6E60', pantone_7765_u: '#C0BA5E', pantone_7766_u: '#BBB35F', pantone_7767_u: '#B1A763', pantone_7768_u: '#958B62',
+  pantone_7769_u: '#81775F', pantone_7770_u: '#777161', pantone_7771_u: '#67655A', pantone_4545_u: '#D6CCA6', pantone_4535_u: '#CABE96',
+  pantone_4525_u: '#C1B58C', pantone_4515_u: '#B1A57E', pantone_4505_u: '#A39771', pantone_4495_u: '#90845F', pantone_4485_u: '#7B6F4B',
+  pantone_454_u: '#CAC8AC', pantone_453_u: '#BCB999', pantone_452_u: '#A8A687', pantone_451_u: '#929172', pantone_450_u: '#7E785A',
+  pantone_449_u: '#716B54', pantone_448_u: '#66614E', pantone_7499_u: '#FAEDBC', pantone_7500_u: '#E6D5AB', pantone_7501_u: '#DECBA5',
+  pantone_7502_u: '#C7AF87', pantone_7503_u: '#9D9272', pantone_7504_u: '#948272', pantone_7505_u: '#887566', pantone_468_u: '#E0CEAA',
+  pantone_467_u: '#D2BA92', pantone_466_u: '#C1A67F', pantone_465_u: '#B0946F', pantone_464_u: '#9B7C56', pantone_463_u: '#856F51',
+  pantone_462_u: '#70624D', pantone_7506_u: '#F9E1B7', pantone_7507_u: '#FFDDAA', pantone_7508_u: '#E0B384', pantone_7509_u: '#D2A273',
+  pantone_7510_u: '#BE8B60', pantone_7511_u: '#A77750', pantone_7512_u: '#966B47', pantone_719_u: '#F2C6A2', pantone_720_u: '#ECBA93',
+  pantone_721_u: '#DFA880', pantone_722_u: '#CA916C', pantone_723_u: '#B9825F', pantone_724_u: '#A57350', pantone_725_u: '#946747',
+  pantone_475_u: '#FACCAD', pantone_474_u: '#F6BD9D', pantone_473_u: '#EEAB88', pantone_472_u: '#DB9271', pantone_471_u: '#BE7B54',
+  pantone_470_u: '#A37052', pantone_469_u: '#7B604B', pantone_726_u: '#E8C6A9', pantone_727_u: '#DCB596', pantone_728_u: '#CAA182',
+  pantone_729_u: '#BB9275', pantone_730_u: '#A57E62', pantone_731_u: '#957156', pantone_732_u: '#88674D', pantone_4685_u: '#E6CAB4',
+  pantone_4675_u: '#DAB9A1', pantone_4665_u: '#CAA58E', pantone_4655_u: '#B28E7B', pantone_4645_u: '#A07D6B', pantone_4635_u: '#92715E',
+  pantone_4625_u: '#715845', pantone_7513_u: '#E7BBB4', pantone_7514_u: '#DAAB9C', pantone_7515_u: '#C2907F', pantone_7516_u: '#A07462',
+  pantone_7517_u: '#936957', pantone_7518_u: '#817172', pantone_7519_u: '#756B66', pantone_4755_u: '#DCC6BB', pantone_4745_u: '#CEB4A9',
+  pantone_4735_u: '#BDA195', pantone_4725_u: '#AE9188', pantone_4715_u: '#997D73', pantone_4705_u: '#8B6F66', pantone_4695_u: '#775C50',
+  pantone_482_u: '#DFC8B7', pantone_481_u: '#D3B7A7', pantone_480_u: '#C3A492', pantone_479_u: '#AC8C7E', pantone_478_u: '#8E6E5C',
+  pantone_477_u: '#7D6556', pantone_476_u: '#6E5E52', pantone_7527_u: '#DCD7D2', pantone_7528_u: '#D2C7C4', pantone_7529_u: '#BBAFA9',
+  pantone_7530_u: '#A99C95', pantone_7531_u: '#8B7F79', pantone_7532_u: '#786E66', pantone_7533_u: '#6E645C', pantone_7534_u: '#D0CBC3',
+  pantone_7535_u: '#C0BAB0', pantone_7536_u: '#AFA89D', pantone_7537_u: '#B4B8B6', pantone_7538_u: '#A5AAA8', pantone_7539_u: '#9C9EA0',
+  pantone_7540_u: '#70747C', pantone_427_u: '#C2C7CA', pantone_428_u: '#ACB3B8', pantone_429_u: '#91999F', pantone_430_u: '#808991',
+  pantone_431_u: '#737B82', pantone_432_u: '#676C73', pantone_433_u: '#5B5D62', pantone_420_u: '#BDBEBD', pantone_421_u: '#B3B5B5',
+  pantone_422_u: '#9EA1A2', pantone_423_u: '#909496', pantone_424_u: '#88898A', pantone_425_u: '#7C7E7F', pantone_426_u: '#686869',
+  pantone_441_u: '#B9C2C1', pantone_442_u: '#ACB6B6', pantone_443_u: '#8F9A9B', pantone_444_u: '#7E8689', pantone_445_u: '#6B7173',
+  pantone_446_u: '#636968', pantone_447_u: '#5F625F', pantone_413_u: '#BCBDB4', pantone_414_u: '#ABACA5', pantone_415_u: '#9D9F99',
+  pantone_416_u: '#91928C', pantone_417_u: '#82847F', pantone_418_u: '#7A7B75', pantone_419_u: '#595955', pantone_400_u: '#C7C1BA',
+  pantone_401_u: '#B4AEA7', pantone_402_u: '#A39E98', pantone_403_u: '#928D88', pantone_404_u: '#8B8681', pantone_405_u: '#77726D',
+  pantone_406_u: '#C7BEBA', pantone_407_u: '#ABA2A0', pantone_408_u: '#9D9594', pantone_409_u: '#948B8A', pantone_410_u: '#8A8280',
+  pantone_411_u: '#7A726F', pantone_412_u: '#645C59', pantone_434_u: '#D6CACB', pantone_435_u: '#B7A9AD', pantone_436_u: '#A99B9F',
+  pantone_437_u: '#8D7F83', pantone_438_u: '#817275', pantone_439_u: '#736869', pantone_440_u: '#69615F', pantone_warm_gray_1_u: '#DBD5CD',
+  pantone_warm_gray_2_u: '#CFC7C0', pantone_warm_gray_3_u: '#BEB6AF', pantone_warm_gray_4_u: '#B4ACA6', pantone_warm_gray_5_u: '#A9A19C', pantone_warm_gray_6_u: '#A29B96',
+  pantone_warm_gray_7_u: '#968F8B', pantone_warm_gray_8_u: '#8F8884', pantone_warm_gray_9_u: '#867F7C', pantone_warm_gray_10_u: '#827C78', pantone_warm_gray_11_u: '#7D7773',
+  pantone_cool_gray_1_u: '#DAD9D6', pantone_cool_gray_2_u: '#CACAC8', pantone_cool_gray_3_u: '#C5C5C5', pantone_cool_gray_4_u: '#B7B8B9', pantone_cool_gray_5_u: '#ADAEB0',
+  pantone_cool_gray_6_u: '#A4A6A8', pantone_cool_gray_7_u: '#9B9EA0', pantone_cool_gray_8_u: '#939598', pantone_cool_gray_9_u: '#898B8E', pantone_cool_gray_10_u: '#818387',
+  pantone_cool_gray_11_u: '#7A7D81', pantone_black_2_u: '#646052', pantone_black_3_u: '#595D59', pantone_black_4_u: '#696056', pantone_black_5_u: '#685A5C',
+  pantone_black_6_u: '#4C4E56', pantone_black_7_u: '#6C6864', pantone_yellow_u: '#FFE800', pantone_yellow_012_u: '#FFE000', pantone_orange_021_u: '#FF6C2F',
+  pantone_warm_red_u: '#FF665E', pantone_red_032_u: '#F65058', pantone_rubine_red_u: '#DB487E', pantone_rhodamine_red_u: '#E44C9A', pantone_purple_u: '#BF53B6',
+  pantone_violet_u: '#7758B3', pantone_blue_072_u: '#3F43AD', pantone_reflex_blue_u: '#39499C', pantone_process_blue_u: '#0083C3', pantone_green_u: '#00AC8C',
+  pantone_black_u: '#615D59', pantone_yellow_0131_u: '#FBF59B', pantone_red_0331_u: '#FFB1BE', pantone_magenta_0521_u: '#F8AADD', pantone_violet_0631_u: '#BA93DF',
+  pantone_blue_0821_u: '#6CD1EF', pantone_green_0921_u: '#78E6D0', pantone_black_0961_u: '#9D9994', pantone_801_u: '#009CCD', pantone_802_u: '#3BD23D',
+  pantone_803_u: '#FFE916', pantone_804_u: '#FFAA52', pantone_805_u: '#FF7477', pantone_806_u: '#FF48B0', pantone_807_u: '#E838BF',
+  pantone_871_u: '#AD986E', pantone_872_u: '#AC936E', pantone_873_u: '#AE906F', pantone_874_u: '#AE8F6F', pantone_875_u: '#B18B74',
+  pantone_876_u: '#B08770', pantone_877_u: '#B4B7B9', pantone_medium_yellow_u: '#FFE100', pantone_bright_orange_u: '#FF7133', pantone_bright_red_u: '#FE5442',
+  pantone_strong_red_u: '#D23B6A', pantone_pink_u: '#D1428D', pantone_medium_purple_u: '#65428A', pantone_dark_blue_u: '#444795', pantone_medium_blue_u: '#0087C7',
+  pantone_bright_green_u: '#00AE8F', pantone_neutral_black_u: '#4C4845', pantone_8001_c: '#8D8C8A', pantone_8002_c: '#8D867D', pantone_8003_c: '#8A7E70',
+  pantone_8004_c: '#897966', pantone_8005_c: '#8A745A', pantone_8006_c: '#897054', pantone_8020_c: '#978176', pantone_8021_c: '#9A7A6A',
+  pantone_8022_c: '#A0715B', pantone_8023_c: '#A1664C', pantone_8024_c: '#A75B38', pantone_8025_c: '#AA552A', pantone_8040_c: '#918887',
+  pantone_8041_c: '#99817C', pantone_8042_c: '#9C7971', pantone_8043_c: '#A37063', pantone_8044_c: '#9F634F', pantone_8045_c: '#A35D44',
+  pantone_8060_c: '#98828C', pantone_8061_c: '#9D7B88', pantone_8062_c: '#A2717F', pantone_8063_c: '#A76675', pantone_8064_c: '#A3646A',
+  pantone_8065_c: '#A05D5D', pantone_8080_c: '#928294', pantone_8081_c: '#996A90', pantone_8082_c: '#9A5D8B', pantone_8083_c: '#9C4E85',
+  pantone_8084_c: '#A24178', pantone_8085_c: '#A13769', pantone_8100_c: '#907695', pantone_8101_c: '#8F6992', pantone_8102_c: '#8F5A8F',
+  pantone_8103_c: '#8F4C8C', pantone_8104_c: '#8E3B79', pantone_8105_c: '#8E336D', pantone_8120_c: '#8D8298', pantone_8121_c: '#8A7595',
+  pantone_8122_c: '#886994', pantone_8123_c: '#885B94', pantone_8124_c: '#894E85', pantone_8125_c: '#87467A', pantone_8140_c: '#837698',
+  pantone_8141_c: '#7E6A98', pantone_8142_c: '#795E99', pantone_8143_c: '#715096', pantone_8144_c: '#724F83', pantone_8145_c: '#704A79',
+  pantone_8160_c: '#838495', pantone_8161_c: '#797997', pantone_8162_c: '#666197', pantone_8163_c: '#5B5498', pantone_8164_c: '#584990',
+  pantone_8165_c: '#523E81', pantone_8180_c: '#7C8897', pantone_8181_c: '#5E789C', pantone_8182_c: '#4E6E9F', pantone_8183_c: '#3B62A1',
+  pantone_8184_c: '#315995', pantone_8185_c: '#2B528C', pantone_8200_c: '#6D889A', pantone_8201_c: '#5F839C', pantone_8202_c: '#4C7E9F',
+  pantone_8203_c: '#3177A3', pantone_8204_c: '#3F7590', pantone_8205_c: '#3D6F85', pantone_8220_c: '#6F8C9A', pantone_8221_c: '#5E8A9E',
+  pantone_8222_c: '#4986A1', pantone_8223_c: '#2B80A1', pantone_8224_c: '#117993', pantone_8225_c: '#007287', pantone_8240_c: '#819098',
+  pantone_8241_c: '#628E9C', pantone_8242_c: '#4C8B9B', pantone_8243_c: '#2A8A9F', pantone_8244_c: '#427F86', pantone_8245_c: '#3F7879',
+  pantone_8260_c: '#728F98', pantone_8261_c: '#628B95', pantone_8262_c: '#4D8893', pantone_8263_c: '#338490', pantone_8264_c: '#21797C',
+  pantone_8265_c: '#1C6D6A', pantone_8280_c: '#7C9797', pantone_8281_c: '#709795', pantone_8282_c: '#609A94', pantone_8283_c: '#499C93',
+  pantone_8284_c: '#589382', pantone_8285_c: '#558E77', pantone_8300_c: '#80968E', pantone_8301_c: '#78998B', pantone_8302_c: '#6A9A82',
+  pantone_8303_c: '#549372', pantone_8304_c: '#618C68', pantone_8305_c: '#5F865D', pantone_8320_c: '#8A928C', pantone_8321_c: '#80967A',
+  pantone_8322_c: '#78986E', pantone_8323_c: '#69935E', pantone_8324_c: '#75925B', pantone_8325_c: '#728C4F', pantone_8340_c: '#8D957D',
+  pantone_8341_c: '#8B9570', pantone_8342_c: '#899762', pantone_8343_c: '#859952', pantone_8344_c: '#83913E', pantone_8345_c: '#828D2E',
+  pantone_8360_c: '#939478', pantone_8361_c: '#92926B', pantone_8362_c: '#98955C', pantone_8363_c: '#A19B4B', pantone_8364_c: '#9F9146',
+  pantone_8365_c: '#A28F3D', pantone_8380_c: '#919085', pantone_8381_c: '#969077', pantone_8382_c: '#9B8E68', pantone_8383_c: '#9D8958',
+  pantone_8384_c: '#A48244', pantone_8385_c: '#A47C39', pantone_8400_c: '#818182', pantone_8401_c: '#767575', pantone_8402_c: '#696866',
+  pantone_8403_c: '#5C5B59', pantone_8404_c: '#56504A', pantone_8405_c: '#524942', pantone_8420_c: '#918B8D', pantone_8421_c: '#7D797A',
+  pantone_8422_c: '#746D6E', pantone_8423_c: '#696060', pantone_8424_c: '#625550', pantone_8425_c: '#5F4F49', pantone_8440_c: '#9A8387',
+  pantone_8441_c: '#9E7B7D', pantone_8442_c: '#A27172', pantone_8443_c: '#AA6767', pantone_8444_c: '#AC5B53', pantone_8445_c: '#AD5345',
+  pantone_8460_c: '#89838D', pantone_8461_c: '#857784', pantone_8462_c: '#7F6A7A', pantone_8463_c: '#775E6E', pantone_8464_c: '#74535F',
+  pantone_8465_c: '#714C56', pantone_8480_c: '#456580', pantone_8481_c: '#4C607E', pantone_8482_c: '#355772', pantone_8483_c: '#1F486B',
+  pantone_8484_c: '#255682', pantone_8485_c: '#2C5D8A', pantone_8500_c: '#707F7C', pantone_8501_c: '#5E7D75', pantone_8502_c: '#4B646B',
+  pantone_8503_c: '#33414C', pantone_8504_c: '#374E5F', pantone_8505_c: '#3C566B', pantone_8520_c: '#78765D', pantone_8521_c: '#555849',
+  pantone_8522_c: '#464F45', pantone_8523_c: '#35413A', pantone_8524_c: '#3C4C4A', pantone_8525_c: '#435555', pantone_8540_c: '#834C4D',
+  pantone_8541_c: '#6D4547', pantone_8542_c: '#633238', pantone_8543_c: '#603447', pantone_8544_c: '#643E54', pantone_8545_c: '#604355',
+  pantone_8560_c: '#7F5649', pantone_8561_c: '#794A4A', pantone_8562_c: '#713F44', pantone_8563_c: '#70433C', pantone_8564_c: '#784F4E',
+  pantone_8565_c: '#785556', pantone_8580_c: '#936D41', pantone_8581_c: '#845E3B', pantone_8582_c: '#7E5633', pantone_8583_c: '#6E4627',
+  pantone_8584_c: '#6B4930', pantone_8585_c: '#76553D', pantone_8600_c: '#5D5A59', pantone_8601_c: '#504847', pantone_8602_c: '#423F44',
+  pantone_8603_c: '#34343E', pantone_8604_c: '#393F4E', pantone_8605_c: '#3F485A', pantone_8620_c: '#78634D', pantone_8621_c: '#695644',
+  pantone_8622_c: '#594839', pantone_8623_c: '#4E443C', pantone_8624_c: '#443D36', pantone_8625_c: '#47423D', pantone_8640_c: '#9A7C38',
+  pantone_8641_c: '#A3842C', pantone_8642_c: '#AC8B1A', pantone_8643_c: '#AC8700', pantone_8644_c: '#A68C24', pantone_8645_c: '#A08E35',
+  pantone_8660_c: '#8D7535', pantone_8661_c: '#89791D', pantone_8662_c: '#857D1E', pantone_8663_c: '#7E810D', pantone_8664_c: '#838E2C',
+  pantone_8665_c: '#83913B', pantone_8680_c: '#7D7847', pantone_8681_c: '#787A38', pantone_8682_c: '#6E7F30', pantone_8683_c: '#658F31',
+  pantone_8684_c: '#618A3B', pantone_8685_c: '#648D49', pantone_8700_c: '#72754D', pantone_8701_c: '#6A7B46', pantone_8702_c: '#5A7F44',
+  pantone_8703_c: '#438240', pantone_8704_c: '#498853', pantone_8705_c: '#4E8A5E', pantone_8720_c: '#56735A', pantone_8721_c: '#5D7A5B',
+  pantone_8722_c: '#46785A', pantone_8723_c: '#2E8661', pantone_8724_c: '#379277', pantone_8725_c: '#3D937E', pantone_8740_c: '#4D6C63',
+  pantone_8741_c: '#346E61', pantone_8742_c: '#356F65', pantone_8743_c: '#007171', pantone_8744_c: '#007A82', pantone_8745_c: '#167F8B',
+  pantone_8760_c: '#2E6D70', pantone_8761_c: '#006673', pantone_8762_c: '#355E68', pantone_8763_c: '#06576F', pantone_8764_c: '#1A6280',
+  pantone_8765_c: '#26698A', pantone_8780_c: '#463F5F', pantone_8781_c: '#3C4363', pantone_8782_c: '#3A3C7B', pantone_8783_c: '#2A3A6E',
+  pantone_8784_c: '#2F457C', pantone_8785_c: '#334E8A', pantone_8800_c: '#5B395F', pantone_8801_c: '#553B5F', pantone_8802_c: '#472D60',
+  pantone_8803_c: '#4E2B60', pantone_8804_c: '#543873', pantone_8805_c: '#58417D', pantone_8820_c: '#86415C', pantone_8821_c: '#85335F',
+  pantone_8822_c: '#6A375C', pantone_8823_c: '#622A65', pantone_8824_c: '#663775', pantone_8825_c: '#6A4182', pantone_8840_c: '#8B4153',
+  pantone_8841_c: '#8B3354', pantone_8842_c: '#8D225B', pantone_8843_c: '#842263', pantone_8844_c: '#843072', pantone_8845_c: '#843D7D',
+  pantone_8860_c: '#9A5051', pantone_8861_c: '#93434E', pantone_8862_c: '#95374B', pantone_8863_c: '#962742', pantone_8864_c: '#933554',
+  pantone_8865_c: '#904061', pantone_8880_c: '#985459', pantone_8881_c: '#9D475B', pantone_8882_c: '#A33B5F', pantone_8883_c: '#AA3E50',
+  pantone_8884_c: '#A7495E', pantone_8885_c: '#A24F65', pantone_8900_c: '#A45B43', pantone_8901_c: '#B65B49', pantone_8902_c: '#B85C5C',
+  pantone_8903_c: '#BB4F51', pantone_8904_c: '#B75860', pantone_8905_c: '#B35F6B', pantone_8920_c: '#A0664E', pantone_8921_c: '#B35933',
+  pantone_8922_c: '#B65317', pantone_8923_c: '#B74E23', pantone_8924_c: '#B25637', pantone_8925_c: '#AC5B43', pantone_8940_c: '#A16837',
+  pantone_8941_c: '#AC662D', pantone_8942_c: '#AE5C1C', pantone_8943_c: '#C16014', pantone_8944_c: '#BB6428', pantone_8945_c: '#B76835',
+  pantone_8960_c: '#966E32', pantone_8961_c: '#A26827', pantone_8962_c: '#B37300', pantone_8963_c: '#BF6D10', pantone_8964_c: '#AA6526',
+  pantone_8965_c: '#A36934', pantone_9140_c: '#F2EECA', pantone_9284_c: '#FAC9D1', pantone_9324_c: '#F3C9E4', pantone_9344_c: '#D1B6E4',
+  pantone_9464_c: '#9FDDED', pantone_9524_c: '#AFEADC', pantone_9084_c: '#ADA79E', pantone_9060_c: '#F1F0D8', pantone_9280_c: '#F5E2E2',
+  pantone_9320_c: '#F2DEE9', pantone_9340_c: '#E7DCEA', pantone_9460_c: '#D5EBEE', pantone_9520_c: '#D7EFE7', pantone_9083_c: '#CCC8BF',
+  pantone_9064_c: '#F1F1DE', pantone_9285_c: '#F2EBE7', pantone_9061_c: '#F2E9EA', pantone_9345_c: '#EEE9EA', pantone_9062_c: '#E6EEEC',
+  pantone_9063_c: '#E7EFE7', pantone_9081_c: '#DFDCD4', pantone_9043_c: '#E8E6DF', pantone_9080_c: '#E4E2DB', pantone_9100_c: '#E7E7E0',
+  pantone_9101_c: '#E3E3DD', pantone_9102_c: '#D9DBD5', pantone_9103_c: '#D5D8D2', pantone_9082_c: '#D2CDC3', pantone_9121_c: '#F1F0B0',
+  pantone_9120_c: '#F1EFB7', pantone_9141_c: '#F2EDC0', pantone_9142_c: '#E9E4C5', pantone_9161_c: '#E7DBB9', pantone_9143_c: '#E3DFC3',
+  pantone_9162_c: '#E2D9C2', pantone_9160_c: '#F4E5C0', pantone_9180_c: '#F3E4CD', pantone_9181_c: '#F4E3C9', pantone_9200_c: '#F5E1CC',
+  pantone_9201_c: '#F5E3CC', pantone_9220_c: '#F5E0CF', pantone_9221_c: '#EDD6C4', pantone_9184_c: '#EFE4CE', pantone_9185_c: '#EDE1CF',
+  pantone_9202_c: '#EDDECD', pantone_9182_c: '#ECDCC8', pantone_9183_c: '#E5D7C5', pantone_9203_c: '#E4D5C4', pantone_9186_c: '#E1D3C4',
+  pantone_9224_c: '#F2E9DB', pantone_9225_c: '#F0E6D8', pantone_9226_c: '#EBE3D7', pantone_9222_c: '#E6D5C8', pantone_9223_c: '#E1D3C7',
+  pantone_9242_c: '#E9D5CD', pantone_9243_c: '#E1CEC6', pantone_9244_c: '#F3E9E2', pantone_9240_c: '#F4E5DE', pantone_9260_c: '#F5DEDA',
+  pantone_9241_c: '#F0DDD7', pantone_9261_c: '#EFD7D4', pantone_9262_c: '#EAD5D2', pantone_9263_c: '#E4D1CD', pantone_9286_c: '#F6DFE0',
+  pantone_9281_c: '#F2DDDE', pantone_9300_c: '#F4DDE2', pantone_9282_c: '#EFDADB', pantone_9301_c: '#F0DBE1', pantone_9321_c: '#EDD5E2',
+  pantone_9302_c: '#E9CED5', pantone_9021_c: '#F1E7E4', pantone_9022_c: '#F0E7E9', pantone_9023_c: '#EAE3EA', pantone_9283_c: '#E9D8D7',
+  pantone_9303_c: '#E7D2D6', pantone_9322_c: '#E9D0DC', pantone_9323_c: '#E2CCD6', pantone_9360_c: '#DED8EB', pantone_9341_c: '#E3D7E6',
+  pantone_9342_c: '#E0D4E2', pantone_9343_c: '#DED1E1', pantone_9361_c: '#DCD3E7', pantone_9362_c: '#DCD4E5', pantone_9363_c: '#D1C7D9',
+  pantone_9380_c: '#DEE1EC', pantone_9384_c: '#DADFEC', pantone_9381_c: '#D2D9E8', pantone_9382_c: '#CDD2E6', pantone_9383_c: '#D1D5E3',
+  pantone_9385_c: '#CED5DF', pantone_9403_c: '#CED9E4', pantone_9400_c: '#D6E1EC', pantone_9401_c: '#D5E1ED', pantone_9402_c: '#D5E0EA',
+  pantone_9420_c: '#D1E2EC', pantone_9421_c: '#CEDFE9', pantone_9422_c: '#CAD9E3', pantone_9423_c: '#C0D1DA', pantone_9424_c: '#C3E3E7',
+  pantone_9440_c: '#C1E0EA', pantone_9441_c: '#C0E0EC', pantone_9442_c: '#BEDDE7', pantone_9461_c: '#BEE2E7', pantone_9462_c: '#B9DBE0',
+  pantone_9443_c: '#B9D5DE', pantone_9480_c: '#C8E9E9', pantone_9481_c: '#C5E9EA', pantone_9500_c: '#BEE9E7', pantone_9482_c: '#C1E3E4',
+  pantone_9501_c: '#B9E0DD', pantone_9483_c: '#C6DCDA', pantone_9463_c: '#BDDADD', pantone_9042_c: '#E3E8E3', pantone_9041_c: '#DFECE4',
+  pantone_9040_c: '#DCEBEC', pantone_9044_c: '#C9E2E0', pantone_9045_c: '#C8DEDA', pantone_9503_c: '#CBDEDA', pantone_9504_c: '#C6DAD7',
+  pantone_9525_c: '#E5EFE2', pantone_9540_c: '#E1F0E5', pantone_9541_c: '#DFECE2', pantone_9521_c: '#D5E9E1', pantone_9522_c: '#D6E6DF',
+  pantone_9523_c: '#D6E3DC', pantone_9502_c: '#CDE3E0', pantone_9544_c: '#E5EFDA', pantone_9560_c: '#DFEFDB', pantone_9561_c: '#D7E8D2',
+  pantone_9562_c: '#D6E2CF', pantone_9563_c: '#D5DDCE', pantone_9542_c: '#CDDACD', pantone_9543_c: '#C7D7C9', pantone_9020_c: '#EEEEC8',
+  pantone_9600_c: '#E7EDC8', pantone_9601_c: '#E5E8CD', pantone_9122_c: '#E4E2B7', pantone_9602_c: '#D9DBBD', pantone_9603_c: '#D9D9C3',
+  pantone_9123_c: '#DCD9B9', pantone_9580_c: '#E1EFCE', pantone_9581_c: '#DEE7CD', pantone_9584_c: '#DCE1CB', pantone_9582_c: '#D7DBC8',
+  pantone_9583_c: '#CDD2BA', pantone_9585_c: '#D7DBC6', pantone_9163_c: '#D8CFB9', pantone_901_c: '#00AADA', pantone_902_c: '#8DE971',
+  pantone_903_c: '#FFF36D', pantone_904_c: '#FFCD8A', pantone_905_c: '#FF9DA7', pantone_906_c: '#FF7CD6', pantone_907_c: '#F469DB',
+  pantone_908_c: '#00AFDB', pantone_909_c: '#A9EE8A', pantone_910_c: '#FDF38A', pantone_911_c: '#FFD9A4', pantone_912_c: '#FFACB6',
+  pantone_913_c: '#FF92DA', pantone_914_c: '#F57FE0', pantone_915_c: '#00BCE3', pantone_916_c: '#B9EFA3', pantone_917_c: '#F7F4A2',
+  pantone_918_c: '#FFDFB4', pantone_919_c: '#FFC0C8', pantone_920_c: '#FFADE3', pantone_921_c: '#F8A3E6', pantone_808_c: '#00B796',
+  pantone_809_c: '#E3E829', pantone_810_c: '#FFD635', pantone_811_c: '#FF8F6C', pantone_812_c: '#FF5FA2', pantone_813_c: '#FB48C4',
+  pantone_814_c: '#8A69D4', pantone_922_c: '#00C0A3', pantone_923_c: '#ECF166', pantone_924_c: '#FFE671', pantone_925_c: '#FFAD93',
+  pantone_926_c: '#FF85BD', pantone_927_c: '#FC76D9', pantone_928_c: '#997ADB', pantone_929_c: '#2BC9AF', pantone_930_c: '#EEF386',
+  pantone_931_c: '#FFE983', pantone_932_c: '#FFBBA4', pantone_933_c: '#FF9BCB', pantone_934_c: '#FC8DE0', pantone_935_c: '#AB92E1',
+  pantone_936_c: '#6DD5C3', pantone_937_c: '#EFF4A4', pantone_938_c: '#FCEEA8', pantone_939_c: '#FFCFBE', pantone_940_c: '#FFB6D9',
+  pantone_941_c: '#FCA9E6', pantone_942_c: '#C0AEE7'
+};
+
+export default PANTONE_TABLE;
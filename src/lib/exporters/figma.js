@@ -1,4 +1,7 @@
 // Figma Variables Export (W3C Design Tokens Format)
+import { getReleaseVersion } from '../releases.js';
+import { brandToTokens, resolveTokens, listSemanticTokens, listThemes, applyTheme, getThemeTokens, mergeExtensionTokens } from '../tokens.js';
+import { generateColorScale } from '../color.js';
 
 function hexToRgb(hex) {
   const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
@@ -10,48 +13,60 @@ function hexToRgb(hex) {
   } : { r: 0, g: 0, b: 0, a: 1 };
 }
 
-function generateColorScale(hex) {
-  const rgb = hexToRgbArray(hex);
-  const scale = {};
-
-  for (let i = 50; i <= 900; i += i < 100 ? 50 : 100) {
-    const factor = i / 500;
-    if (i < 500) {
-      const tint = rgb.map(c => Math.round(c + (255 - c) * (1 - factor)));
-      scale[i] = rgbArrayToHex(tint);
-    } else if (i > 500) {
-      const shade = rgb.map(c => Math.round(c * (1 - (factor - 1) * 0.5)));
-      scale[i] = rgbArrayToHex(shade);
-    } else {
-      scale[i] = hex;
-    }
-  }
+function buildSemanticGroup(brand, themeId) {
+  const resolved = getThemeTokens(resolveTokens(brandToTokens(brand)), themeId);
+  const types = { color: 'color', spacing: 'dimension', radius: 'dimension' };
+  const group = {};
 
-  return scale;
-}
+  for (const { path, token } of listSemanticTokens(resolved)) {
+    if (!types[token.type]) continue;
+    const parts = path.split('.');
+    let node = group;
+    parts.slice(0, -1).forEach(key => {
+      node = node[key] = node[key] || {};
+    });
+    node[parts[parts.length - 1]] = {
+      "$type": types[token.type],
+      "$value": token.type === 'color' ? token.value : `${token.value}px`,
+      "$description": token.description,
+      ...(token.reference && { "$extensions": { "brand-engine": { "alias": token.reference } } })
+    };
+  }
 
-function hexToRgbArray(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? [
-    parseInt(result[1], 16),
-    parseInt(result[2], 16),
-    parseInt(result[3], 16)
-  ] : [0, 0, 0];
+  return group;
 }
 
-function rgbArrayToHex(rgb) {
-  return '#' + rgb.map(c => Math.max(0, Math.min(255, c)).toString(16).padStart(2, '0')).join('');
+/**
+ * Farb- und Alias-Werte je Theme (Figma Variable Modes)
+ */
+function buildModes(brand) {
+  const modes = {};
+  for (const theme of listThemes(brand)) {
+    const themed = applyTheme(brand, theme.id);
+    const color = {};
+    for (const key of ['primary', 'secondary', 'accent', 'background', 'text']) {
+      color[key] = { "$type": "color", "$value": themed.colors[key] };
+    }
+    modes[theme.id] = {
+      "$description": theme.name,
+      "$extensions": { "brand-engine": { "colorScheme": theme.colorScheme } },
+      "color": color,
+      "semantic": buildSemanticGroup(brand, theme.id)
+    };
+  }
+  return modes;
 }
 
 export function exportFigmaVariables(brand) {
+  const { borderRadius } = brandToTokens(brand);
   const primaryScale = generateColorScale(brand.colors.primary);
   const secondaryScale = generateColorScale(brand.colors.secondary);
 
-  return {
+  const variables = {
     // W3C Design Tokens Format
     "$schema": "https://design-tokens.github.io/community-group/format/",
     "name": brand.name,
-    "version": "1.0.0",
+    "version": getReleaseVersion(brand),
 
     // Color primitives
     "color": {
@@ -167,14 +182,20 @@ export function exportFigmaVariables(brand) {
     "borderRadius": {
       "$type": "dimension",
       "none": { "$value": "0px" },
-      "sm": { "$value": "4px" },
-      "md": { "$value": "8px" },
-      "lg": { "$value": "12px" },
-      "xl": { "$value": "16px" },
-      "2xl": { "$value": "24px" },
+      "sm": { "$value": `${borderRadius.sm}px` },
+      "md": { "$value": `${borderRadius.md}px` },
+      "lg": { "$value": `${borderRadius.lg}px` },
+      "xl": { "$value": `${borderRadius.xl}px` },
+      "2xl": { "$value": `${Math.round(borderRadius.xl * 1.5)}px` },
       "full": { "$value": "9999px" }
     },
 
+    // Semantic aliases (resolved)
+    "semantic": buildSemanticGroup(brand),
+
+    // Theme modes (light, dark, ...) – je Mode eigene Farb- und Alias-Werte
+    "modes": buildModes(brand),
+
     // Shadows
     "shadow": {
       "$type": "shadow",
@@ -194,25 +215,35 @@ export function exportFigmaVariables(brand) {
         "formality": brand.voice?.formality || "sie"
       },
       "exported": new Date().toISOString(),
-      "generator": "TYRN.ON Brand Engine v3.0"
+      "generator": "TYRN.ON Brand Engine v3.0",
+      "scales": brand.scales || {}
     }
   };
+
+  // Importierte Tokens an ihren Originalpfaden zurückschreiben (Round-Trip)
+  variables._meta.extensions = mergeExtensionTokens(variables, brand.extensions?.tokens);
+
+  return variables;
 }
 
 // Alternative export format for direct Figma plugin import
 export function exportFigmaPluginFormat(brand) {
   return {
-    version: "1.0",
+    version: getReleaseVersion(brand),
     collections: [{
       name: brand.name,
-      modes: [{ name: "Default", modeId: "default" }],
+      modes: listThemes(brand).map(theme => ({ name: theme.name, modeId: theme.id })),
       variables: [
-        // Colors
-        ...Object.entries(brand.colors).map(([name, value]) => ({
-          name: `color/${name}`,
-          type: "COLOR",
-          valuesByMode: { default: hexToRgb(value) }
-        })),
+        // Colors (ein Wert pro Theme-Mode)
+        ...Object.entries(brand.colors)
+          .filter(([, value]) => typeof value === 'string')
+          .map(([name]) => ({
+            name: `color/${name}`,
+            type: "COLOR",
+            valuesByMode: Object.fromEntries(
+              listThemes(brand).map(theme => [theme.id, hexToRgb(applyTheme(brand, theme.id).colors[name])])
+            )
+          })),
         // Add more as needed
       ]
     }]
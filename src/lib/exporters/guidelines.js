@@ -0,0 +1,793 @@
+// ============================================
+// BRAND GUIDELINES - Markenhandbuch als PDF
+// ============================================
+// Das Handbuch besteht aus Kapitel-Vorlagen (GUIDELINE_SECTIONS), deren
+// Reihenfolge und Auswahl über options.sections bestimmt wird. Inhalte kommen
+// aus den Tokens, den bestätigten Regeln des rulesStore, der Asset-Bibliothek,
+// der Markenstimme (brand.voice, brand.toneOfVoice) und dem Accessibility-Check.
+// Inhaltsverzeichnis und Seitenzahlen entstehen nach dem Setzen aller Kapitel.
+import { PDFDocument, rgb, degrees } from 'pdf-lib';
+import { hexToRgb } from '../tokens.js';
+import { checkBrandAccessibility, getContrastRatio } from '../accessibility.js';
+import { PRINT_PROFILES, DEFAULT_PRINT_PROFILE, CMYK_APPROXIMATION_NOTE, hexToCmyk, formatCmyk } from '../print-color.js';
+import { matchSpotColors } from '../spot-colors.js';
+import { embedBrandFonts, describeFontReport } from './pdf-fonts.js';
+import { drawTextBox, fitText, sanitizeText } from './pdf-text.js';
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const CONTENT_TOP = PAGE_HEIGHT - 60;
+const CONTENT_BOTTOM = 70;
+
+const GREY = rgb(0.45, 0.45, 0.45);
+const LIGHT_GREY = rgb(0.93, 0.93, 0.93);
+const BORDER_GREY = rgb(0.8, 0.8, 0.8);
+const WHITE = rgb(1, 1, 1);
+const SUCCESS = rgb(0.13, 0.77, 0.37);
+const ERROR = rgb(0.94, 0.27, 0.27);
+
+// Schutzzone als Anteil der Logohöhe (Empfehlung, solange keine Regel existiert)
+const CLEAR_SPACE_RATIO = 0.25;
+
+// Richtwert 60-30-10: Hintergrund dominiert, Markenfarben teilen sich den Rest
+const DEFAULT_COLOR_RATIOS = { background: 60, primary: 25, secondary: 10, accent: 5 };
+
+const COLOR_LABELS = {
+  primary: 'Primary',
+  secondary: 'Secondary',
+  accent: 'Accent',
+  background: 'Background',
+  text: 'Text'
+};
+
+const TONE_LABELS = {
+  professional: 'Professionell & Sachlich',
+  friendly: 'Freundlich & Nahbar',
+  innovative: 'Innovativ & Visionär',
+  premium: 'Premium & Exklusiv',
+  playful: 'Spielerisch & Locker',
+  trustworthy: 'Vertrauenswürdig & Seriös'
+};
+
+const FORMALITY_LABELS = { du: 'Du', sie: 'Sie', wir: 'Wir' };
+
+const toColor = (hex) => {
+  const [r, g, b] = hexToRgb(hex);
+  return rgb(r / 255, g / 255, b / 255);
+};
+
+// Lesbare Schriftfarbe auf einer Fläche
+const textOn = (hex) => (getContrastRatio('#ffffff', hex) >= 3 ? WHITE : rgb(0.11, 0.11, 0.12));
+
+// ============================================
+// SEITEN & TEXTFLUSS
+// ============================================
+
+/**
+ * Schreibt Inhalte von oben nach unten und beginnt bei Bedarf eine neue Seite
+ */
+function createWriter(pdfDoc, ctx) {
+  const writer = {
+    page: null,
+    y: CONTENT_TOP,
+
+    newPage() {
+      writer.page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+      writer.y = CONTENT_TOP;
+      return writer.page;
+    },
+
+    // Platz für einen Block reservieren
+    ensure(height) {
+      if (!writer.page || writer.y - height < CONTENT_BOTTOM) writer.newPage();
+    },
+
+    space(amount) {
+      writer.y -= amount;
+    },
+
+    text(text, {
+      font = ctx.fonts.body.regular,
+      size = 10.5,
+      minSize = size,
+      lineHeight = 1.4,
+      color = ctx.colors.text,
+      x = MARGIN,
+      width = CONTENT_WIDTH,
+      hyphenate = true,
+      gap = 6,
+      label = 'Text'
+    } = {}) {
+      if (!text) return null;
+      const { height } = fitText(text, font, { width, size, lineHeight, hyphenate });
+      writer.ensure(Math.min(height, CONTENT_TOP - CONTENT_BOTTOM));
+      const box = drawTextBox(writer.page, text, {
+        x, y: writer.y, width,
+        height: writer.y - CONTENT_BOTTOM,
+        size, minSize, lineHeight, hyphenate,
+        font, color, label,
+        onWarning: ctx.onWarning
+      });
+      writer.y = box.bottom - gap;
+      return box;
+    },
+
+    heading(text) {
+      writer.ensure(60);
+      writer.space(10);
+      return writer.text(text, {
+        font: ctx.fonts.heading.bold,
+        size: 14,
+        minSize: 10,
+        color: ctx.colors.primary,
+        gap: 8,
+        label: text
+      });
+    },
+
+    note(text) {
+      return writer.text(text, { size: 8, color: GREY, gap: 4 });
+    },
+
+    // Aufzählung; marker z.B. '+' / '–'
+    list(items, { marker = '·', color = ctx.colors.text } = {}) {
+      items.filter(Boolean).forEach(item => {
+        writer.text(`${marker} ${item}`, { color, gap: 4 });
+      });
+    }
+  };
+  return writer;
+}
+
+/**
+ * Bestätigte Regeln einer Kategorie als Liste „Name: Beschreibung"
+ */
+function writeRules(writer, ctx, category, filter = () => true) {
+  const rules = ctx.rules.filter(rule => rule.category === category && filter(rule));
+  if (rules.length === 0) return;
+  writer.heading('Regeln aus der Markenanalyse');
+  writer.list(rules.map(rule => [rule.name, rule.description].filter(Boolean).join(': ')));
+}
+
+// ============================================
+// LOGO
+// ============================================
+
+async function embedLogo(pdfDoc, src) {
+  if (!src || !src.startsWith('data:image/')) return null;
+  try {
+    const bytes = await fetch(src).then(r => r.arrayBuffer());
+    if (src.startsWith('data:image/png')) return await pdfDoc.embedPng(bytes);
+    if (/^data:image\/jpe?g/.test(src)) return await pdfDoc.embedJpg(bytes);
+  } catch (e) {
+    console.warn('Logo konnte nicht eingebettet werden:', e);
+  }
+  // SVG und andere Formate kann pdf-lib nicht einbetten → Wortmarke
+  return null;
+}
+
+/**
+ * Logo (oder Wortmarke aus dem Markennamen) zentriert in eine Box setzen
+ * misuse: 'stretch' | 'rotate' | 'opacity' – für Fehlanwendungen
+ * @returns {{ x, y, width, height }} Fläche des Logos
+ */
+function drawLogo(page, ctx, box, misuse = null) {
+  const opacity = misuse === 'opacity' ? 0.3 : 1;
+  const rotate = misuse === 'rotate' ? degrees(18) : undefined;
+
+  if (ctx.logoImage) {
+    const scale = Math.min(box.width / ctx.logoImage.width, box.height / ctx.logoImage.height);
+    let width = ctx.logoImage.width * scale;
+    let height = ctx.logoImage.height * scale;
+    if (misuse === 'stretch') {
+      width = Math.min(box.width, width * 1.4);
+      height *= 0.6;
+    }
+    const x = box.x + (box.width - width) / 2;
+    const y = box.y + (box.height - height) / 2;
+    page.drawImage(ctx.logoImage, { x, y, width, height, opacity, rotate });
+    return { x, y, width, height };
+  }
+
+  const font = ctx.fonts.heading.bold;
+  const name = sanitizeText(ctx.tokens.meta.name, font);
+  const size = Math.min(box.height * 0.5, box.width / Math.max(1, font.widthOfTextAtSize(name, 1)));
+  const width = font.widthOfTextAtSize(name, size);
+  const height = font.heightAtSize(size, { descender: false });
+  const x = box.x + (box.width - width) / 2;
+  const y = box.y + (box.height - height) / 2;
+  page.drawText(name, {
+    x, y, size, font,
+    color: ctx.colors.primary,
+    opacity,
+    rotate,
+    xSkew: misuse === 'stretch' ? degrees(25) : undefined
+  });
+  return { x, y, width, height };
+}
+
+function renderLogo(writer, ctx) {
+  writer.heading('Schutzzone');
+  writer.ensure(190);
+  const stage = { x: MARGIN, y: writer.y - 170, width: CONTENT_WIDTH, height: 170 };
+  writer.page.drawRectangle({ ...stage, color: LIGHT_GREY });
+
+  const logo = drawLogo(writer.page, ctx, { x: stage.x + 140, y: stage.y + 45, width: stage.width - 280, height: 80 });
+  const clear = logo.height * CLEAR_SPACE_RATIO;
+  writer.page.drawRectangle({
+    x: logo.x - clear,
+    y: logo.y - clear,
+    width: logo.width + 2 * clear,
+    height: logo.height + 2 * clear,
+    borderColor: ctx.colors.primary,
+    borderWidth: 0.75,
+    borderDashArray: [4, 3]
+  });
+  writer.page.drawText('x', {
+    x: logo.x - clear / 2 - 2, y: logo.y + logo.height / 2,
+    size: 8, font: ctx.fonts.body.regular, color: ctx.colors.primary
+  });
+  writer.y = stage.y - 10;
+
+  writer.text('Rund um das Logo bleibt eine Schutzzone frei: x = ¼ der Logohöhe zu allen Seiten. ' +
+    'In diesen Bereich ragen keine Texte, Bilder oder Kanten.');
+
+  const positionRule = ctx.rules.find(rule => rule.category === 'component' && rule.value?.position);
+  if (positionRule) {
+    writer.text(`Platzierung: ${positionRule.description}`);
+  }
+
+  writer.heading('Varianten');
+  const variants = [
+    ...ctx.libraryAssets
+      .filter(asset => ['logo', 'logo-variant'].includes(asset.category) && asset.status === 'approved')
+      .map(asset => [asset.name, asset.description].filter(Boolean).join(' – ')),
+    ...(ctx.brand?.logos || []).map(logo => [logo.name, logo.description].filter(Boolean).join(' – '))
+  ];
+  if (variants.length > 0) {
+    writer.list([...new Set(variants)]);
+  } else {
+    writer.text('Keine weiteren Logo-Varianten hinterlegt.', { color: GREY });
+  }
+
+  writer.heading('Fehlanwendungen');
+  const misuses = [
+    ['stretch', 'Nicht verzerren'],
+    ['rotate', 'Nicht drehen'],
+    ['opacity', 'Nicht transparent verwenden'],
+    ['background', 'Nicht auf unruhigem Hintergrund']
+  ];
+  const gap = 15;
+  const tile = (CONTENT_WIDTH - gap * (misuses.length - 1)) / misuses.length;
+  writer.ensure(tile * 0.75 + 30);
+  const top = writer.y;
+
+  misuses.forEach(([misuse, caption], index) => {
+    const box = { x: MARGIN + index * (tile + gap), y: top - tile * 0.75, width: tile, height: tile * 0.75 };
+    writer.page.drawRectangle({ ...box, color: LIGHT_GREY });
+    if (misuse === 'background') {
+      // Streifen aus Sekundär- und Akzentfarbe
+      for (let x = 0, i = 0; x < box.width; x += 8, i++) {
+        writer.page.drawRectangle({
+          x: box.x + x, y: box.y,
+          width: Math.min(8, box.width - x), height: box.height,
+          color: i % 2 ? ctx.colors.accent : ctx.colors.secondary
+        });
+      }
+    }
+    drawLogo(writer.page, ctx, { x: box.x + 12, y: box.y + 12, width: box.width - 24, height: box.height - 24 }, misuse);
+
+    // Durchgestrichen-Markierung
+    const cx = box.x + box.width - 10;
+    const cy = box.y + box.height - 10;
+    writer.page.drawCircle({ x: cx, y: cy, size: 6, color: ERROR });
+    writer.page.drawLine({ start: { x: cx - 3, y: cy - 3 }, end: { x: cx + 3, y: cy + 3 }, thickness: 1.2, color: WHITE });
+    writer.page.drawLine({ start: { x: cx - 3, y: cy + 3 }, end: { x: cx + 3, y: cy - 3 }, thickness: 1.2, color: WHITE });
+
+    drawTextBox(writer.page, caption, {
+      x: box.x, y: box.y - 6, width: box.width, height: 22,
+      size: 8, minSize: 6.5, lineHeight: 1.2,
+      font: ctx.fonts.body.regular, color: ERROR,
+      label: caption, onWarning: ctx.onWarning
+    });
+  });
+  writer.y = top - tile * 0.75 - 36;
+}
+
+// ============================================
+// FARBEN
+// ============================================
+
+/**
+ * Farbverhältnisse: aus den Fundstellen bestätigter Farbregeln,
+ * sonst Richtwert 60-30-10
+ * @returns {{ ratios: Array<{ key, share }>, fromRules: boolean }}
+ */
+function getColorRatios(ctx) {
+  const weights = { primary: 0, secondary: 0, accent: 0 };
+  for (const rule of ctx.rules) {
+    const type = rule.category === 'color' && rule.value?.type;
+    if (type in weights) weights[type] += rule.sources?.length || 0;
+  }
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+  let shares = { ...DEFAULT_COLOR_RATIOS };
+  if (total > 0) {
+    const brandShare = 100 - DEFAULT_COLOR_RATIOS.background;
+    shares = Object.fromEntries(Object.entries(weights).map(([key, weight]) => [key, Math.round(brandShare * weight / total)]));
+    shares.background = 100 - Object.values(shares).reduce((sum, share) => sum + share, 0);
+  }
+
+  const ratios = ['background', 'primary', 'secondary', 'accent']
+    .map(key => ({ key, share: shares[key] }))
+    .filter(ratio => ratio.share > 0);
+  return { ratios, fromRules: total > 0 };
+}
+
+function renderColors(writer, ctx) {
+  const { tokens } = ctx;
+  const palette = [
+    ...Object.keys(COLOR_LABELS).map(key => ({ name: COLOR_LABELS[key], value: tokens.colors[key].value })),
+    ...(ctx.brand?.colors?.palette || [])
+      .map((color, index) => (typeof color === 'string'
+        ? { name: `Palette ${index + 1}`, value: color }
+        : { name: color.name || `Palette ${index + 1}`, value: color.value || color.hex }))
+      .filter(color => /^#[0-9a-f]{6}$/i.test(color.value || ''))
+  ];
+
+  palette.forEach(color => {
+    writer.ensure(92);
+    const { page } = writer;
+    const y = writer.y;
+    const [r, g, b] = hexToRgb(color.value);
+    const small = { size: 7.5, font: ctx.fonts.body.regular, color: GREY };
+
+    page.drawRectangle({ x: MARGIN, y: y - 60, width: 80, height: 60, color: toColor(color.value), borderColor: BORDER_GREY, borderWidth: 1 });
+    page.drawText(sanitizeText(color.name, ctx.fonts.heading.bold), { x: 150, y: y - 15, size: 13, font: ctx.fonts.heading.bold, color: ctx.colors.text });
+    page.drawText(`${color.value.toUpperCase()}    RGB ${r}, ${g}, ${b}`, { x: 150, y: y - 32, size: 10, font: ctx.fonts.body.regular, color: GREY });
+
+    // CMYK je Druckprofil (Standardschrift kennt kein Δ → "dE")
+    const cmykLine = Object.values(PRINT_PROFILES).map(profile => {
+      const cmyk = hexToCmyk(color.value, profile.id);
+      return `${profile.short}: ${formatCmyk(cmyk)}${cmyk.inGamut ? '' : ` (dE ${cmyk.deltaE})`}`;
+    }).join('   ');
+    page.drawText(cmykLine, { x: 150, y: y - 47, ...small });
+
+    // Nächstliegende Sonderfarben, bei Bedarf auf zwei Zeilen
+    const spotLines = [];
+    Object.values(matchSpotColors(color.value))
+      .filter(Boolean)
+      .map(spot => sanitizeText(`${[spot.code, spot.name].filter(Boolean).join(' ')} (dE ${spot.deltaE}, ${spot.match})`, small.font))
+      .forEach(entry => {
+        const joined = spotLines.length ? `${spotLines[spotLines.length - 1]}   ${entry}` : entry;
+        if (spotLines.length && small.font.widthOfTextAtSize(joined, small.size) <= PAGE_WIDTH - MARGIN - 150) {
+          spotLines[spotLines.length - 1] = joined;
+        } else {
+          spotLines.push(entry);
+        }
+      });
+    spotLines.forEach((line, index) => {
+      page.drawText(line, { x: 150, y: y - 59 - index * 10, ...small });
+    });
+
+    writer.y = y - 76 - Math.max(0, spotLines.length - 1) * 10;
+  });
+
+  writer.note(`CMYK relativ farbmetrisch mit Tiefenkompensierung, Standard: ${PRINT_PROFILES[DEFAULT_PRINT_PROFILE].name}.`);
+  writer.note(CMYK_APPROXIMATION_NOTE);
+  writer.note('Sonderfarben: nächster Wert im Farbfächer, dE = Abweichung nach CIEDE2000 (bis 2.3 nicht sichtbar).');
+
+  // Farbverhältnisse als Balken
+  writer.heading('Farbverhältnisse');
+  const { ratios, fromRules } = getColorRatios(ctx);
+  writer.ensure(50);
+  let x = MARGIN;
+  ratios.forEach(({ key, share }) => {
+    const width = CONTENT_WIDTH * share / 100;
+    const hex = tokens.colors[key].value;
+    writer.page.drawRectangle({ x, y: writer.y - 36, width, height: 36, color: toColor(hex), borderColor: BORDER_GREY, borderWidth: 0.5 });
+    const label = `${share} %`;
+    const labelWidth = ctx.fonts.body.bold.widthOfTextAtSize(label, 9);
+    if (labelWidth + 8 < width) {
+      writer.page.drawText(label, { x: x + (width - labelWidth) / 2, y: writer.y - 22, size: 9, font: ctx.fonts.body.bold, color: textOn(hex) });
+    }
+    x += width;
+  });
+  writer.space(46);
+  writer.text(ratios.map(({ key, share }) => `${COLOR_LABELS[key]} ${share} %`).join('  ·  '));
+  writer.note(fromRules
+    ? 'Anteile der Markenfarben nach ihrer Häufigkeit in den analysierten Dokumenten.'
+    : 'Richtwert nach der 60-30-10-Regel: Hintergrund dominiert, die Primärfarbe trägt, Akzente bleiben sparsam.');
+
+  writeRules(writer, ctx, 'color');
+}
+
+// ============================================
+// TYPOGRAFIE
+// ============================================
+
+const TYPE_SAMPLES = {
+  h1: 'Starke Headline', h2: 'Zwischenüberschrift', h3: 'Abschnittstitel', h4: 'Kleine Überschrift',
+  body: 'Fließtext für längere Abschnitte', small: 'Ergänzende Hinweise', caption: 'Bildunterschrift'
+};
+
+function renderTypography(writer, ctx) {
+  const { typography } = ctx.tokens;
+
+  writer.heading('Schriften');
+  writer.text(typography.heading.fontFamilyClean, { font: ctx.fonts.heading.bold, size: 22, minSize: 12, hyphenate: false, label: 'Schriftname Überschriften', gap: 2 });
+  writer.text(`Überschriften · ${typography.heading.weights.join(', ')}`, { size: 9, color: GREY, gap: 12 });
+  writer.text(typography.body.fontFamilyClean, { font: ctx.fonts.body.regular, size: 18, minSize: 10, hyphenate: false, label: 'Schriftname Fließtext', gap: 2 });
+  writer.text(`Fließtext · ${typography.body.weights.join(', ')}`, { size: 9, color: GREY, gap: 8 });
+  writer.text('Franz jagt im komplett verwahrlosten Taxi quer durch Bayern. 0123456789', { gap: 10 });
+  ['heading', 'body'].forEach(role => writer.note(describeFontReport(ctx.fonts.report[role])));
+
+  writer.heading('Hierarchie');
+  Object.entries(typography.scale).forEach(([name, step]) => {
+    // Skala in px, im PDF 1px = 0.75pt
+    const size = Math.min(36, step.size * 0.75);
+    const isHeading = name.startsWith('h');
+    const rowHeight = Math.max(size * 1.3, 16);
+    writer.ensure(rowHeight + 8);
+    const { page } = writer;
+    const baseline = writer.y - rowHeight + 4;
+
+    page.drawText(name.toUpperCase(), { x: MARGIN, y: baseline, size: 8, font: ctx.fonts.body.bold, color: GREY });
+    drawTextBox(page, TYPE_SAMPLES[name] || name, {
+      x: MARGIN + 50,
+      y: baseline + ctx.fonts.body.regular.heightAtSize(size, { descender: false }),
+      width: CONTENT_WIDTH - 170,
+      height: size * 1.3,
+      size, minSize: size * 0.5, lineHeight: 1.2, hyphenate: false,
+      font: isHeading ? ctx.fonts.heading.bold : ctx.fonts.body.regular,
+      color: ctx.colors.text,
+      label: `Hierarchie ${name}`,
+      onWarning: ctx.onWarning
+    });
+    page.drawText(`${step.size} px · ${step.lineHeight} · ${step.weight}`, {
+      x: PAGE_WIDTH - MARGIN - 110, y: baseline, size: 8, font: ctx.fonts.body.regular, color: GREY
+    });
+    writer.y -= rowHeight + 8;
+  });
+
+  writeRules(writer, ctx, 'typography', rule => !rule.value?.fontFamily);
+}
+
+// ============================================
+// ABSTÄNDE
+// ============================================
+
+function renderSpacing(writer, ctx) {
+  writer.heading('Abstandsskala');
+  writer.text('Abstände folgen einer festen Skala. Zwischenwerte werden nicht verwendet.');
+
+  const maxBar = CONTENT_WIDTH - 140;
+  const largest = Math.max(...Object.values(ctx.tokens.spacing));
+  Object.entries(ctx.tokens.spacing).forEach(([name, value]) => {
+    writer.ensure(22);
+    const y = writer.y - 14;
+    writer.page.drawText(name, { x: MARGIN, y: y + 2, size: 9, font: ctx.fonts.body.bold, color: ctx.colors.text });
+    writer.page.drawRectangle({
+      x: MARGIN + 50, y,
+      width: Math.max(1, largest > maxBar ? value * maxBar / largest : value),
+      height: 10,
+      color: ctx.colors.primary
+    });
+    writer.page.drawText(`${value} px`, { x: PAGE_WIDTH - MARGIN - 60, y: y + 2, size: 9, font: ctx.fonts.body.regular, color: GREY });
+    writer.y -= 22;
+  });
+
+  writeRules(writer, ctx, 'spacing');
+}
+
+// ============================================
+// KOMPONENTEN
+// ============================================
+
+// Rechteck mit abgerundeten Ecken als SVG-Pfad (Ursprung oben links)
+function roundedRectPath(width, height, radius) {
+  const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+  return `M ${r} 0 H ${width - r} A ${r} ${r} 0 0 1 ${width} ${r} V ${height - r} ` +
+    `A ${r} ${r} 0 0 1 ${width - r} ${height} H ${r} A ${r} ${r} 0 0 1 0 ${height - r} V ${r} A ${r} ${r} 0 0 1 ${r} 0 Z`;
+}
+
+function renderComponents(writer, ctx) {
+  const { tokens } = ctx;
+  const radius = tokens.borderRadius.md;
+
+  writer.heading('Buttons');
+  writer.ensure(60);
+  const buttons = [
+    { label: 'Primär', fill: tokens.colors.primary.value },
+    { label: 'Sekundär', outline: tokens.colors.primary.value },
+    { label: 'Akzent', fill: tokens.colors.accent.value }
+  ];
+  const font = ctx.fonts.heading.bold;
+  let x = MARGIN;
+  buttons.forEach(button => {
+    const width = font.widthOfTextAtSize(button.label, 11) + 40;
+    writer.page.drawSvgPath(roundedRectPath(width, 34, radius), {
+      x, y: writer.y,
+      color: button.fill ? toColor(button.fill) : undefined,
+      borderColor: button.outline ? toColor(button.outline) : undefined,
+      borderWidth: button.outline ? 1.5 : 0
+    });
+    writer.page.drawText(button.label, {
+      x: x + 20, y: writer.y - 21, size: 11, font,
+      color: button.fill ? textOn(button.fill) : toColor(button.outline)
+    });
+    x += width + 16;
+  });
+  writer.space(46);
+  writer.note(`Eckenradius ${radius} px, Beschriftung in ${tokens.typography.heading.fontFamilyClean}.`);
+
+  writer.heading('Eckenradien');
+  writer.ensure(80);
+  x = MARGIN;
+  Object.entries(tokens.borderRadius)
+    .filter(([, value]) => value < 9999)
+    .forEach(([name, value]) => {
+      writer.page.drawSvgPath(roundedRectPath(50, 50, value), {
+        x, y: writer.y, color: LIGHT_GREY, borderColor: ctx.colors.primary, borderWidth: 1
+      });
+      writer.page.drawText(`${name} · ${value} px`, { x, y: writer.y - 64, size: 8, font: ctx.fonts.body.regular, color: GREY });
+      x += 80;
+    });
+  writer.space(80);
+
+  writeRules(writer, ctx, 'component', rule => !rule.value?.position);
+}
+
+// ============================================
+// MARKENSTIMME
+// ============================================
+
+function renderVoice(writer, ctx) {
+  const { voice } = ctx.tokens;
+  const toneOfVoice = ctx.brand?.toneOfVoice || {};
+
+  if (voice.tagline) {
+    writer.heading('Kernbotschaft');
+    writer.text(`"${voice.tagline}"`, { font: ctx.fonts.heading.bold, size: 18, minSize: 12, lineHeight: 1.25, label: 'Kernbotschaft' });
+  }
+
+  writer.heading('Tonalität');
+  writer.text([
+    TONE_LABELS[voice.tone] || voice.tone,
+    FORMALITY_LABELS[voice.formality] && `Ansprache: ${FORMALITY_LABELS[voice.formality]}`
+  ].filter(Boolean).join('  ·  '));
+
+  // Schlagworte als Chips
+  const keywords = (toneOfVoice.keywords || []).filter(Boolean);
+  if (keywords.length > 0) {
+    writer.ensure(30);
+    const font = ctx.fonts.body.regular;
+    let x = MARGIN;
+    keywords.forEach(keyword => {
+      const label = sanitizeText(keyword, font);
+      const width = font.widthOfTextAtSize(label, 9) + 20;
+      if (x + width > PAGE_WIDTH - MARGIN) {
+        x = MARGIN;
+        writer.space(26);
+        writer.ensure(30);
+      }
+      writer.page.drawSvgPath(roundedRectPath(width, 20, 10), { x, y: writer.y - 4, color: LIGHT_GREY });
+      writer.page.drawText(label, { x: x + 10, y: writer.y - 17, size: 9, font, color: ctx.colors.text });
+      x += width + 8;
+    });
+    writer.space(32);
+  }
+  writer.text(toneOfVoice.description);
+
+  // Do's & Don'ts: aus der Analyse, sonst aus den Markeneinstellungen
+  const dos = Array.isArray(toneOfVoice.dos) && toneOfVoice.dos.length > 0 ? toneOfVoice.dos : voice.dos;
+  const donts = Array.isArray(toneOfVoice.donts) && toneOfVoice.donts.length > 0 ? toneOfVoice.donts : voice.donts;
+  if (dos.length > 0) {
+    writer.heading('Do\'s – so klingen wir');
+    writer.list(dos, { marker: '+', color: SUCCESS });
+  }
+  if (donts.length > 0) {
+    writer.heading('Don\'ts – das vermeiden wir');
+    writer.list(donts, { marker: '–', color: ERROR });
+  }
+}
+
+// ============================================
+// BARRIEREFREIHEIT
+// ============================================
+
+function renderAccessibility(writer, ctx) {
+  if (!ctx.brand) {
+    writer.text('Keine Markendaten für den Kontrast-Check verfügbar.', { color: GREY });
+    return;
+  }
+
+  const { themes } = checkBrandAccessibility(ctx.brand);
+  writer.text('Kontrastpaare nach WCAG 2.1: mindestens 4.5:1 für Text, 3:1 für große Schrift und UI-Elemente.');
+
+  themes.forEach(theme => {
+    writer.heading(themes.length > 1 ? `Theme ${theme.name}` : 'Geprüfte Farbpaare');
+    writer.note(`Score ${theme.score}/100 – ${theme.rating}`);
+
+    theme.checks.forEach(check => {
+      writer.ensure(40);
+      const { page } = writer;
+      const y = writer.y - 30;
+      page.drawRectangle({ x: MARGIN, y, width: 60, height: 30, color: toColor(check.background), borderColor: BORDER_GREY, borderWidth: 0.5 });
+      page.drawText('Aa', { x: MARGIN + 20, y: y + 10, size: 12, font: ctx.fonts.heading.bold, color: toColor(check.foreground) });
+      page.drawText(sanitizeText(check.name, ctx.fonts.body.bold), { x: MARGIN + 75, y: y + 17, size: 10, font: ctx.fonts.body.bold, color: ctx.colors.text });
+      page.drawText(`${check.foreground.toUpperCase()} auf ${check.background.toUpperCase()} · ${check.ratio.toFixed(1)}:1${check.isLargeText ? ' (große Schrift / UI)' : ''}`, {
+        x: MARGIN + 75, y: y + 4, size: 8.5, font: ctx.fonts.body.regular, color: GREY
+      });
+      page.drawText(check.wcag.pass ? check.wcag.level : 'nicht bestanden', {
+        x: PAGE_WIDTH - MARGIN - 80, y: y + 11, size: 10, font: ctx.fonts.body.bold,
+        color: check.wcag.pass ? SUCCESS : ERROR
+      });
+      writer.y = y - 10;
+    });
+  });
+}
+
+// ============================================
+// KAPITEL-VORLAGEN
+// ============================================
+
+export const GUIDELINE_SECTIONS = {
+  logo: { id: 'logo', title: 'Logo', description: 'Schutzzone, Varianten und Fehlanwendungen', render: renderLogo },
+  colors: { id: 'colors', title: 'Farben', description: 'Palette, CMYK, Sonderfarben und Farbverhältnisse', render: renderColors },
+  typography: { id: 'typography', title: 'Typografie', description: 'Schriften und Hierarchie', render: renderTypography },
+  spacing: { id: 'spacing', title: 'Abstände', description: 'Abstandsskala und Raster', render: renderSpacing },
+  components: { id: 'components', title: 'Komponenten', description: 'Buttons, Eckenradien und Stilregeln', render: renderComponents },
+  voice: { id: 'voice', title: 'Markenstimme', description: 'Tonalität, Do\'s und Don\'ts', render: renderVoice },
+  accessibility: { id: 'accessibility', title: 'Barrierefreiheit', description: 'Kontrastpaare nach WCAG 2.1', render: renderAccessibility }
+};
+
+export const DEFAULT_GUIDELINE_SECTIONS = Object.keys(GUIDELINE_SECTIONS);
+
+// ============================================
+// DOKUMENT
+// ============================================
+
+function drawCover(pdfDoc, ctx) {
+  const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+  const { tokens, fonts } = ctx;
+
+  page.drawRectangle({ x: 0, y: PAGE_HEIGHT - 250, width: PAGE_WIDTH, height: 250, color: ctx.colors.primary });
+  const onPrimary = textOn(tokens.colors.primary.value);
+  page.drawText('BRAND', { x: MARGIN, y: PAGE_HEIGHT - 120, size: 60, font: fonts.heading.bold, color: onPrimary });
+  page.drawText('GUIDELINES', { x: MARGIN, y: PAGE_HEIGHT - 180, size: 60, font: fonts.heading.bold, color: onPrimary });
+
+  drawTextBox(page, tokens.meta.name, {
+    x: MARGIN, y: PAGE_HEIGHT - 327,
+    width: CONTENT_WIDTH, height: 80,
+    size: 32, minSize: 20, lineHeight: 1.1,
+    font: fonts.heading.bold, color: ctx.colors.text,
+    label: 'Markenname', onWarning: ctx.onWarning
+  });
+
+  if (ctx.logoImage) {
+    drawLogo(page, ctx, { x: MARGIN, y: 120, width: 200, height: 120 });
+  }
+
+  page.drawText(`Version ${tokens.meta.version} · Stand: ${new Date().toLocaleDateString('de-DE')}`, {
+    x: MARGIN, y: 50, size: 12, font: fonts.body.regular, color: GREY
+  });
+}
+
+/**
+ * Inhaltsverzeichnis als zweite Seite (nach dem Setzen, Seitenzahlen stehen fest)
+ */
+function drawTableOfContents(pdfDoc, ctx, chapters) {
+  const page = pdfDoc.insertPage(1, [PAGE_WIDTH, PAGE_HEIGHT]);
+  const { fonts } = ctx;
+
+  page.drawText('Inhalt', { x: MARGIN, y: CONTENT_TOP - 20, size: 28, font: fonts.heading.bold, color: ctx.colors.text });
+
+  let y = CONTENT_TOP - 80;
+  chapters.forEach((chapter, index) => {
+    const number = String(index + 1).padStart(2, '0');
+    const pageLabel = String(chapter.page);
+    const pageWidth = fonts.body.regular.widthOfTextAtSize(pageLabel, 12);
+
+    page.drawText(number, { x: MARGIN, y, size: 12, font: fonts.heading.bold, color: ctx.colors.primary });
+    page.drawText(chapter.title, { x: MARGIN + 35, y, size: 12, font: fonts.heading.bold, color: ctx.colors.text });
+    page.drawText(sanitizeText(chapter.description, fonts.body.regular), { x: MARGIN + 35, y: y - 14, size: 8.5, font: fonts.body.regular, color: GREY });
+
+    // Punktlinie bis zur Seitenzahl
+    const titleEnd = MARGIN + 35 + fonts.heading.bold.widthOfTextAtSize(chapter.title, 12) + 8;
+    page.drawLine({
+      start: { x: titleEnd, y: y + 2 },
+      end: { x: PAGE_WIDTH - MARGIN - pageWidth - 8, y: y + 2 },
+      thickness: 0.75,
+      color: BORDER_GREY,
+      dashArray: [1, 3]
+    });
+    page.drawText(pageLabel, { x: PAGE_WIDTH - MARGIN - pageWidth, y, size: 12, font: fonts.body.regular, color: ctx.colors.text });
+    y -= 42;
+  });
+}
+
+function drawPageNumbers(pdfDoc, ctx) {
+  const pages = pdfDoc.getPages();
+  const font = ctx.fonts.body.regular;
+  const footer = sanitizeText(`${ctx.tokens.meta.name} · Brand Guidelines`, font);
+
+  // Ohne Cover
+  pages.slice(1).forEach((page, index) => {
+    const label = `${index + 2} / ${pages.length}`;
+    page.drawLine({ start: { x: MARGIN, y: 45 }, end: { x: PAGE_WIDTH - MARGIN, y: 45 }, thickness: 0.5, color: BORDER_GREY });
+    page.drawText(footer, { x: MARGIN, y: 32, size: 8, font, color: GREY });
+    page.drawText(label, { x: PAGE_WIDTH - MARGIN - font.widthOfTextAtSize(label, 8), y: 32, size: 8, font, color: GREY });
+  });
+}
+
+/**
+ * Generiert das Brand-Guidelines-PDF
+ * @param {Object} tokens - Design Tokens
+ * @param {Object} options
+ *   brand          – Marke (Palette, Logos, toneOfVoice, Accessibility-Check)
+ *   rules          – Regeln aus dem rulesStore (nur bestätigte werden verwendet)
+ *   libraryAssets  – Assets der Bibliothek (freigegebene Logo-Varianten)
+ *   sections       – Kapitel-IDs in gewünschter Reihenfolge (ohne Angabe: alle,
+ *                    leere Auswahl ist ein Fehler)
+ *   onWarning      – Meldungen zu Texten, die nicht passen
+ */
+export async function generateGuidelinesPdf(tokens, options = {}) {
+  const pdfDoc = await PDFDocument.create();
+  const fonts = await embedBrandFonts(pdfDoc, tokens);
+
+  const ctx = {
+    tokens,
+    fonts,
+    brand: options.brand || null,
+    rules: (options.rules || []).filter(rule => rule.confirmed && rule.value),
+    libraryAssets: options.libraryAssets || [],
+    logoImage: await embedLogo(pdfDoc, tokens.assets.logo),
+    onWarning: options.onWarning || (() => {}),
+    colors: {
+      primary: toColor(tokens.colors.primary.value),
+      secondary: toColor(tokens.colors.secondary.value),
+      accent: toColor(tokens.colors.accent.value),
+      text: toColor(tokens.colors.text.value)
+    }
+  };
+
+  const sectionIds = (options.sections === undefined ? DEFAULT_GUIDELINE_SECTIONS : options.sections)
+    .filter(id => GUIDELINE_SECTIONS[id]);
+  if (sectionIds.length === 0) {
+    throw new Error('Keine Guidelines-Kapitel ausgewählt');
+  }
+
+  drawCover(pdfDoc, ctx);
+
+  const writer = createWriter(pdfDoc, ctx);
+  const chapters = [];
+  sectionIds.forEach((id, index) => {
+    const section = GUIDELINE_SECTIONS[id];
+    writer.newPage();
+    // +1: Inhaltsverzeichnis wird später als Seite 2 eingefügt
+    chapters.push({ ...section, page: pdfDoc.getPageCount() + 1 });
+
+    writer.page.drawText(String(index + 1).padStart(2, '0'), {
+      x: MARGIN, y: CONTENT_TOP - 20, size: 28, font: fonts.heading.bold, color: ctx.colors.primary
+    });
+    writer.page.drawText(section.title, {
+      x: MARGIN + 55, y: CONTENT_TOP - 20, size: 28, font: fonts.heading.bold, color: ctx.colors.text
+    });
+    writer.y = CONTENT_TOP - 45;
+    section.render(writer, ctx);
+  });
+
+  drawTableOfContents(pdfDoc, ctx, chapters);
+  drawPageNumbers(pdfDoc, ctx);
+
+  pdfDoc.setTitle(`${tokens.meta.name} – Brand Guidelines`);
+  pdfDoc.setAuthor(tokens.meta.name);
+  pdfDoc.setCreator('TYRN.ON Brand Engine');
+
+  return pdfDoc;
+}
+
+export default { GUIDELINE_SECTIONS, DEFAULT_GUIDELINE_SECTIONS, generateGuidelinesPdf };
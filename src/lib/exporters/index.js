@@ -3,13 +3,38 @@
 // ============================================
 import { brandToTokens, tokensToCss, tokensToTailwind, tokensToJson } from '../tokens.js';
 import { generatePptx, downloadPptx } from './pptx.js';
-import { generateFlyerPdf, generateBusinessCardPdf, generateGuidelinesPdf, downloadPdf } from './pdf.js';
+import { generateFlyerPdf, generateBusinessCardPdf, downloadPdf } from './pdf.js';
+import { generateGuidelinesPdf } from './guidelines.js';
+import { exportFigmaVariables } from './figma.js';
+import { exportPrintSpecs } from './print-specs.js';
+import { exportPptxTheme } from './pptx-theme.js';
+import { builtInPlatformFormatters } from './platforms.js';
+import { generateChangelog } from '../releases.js';
+import { resolveBrandAssets, isAssetRef } from '../assetStore.js';
+import JSZip from 'jszip';
 
 /**
  * Zentrale Export-Funktion
  * Nimmt Brand + Content und exportiert ins gewünschte Format
  */
 export async function exportAsset(brand, content, format, options = {}) {
+  const result = await runExport(brand, content, format, options);
+  // Das Brand-Package meldet sich selbst (wird auch direkt gebaut)
+  if (format !== 'brand-package') {
+    notifyExport(brand, format);
+  }
+  return result;
+}
+
+async function runExport(brand, content, format, options) {
+  // Das Brand-Package löst die Assets selbst auf und braucht die Referenzen
+  // der unaufgelösten Marke für die Verwendungsmeldung
+  if (format === 'brand-package') {
+    return exportBrandPackage(brand, options);
+  }
+
+  // Logos liegen als Referenz im Asset Store – für die Ausgabe einbetten
+  brand = await resolveBrandAssets(brand);
   const tokens = brandToTokens(brand);
   
   switch (format) {
@@ -38,7 +63,7 @@ export async function exportAsset(brand, content, format, options = {}) {
       return downloadPdf(cardPdf, `${brand.name}-visitenkarte.pdf`);
     
     case 'pdf-guidelines':
-      const guidelinesPdf = await generateGuidelinesPdf(tokens, options);
+      const guidelinesPdf = await generateGuidelinesPdf(tokens, { ...options, brand });
       return downloadPdf(guidelinesPdf, `${brand.name}-brand-guidelines.pdf`);
     
     // HTML (für Newsletter, Website-Snippets)
@@ -50,15 +75,65 @@ export async function exportAsset(brand, content, format, options = {}) {
       const heroHtml = generateHeroHtml(tokens, content);
       return downloadText(heroHtml, `${brand.name}-hero.html`);
     
-    // Brand Package (ZIP mit allem)
-    case 'brand-package':
-      return exportBrandPackage(brand, tokens);
-    
+    // Changelog aller veröffentlichten Releases
+    case 'changelog':
+      return downloadText(generateChangelog(brand), `${brand.name}-CHANGELOG.md`);
+
     default:
+      // Plattform-Builds (SCSS, iOS, Android, ...)
+      if (format.startsWith('platform-')) {
+        const { blob, filename } = await buildPlatformExport(brand, format.slice('platform-'.length), tokens);
+        return downloadBlob(blob, filename);
+      }
       throw new Error(`Unbekanntes Export-Format: ${format}`);
   }
 }
 
+// ============================================
+// EXPORT-LISTENER (z.B. Nutzungs-Tracking der Asset-Bibliothek)
+// ============================================
+
+const exportListeners = [];
+
+// Formate, die das Haupt-Logo einbetten
+const LOGO_FORMATS = ['tokens-json', 'pptx', 'pdf-flyer', 'pdf-businesscard', 'pdf-guidelines', 'html-email', 'html-hero'];
+
+/**
+ * listener({ brand, format, refs }) wird nach jedem erfolgreichen Export aufgerufen
+ * refs: Asset-Referenzen, die in der Datei gelandet sind
+ */
+export function onExport(listener) {
+  exportListeners.push(listener);
+}
+
+/**
+ * Asset-Referenzen, die ein Export-Format aus der Marke übernimmt
+ */
+export function getExportedAssetRefs(brand, format) {
+  let refs = [];
+  if (format === 'brand-package') {
+    refs = [
+      brand.logo,
+      ...(brand.logos || []).map(logo => logo.dataUrl),
+      ...(brand.fonts?.additional || []).map(font => font.dataUrl)
+    ];
+  } else if (LOGO_FORMATS.includes(format)) {
+    refs = [brand.logo];
+  }
+  return [...new Set(refs.filter(isAssetRef))];
+}
+
+function notifyExport(brand, format) {
+  const refs = getExportedAssetRefs(brand, format);
+  for (const listener of exportListeners) {
+    try {
+      listener({ brand, format, refs });
+    } catch (error) {
+      console.warn('Export listener failed:', error);
+    }
+  }
+}
+
 /**
  * Generiert Newsletter-HTML
  */
@@ -70,6 +145,7 @@ function generateEmailHtml(tokens, content) {
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="generator" content="Brand Engine – ${tokens.meta.name} v${tokens.meta.version}">
   <title>${fields.subject?.value || 'Newsletter'}</title>
   <!--[if mso]>
   <style type="text/css">
@@ -143,7 +219,7 @@ function generateEmailHtml(tokens, content) {
 function generateHeroHtml(tokens, content) {
   const fields = content.fields || {};
   
-  return `<!-- ${tokens.meta.name} Hero Section -->
+  return `<!-- ${tokens.meta.name} Hero Section (Brand v${tokens.meta.version}) -->
 <section style="
   background-color: ${tokens.colors.background.value};
   padding: 80px 40px;
@@ -196,33 +272,153 @@ ${tokensToCss(tokens)}
 </style>`;
 }
 
+/**
+ * Feste Ordnerstruktur des Brand-Packages
+ * Pfade bleiben über alle Exporte gleich, damit CI-Pipelines sie direkt finden
+ */
+export const brandPackageLayout = {
+  readme: 'README.md',
+  changelog: 'CHANGELOG.md',
+  tokensJson: 'tokens/tokens.json',
+  tokensCss: 'web/tokens.css',
+  tailwind: 'web/tailwind.config.js',
+  figmaVariables: 'design/figma-variables.json',
+  printSpecs: 'print/print-specs.json',
+  guidelines: 'print/brand-guidelines.pdf',
+  pptxTheme: 'microsoft/theme.thmx',
+  logos: 'logos/',
+  platforms: 'platforms/'
+};
+
+/**
+ * Baut das komplette Brand-Package als ZIP-Blob
+ * options: Guidelines-Optionen (rules, libraryAssets, sections, onWarning – siehe guidelines.js)
+ */
+export async function buildBrandPackage(brand, tokens, options = {}) {
+  const sourceBrand = brand;
+  brand = await resolveBrandAssets(brand);
+  tokens = tokens || brandToTokens(brand);
+  const zip = new JSZip();
+  const layout = brandPackageLayout;
+
+  zip.file(layout.tokensJson, tokensToJson(tokens));
+  zip.file(layout.tokensCss, tokensToCss(tokens));
+  zip.file(layout.tailwind, tokensToTailwind(tokens));
+  zip.file(layout.figmaVariables, JSON.stringify(exportFigmaVariables(brand), null, 2));
+  zip.file(layout.printSpecs, JSON.stringify(exportPrintSpecs(brand), null, 2));
+  const themeBlob = await exportPptxTheme(brand);
+  zip.file(layout.pptxTheme, await themeBlob.arrayBuffer());
+
+  for (const formatter of Object.values(platformFormatters)) {
+    for (const file of formatter.build(tokens)) {
+      zip.file(layout.platforms + file.path, file.content);
+    }
+  }
+
+  const guidelinesPdf = await generateGuidelinesPdf(tokens, { ...options, brand });
+  zip.file(layout.guidelines, await guidelinesPdf.save());
+
+  const logoFiles = await collectLogoFiles(brand);
+  for (const logo of logoFiles) {
+    zip.file(layout.logos + logo.filename, logo.data, logo.options);
+  }
+
+  zip.file(layout.readme, generateReadme(brand, tokens, logoFiles));
+  zip.file(layout.changelog, generateChangelog(brand));
+
+  const blob = await zip.generateAsync({ type: 'blob', mimeType: 'application/zip' });
+  notifyExport(sourceBrand, 'brand-package');
+  return blob;
+}
+
 /**
  * Exportiert komplettes Brand-Package als ZIP
  */
-async function exportBrandPackage(brand, tokens) {
-  // Hinweis: Für ZIP-Export brauchen wir JSZip
-  // Hier erstellen wir erstmal die einzelnen Dateien
-  const files = {
-    'tokens.json': tokensToJson(tokens),
-    'tokens.css': tokensToCss(tokens),
-    'tailwind.config.js': tokensToTailwind(tokens),
-    'README.md': generateReadme(brand, tokens)
-  };
-  
-  // Einzeln downloaden (später mit JSZip als ZIP)
-  for (const [filename, content] of Object.entries(files)) {
-    downloadText(content, filename);
-    await new Promise(resolve => setTimeout(resolve, 500)); // Kurze Pause zwischen Downloads
+async function exportBrandPackage(brand, options) {
+  const blob = await buildBrandPackage(brand, null, options);
+  downloadBlob(blob, `${brand.name}-brand-package.zip`);
+}
+
+/**
+ * Sammelt Haupt-Logo und alle weiteren Logos als ZIP-Einträge
+ * Data-URLs werden direkt dekodiert, externe URLs (z.B. Supabase Storage) geladen
+ */
+async function collectLogoFiles(brand) {
+  const sources = [];
+  if (brand.logo) {
+    sources.push({ src: brand.logo, name: 'logo' });
   }
+  (brand.logos || []).forEach((logo, index) => {
+    const src = logo.dataUrl || logo.data;
+    if (src) {
+      sources.push({ src, name: `${String(index + 1).padStart(2, '0')}-${slugify(logo.name) || 'logo'}` });
+    }
+  });
+
+  const files = [];
+  for (const { src, name } of sources) {
+    try {
+      if (src.startsWith('data:')) {
+        // Nur am ersten Komma trennen – SVG-Daten ohne Base64 enthalten selbst Kommas
+        const separator = src.indexOf(',');
+        const header = src.slice(0, separator);
+        const payload = src.slice(separator + 1);
+        const mimeType = header.slice(5).split(';')[0];
+        const isBase64 = header.includes(';base64');
+        files.push({
+          filename: `${name}.${extensionForMimeType(mimeType)}`,
+          data: isBase64 ? payload : decodeURIComponent(payload),
+          options: isBase64 ? { base64: true } : {}
+        });
+      } else {
+        const response = await fetch(src);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const blob = await response.blob();
+        files.push({
+          filename: `${name}.${extensionForMimeType(blob.type)}`,
+          data: await blob.arrayBuffer(),
+          options: {}
+        });
+      }
+    } catch (e) {
+      // Logo konnte nicht geladen werden - Package trotzdem erzeugen
+      console.warn(`Logo "${name}" konnte nicht exportiert werden:`, e);
+    }
+  }
+
+  return files;
+}
+
+function extensionForMimeType(mimeType) {
+  const extensions = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/jpg': 'jpg',
+    'image/svg+xml': 'svg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/x-icon': 'ico'
+  };
+  return extensions[mimeType] || 'png';
+}
+
+function slugify(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/\.[a-z0-9]+$/, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
 }
 
 /**
  * Generiert README für Brand-Package
  */
-function generateReadme(brand, tokens) {
+function generateReadme(brand, tokens, logoFiles = []) {
+  const layout = brandPackageLayout;
+
   return `# ${brand.name} - Brand Assets
 
-Generiert mit Brand Engine am ${new Date().toLocaleDateString('de-DE')}
+Version ${tokens.meta.version} · Generiert mit Brand Engine am ${new Date().toLocaleDateString('de-DE')}
 
 ## Farben
 
@@ -247,15 +443,22 @@ Generiert mit Brand Engine am ${new Date().toLocaleDateString('de-DE')}
 
 ## Dateien
 
-- \`tokens.json\` - Design Tokens im JSON-Format
-- \`tokens.css\` - CSS Custom Properties
-- \`tailwind.config.js\` - Tailwind CSS Konfiguration
+- \`${layout.changelog}\` - Änderungen je Release
+- \`${layout.tokensJson}\` - Design Tokens im JSON-Format
+- \`${layout.tokensCss}\` - CSS Custom Properties
+- \`${layout.tailwind}\` - Tailwind CSS Konfiguration
+- \`${layout.figmaVariables}\` - Figma Variables (W3C Design Tokens)
+- \`${layout.printSpecs}\` - CMYK-Werte und Druckspezifikationen
+- \`${layout.guidelines}\` - Brand Guidelines
+- \`${layout.pptxTheme}\` - PowerPoint Theme
+- \`${layout.platforms}\` - Plattform-Builds (SCSS, Less, iOS, Android, Flutter, Compose, Style Dictionary)
+${logoFiles.map(logo => `- \`${layout.logos}${logo.filename}\` - Logo`).join('\n')}
 
 ## Verwendung
 
 ### CSS Variables
 \`\`\`css
-@import 'tokens.css';
+@import 'web/tokens.css';
 
 .button {
   background: var(--color-primary);
@@ -266,7 +469,7 @@ Generiert mit Brand Engine am ${new Date().toLocaleDateString('de-DE')}
 ### Tailwind
 \`\`\`javascript
 // tailwind.config.js einbinden
-import brandConfig from './tailwind.config.js';
+import brandConfig from './web/tailwind.config.js';
 \`\`\`
 `;
 }
@@ -287,6 +490,17 @@ function downloadText(content, filename) {
   URL.revokeObjectURL(url);
 }
 
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  
+  URL.revokeObjectURL(url);
+}
+
 function downloadJson(content, filename) {
   const blob = new Blob([content], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
@@ -369,8 +583,74 @@ export const exportFormats = [
     name: 'Brand Package', 
     icon: '📁', 
     category: 'all',
-    description: 'Alle Tokens + README'
+    description: 'ZIP mit Tokens, Figma, Print, Theme, Guidelines + Logos'
   }
 ];
 
+// ============================================
+// PLATTFORM-FORMATTER
+// ============================================
+
+/**
+ * Registry aller Plattform-Formatter (id → { name, icon, category, description, build })
+ * build(tokens) liefert eine Liste von Dateien: [{ path, content }]
+ */
+export const platformFormatters = {};
+
+/**
+ * Registriert einen Plattform-Formatter und macht ihn als Export-Format verfügbar
+ */
+export function registerPlatformFormatter(formatter) {
+  if (!formatter?.id || typeof formatter.build !== 'function') {
+    throw new Error('Plattform-Formatter benötigt id und build()');
+  }
+
+  const formatId = `platform-${formatter.id}`;
+  platformFormatters[formatter.id] = formatter;
+
+  const entry = {
+    id: formatId,
+    name: formatter.name,
+    icon: formatter.icon || '🧱',
+    category: 'platforms',
+    description: formatter.description || ''
+  };
+  const existingIndex = exportFormats.findIndex(f => f.id === formatId);
+  if (existingIndex >= 0) {
+    exportFormats[existingIndex] = entry;
+  } else {
+    exportFormats.push(entry);
+  }
+}
+
+builtInPlatformFormatters.forEach(registerPlatformFormatter);
+
+/**
+ * Baut die Dateien eines Plattform-Formatters
+ * Eine Datei → direkt als Text, mehrere Dateien → als ZIP
+ */
+export async function buildPlatformExport(brand, platformId, tokens = brandToTokens(brand)) {
+  const formatter = platformFormatters[platformId];
+  if (!formatter) {
+    throw new Error(`Unbekannte Plattform: ${platformId}`);
+  }
+
+  const files = formatter.build(tokens);
+
+  if (files.length === 1) {
+    const filename = files[0].path.split('/').pop();
+    return {
+      blob: new Blob([files[0].content], { type: 'text/plain' }),
+      filename
+    };
+  }
+
+  const zip = new JSZip();
+  files.forEach(file => zip.file(file.path, file.content));
+  return {
+    blob: await zip.generateAsync({ type: 'blob', mimeType: 'application/zip' }),
+    filename: `${brand.name}-${platformId}.zip`
+  };
+}
+
 export default exportAsset;
@@ -0,0 +1,47 @@
+import { describe, it, expect, vi } from 'vitest';
+
+// Asset Store ohne IndexedDB/Supabase: Referenzen werden zu Data-URLs aufgelöst
+vi.mock('../assetStore.js', () => ({
+  isAssetRef: (value) => typeof value === 'string' && value.startsWith('asset:'),
+  resolveBrandAssets: vi.fn(async (brand) => ({ ...brand, logo: 'data:image/svg+xml;base64,PHN2Zy8+' }))
+}));
+
+// Schwere Ausgaben des Pakets sind hier nicht Gegenstand des Tests
+vi.mock('./guidelines.js', () => ({
+  generateGuidelinesPdf: async () => ({ save: async () => new Uint8Array() })
+}));
+vi.mock('./pptx-theme.js', () => ({
+  exportPptxTheme: async () => new Blob([])
+}));
+vi.mock('./pptx.js', () => ({ generatePptx: vi.fn(), downloadPptx: vi.fn() }));
+
+const { exportAsset, onExport } = await import('./index.js');
+const { resolveBrandAssets } = await import('../assetStore.js');
+
+const LOGO_REF = 'asset:logo#abc123@brand-1';
+
+const brand = {
+  id: 'brand-1',
+  name: 'Test',
+  logo: LOGO_REF,
+  colors: { primary: '#0B5FFF', secondary: '#222222', accent: '#FF5500', background: '#FFFFFF', text: '#111111' },
+  fonts: { heading: 'Inter', body: 'Inter' },
+  voice: { tone: 'freundlich', formality: 'du', personality: [], dos: '', donts: '' },
+  rules: []
+};
+
+describe('exportAsset', () => {
+  it('meldet beim Brand-Package die Asset-Referenzen der unaufgelösten Marke', async () => {
+    vi.stubGlobal('document', { createElement: () => ({ click() {} }) });
+    const events = [];
+    onExport(event => events.push(event));
+
+    await exportAsset(brand, null, 'brand-package');
+
+    expect(resolveBrandAssets).toHaveBeenCalledTimes(1);
+    expect(events).toHaveLength(1);
+    expect(events[0].format).toBe('brand-package');
+    expect(events[0].refs).toEqual([LOGO_REF]);
+    vi.unstubAllGlobals();
+  });
+});
@@ -0,0 +1,165 @@
+// ============================================
+// PDF FONTS - Markenschriften einbetten
+// ============================================
+// Hochgeladene Schriftdateien (TTF, OTF, WOFF) werden als Teilmenge
+// eingebettet – nur die tatsächlich verwendeten Glyphen landen im PDF.
+// WOFF2 wird vollständig eingebettet (fontkit kann WOFF2 nicht subsetten).
+// Ohne passende Datei greift ein Ersatz aus den PDF-Standardschriften:
+//   Serifen (serif, Garamond, Times, ...)      → Times
+//   Monospace (monospace, Mono, Courier, ...)  → Courier
+//   alles andere                               → Helvetica
+// Welcher Ersatz genutzt wurde, steht im Bericht (report) und in den Guidelines.
+import { StandardFonts } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+
+export const FALLBACK_FONTS = {
+  sans: { name: 'Helvetica', regular: StandardFonts.Helvetica, bold: StandardFonts.HelveticaBold },
+  serif: { name: 'Times', regular: StandardFonts.TimesRoman, bold: StandardFonts.TimesRomanBold },
+  mono: { name: 'Courier', regular: StandardFonts.Courier, bold: StandardFonts.CourierBold }
+};
+
+const SERIF_HINTS = [
+  'serif', 'times', 'georgia', 'garamond', 'baskerville', 'bodoni', 'caslon', 'didot',
+  'palatino', 'cambria', 'merriweather', 'playfair', 'lora', 'libre baskerville',
+  'crimson', 'minion', 'charter', 'tiempos', 'roboto slab', 'slab'
+];
+const MONO_HINTS = ['monospace', 'mono', 'courier', 'consolas', 'menlo', 'monaco', 'code'];
+
+const REGULAR_WEIGHT = 400;
+const BOLD_WEIGHT = 700;
+
+// Signatur "wOF2"
+const WOFF2_SIGNATURE = 0x774F4632;
+
+const normalizeName = (name = '') => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Ordnet eine CSS-Schriftangabe einer Ersatzfamilie zu
+ * Generische Familie im Stack hat Vorrang, danach der Name
+ * @returns {'sans' | 'serif' | 'mono'}
+ */
+export function classifyFontFamily(fontFamily = '') {
+  const families = fontFamily.split(',').map(f => f.trim().replace(/^['"]|['"]$/g, '').toLowerCase());
+  const generic = families.find(f => ['serif', 'sans-serif', 'monospace'].includes(f));
+  if (generic === 'serif') return 'serif';
+  if (generic === 'monospace') return 'mono';
+  if (generic === 'sans-serif') return 'sans';
+
+  const name = families[0] || '';
+  if (MONO_HINTS.some(hint => name.includes(hint))) return 'mono';
+  if (name.includes('sans')) return 'sans';
+  if (SERIF_HINTS.some(hint => name.includes(hint))) return 'serif';
+  return 'sans';
+}
+
+/**
+ * Liest Familie, Stärke und Stil aus einer Schriftdatei
+ * @returns {Object|null} { name, family, fullName, weight, italic, subset, bytes }
+ */
+async function readFontFile(file) {
+  try {
+    const bytes = new Uint8Array(await fetch(file.dataUrl).then(r => r.arrayBuffer()));
+    const font = fontkit.create(bytes);
+    const subfamily = font.subfamilyName || '';
+    return {
+      name: file.name,
+      family: font.familyName || file.name,
+      fullName: font.fullName || file.name,
+      weight: font['OS/2']?.usWeightClass || (/bold|black|heavy/i.test(subfamily) ? BOLD_WEIGHT : REGULAR_WEIGHT),
+      italic: /italic|oblique/i.test(subfamily) || (font.italicAngle || 0) !== 0,
+      subset: new DataView(bytes.buffer).getUint32(0, false) !== WOFF2_SIGNATURE,
+      bytes
+    };
+  } catch (e) {
+    console.warn(`Schriftdatei ${file.name} konnte nicht gelesen werden:`, e);
+    return null;
+  }
+}
+
+/**
+ * Passende Datei für eine Stärke: aufrecht vor kursiv, dann geringster Abstand
+ */
+function pickFile(files, weight) {
+  return [...files].sort((a, b) => (
+    (a.italic - b.italic) || (Math.abs(a.weight - weight) - Math.abs(b.weight - weight))
+  ))[0];
+}
+
+/**
+ * Bettet Überschrift- und Fließtextschrift der Marke ein
+ * @param {PDFDocument} pdfDoc
+ * @param {Object} tokens - Design Tokens (typography, assets.fonts)
+ * @returns {Promise<Object>} { heading: { regular, bold }, body: { regular, bold }, report }
+ *   report[role]: { family, embedded, files, subset, fallback }
+ */
+export async function embedBrandFonts(pdfDoc, tokens) {
+  const uploaded = tokens.assets?.fonts || [];
+  const files = uploaded.length > 0
+    ? (await Promise.all(uploaded.map(readFontFile))).filter(Boolean)
+    : [];
+  if (files.length > 0) {
+    pdfDoc.registerFontkit(fontkit);
+  }
+
+  // Gleiche Datei bzw. Standardschrift nur einmal einbetten
+  const embedded = new Map();
+  const embed = (key, source, options) => {
+    if (!embedded.has(key)) {
+      embedded.set(key, pdfDoc.embedFont(source, options));
+    }
+    return embedded.get(key);
+  };
+
+  const result = { report: {} };
+
+  for (const role of ['heading', 'body']) {
+    const typography = tokens.typography[role];
+    const family = typography.fontFamilyClean;
+    const matching = files.filter(file => (
+      normalizeName(file.family) === normalizeName(family) ||
+      normalizeName(file.fullName).startsWith(normalizeName(family))
+    ));
+
+    if (matching.length > 0) {
+      const regular = pickFile(matching, REGULAR_WEIGHT);
+      const bold = pickFile(matching, BOLD_WEIGHT);
+      try {
+        result[role] = {
+          regular: await embed(regular.name, regular.bytes, { subset: regular.subset }),
+          bold: await embed(bold.name, bold.bytes, { subset: bold.subset })
+        };
+        result.report[role] = {
+          family,
+          embedded: true,
+          files: [...new Set([regular.name, bold.name])],
+          subset: regular.subset && bold.subset,
+          fallback: null
+        };
+        continue;
+      } catch (e) {
+        console.warn(`Schrift ${family} konnte nicht eingebettet werden:`, e);
+      }
+    }
+
+    const fallback = FALLBACK_FONTS[classifyFontFamily(typography.fontFamily)];
+    result[role] = {
+      regular: await embed(fallback.regular, fallback.regular),
+      bold: await embed(fallback.bold, fallback.bold)
+    };
+    result.report[role] = { family, embedded: false, files: [], subset: false, fallback: fallback.name };
+  }
+
+  return result;
+}
+
+/**
+ * Bericht als lesbare Zeile, z.B. für die Guidelines
+ */
+export function describeFontReport(entry) {
+  if (entry.embedded) {
+    return `${entry.family}: eingebettet${entry.subset ? ' (Teilmenge)' : ''} aus ${entry.files.join(', ')}`;
+  }
+  return `${entry.family}: keine passende Schriftdatei – Ersatzschrift ${entry.fallback}`;
+}
+
+export default { FALLBACK_FONTS, classifyFontFamily, embedBrandFonts, describeFontReport };
@@ -0,0 +1,68 @@
+// ============================================
+// PDF QR - QR-Codes als Vektorgrafik
+// ============================================
+// Module werden als SVG-Pfad gezeichnet (kein Rasterbild) und bleiben
+// damit in jeder Druckgröße scharf. Die Ruhezone ist Teil der Fläche.
+// Farben kommen als pdf-lib-Farben – den Kontrast prüft der Aufrufer
+// vorher mit den Hex-Werten (getQRColors / assertQRContrast).
+import { encodeQR, getQRPaths, getQRLogoArea } from '../qrcode.js';
+
+/**
+ * Zeichnet einen QR-Code (x, y = linke untere Ecke inkl. Ruhezone)
+ * @param {PDFPage} page
+ * @param {string} text
+ * @param {Object} options - { x, y, size, color, background, margin (Module), ecLevel,
+ *   finderColor, moduleShape, logo (PDFImage, erzwingt Stufe H), logoSize }
+ * @returns {Object} Ergebnis aus encodeQR + moduleSize (pt)
+ */
+export function drawQRCode(page, text, {
+  x,
+  y,
+  size,
+  color,
+  background,
+  margin = 4,
+  finderColor = null,
+  moduleShape = 'square',
+  logo = null,
+  logoSize,
+  ...encodeOptions
+}) {
+  const qr = encodeQR(text, logo ? { ...encodeOptions, ecLevel: 'H' } : encodeOptions);
+  const moduleSize = size / (qr.size + 2 * margin);
+  const separateFinders = Boolean(finderColor) || moduleShape !== 'square';
+  const paths = getQRPaths(qr.modules, { margin, shape: moduleShape, separateFinders });
+
+  if (background) {
+    page.drawRectangle({ x, y, width: size, height: size, color: background });
+  }
+  // SVG-Pfade laufen von (x, y) nach unten
+  const top = { x, y: y + size, scale: moduleSize };
+  page.drawSvgPath(paths.modules, { ...top, color });
+  if (paths.finders) {
+    page.drawSvgPath(paths.finders, { ...top, color: finderColor || color });
+  }
+
+  // Logo mittig auf heller Kachel
+  if (logo) {
+    const area = getQRLogoArea(qr.size, margin, logoSize);
+    const tile = area.size * moduleSize;
+    const tileX = x + area.x * moduleSize;
+    const tileY = y + size - area.y * moduleSize - tile;
+    if (background) {
+      page.drawRectangle({ x: tileX, y: tileY, width: tile, height: tile, color: background });
+    }
+    const inner = tile - moduleSize;
+    const scale = Math.min(inner / logo.width, inner / logo.height);
+    page.drawImage(logo, {
+      x: tileX + (tile - logo.width * scale) / 2,
+      y: tileY + (tile - logo.height * scale) / 2,
+      width: logo.width * scale,
+      height: logo.height * scale
+    });
+  }
+
+  return { ...qr, moduleSize };
+}
+
+export default { drawQRCode };
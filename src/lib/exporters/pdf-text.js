@@ -0,0 +1,313 @@
+// ============================================
+// PDF TEXT - Umbruch, Silbentrennung und Überlauf
+// ============================================
+// Texte werden mit der eingebetteten Schrift gemessen und in eine Box gesetzt.
+// Passt der Text nicht, wird die Schrift bis minSize verkleinert; reicht auch
+// das nicht, wird gekürzt (…) und ein Überlauf gemeldet.
+//
+// Trennung: weiche Trennstriche (U+00AD, &shy;) im Text haben Vorrang,
+// sonst regelbasiert nach deutscher Silbentrennung (letzter Konsonant auf
+// die neue Zeile, ch/ck/sch/ph/th bleiben zusammen, mind. 2 Buchstaben je Seite).
+// Komposita werden dabei nicht erkannt – für heikle Wörter weiche Trennstriche setzen.
+
+const SOFT_HYPHEN = '\u00AD';
+const ELLIPSIS = '…';
+
+const VOWEL_GROUPS = ['äu', 'ai', 'au', 'ei', 'eu', 'ie', 'aa', 'ee', 'oo'];
+const VOWELS = 'aeiouäöüy';
+const CONSONANT_GROUPS = ['sch', 'ch', 'ck', 'ph', 'th', 'qu'];
+// Anlaute, die nicht getrennt werden (Kon-struk-ti-on, Mar-ken-platt-form)
+const ONSETS = ['bl', 'br', 'dr', 'fl', 'fr', 'gl', 'gr', 'kl', 'kr', 'pl', 'pr', 'tr', 'schl', 'schr', 'schw', 'spr', 'str'];
+const MIN_FRAGMENT = 2;
+
+// Standardschriften (WinAnsi) kennen z.B. keine Pfeile oder Haken
+const REPLACEMENTS = {
+  '→': '->', '←': '<-', '⇒': '=>', '≥': '>=', '≤': '<=', '≈': '~', '≠': '!=',
+  '✓': 'x', '✔': 'x', '✗': 'x', '✘': 'x', '\u2009': ' ', '\u202F': ' '
+};
+const encodable = new WeakMap(); // PDFFont -> Map(Zeichen -> darstellbar)
+
+// ============================================
+// ZEICHENSATZ
+// ============================================
+
+/**
+ * Ersetzt Zeichen, die die Schrift nicht kodieren kann
+ * (nur Standardschriften – eingebettete Schriften zeigen fehlende Glyphen leer)
+ */
+export function sanitizeText(text, font) {
+  if (!encodable.has(font)) encodable.set(font, new Map());
+  const cache = encodable.get(font);
+
+  let result = '';
+  for (const char of String(text ?? '')) {
+    if (char === '\n' || char === SOFT_HYPHEN) {
+      result += char;
+      continue;
+    }
+    if (!cache.has(char)) {
+      try {
+        font.encodeText(char);
+        cache.set(char, true);
+      } catch {
+        cache.set(char, false);
+      }
+    }
+    result += cache.get(char) ? char : (REPLACEMENTS[char] ?? '?');
+  }
+  return result;
+}
+
+// ============================================
+// SILBENTRENNUNG
+// ============================================
+
+function splitUnits(word) {
+  const units = [];
+  let i = 0;
+  while (i < word.length) {
+    const rest = word.slice(i);
+    const vowelGroup = VOWEL_GROUPS.find(group => rest.startsWith(group));
+    const consonantGroup = CONSONANT_GROUPS.find(group => rest.startsWith(group));
+    const text = vowelGroup || consonantGroup || word[i];
+    units.push({ text, start: i, vowel: !consonantGroup && VOWELS.includes(text[0]) });
+    i += text.length;
+  }
+  return units;
+}
+
+/**
+ * Trennstellen eines deutschen Wortes (Indizes, vor denen getrennt werden darf)
+ * z.B. "Marketing" → [3, 5] (Mar-ke-ting)
+ */
+export function hyphenateGerman(word) {
+  const lower = word.toLowerCase();
+  if (!/^[a-zäöüß]+$/.test(lower) || lower.length < 2 * MIN_FRAGMENT) return [];
+
+  const units = splitUnits(lower);
+  const breaks = [];
+  let lastVowel = -1;
+
+  units.forEach((unit, index) => {
+    if (!unit.vowel) return;
+    if (lastVowel >= 0) {
+      const consonants = units.slice(lastVowel + 1, index);
+      if (consonants.length > 0) {
+        // Letzter Konsonant geht auf die neue Zeile, außer bei festen Anlauten
+        let first = consonants.length - 1;
+        if (consonants.length >= 2) {
+          const tail = consonants.slice(-2).map(c => c.text).join('');
+          const tail3 = consonants.slice(-3).map(c => c.text).join('');
+          if (consonants.length >= 3 && ONSETS.includes(tail3)) first = consonants.length - 3;
+          else if (ONSETS.includes(tail)) first = consonants.length - 2;
+        }
+        breaks.push(consonants[first].start);
+      }
+    }
+    lastVowel = index;
+  });
+
+  return breaks.filter(index => index >= MIN_FRAGMENT && index <= word.length - MIN_FRAGMENT);
+}
+
+/**
+ * Mögliche Umbruchstellen eines Wortes
+ * @returns {Array<{ index, hyphen }>} hyphen: Trennstrich ergänzen
+ */
+function getBreaks(word, softBreaks, hyphenate) {
+  const breaks = [];
+  // Nach vorhandenen Bindestrichen (E-Mail-Marketing)
+  for (let i = 1; i < word.length - 1; i++) {
+    if (word[i - 1] === '-') breaks.push({ index: i, hyphen: false });
+  }
+
+  if (softBreaks.length > 0) {
+    breaks.push(...softBreaks.map(index => ({ index, hyphen: true })));
+  } else if (hyphenate) {
+    // Einzelne Wortteile ohne Satzzeichen trennen
+    for (const match of word.matchAll(/[A-Za-zÄÖÜäöüß]+/g)) {
+      hyphenateGerman(match[0]).forEach(index => breaks.push({ index: match.index + index, hyphen: true }));
+    }
+  }
+
+  return breaks.sort((a, b) => a.index - b.index);
+}
+
+// ============================================
+// UMBRUCH
+// ============================================
+
+/**
+ * Bricht Text für eine Breite um
+ * @returns {{ lines: string[], forced: boolean }} forced: Wort musste ohne Trennstelle zerteilt werden
+ */
+export function wrapText(text, font, size, width, { hyphenate = true } = {}) {
+  // Keine Breite: nichts passt, Absätze ungeteilt zurückgeben
+  if (!(width > 0)) {
+    return { lines: String(text).split(/\r?\n/), forced: String(text).trim() !== '' };
+  }
+
+  const fits = (line) => font.widthOfTextAtSize(line, size) <= width;
+  const lines = [];
+  let forced = false;
+
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = '';
+
+    for (const rawWord of paragraph.split(/\s+/).filter(Boolean)) {
+      // Weiche Trennstriche entfernen, Positionen merken
+      const softBreaks = [];
+      let word = '';
+      for (const char of rawWord) {
+        if (char === SOFT_HYPHEN) softBreaks.push(word.length);
+        else word += char;
+      }
+
+      const candidate = line ? `${line} ${word}` : word;
+      if (fits(candidate)) {
+        line = candidate;
+        continue;
+      }
+
+      const breaks = getBreaks(word, softBreaks, hyphenate);
+      let rest = word;
+      let offset = 0;
+
+      while (rest) {
+        const prefix = line ? `${line} ` : '';
+        if (fits(prefix + rest)) {
+          line = prefix + rest;
+          break;
+        }
+
+        // Späteste Trennstelle, deren erster Teil noch in die Zeile passt
+        const fitting = breaks
+          .filter(b => b.index > offset && b.index < offset + rest.length)
+          .reverse()
+          .find(b => fits(prefix + rest.slice(0, b.index - offset) + (b.hyphen ? '-' : '')));
+
+        if (fitting) {
+          const cut = fitting.index - offset;
+          lines.push(prefix + rest.slice(0, cut) + (fitting.hyphen ? '-' : ''));
+          rest = rest.slice(cut);
+          offset = fitting.index;
+          line = '';
+        } else if (line) {
+          // Wort beginnt auf der nächsten Zeile
+          lines.push(line);
+          line = '';
+        } else {
+          // Selbst allein zu breit und keine Trennstelle passt: hart teilen,
+          // mindestens ein Zeichen pro Zeile (auch wenn es allein nicht passt)
+          let cut = Math.max(1, rest.length - 1);
+          while (cut > 1 && !fits(rest.slice(0, cut))) cut--;
+          forced = true;
+          if (cut >= rest.length) {
+            line = rest;
+            break;
+          }
+          lines.push(rest.slice(0, cut));
+          rest = rest.slice(cut);
+          offset += cut;
+        }
+      }
+    }
+
+    lines.push(line);
+  }
+
+  return { lines, forced };
+}
+
+// ============================================
+// EINPASSEN
+// ============================================
+
+/**
+ * Setzt Text in eine Box und verkleinert ihn bei Bedarf
+ * @param {string} text
+ * @param {PDFFont} font
+ * @param {Object} box - { width, height, size, minSize, lineHeight (Faktor), hyphenate, step }
+ * @returns {Object} { lines, size, leading, height, overflow, truncated }
+ *   overflow: Text passt auch in minSize nicht (gekürzt) oder Wörter mussten hart geteilt werden
+ */
+export function fitText(text, font, {
+  width,
+  height = Infinity,
+  size,
+  minSize = size,
+  lineHeight = 1.25,
+  hyphenate = true,
+  step = 0.5
+}) {
+  minSize = Math.min(minSize, size);
+  text = sanitizeText(text, font);
+  let layout;
+
+  for (let current = size; current >= minSize - 1e-6; current -= step) {
+    const { lines, forced } = wrapText(text, font, current, width, { hyphenate });
+    const leading = current * lineHeight;
+    layout = { lines, size: current, leading, height: lines.length * leading, forced };
+    if (layout.height <= height + 1e-6 && !forced) {
+      return { ...layout, overflow: false, truncated: false };
+    }
+  }
+
+  // Auch in der kleinsten Größe zu lang: auf die Box kürzen
+  const maxLines = Math.max(1, Math.floor((height + 1e-6) / layout.leading));
+  const truncated = layout.lines.length > maxLines;
+  if (truncated) {
+    const lines = layout.lines.slice(0, maxLines);
+    let last = lines[maxLines - 1].replace(/-$/, '');
+    while (last && font.widthOfTextAtSize(last + ELLIPSIS, layout.size) > width) {
+      last = last.slice(0, -1);
+    }
+    lines[maxLines - 1] = last.trimEnd() + ELLIPSIS;
+    layout = { ...layout, lines, height: lines.length * layout.leading };
+  }
+
+  return { ...layout, overflow: true, truncated };
+}
+
+/**
+ * Zeichnet Text in eine Box (y = Oberkante) und meldet Überläufe
+ * @param {PDFPage} page
+ * @param {string} text
+ * @param {Object} options - { x, y, width, height, font, size, minSize, lineHeight, color, align, label, onWarning }
+ * @returns {Object} Layout aus fitText (inkl. bottom: Unterkante des gesetzten Texts)
+ */
+export function drawTextBox(page, text, {
+  x,
+  y,
+  font,
+  color,
+  align = 'left',
+  label = 'Text',
+  onWarning = () => {},
+  ...box
+}) {
+  const layout = fitText(text, font, box);
+  const ascent = font.heightAtSize(layout.size, { descender: false });
+
+  layout.lines.forEach((line, index) => {
+    const lineWidth = font.widthOfTextAtSize(line, layout.size);
+    const offset = align === 'center' ? (box.width - lineWidth) / 2 : align === 'right' ? box.width - lineWidth : 0;
+    page.drawText(line, {
+      x: x + offset,
+      y: y - ascent - index * layout.leading,
+      size: layout.size,
+      font,
+      color
+    });
+  });
+
+  if (layout.truncated) {
+    onWarning(`${label}: Text passt nicht in den vorgesehenen Bereich und wurde gekürzt`);
+  } else if (layout.forced) {
+    onWarning(`${label}: Wort zu lang für die Breite und ohne Trennstelle umbrochen`);
+  }
+
+  return { ...layout, bottom: y - layout.height };
+}
+
+export default { sanitizeText, hyphenateGerman, wrapText, fitText, drawTextBox };
@@ -0,0 +1,36 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { wrapText, fitText } from './pdf-text.js';
+
+let font;
+
+beforeAll(async () => {
+  const pdf = await PDFDocument.create();
+  font = await pdf.embedFont(StandardFonts.Helvetica);
+});
+
+describe('wrapText', () => {
+  it('bricht an Wortgrenzen um', () => {
+    const { lines, forced } = wrapText('Eins zwei drei', font, 12, font.widthOfTextAtSize('Eins zwei', 12));
+    expect(lines).toEqual(['Eins zwei', 'drei']);
+    expect(forced).toBe(false);
+  });
+
+  it('teilt zu schmale Zeilen zeichenweise statt endlos zu laufen', () => {
+    const { lines, forced } = wrapText('Wort', font, 12, 3);
+    expect(lines).toEqual(['W', 'o', 'r', 't']);
+    expect(forced).toBe(true);
+  });
+
+  it('gibt bei Breite 0 die Absätze ungeteilt zurück', () => {
+    expect(wrapText('Zeile eins\nZeile zwei', font, 12, 0)).toEqual({ lines: ['Zeile eins', 'Zeile zwei'], forced: true });
+    expect(wrapText('Text', font, 12, -5).forced).toBe(true);
+  });
+});
+
+describe('fitText', () => {
+  it('meldet Überlauf bei sehr schmalen Boxen', () => {
+    const result = fitText('Markenrichtlinien', font, { width: 4, height: 200, size: 12, minSize: 8 });
+    expect(result.overflow).toBe(true);
+  });
+});
@@ -1,210 +1,351 @@
 // ============================================
 // PDF EXPORT - Native PDF Generation
 // ============================================
-import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
-import { hexToRgb } from '../tokens.js';
+import { PDFDocument, cmyk } from 'pdf-lib';
+import { PRINT_FORMATS, DEFAULT_PRINT_OPTIONS, mmToPt, addPrintPage, printColor, finishPrintPages, setOutputIntent } from './print-layout.js';
+import { embedBrandFonts } from './pdf-fonts.js';
+import { drawTextBox, fitText } from './pdf-text.js';
+import { drawQRCode } from './pdf-qr.js';
+import { qrCodeTypes, formatQRPayload, getQRColors } from '../qrcode.js';
+
+// Module nicht unter 0,25 mm, sonst lesen Handykameras unzuverlässig
+const MIN_QR_MODULE = mmToPt(0.25);
+
+/**
+ * Bereitet einen QR-Inhalt aus den Export-Optionen auf
+ * @param {Object} qr - { type, values, logo } (Typen siehe qrCodeTypes, logo: false = ohne Logo)
+ * @returns {Object|null} Ergebnis aus formatQRPayload, null bei ungültigen Feldern (mit Warnung)
+ */
+function resolveQRPayload(qr, onWarning) {
+  try {
+    return formatQRPayload(qr.type, qr.values || {});
+  } catch (e) {
+    onWarning(`QR-Code: ${e.message} – QR-Code wurde weggelassen`);
+    return null;
+  }
+}
+
+/**
+ * Bettet das Marken-Logo ein (PNG/JPG als Data-URL) – null, wenn das nicht geht
+ */
+async function embedLogoImage(pdfDoc, tokens) {
+  if (!tokens.assets.logo) return null;
+  try {
+    const logoBytes = await fetch(tokens.assets.logo).then(r => r.arrayBuffer());
+    return tokens.assets.logo.includes('png')
+      ? await pdfDoc.embedPng(logoBytes)
+      : await pdfDoc.embedJpg(logoBytes);
+  } catch (e) {
+    // Logo konnte nicht eingebettet werden
+    console.warn('Logo konnte nicht eingebettet werden:', e);
+    return null;
+  }
+}
+
+/**
+ * Zeichnet einen QR-Code in Markenfarben auf weißer Ruhezone
+ * @returns {boolean} false, wenn der Inhalt nicht kodiert werden konnte
+ */
+function drawBrandQR(page, text, tokens, settings, { onWarning, hint, ...placement }) {
+  const qrColors = getQRColors({
+    primary: tokens.colors.primary.value,
+    secondary: tokens.colors.secondary.value,
+    text: tokens.colors.text.value,
+    background: '#ffffff'
+  });
+  try {
+    const qr = drawQRCode(page, text, {
+      ecLevel: 'M',
+      ...placement,
+      color: printColor(qrColors.darkColor, settings.profile),
+      finderColor: printColor(qrColors.finderColor, settings.profile),
+      background: cmyk(0, 0, 0, 0),
+      moduleShape: 'rounded'
+    });
+    if (qr.moduleSize < MIN_QR_MODULE) {
+      onWarning(`QR-Code: Module nur ${(qr.moduleSize * 25.4 / 72).toFixed(2)} mm groß – ${hint}, damit er sicher lesbar bleibt`);
+    }
+    return true;
+  } catch (e) {
+    onWarning(`QR-Code: ${e.message}`);
+    return false;
+  }
+}
 
 /**
- * Generiert einen Flyer als PDF
+ * Generiert einen druckfertigen Flyer als PDF
+ * options: { format: 'a4' | 'a5' | 'a6' | 'dl', bleed, marks, slug, profile } (siehe print-layout.js)
+ *          onWarning(message) – Texte, die nicht in ihren Bereich passen
+ *          qr: { type, values, logo } – QR-Code unten rechts (Typen siehe qrCodeTypes),
+ *            mit Marken-Logo in der Mitte (Stufe H), außer logo: false
  */
 export async function generateFlyerPdf(tokens, content, options = {}) {
-  const format = options.format || 'a4';
-  const formats = {
-    a4: { width: 595, height: 842 },   // 210x297mm @ 72dpi
-    a5: { width: 420, height: 595 },   // 148x210mm @ 72dpi
-    dl: { width: 283, height: 595 }    // 99x210mm @ 72dpi
-  };
+  const settings = { ...DEFAULT_PRINT_OPTIONS, ...options };
+  const onWarning = options.onWarning || (() => {});
+  const pdfDoc = await PDFDocument.create();
+  const printPage = addPrintPage(pdfDoc, PRINT_FORMATS[settings.format] ? settings.format : 'a4', settings);
+  const { page, width, height, bleed } = printPage;
   
-  const { width, height } = formats[format] || formats.a4;
+  // Layout ist auf A4 ausgelegt und wird für kleinere Formate skaliert
+  const scale = Math.min(width / 595, height / 842);
   
-  const pdfDoc = await PDFDocument.create();
-  const page = pdfDoc.addPage([width, height]);
+  // Markenschriften (Standard-Fonts als Fallback, siehe pdf-fonts.js)
+  const fonts = await embedBrandFonts(pdfDoc, tokens);
+  const fontBold = fonts.heading.bold;
+  const fontRegular = fonts.body.regular;
   
-  // Fonts laden (Standard-Fonts als Fallback)
-  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-  const fontRegular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  // Farben als CMYK für das gewählte Druckprofil
+  const primaryColor = printColor(tokens.colors.primary.value, settings.profile);
+  const textColor = printColor(tokens.colors.text.value, settings.profile, { text: true });
+  const accentColor = printColor(tokens.colors.accent.value, settings.profile);
+  const paperWhite = cmyk(0, 0, 0, 0);
   
-  // Farben konvertieren
-  const primaryRgb = hexToRgb(tokens.colors.primary.value);
-  const textRgb = hexToRgb(tokens.colors.text.value);
-  const accentRgb = hexToRgb(tokens.colors.accent.value);
+  const margin = 40 * scale;
+  const contentWidth = width - 2 * margin;
   
-  const primaryColor = rgb(primaryRgb[0]/255, primaryRgb[1]/255, primaryRgb[2]/255);
-  const textColor = rgb(textRgb[0]/255, textRgb[1]/255, textRgb[2]/255);
-  const accentColor = rgb(accentRgb[0]/255, accentRgb[1]/255, accentRgb[2]/255);
+  // QR-Code unten rechts neben dem CTA
+  const qrPayload = options.qr ? resolveQRPayload(options.qr, onWarning) : null;
+  const qrSize = 100 * scale;
   
-  // Header-Block
+  // Texte enden über dem CTA-Button bzw. dem QR-Code
+  const contentBottom = (qrPayload ? 170 : 120) * scale;
+  
+  // Header-Block (läuft in den Beschnitt)
   page.drawRectangle({
-    x: 0,
-    y: height - 150,
-    width: width,
-    height: 150,
+    x: -bleed,
+    y: height - 150 * scale,
+    width: width + 2 * bleed,
+    height: 150 * scale + bleed,
     color: primaryColor
   });
   
-  // Logo (wenn vorhanden und als Base64)
-  if (tokens.assets.logo) {
-    try {
-      const logoBytes = await fetch(tokens.assets.logo).then(r => r.arrayBuffer());
-      const logoImage = tokens.assets.logo.includes('png') 
-        ? await pdfDoc.embedPng(logoBytes)
-        : await pdfDoc.embedJpg(logoBytes);
-      
-      const logoDims = logoImage.scale(0.3);
-      page.drawImage(logoImage, {
-        x: width/2 - logoDims.width/2,
-        y: height - 120,
-        width: logoDims.width,
-        height: logoDims.height
-      });
-    } catch (e) {
-      // Logo konnte nicht eingebettet werden
-      console.warn('Logo konnte nicht eingebettet werden:', e);
-    }
+  // Logo (wenn vorhanden und als Base64) – Bilddaten bleiben RGB
+  const logoImage = await embedLogoImage(pdfDoc, tokens);
+  if (logoImage) {
+    const logoDims = logoImage.scale(0.3 * scale);
+    page.drawImage(logoImage, {
+      x: width/2 - logoDims.width/2,
+      y: height - 120 * scale,
+      width: logoDims.width,
+      height: logoDims.height
+    });
   }
   
-  // Headline
+  // Headline (bis zu drei Zeilen, wird bei Bedarf kleiner)
   const headline = content.fields?.headline?.value || tokens.voice.tagline || 'Headline';
-  page.drawText(headline, {
-    x: 40,
-    y: height - 220,
-    size: 32,
+  const headlineBox = drawTextBox(page, headline, {
+    x: margin,
+    y: height - 185 * scale,
+    width: contentWidth,
+    height: 110 * scale,
+    size: 32 * scale,
+    minSize: 20 * scale,
+    lineHeight: 1.1,
     font: fontBold,
     color: textColor,
-    maxWidth: width - 80
+    label: 'Headline',
+    onWarning
   });
+  let cursor = headlineBox.bottom - 25 * scale;
   
   // Beschreibung
   const description = content.fields?.description?.value || '';
   if (description) {
-    page.drawText(description, {
-      x: 40,
-      y: height - 280,
-      size: 14,
+    const descriptionBox = drawTextBox(page, description, {
+      x: margin,
+      y: cursor,
+      width: contentWidth,
+      height: Math.max(0, Math.min(140 * scale, cursor - contentBottom)),
+      size: 14 * scale,
+      minSize: 10 * scale,
+      lineHeight: 1.45,
       font: fontRegular,
       color: textColor,
-      maxWidth: width - 80,
-      lineHeight: 20
+      label: 'Beschreibung',
+      onWarning
     });
+    cursor = descriptionBox.bottom - 20 * scale;
   }
   
-  // Details
+  // Details (restlicher Platz bis zum CTA)
   const details = content.fields?.details?.value || '';
   if (details) {
-    page.drawText(details, {
-      x: 40,
-      y: height - 400,
-      size: 12,
+    drawTextBox(page, details, {
+      x: margin,
+      y: cursor,
+      width: contentWidth,
+      height: Math.max(0, cursor - contentBottom),
+      size: 12 * scale,
+      minSize: 9 * scale,
+      lineHeight: 1.5,
       font: fontRegular,
       color: textColor,
-      maxWidth: width - 80,
-      lineHeight: 18
+      label: 'Details',
+      onWarning
     });
   }
   
-  // CTA-Button
+  // CTA-Button (einzeilig, Breite folgt dem Text)
   const cta = content.fields?.cta?.value || 'Mehr erfahren';
-  const ctaWidth = fontBold.widthOfTextAtSize(cta, 16) + 40;
+  const ctaText = {
+    width: contentWidth - 40 * scale - (qrPayload ? qrSize + 20 * scale : 0),
+    height: 16 * scale * 1.2,
+    size: 16 * scale,
+    minSize: 11 * scale,
+    lineHeight: 1.2,
+    hyphenate: false
+  };
+  const ctaLayout = fitText(cta, fontBold, ctaText);
+  const ctaWidth = fontBold.widthOfTextAtSize(ctaLayout.lines[0], ctaLayout.size) + 40 * scale;
   
   page.drawRectangle({
-    x: 40,
-    y: 60,
+    x: margin,
+    y: 60 * scale,
     width: ctaWidth,
-    height: 40,
-    color: accentColor,
-    borderRadius: 4
+    height: 40 * scale,
+    color: accentColor
   });
   
-  page.drawText(cta, {
-    x: 60,
-    y: 75,
-    size: 16,
+  // Oberkante so, dass die Grundlinie mittig im Button sitzt
+  drawTextBox(page, cta, {
+    ...ctaText,
+    x: margin + 20 * scale,
+    y: 80 * scale + fontBold.heightAtSize(ctaLayout.size, { descender: false }) / 2,
     font: fontBold,
-    color: rgb(1, 1, 1)
+    color: paperWhite,
+    label: 'CTA',
+    onWarning
   });
   
+  if (qrPayload) {
+    drawBrandQR(page, qrPayload.text, tokens, settings, {
+      ...qrPayload.encodeOptions,
+      x: width - margin - qrSize,
+      y: 50 * scale,
+      size: qrSize,
+      logo: options.qr.logo !== false && qrPayload.allowLogo ? logoImage : null,
+      hint: 'Inhalt kürzen oder größeres Format wählen',
+      onWarning
+    });
+  }
+  
   // Footer-Linie
   page.drawLine({
-    start: { x: 40, y: 40 },
-    end: { x: width - 40, y: 40 },
-    thickness: 1,
+    start: { x: margin, y: 40 * scale },
+    end: { x: width - margin, y: 40 * scale },
+    thickness: Math.max(scale, 0.5),
     color: primaryColor
   });
   
   // Brand-Name im Footer
-  page.drawText(tokens.meta.name, {
-    x: 40,
-    y: 20,
-    size: 10,
+  drawTextBox(page, tokens.meta.name, {
+    x: margin,
+    y: 20 * scale + fontRegular.heightAtSize(10 * scale, { descender: false }),
+    width: contentWidth,
+    height: 10 * scale * 1.2,
+    size: 10 * scale,
+    minSize: 7 * scale,
+    lineHeight: 1.2,
+    hyphenate: false,
     font: fontRegular,
-    color: textColor
+    color: textColor,
+    label: 'Footer',
+    onWarning
+  });
+  
+  finishPrintPages([printPage], { regular: fontRegular }, {
+    brand: tokens.meta.name,
+    title: 'Flyer',
+    version: tokens.meta.version,
+    colors: [tokens.colors.primary.value, tokens.colors.accent.value, tokens.colors.text.value]
   });
+  setPrintMetadata(pdfDoc, tokens, 'Flyer', settings.profile);
   
   return pdfDoc;
 }
 
+// QR-Code auf der Visitenkarte: 20 mm inkl. Ruhezone
+const CARD_QR_SIZE = mmToPt(20);
+
 /**
- * Generiert eine Visitenkarte als PDF
+ * Generiert eine druckfertige Visitenkarte (85 × 55 mm) als PDF
+ * options: { bleed, marks, slug, profile, onWarning } (siehe print-layout.js)
+ *          qr: false – ohne vCard-QR-Code auf der Rückseite
+ *          qr: { type, values, logo } – anderer QR-Inhalt statt der vCard (Typen siehe qrCodeTypes)
+ *          Der QR-Code trägt das Marken-Logo (Stufe H), außer qr.logo: false
  */
 export async function generateBusinessCardPdf(tokens, content, options = {}) {
-  // Visitenkarte: 85x55mm @ 300dpi = 1004x650px, hier @72dpi = 241x156
-  const width = 241;
-  const height = 156;
-  
+  const settings = { ...DEFAULT_PRINT_OPTIONS, ...options };
+  const onWarning = options.onWarning || (() => {});
   const pdfDoc = await PDFDocument.create();
   
   // Vorderseite
-  const frontPage = pdfDoc.addPage([width, height]);
+  const front = addPrintPage(pdfDoc, 'businesscard', settings);
+  const { page: frontPage, width, height, bleed } = front;
   
-  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-  const fontRegular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const fonts = await embedBrandFonts(pdfDoc, tokens);
+  const fontBold = fonts.heading.bold;
+  const fontRegular = fonts.body.regular;
   
-  const primaryRgb = hexToRgb(tokens.colors.primary.value);
-  const textRgb = hexToRgb(tokens.colors.text.value);
+  const primaryColor = printColor(tokens.colors.primary.value, settings.profile);
+  const textColor = printColor(tokens.colors.text.value, settings.profile, { text: true });
+  const paperWhite = cmyk(0, 0, 0, 0);
   
-  const primaryColor = rgb(primaryRgb[0]/255, primaryRgb[1]/255, primaryRgb[2]/255);
-  const textColor = rgb(textRgb[0]/255, textRgb[1]/255, textRgb[2]/255);
-  
-  // Rand
+  // Rand (läuft links, oben und unten in den Beschnitt)
   frontPage.drawRectangle({
-    x: 0,
-    y: 0,
-    width: 4,
-    height: height,
+    x: -bleed,
+    y: -bleed,
+    width: 4 + bleed,
+    height: height + 2 * bleed,
     color: primaryColor
   });
   
-  // Name
+  // Name (Namen werden nicht getrennt)
+  const textWidth = width - 20 - 12;
   const name = content.fields?.name?.value || 'Name';
-  frontPage.drawText(name, {
+  const nameBox = drawTextBox(frontPage, name, {
     x: 20,
-    y: height - 50,
+    y: height - 38,
+    width: textWidth,
+    height: 34,
     size: 14,
+    minSize: 9,
+    lineHeight: 1.15,
+    hyphenate: false,
     font: fontBold,
-    color: textColor
+    color: textColor,
+    label: 'Name',
+    onWarning
   });
   
   // Titel
   const title = content.fields?.title?.value || '';
   if (title) {
-    frontPage.drawText(title, {
+    drawTextBox(frontPage, title, {
       x: 20,
-      y: height - 70,
+      y: nameBox.bottom - 6,
+      width: textWidth,
+      height: 26,
       size: 10,
+      minSize: 7,
+      lineHeight: 1.25,
       font: fontRegular,
-      color: primaryColor
+      color: primaryColor,
+      label: 'Titel',
+      onWarning
     });
   }
   
   // Rückseite
-  const backPage = pdfDoc.addPage([width, height]);
+  const back = addPrintPage(pdfDoc, 'businesscard', settings);
+  const backPage = back.page;
   
-  // Voller Hintergrund
+  // Voller Hintergrund inkl. Beschnitt
   backPage.drawRectangle({
-    x: 0,
-    y: 0,
-    width: width,
-    height: height,
+    x: -bleed,
+    y: -bleed,
+    width: width + 2 * bleed,
+    height: height + 2 * bleed,
     color: primaryColor
   });
   
@@ -213,23 +354,83 @@ export async function generateBusinessCardPdf(tokens, content, options = {}) {
   const email = content.fields?.email?.value || '';
   const website = content.fields?.website?.value || '';
   
-  let yPos = height - 50;
-  
-  if (phone) {
-    backPage.drawText(phone, { x: 20, y: yPos, size: 9, font: fontRegular, color: rgb(1,1,1) });
-    yPos -= 15;
-  }
-  if (email) {
-    backPage.drawText(email, { x: 20, y: yPos, size: 9, font: fontRegular, color: rgb(1,1,1) });
-    yPos -= 15;
+  // QR-Code unten rechts in Markenfarben auf weißer Ruhezone:
+  // eigener Inhalt aus options.qr, sonst die vCard aus den Kontaktdaten
+  let contactWidth = width - 40;
+  let qrPayload = null;
+  if (settings.qr && typeof settings.qr === 'object') {
+    qrPayload = resolveQRPayload(settings.qr, onWarning);
+  } else if (settings.qr !== false && (phone || email || website)) {
+    qrPayload = {
+      text: qrCodeTypes.vcard.format({
+        name: content.fields?.name?.value || '',
+        org: tokens.meta.name,
+        phone,
+        email,
+        url: website
+      }),
+      encodeOptions: {},
+      allowLogo: true,
+      hint: 'Kontaktdaten kürzen'
+    };
   }
-  if (website) {
-    backPage.drawText(website, { x: 20, y: yPos, size: 9, font: fontRegular, color: rgb(1,1,1) });
+  if (qrPayload) {
+    const withLogo = settings.qr?.logo !== false && qrPayload.allowLogo;
+    const qrX = width - 12 - CARD_QR_SIZE;
+    const drawn = drawBrandQR(backPage, qrPayload.text, tokens, settings, {
+      ...qrPayload.encodeOptions,
+      x: qrX,
+      y: 12,
+      size: CARD_QR_SIZE,
+      logo: withLogo ? await embedLogoImage(pdfDoc, tokens) : null,
+      hint: qrPayload.hint || 'Inhalt kürzen',
+      onWarning
+    });
+    if (drawn) contactWidth = qrX - 20 - 8;
   }
   
+  // Je eine Zeile, E-Mail und URLs werden nur verkleinert, nie getrennt
+  let yPos = height - 43;
+  [['Telefon', phone], ['E-Mail', email], ['Website', website]].forEach(([label, value]) => {
+    if (!value) return;
+    drawTextBox(backPage, value, {
+      x: 20,
+      y: yPos,
+      width: contactWidth,
+      height: 9 * 1.2,
+      size: 9,
+      minSize: 6.5,
+      lineHeight: 1.2,
+      hyphenate: false,
+      font: fontRegular,
+      color: paperWhite,
+      label,
+      onWarning
+    });
+    yPos -= 15;
+  });
+  
+  finishPrintPages([front, back], { regular: fontRegular }, {
+    brand: tokens.meta.name,
+    title: 'Visitenkarte',
+    version: tokens.meta.version,
+    colors: [tokens.colors.primary.value, tokens.colors.text.value]
+  });
+  setPrintMetadata(pdfDoc, tokens, 'Visitenkarte', settings.profile);
+  
   return pdfDoc;
 }
 
+/**
+ * Dokumentinfos und Output-Intent für Druck-PDFs
+ */
+function setPrintMetadata(pdfDoc, tokens, title, profileId) {
+  pdfDoc.setTitle(`${tokens.meta.name} – ${title}`);
+  pdfDoc.setAuthor(tokens.meta.name);
+  pdfDoc.setCreator('TYRN.ON Brand Engine');
+  setOutputIntent(pdfDoc, profileId);
+}
+
 /**
  * Speichert PDF als Download
  */
@@ -254,235 +455,4 @@ export async function getPdfBlob(pdfDoc) {
   return new Blob([pdfBytes], { type: 'application/pdf' });
 }
 
-/**
- * Generiert Brand Guidelines PDF
- */
-export async function generateGuidelinesPdf(tokens, options = {}) {
-  const pdfDoc = await PDFDocument.create();
-  
-  const fontBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-  const fontRegular = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  
-  const primaryRgb = hexToRgb(tokens.colors.primary.value);
-  const textRgb = hexToRgb(tokens.colors.text.value);
-  const primaryColor = rgb(primaryRgb[0]/255, primaryRgb[1]/255, primaryRgb[2]/255);
-  const textColor = rgb(textRgb[0]/255, textRgb[1]/255, textRgb[2]/255);
-  
-  // ===== SEITE 1: Cover =====
-  const coverPage = pdfDoc.addPage([595, 842]);
-  
-  // Header-Block
-  coverPage.drawRectangle({
-    x: 0, y: 842 - 250,
-    width: 595, height: 250,
-    color: primaryColor
-  });
-  
-  coverPage.drawText('BRAND', {
-    x: 50, y: 842 - 120,
-    size: 60, font: fontBold,
-    color: rgb(1, 1, 1)
-  });
-  
-  coverPage.drawText('GUIDELINES', {
-    x: 50, y: 842 - 180,
-    size: 60, font: fontBold,
-    color: rgb(1, 1, 1)
-  });
-  
-  coverPage.drawText(tokens.meta.name, {
-    x: 50, y: 842 - 350,
-    size: 32, font: fontBold,
-    color: textColor
-  });
-  
-  coverPage.drawText(`Stand: ${new Date().toLocaleDateString('de-DE')}`, {
-    x: 50, y: 50,
-    size: 12, font: fontRegular,
-    color: rgb(0.5, 0.5, 0.5)
-  });
-
-  // ===== SEITE 2: Farben =====
-  const colorsPage = pdfDoc.addPage([595, 842]);
-  
-  colorsPage.drawText('Farben', {
-    x: 50, y: 842 - 60,
-    size: 28, font: fontBold,
-    color: textColor
-  });
-  
-  // Farb-Swatches
-  const colors = [
-    { name: 'Primary', ...tokens.colors.primary },
-    { name: 'Secondary', ...tokens.colors.secondary },
-    { name: 'Accent', ...tokens.colors.accent },
-    { name: 'Background', ...tokens.colors.background },
-    { name: 'Text', ...tokens.colors.text }
-  ];
-  
-  let yPos = 842 - 120;
-  colors.forEach((color, index) => {
-    const colorRgb = hexToRgb(color.value);
-    
-    // Farbfeld
-    colorsPage.drawRectangle({
-      x: 50, y: yPos - 60,
-      width: 80, height: 60,
-      color: rgb(colorRgb[0]/255, colorRgb[1]/255, colorRgb[2]/255),
-      borderColor: rgb(0.8, 0.8, 0.8),
-      borderWidth: 1
-    });
-    
-    // Farbname
-    colorsPage.drawText(color.name, {
-      x: 150, y: yPos - 25,
-      size: 14, font: fontBold,
-      color: textColor
-    });
-    
-    // Hex-Wert
-    colorsPage.drawText(color.value.toUpperCase(), {
-      x: 150, y: yPos - 45,
-      size: 12, font: fontRegular,
-      color: rgb(0.4, 0.4, 0.4)
-    });
-    
-    // RGB-Wert
-    colorsPage.drawText(`RGB: ${color.rgb.join(', ')}`, {
-      x: 280, y: yPos - 45,
-      size: 12, font: fontRegular,
-      color: rgb(0.4, 0.4, 0.4)
-    });
-    
-    yPos -= 90;
-  });
-
-  // ===== SEITE 3: Typografie =====
-  const typoPage = pdfDoc.addPage([595, 842]);
-  
-  typoPage.drawText('Typografie', {
-    x: 50, y: 842 - 60,
-    size: 28, font: fontBold,
-    color: textColor
-  });
-  
-  typoPage.drawText('Überschriften', {
-    x: 50, y: 842 - 120,
-    size: 14, font: fontBold,
-    color: primaryColor
-  });
-  
-  typoPage.drawText(tokens.typography.heading.fontFamilyClean, {
-    x: 50, y: 842 - 145,
-    size: 20, font: fontBold,
-    color: textColor
-  });
-  
-  typoPage.drawText('Fließtext', {
-    x: 50, y: 842 - 200,
-    size: 14, font: fontBold,
-    color: primaryColor
-  });
-  
-  typoPage.drawText(tokens.typography.body.fontFamilyClean, {
-    x: 50, y: 842 - 225,
-    size: 16, font: fontRegular,
-    color: textColor
-  });
-  
-  // Schriftgrößen-Skala
-  typoPage.drawText('Größen-Skala', {
-    x: 50, y: 842 - 300,
-    size: 14, font: fontBold,
-    color: primaryColor
-  });
-  
-  const scales = Object.entries(tokens.typography.scale);
-  let scaleY = 842 - 340;
-  scales.forEach(([name, scale]) => {
-    typoPage.drawText(`${name}: ${scale.size}px`, {
-      x: 50, y: scaleY,
-      size: 12, font: fontRegular,
-      color: textColor
-    });
-    scaleY -= 25;
-  });
-
-  // ===== SEITE 4: Tonalität =====
-  const voicePage = pdfDoc.addPage([595, 842]);
-  
-  voicePage.drawText('Markenstimme', {
-    x: 50, y: 842 - 60,
-    size: 28, font: fontBold,
-    color: textColor
-  });
-  
-  if (tokens.voice.tagline) {
-    voicePage.drawText('Kernbotschaft', {
-      x: 50, y: 842 - 120,
-      size: 14, font: fontBold,
-      color: primaryColor
-    });
-    
-    voicePage.drawText(`"${tokens.voice.tagline}"`, {
-      x: 50, y: 842 - 150,
-      size: 18, font: fontRegular,
-      color: textColor
-    });
-  }
-  
-  voicePage.drawText('Tonalität', {
-    x: 50, y: 842 - 210,
-    size: 14, font: fontBold,
-    color: primaryColor
-  });
-  
-  const toneLabels = {
-    professional: 'Professionell & Sachlich',
-    friendly: 'Freundlich & Nahbar',
-    innovative: 'Innovativ & Visionär',
-    premium: 'Premium & Exklusiv',
-    playful: 'Spielerisch & Locker',
-    trustworthy: 'Vertrauenswürdig & Seriös'
-  };
-  
-  voicePage.drawText(toneLabels[tokens.voice.tone] || tokens.voice.tone, {
-    x: 50, y: 842 - 235,
-    size: 14, font: fontRegular,
-    color: textColor
-  });
-  
-  if (tokens.voice.dos.length > 0) {
-    voicePage.drawText('Do\'s - Diese Wörter verwenden:', {
-      x: 50, y: 842 - 300,
-      size: 14, font: fontBold,
-      color: rgb(0.13, 0.77, 0.37)
-    });
-    
-    voicePage.drawText(tokens.voice.dos.join(', '), {
-      x: 50, y: 842 - 325,
-      size: 12, font: fontRegular,
-      color: textColor,
-      maxWidth: 495
-    });
-  }
-  
-  if (tokens.voice.donts.length > 0) {
-    voicePage.drawText('Don\'ts - Diese Wörter vermeiden:', {
-      x: 50, y: 842 - 390,
-      size: 14, font: fontBold,
-      color: rgb(0.94, 0.27, 0.27)
-    });
-    
-    voicePage.drawText(tokens.voice.donts.join(', '), {
-      x: 50, y: 842 - 415,
-      size: 12, font: fontRegular,
-      color: textColor,
-      maxWidth: 495
-    });
-  }
-
-  return pdfDoc;
-}
-
-export default { generateFlyerPdf, generateBusinessCardPdf, generateGuidelinesPdf, downloadPdf, getPdfBlob };
+export default { generateFlyerPdf, generateBusinessCardPdf, downloadPdf, getPdfBlob };
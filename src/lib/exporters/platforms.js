@@ -0,0 +1,415 @@
+// ============================================
+// PLATFORM BUILD - Style Dictionary kompatible Formatter
+// ============================================
+import { hexToRgb, resolveTokens, listSemanticTokens, mergeExtensionTokens } from '../tokens.js';
+
+/**
+ * Wandelt den Token-Baum aus brandToTokens in flache Properties um
+ * (Style Dictionary: category / type / item)
+ */
+export function flattenTokens(tokens) {
+  const properties = [];
+  const resolved = resolveTokens(tokens);
+
+  for (const [name, token] of Object.entries(tokens.colors)) {
+    if (token?.value) {
+      properties.push({ category: 'color', path: ['color', name], value: token.value, description: token.description });
+    }
+  }
+
+  for (const [name, value] of Object.entries(tokens.spacing)) {
+    properties.push({ category: 'spacing', path: ['spacing', name], value });
+  }
+
+  for (const [name, value] of Object.entries(tokens.borderRadius)) {
+    properties.push({ category: 'radius', path: ['radius', name], value });
+  }
+
+  for (const [name, scale] of Object.entries(tokens.typography.scale)) {
+    properties.push({ category: 'fontSize', path: ['font-size', name], value: scale.size });
+  }
+
+  properties.push({ category: 'fontFamily', path: ['font', 'heading'], value: tokens.typography.heading.fontFamilyClean });
+  properties.push({ category: 'fontFamily', path: ['font', 'body'], value: tokens.typography.body.fontFamilyClean });
+
+  // Semantische Tokens aufgelöst in ihre Kategorie einsortieren
+  const semanticRoots = { color: 'color', spacing: 'spacing', radius: 'radius' };
+  for (const { path, token } of listSemanticTokens(resolved)) {
+    if (semanticRoots[token.type]) {
+      properties.push({
+        category: token.type,
+        path: [semanticRoots[token.type], ...path.split('.')],
+        value: token.value,
+        description: token.description,
+        reference: token.reference
+      });
+    }
+  }
+
+  return properties;
+}
+
+/**
+ * Baut einen Style-Dictionary-Properties-Baum ({ color: { primary: { value } } })
+ */
+export function tokensToStyleDictionary(tokens) {
+  const tree = {};
+  for (const prop of flattenTokens(tokens)) {
+    let node = tree;
+    prop.path.slice(0, -1).forEach(key => {
+      node = node[key] = node[key] || {};
+    });
+    node[prop.path[prop.path.length - 1]] = {
+      value: prop.category === 'color' || prop.category === 'fontFamily' ? prop.value : `${prop.value}px`,
+      ...(prop.description && { comment: prop.description }),
+      ...(prop.reference && { reference: prop.reference })
+    };
+  }
+
+  // Importierte Tokens unverändert mitgeben (Style Dictionary: value statt $value)
+  mergeExtensionTokens(tree, tokens.extensions, ({ $value, $type, $description, ...rest }) => ({
+    value: $value,
+    ...($type && { type: $type }),
+    ...($description && { comment: $description }),
+    ...rest
+  }));
+  return tree;
+}
+
+// ============================================
+// NAME TRANSFORMS
+// ============================================
+
+function splitWords(path) {
+  return path
+    .flatMap(part => String(part).split(/[-_\s]+|(?=[A-Z])/))
+    .filter(Boolean)
+    .map(word => word.toLowerCase());
+}
+
+const nameKebab = (path) => splitWords(path).join('-');
+const nameSnake = (path) => splitWords(path).join('_');
+const nameCamel = (path) => splitWords(path)
+  .map((word, i) => i === 0 ? word : word[0].toUpperCase() + word.slice(1))
+  .join('')
+  .replace(/^(\d)/, '_$1');
+const namePascal = (path) => splitWords(path)
+  .map(word => word[0].toUpperCase() + word.slice(1))
+  .join('')
+  .replace(/^(\d)/, '_$1');
+
+// ============================================
+// VALUE TRANSFORMS
+// ============================================
+
+/**
+ * #RRGGBB oder #RRGGBBAA → { r, g, b, a } (0-255, Alpha 0-1)
+ */
+function parseColor(hex) {
+  const alphaMatch = /^#?[a-f\d]{6}([a-f\d]{2})$/i.exec(hex);
+  const [r, g, b] = hexToRgb(alphaMatch ? hex.slice(0, 7) : hex);
+  const a = alphaMatch ? parseInt(alphaMatch[1], 16) / 255 : 1;
+  return { r, g, b, a };
+}
+
+function toHex2(value) {
+  return Math.round(value).toString(16).padStart(2, '0').toUpperCase();
+}
+
+/** Android / Flutter / Compose: 0xAARRGGBB */
+function colorArgbHex(hex) {
+  const { r, g, b, a } = parseColor(hex);
+  return toHex2(a * 255) + toHex2(r) + toHex2(g) + toHex2(b);
+}
+
+/** Dart double-Literal: 16 → 16.0, 1.5 bleibt 1.5 */
+function dartDouble(value) {
+  return Number.isInteger(value) ? `${value}.0` : String(value);
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function header(tokens, comment = '//') {
+  return `${comment} ${tokens.meta.name} Design Tokens – v${tokens.meta.version}\n${comment} Generiert mit TYRN.ON Brand Engine – nicht manuell bearbeiten`;
+}
+
+function byCategory(tokens, category) {
+  return flattenTokens(tokens).filter(p => p.category === category);
+}
+
+// ============================================
+// FORMATTERS
+// ============================================
+
+function formatScss(tokens) {
+  const props = flattenTokens(tokens);
+  const variables = props.map(p => {
+    const value = p.category === 'color' ? p.value
+      : p.category === 'fontFamily' ? `'${p.value}'`
+        : `${p.value}px`;
+    return `$${nameKebab(p.path)}: ${value};`;
+  });
+
+  const map = (name, category) => {
+    const entries = props
+      .filter(p => p.category === category)
+      .map(p => `  '${nameKebab(p.path.slice(1))}': $${nameKebab(p.path)}`);
+    return `$${name}: (\n${entries.join(',\n')}\n);`;
+  };
+
+  return `${header(tokens)}
+
+${variables.join('\n')}
+
+${map('colors', 'color')}
+
+${map('spacing', 'spacing')}
+
+${map('radii', 'radius')}
+
+${map('font-sizes', 'fontSize')}
+`;
+}
+
+function formatLess(tokens) {
+  const variables = flattenTokens(tokens).map(p => {
+    const value = p.category === 'color' ? p.value
+      : p.category === 'fontFamily' ? `'${p.value}'`
+        : `${p.value}px`;
+    return `@${nameKebab(p.path)}: ${value};`;
+  });
+
+  return `${header(tokens)}
+
+${variables.join('\n')}
+`;
+}
+
+function formatSwift(tokens) {
+  const colors = byCategory(tokens, 'color');
+  const uiColors = colors.map(p => {
+    const { r, g, b, a } = parseColor(p.value);
+    return `    static let brand${namePascal(p.path.slice(1))} = UIColor(red: ${round3(r / 255)}, green: ${round3(g / 255)}, blue: ${round3(b / 255)}, alpha: ${round3(a)})`;
+  });
+  const swiftUiColors = colors.map(p => {
+    const { r, g, b, a } = parseColor(p.value);
+    return `    static let brand${namePascal(p.path.slice(1))} = Color(red: ${round3(r / 255)}, green: ${round3(g / 255)}, blue: ${round3(b / 255)}, opacity: ${round3(a)})`;
+  });
+  const dimensionEnum = (name, category) => `public enum ${name} {
+${byCategory(tokens, category).map(p => `    public static let ${nameCamel(p.path.slice(1))}: CGFloat = ${p.value}`).join('\n')}
+}`;
+
+  return `${header(tokens)}
+
+import UIKit
+import SwiftUI
+
+public extension UIColor {
+${uiColors.join('\n')}
+}
+
+public extension Color {
+${swiftUiColors.join('\n')}
+}
+
+${dimensionEnum('BrandSpacing', 'spacing')}
+
+${dimensionEnum('BrandRadius', 'radius')}
+
+${dimensionEnum('BrandFontSize', 'fontSize')}
+
+public enum BrandFont {
+${byCategory(tokens, 'fontFamily').map(p => `    public static let ${nameCamel(p.path.slice(1))} = "${p.value}"`).join('\n')}
+}
+`;
+}
+
+function formatAndroidColors(tokens) {
+  const colors = byCategory(tokens, 'color').map(p =>
+    `    <color name="${nameSnake(p.path)}">#${colorArgbHex(p.value)}</color>`
+  );
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+${header(tokens, '<!--').split('\n').map(line => `${line} -->`).join('\n')}
+<resources>
+${colors.join('\n')}
+</resources>
+`;
+}
+
+function formatAndroidDimens(tokens) {
+  const dimens = [
+    ...byCategory(tokens, 'spacing').map(p => `    <dimen name="${nameSnake(p.path)}">${p.value}dp</dimen>`),
+    ...byCategory(tokens, 'radius').map(p => `    <dimen name="${nameSnake(p.path)}">${p.value}dp</dimen>`),
+    ...byCategory(tokens, 'fontSize').map(p => `    <dimen name="${nameSnake(p.path)}">${p.value}sp</dimen>`)
+  ];
+  const fonts = byCategory(tokens, 'fontFamily').map(p =>
+    `    <string name="${nameSnake(p.path)}">${escapeXml(p.value)}</string>`
+  );
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+${header(tokens, '<!--').split('\n').map(line => `${line} -->`).join('\n')}
+<resources>
+${dimens.join('\n')}
+${fonts.join('\n')}
+</resources>
+`;
+}
+
+function formatFlutter(tokens) {
+  const constants = (className, category, type, format) => `class ${className} {
+  ${className}._();
+
+${byCategory(tokens, category).map(p => `  static const ${type} ${nameCamel(p.path.slice(1))} = ${format(p.value)};`).join('\n')}
+}`;
+  const c = (name) => `BrandColors.${nameCamel([name])}`;
+  const size = (name) => `BrandFontSizes.${nameCamel([name])}`;
+
+  return `${header(tokens)}
+
+import 'package:flutter/material.dart';
+
+${constants('BrandColors', 'color', 'Color', value => `Color(0x${colorArgbHex(value)})`)}
+
+${constants('BrandSpacing', 'spacing', 'double', dartDouble)}
+
+${constants('BrandRadius', 'radius', 'double', dartDouble)}
+
+${constants('BrandFontSizes', 'fontSize', 'double', dartDouble)}
+
+final ThemeData brandThemeData = ThemeData(
+  useMaterial3: true,
+  colorScheme: ColorScheme.light(
+    primary: ${c('primary')},
+    secondary: ${c('secondary')},
+    tertiary: ${c('accent')},
+    surface: ${c('background')},
+    onSurface: ${c('text')},
+  ),
+  scaffoldBackgroundColor: ${c('background')},
+  fontFamily: '${tokens.typography.body.fontFamilyClean}',
+  textTheme: const TextTheme(
+    displayLarge: TextStyle(fontFamily: '${tokens.typography.heading.fontFamilyClean}', fontSize: ${size('h1')}),
+    displayMedium: TextStyle(fontFamily: '${tokens.typography.heading.fontFamilyClean}', fontSize: ${size('h2')}),
+    headlineMedium: TextStyle(fontFamily: '${tokens.typography.heading.fontFamilyClean}', fontSize: ${size('h3')}),
+    titleLarge: TextStyle(fontFamily: '${tokens.typography.heading.fontFamilyClean}', fontSize: ${size('h4')}),
+    bodyLarge: TextStyle(fontSize: ${size('body')}),
+    bodyMedium: TextStyle(fontSize: ${size('small')}),
+    bodySmall: TextStyle(fontSize: ${size('caption')}),
+  ),
+);
+`;
+}
+
+function formatCompose(tokens) {
+  const object = (name, category, format) => `object ${name} {
+${byCategory(tokens, category).map(p => `    val ${namePascal(p.path.slice(1))} = ${format(p.value)}`).join('\n')}
+}`;
+
+  return `${header(tokens)}
+
+package brand.tokens
+
+import androidx.compose.ui.graphics.Color
+import androidx.compose.ui.unit.dp
+import androidx.compose.ui.unit.sp
+
+${object('BrandColors', 'color', value => `Color(0x${colorArgbHex(value)})`)}
+
+${object('BrandSpacing', 'spacing', value => `${value}.dp`)}
+
+${object('BrandRadius', 'radius', value => `${value}.dp`)}
+
+${object('BrandFontSize', 'fontSize', value => `${value}.sp`)}
+
+object BrandFontFamily {
+${byCategory(tokens, 'fontFamily').map(p => `    const val ${namePascal(p.path.slice(1))} = "${p.value}"`).join('\n')}
+}
+`;
+}
+
+/**
+ * Eingebaute Plattform-Formatter
+ * Jeder Formatter liefert eine oder mehrere Dateien ({ path, content });
+ * ext ist die Endung des Einzel-Downloads (.zip bei mehreren Dateien)
+ */
+export const builtInPlatformFormatters = [
+  {
+    id: 'scss',
+    ext: '.scss',
+    name: 'SCSS Maps',
+    icon: '💅',
+    category: 'web',
+    description: 'SCSS-Variablen und Maps',
+    build: (tokens) => [{ path: 'scss/_tokens.scss', content: formatScss(tokens) }]
+  },
+  {
+    id: 'less',
+    ext: '.less',
+    name: 'Less Variables',
+    icon: '📐',
+    category: 'web',
+    description: 'Less-Variablen',
+    build: (tokens) => [{ path: 'less/tokens.less', content: formatLess(tokens) }]
+  },
+  {
+    id: 'ios-swift',
+    ext: '.swift',
+    name: 'iOS Swift',
+    icon: '🍏',
+    category: 'mobile',
+    description: 'UIColor- und SwiftUI-Color-Extensions',
+    build: (tokens) => [{ path: 'ios/BrandTokens.swift', content: formatSwift(tokens) }]
+  },
+  {
+    id: 'android',
+    ext: '.zip',
+    name: 'Android Resources',
+    icon: '🤖',
+    category: 'mobile',
+    description: 'colors.xml und dimens.xml',
+    build: (tokens) => [
+      { path: 'android/res/values/colors.xml', content: formatAndroidColors(tokens) },
+      { path: 'android/res/values/dimens.xml', content: formatAndroidDimens(tokens) }
+    ]
+  },
+  {
+    id: 'flutter',
+    ext: '.dart',
+    name: 'Flutter ThemeData',
+    icon: '🦋',
+    category: 'mobile',
+    description: 'Dart-Konstanten und ThemeData',
+    build: (tokens) => [{ path: 'flutter/brand_theme.dart', content: formatFlutter(tokens) }]
+  },
+  {
+    id: 'compose',
+    ext: '.kt',
+    name: 'Jetpack Compose',
+    icon: '🧩',
+    category: 'mobile',
+    description: 'Kotlin Color- und Dimension-Objekte',
+    build: (tokens) => [{ path: 'compose/BrandTokens.kt', content: formatCompose(tokens) }]
+  },
+  {
+    id: 'style-dictionary',
+    ext: '.json',
+    name: 'Style Dictionary',
+    icon: '📚',
+    category: 'web',
+    description: 'Properties-Baum für eigene Style-Dictionary-Builds',
+    build: (tokens) => [{ path: 'style-dictionary/tokens.json', content: JSON.stringify(tokensToStyleDictionary(tokens), null, 2) }]
+  }
+];
+
+export default builtInPlatformFormatters;
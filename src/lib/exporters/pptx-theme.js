@@ -1,5 +1,6 @@
 // PowerPoint Theme (.thmx) Generator
 import JSZip from 'jszip';
+import { getReleaseVersion } from '../releases.js';
 
 function hexToArgb(hex) {
   return hex.replace('#', '').toUpperCase();
@@ -24,7 +25,7 @@ export async function exportPptxTheme(brand) {
 
   // theme1.xml - Main theme definition
   const theme1Xml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
-<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="${brand.name}">
+<a:theme xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" name="${brand.name} ${getReleaseVersion(brand)}">
   <a:themeElements>
     <a:clrScheme name="${brand.name} Colors">
       <a:dk1>
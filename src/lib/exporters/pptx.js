@@ -12,7 +12,7 @@ export async function generatePptx(tokens, content, options = {}) {
   // Präsentations-Metadaten
   pptx.author = content.fields?.author?.value || tokens.meta.name;
   pptx.title = content.fields?.title?.value || 'Präsentation';
-  pptx.subject = tokens.meta.name + ' Präsentation';
+  pptx.subject = `${tokens.meta.name} Präsentation (Brand v${tokens.meta.version})`;
   pptx.company = tokens.meta.name;
   
   // Layout: 16:9
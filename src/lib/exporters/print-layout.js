@@ -0,0 +1,192 @@
+// ============================================
+// PRINT LAYOUT - Druckbögen mit Beschnitt, Marken und Infozeile
+// ============================================
+// Seiten liegen im Endformat bei (0, 0) – Zeichnen funktioniert wie bisher.
+// Die MediaBox wächst um Beschnitt und Markenrand ins Negative, TrimBox und
+// BleedBox beschreiben Endformat und Beschnitt für die Druckerei.
+import { PDFName, PDFString, cmyk } from 'pdf-lib';
+import { isAchromatic } from '../color.js';
+import { PRINT_PROFILES, DEFAULT_PRINT_PROFILE, hexToCmyk, hexToBlack } from '../print-color.js';
+import { sanitizeText } from './pdf-text.js';
+
+// Endformate in mm (Hochformat, DIN lang als Flyer 99 × 210)
+export const PRINT_FORMATS = {
+  a4: { id: 'a4', name: 'DIN A4', width: 210, height: 297 },
+  a5: { id: 'a5', name: 'DIN A5', width: 148, height: 210 },
+  a6: { id: 'a6', name: 'DIN A6', width: 105, height: 148 },
+  dl: { id: 'dl', name: 'DIN lang', width: 99, height: 210 },
+  businesscard: { id: 'businesscard', name: 'Visitenkarte', width: 85, height: 55 }
+};
+
+export const DEFAULT_PRINT_OPTIONS = {
+  bleed: 3,        // mm je Seite
+  marks: true,     // Schneide- und Passermarken
+  slug: true,      // Infozeile und Kontrollfelder außerhalb des Beschnitts
+  profile: DEFAULT_PRINT_PROFILE
+};
+
+const MARK_LENGTH = 5;   // mm
+const MARK_WIDTH = 0.25; // pt
+const SLUG_HEIGHT = 8;   // mm unter den Marken
+
+// Passerfarbe: 100 % in allen Auszügen, nur für Marken
+const REGISTRATION = cmyk(1, 1, 1, 1);
+
+export const mmToPt = (mm) => mm * 72 / 25.4;
+
+/**
+ * Farbe als CMYK-Definition für pdf-lib (separiert über das Druckprofil)
+ * text: unbunte Textfarben nur aus Schwarz (kein Passer-Blitzer)
+ */
+export function printColor(hex, profileId = DEFAULT_PRINT_PROFILE, { text = false } = {}) {
+  const { c, m, y, k } = text && isAchromatic(hex) ? hexToBlack(hex, profileId) : hexToCmyk(hex, profileId);
+  return cmyk(c / 100, m / 100, y / 100, k / 100);
+}
+
+/**
+ * Neue Druckseite im Endformat
+ * @returns {{ page, width, height, bleed, format, options }} Maße in pt (Endformat)
+ */
+export function addPrintPage(pdfDoc, formatId, options = {}) {
+  const format = PRINT_FORMATS[formatId] || PRINT_FORMATS.a4;
+  const settings = { ...DEFAULT_PRINT_OPTIONS, ...options };
+  settings.bleed = Math.max(0, Number(settings.bleed) || 0);
+
+  const width = mmToPt(format.width);
+  const height = mmToPt(format.height);
+  const bleed = mmToPt(settings.bleed);
+
+  // Marken beginnen frühestens am Beschnittrand
+  const markOffset = Math.max(bleed, mmToPt(2));
+  const margin = settings.marks || settings.slug ? markOffset + mmToPt(MARK_LENGTH + 1) : bleed;
+  const slug = settings.slug ? mmToPt(SLUG_HEIGHT) : 0;
+
+  const page = pdfDoc.addPage([width + 2 * margin, height + 2 * margin + slug]);
+  page.setMediaBox(-margin, -margin - slug, width + 2 * margin, height + 2 * margin + slug);
+  page.setBleedBox(-bleed, -bleed, width + 2 * bleed, height + 2 * bleed);
+  page.setTrimBox(0, 0, width, height);
+
+  return { page, width, height, bleed, markOffset, format, options: settings };
+}
+
+// ============================================
+// MARKEN & INFOZEILE
+// ============================================
+
+function drawCropMarks({ page, width, height, markOffset }) {
+  const length = mmToPt(MARK_LENGTH);
+  const line = (start, end) => page.drawLine({ start, end, thickness: MARK_WIDTH, color: REGISTRATION });
+
+  for (const x of [0, width]) {
+    for (const y of [0, height]) {
+      const dx = x === 0 ? -1 : 1;
+      const dy = y === 0 ? -1 : 1;
+      line({ x: x + dx * markOffset, y }, { x: x + dx * (markOffset + length), y });
+      line({ x, y: y + dy * markOffset }, { x, y: y + dy * (markOffset + length) });
+    }
+  }
+}
+
+function drawRegistrationMark(page, x, y) {
+  const size = mmToPt(MARK_LENGTH) / 2;
+  page.drawCircle({ x, y, size: size * 0.6, borderColor: REGISTRATION, borderWidth: MARK_WIDTH });
+  page.drawLine({ start: { x: x - size, y }, end: { x: x + size, y }, thickness: MARK_WIDTH, color: REGISTRATION });
+  page.drawLine({ start: { x, y: y - size }, end: { x, y: y + size }, thickness: MARK_WIDTH, color: REGISTRATION });
+}
+
+function drawRegistrationMarks({ page, width, height, markOffset }) {
+  const distance = markOffset + mmToPt(MARK_LENGTH) / 2;
+  drawRegistrationMark(page, width / 2, height + distance);
+  drawRegistrationMark(page, width / 2, -distance);
+  drawRegistrationMark(page, -distance, height / 2);
+  drawRegistrationMark(page, width + distance, height / 2);
+}
+
+/**
+ * Kontrollfelder (CMYK-Volltöne + Markenfarben) im oberen Markenrand
+ */
+function drawColorBar({ page, width, height, markOffset, options }, colors) {
+  const size = mmToPt(3.5);
+  const patches = [
+    cmyk(1, 0, 0, 0), cmyk(0, 1, 0, 0), cmyk(0, 0, 1, 0), cmyk(0, 0, 0, 1),
+    ...colors.map(hex => printColor(hex, options.profile))
+  ];
+  // Links vom oberen Passerkreuz, soweit Platz ist
+  const available = width / 2 - mmToPt(MARK_LENGTH);
+  const y = height + markOffset + mmToPt(0.75);
+
+  patches.slice(0, Math.floor(available / size)).forEach((color, index) => {
+    page.drawRectangle({ x: index * size, y, width: size, height: size, color });
+  });
+}
+
+function drawSlugInfo({ page, markOffset, format, options }, fonts, job, pageNumber) {
+  const profile = PRINT_PROFILES[options.profile] || PRINT_PROFILES[DEFAULT_PRINT_PROFILE];
+  const top = -markOffset - mmToPt(MARK_LENGTH + 1);
+  const lines = [
+    [job.brand, job.title, `Seite ${pageNumber}`].filter(Boolean).join(' · '),
+    [
+      `${format.name} ${format.width} × ${format.height} mm`,
+      `Beschnitt ${options.bleed} mm`,
+      `${profile.name} (${profile.condition})`,
+      job.version && `v${job.version}`,
+      new Date().toLocaleDateString('de-DE')
+    ].filter(Boolean).join(' · ')
+  ];
+
+  // Markenname und Titel kommen vom Nutzer – Standardschriften kennen nur WinAnsi
+  lines.forEach((text, index) => {
+    page.drawText(sanitizeText(text, fonts.regular), {
+      x: 0,
+      y: top - mmToPt(3) - index * 7,
+      size: 5.5,
+      font: fonts.regular,
+      color: REGISTRATION
+    });
+  });
+}
+
+/**
+ * Marken, Kontrollfelder und Infozeile auf alle Druckseiten setzen
+ * (nach dem Inhalt, damit nichts darüber liegt)
+ * @param {Array} printPages - Rückgaben von addPrintPage
+ * @param {Object} fonts - { regular }
+ * @param {Object} job - { brand, title, version, colors: [hex] }
+ */
+export function finishPrintPages(printPages, fonts, job = {}) {
+  printPages.forEach((printPage, index) => {
+    if (printPage.options.marks) {
+      drawCropMarks(printPage);
+      drawRegistrationMarks(printPage);
+    }
+    if (printPage.options.slug) {
+      drawColorBar(printPage, job.colors || []);
+      drawSlugInfo(printPage, fonts, job, index + 1);
+    }
+  });
+}
+
+// ============================================
+// OUTPUT INTENT
+// ============================================
+
+/**
+ * Output-Intent nach PDF/X: verweist auf die registrierte Druckbedingung
+ * (z.B. FOGRA39), damit RIP und Preflight den Zielfarbraum kennen
+ */
+export function setOutputIntent(pdfDoc, profileId = DEFAULT_PRINT_PROFILE) {
+  const profile = PRINT_PROFILES[profileId] || PRINT_PROFILES[DEFAULT_PRINT_PROFILE];
+  const { context, catalog } = pdfDoc;
+
+  const outputIntent = context.obj({
+    Type: 'OutputIntent',
+    S: 'GTS_PDFX',
+    OutputConditionIdentifier: PDFString.of(profile.condition),
+    OutputCondition: PDFString.of(profile.description),
+    RegistryName: PDFString.of('http://www.color.org'),
+    Info: PDFString.of(profile.name)
+  });
+  catalog.set(PDFName.of('OutputIntents'), context.obj([context.register(outputIntent)]));
+}
+
+export default { PRINT_FORMATS, DEFAULT_PRINT_OPTIONS, mmToPt, printColor, addPrintPage, finishPrintPages, setOutputIntent };
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest';
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { addPrintPage, finishPrintPages } from './print-layout.js';
+
+describe('finishPrintPages', () => {
+  it('setzt die Infozeile auch mit Zeichen außerhalb von WinAnsi', async () => {
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const printPage = addPrintPage(pdf, 'a6', { bleed: 3, marks: true, slug: true });
+
+    expect(() => finishPrintPages([printPage], { regular: font }, {
+      brand: 'Café Ōsaka 東京',
+      title: 'Flyer ✓',
+      colors: ['#0B5FFF']
+    })).not.toThrow();
+    expect((await pdf.save()).length).toBeGreaterThan(0);
+  });
+});
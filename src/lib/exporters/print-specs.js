@@ -1,63 +1,8 @@
 // Print Specifications Export (CMYK, Bleed, etc.)
-
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? [
-    parseInt(result[1], 16),
-    parseInt(result[2], 16),
-    parseInt(result[3], 16)
-  ] : [0, 0, 0];
-}
-
-function rgbToCmyk(r, g, b) {
-  // Normalize RGB values
-  const rNorm = r / 255;
-  const gNorm = g / 255;
-  const bNorm = b / 255;
-
-  // Calculate K (black)
-  const k = 1 - Math.max(rNorm, gNorm, bNorm);
-
-  // Handle pure black
-  if (k === 1) {
-    return { c: 0, m: 0, y: 0, k: 100 };
-  }
-
-  // Calculate CMY
-  const c = Math.round((1 - rNorm - k) / (1 - k) * 100);
-  const m = Math.round((1 - gNorm - k) / (1 - k) * 100);
-  const y = Math.round((1 - bNorm - k) / (1 - k) * 100);
-
-  return { c, m, y, k: Math.round(k * 100) };
-}
-
-function hexToCmyk(hex) {
-  const rgb = hexToRgb(hex);
-  return rgbToCmyk(rgb[0], rgb[1], rgb[2]);
-}
-
-function findClosestPantone(hex) {
-  // Simplified Pantone matching - in production, use a proper Pantone library
-  const pantoneMap = {
-    '#0071e3': 'PMS 2925 C',
-    '#007aff': 'PMS 2925 C',
-    '#000000': 'PMS Black C',
-    '#ffffff': 'PMS White',
-    '#ff9500': 'PMS 144 C',
-    '#ff3b30': 'PMS 485 C',
-    '#34c759': 'PMS 361 C',
-    '#5856d6': 'PMS 2725 C'
-  };
-
-  // Find closest match
-  const hexLower = hex.toLowerCase();
-  if (pantoneMap[hexLower]) {
-    return pantoneMap[hexLower];
-  }
-
-  // If no exact match, suggest process color
-  return 'Process (CMYK)';
-}
+import { getReleaseVersion } from '../releases.js';
+import { hexToRgb } from '../color.js';
+import { PRINT_PROFILES, DEFAULT_PRINT_PROFILE, hexToCmyk, formatCmyk } from '../print-color.js';
+import { SPOT_LIBRARIES, matchSpotColors } from '../spot-colors.js';
 
 function extractFontName(fontString) {
   const match = fontString.match(/'([^']+)'/);
@@ -67,34 +12,48 @@ function extractFontName(fontString) {
 export function exportPrintSpecs(brand) {
   const colors = {};
 
-  // Convert all brand colors to print specs
-  Object.entries(brand.colors).forEach(([name, hex]) => {
-    const rgb = hexToRgb(hex);
-    const cmyk = hexToCmyk(hex);
-    const pantone = findClosestPantone(hex);
-
-    colors[name] = {
-      hex: hex.toUpperCase(),
-      rgb: { r: rgb[0], g: rgb[1], b: rgb[2] },
-      cmyk: cmyk,
-      cmykString: `C${cmyk.c} M${cmyk.m} Y${cmyk.y} K${cmyk.k}`,
-      pantone: pantone,
-      usage: getColorUsage(name)
-    };
-  });
+  // Convert all brand colors to print specs (palette is an array, not a color)
+  Object.entries(brand.colors)
+    .filter(([, hex]) => typeof hex === 'string')
+    .forEach(([name, hex]) => {
+      const rgb = hexToRgb(hex);
+      const cmykProfiles = Object.fromEntries(Object.keys(PRINT_PROFILES).map(id => {
+        const { deltaE, inGamut, ...cmyk } = hexToCmyk(hex, id);
+        return [id, { ...cmyk, cmykString: formatCmyk(cmyk), deltaE, inGamut }];
+      }));
+      const { c, m, y, k, cmykString } = cmykProfiles[DEFAULT_PRINT_PROFILE];
+      const spotColors = matchSpotColors(hex);
+
+      colors[name] = {
+        hex: hex.toUpperCase(),
+        rgb: { r: rgb[0], g: rgb[1], b: rgb[2] },
+        cmyk: { c, m, y, k },
+        cmykString: cmykString,
+        cmykProfiles: cmykProfiles,
+        pantone: spotColors['pantone-coated']?.code,
+        spotColors: spotColors,
+        usage: getColorUsage(name)
+      };
+    });
 
   return {
     meta: {
       brand: brand.name,
-      version: "1.0",
+      version: getReleaseVersion(brand),
       exportedAt: new Date().toISOString(),
       generator: "TYRN.ON Brand Engine v3.0"
     },
 
     colorSpace: {
       recommended: "CMYK",
-      profile: "ISO Coated v2 (ECI)",
-      alternative: "FOGRA39",
+      profile: PRINT_PROFILES[DEFAULT_PRINT_PROFILE].name,
+      condition: PRINT_PROFILES[DEFAULT_PRINT_PROFILE].condition,
+      profiles: Object.values(PRINT_PROFILES).map(({ id, name, condition, description, tac }) => ({
+        id, name, condition, description, maxInk: `${Math.round(tac * 100)}%`
+      })),
+      conversion: "Approximation via a Yule-Nielsen-Neugebauer print model (not an ICC transform): relative colorimetric with black point compensation, medium GCR; deltaE (CIEDE2000) = deviation from the sRGB value, inGamut = deltaE <= 2.3",
+      approximate: true,
+      spotLibraries: Object.values(SPOT_LIBRARIES).map(library => library.name),
       note: "For digital print, sRGB may be acceptable"
     },
 
@@ -158,6 +117,12 @@ export function exportPrintSpecs(brand) {
         safeZone: "5mm",
         resolution: "300dpi"
       },
+      a6: {
+        size: { width: "105mm", height: "148mm" },
+        bleed: "3mm",
+        safeZone: "5mm",
+        resolution: "300dpi"
+      },
       dinLang: {
         size: { width: "210mm", height: "99mm" },
         bleed: "3mm",
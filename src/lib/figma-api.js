@@ -2,6 +2,7 @@
 // FIGMA API SERVICE
 // Extracts colors, fonts, styles, and assets from Figma files
 // ============================================
+import { dedupeColors, DELTA_E_JND } from './color.js';
 
 const FIGMA_API_BASE = 'https://api.figma.com/v1';
 
@@ -330,55 +331,20 @@ function rgbToHex(r, g, b) {
 }
 
 /**
- * Deduplicate colors by similarity
+ * Deduplicate colors that are visually indistinguishable (CIEDE2000)
+ * Figma styles are exact values, so only near-identical colors are merged
  */
 function deduplicateColors(colors) {
-  const unique = [];
-
-  for (const color of colors) {
-    if (!color.value) continue;
-
-    // Check if similar color exists
-    const similar = unique.find(c => c.value && colorDistance(c.value, color.value) < 10);
-
-    if (similar) {
+  return dedupeColors(colors.filter(color => color.value), {
+    getHex: color => color.value,
+    threshold: DELTA_E_JND,
+    merge: (similar, color) => {
       similar.usageCount = (similar.usageCount || 0) + (color.usageCount || 1);
       if (color.name && !similar.name) {
         similar.name = color.name;
       }
-    } else {
-      unique.push(color);
     }
-  }
-
-  return unique;
-}
-
-/**
- * Calculate color distance (simple RGB distance)
- */
-function colorDistance(hex1, hex2) {
-  const rgb1 = hexToRgb(hex1);
-  const rgb2 = hexToRgb(hex2);
-  if (!rgb1 || !rgb2) return Infinity;
-
-  return Math.sqrt(
-    Math.pow(rgb1.r - rgb2.r, 2) +
-    Math.pow(rgb1.g - rgb2.g, 2) +
-    Math.pow(rgb1.b - rgb2.b, 2)
-  );
-}
-
-/**
- * Convert hex to RGB
- */
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16)
-  } : null;
+  });
 }
 
 export default {
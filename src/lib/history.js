@@ -0,0 +1,205 @@
+// ============================================
+// BRAND HISTORY - Snapshots & Field Diff
+// ============================================
+
+/**
+ * Felder einer Marke, die in einem Snapshot gespeichert werden
+ * (id und Zeitstempel gehören zur Version, nicht zum Inhalt)
+ */
+export const SNAPSHOT_FIELDS = [
+  'name', 'colors', 'fonts', 'voice', 'logo', 'logos',
+  'toneOfVoice', 'semantic', 'themes', 'scales', 'extensions'
+];
+
+const fieldLabels = {
+  name: 'Name',
+  'colors.primary': 'Primärfarbe',
+  'colors.secondary': 'Sekundärfarbe',
+  'colors.accent': 'Akzentfarbe',
+  'colors.background': 'Hintergrund',
+  'colors.text': 'Textfarbe',
+  'colors.palette': 'Farbpalette',
+  'fonts.heading': 'Headline-Schrift',
+  'fonts.body': 'Fließtext-Schrift',
+  'fonts.additional': 'Weitere Schriften',
+  'voice.tone': 'Tonalität',
+  'voice.formality': 'Ansprache',
+  'voice.tagline': 'Tagline',
+  'voice.dos': 'Do\'s',
+  'voice.donts': 'Don\'ts',
+  logo: 'Logo',
+  logos: 'Weitere Logos'
+};
+
+const groupLabels = {
+  colors: 'Farben',
+  fonts: 'Schriften',
+  voice: 'Stimme',
+  logos: 'Logos',
+  name: 'Name'
+};
+
+/**
+ * Erstellt einen unveränderlichen Snapshot (tiefe Kopie) einer Marke
+ */
+export function createSnapshot(brand) {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (brand[field] !== undefined) {
+      snapshot[field] = JSON.parse(JSON.stringify(brand[field]));
+    }
+  }
+  return Object.freeze(snapshot);
+}
+
+/**
+ * Feld-Diff zwischen zwei Snapshots für Farben, Schriften, Stimme und Logos
+ * Rückgabe: [{ group, field, label, type: 'color' | 'font' | 'text' | 'image' | 'list', before, after }]
+ */
+export function diffBrands(before = {}, after = {}) {
+  const changes = [];
+
+  const compare = (group, field, type, a, b) => {
+    if (JSON.stringify(a ?? null) === JSON.stringify(b ?? null)) return;
+    changes.push({
+      group: groupLabels[group],
+      field,
+      label: fieldLabels[field] || field,
+      type,
+      before: a ?? null,
+      after: b ?? null
+    });
+  };
+
+  compare('name', 'name', 'text', before.name, after.name);
+
+  for (const key of ['primary', 'secondary', 'accent', 'background', 'text']) {
+    compare('colors', `colors.${key}`, 'color', before.colors?.[key], after.colors?.[key]);
+  }
+  compare('colors', 'colors.palette', 'list',
+    (before.colors?.palette || []).map(c => c.hex || c),
+    (after.colors?.palette || []).map(c => c.hex || c));
+
+  compare('fonts', 'fonts.heading', 'font', before.fonts?.heading, after.fonts?.heading);
+  compare('fonts', 'fonts.body', 'font', before.fonts?.body, after.fonts?.body);
+  compare('fonts', 'fonts.additional', 'list',
+    (before.fonts?.additional || []).map(f => f.name || f),
+    (after.fonts?.additional || []).map(f => f.name || f));
+
+  for (const key of ['tone', 'formality', 'tagline', 'dos', 'donts']) {
+    compare('voice', `voice.${key}`, 'text', before.voice?.[key], after.voice?.[key]);
+  }
+
+  compare('logos', 'logo', 'image', before.logo, after.logo);
+  compare('logos', 'logos', 'list',
+    (before.logos || []).map(l => l.name || 'Logo'),
+    (after.logos || []).map(l => l.name || 'Logo'));
+
+  return changes;
+}
+
+/**
+ * Kurze Standard-Nachricht aus den geänderten Bereichen
+ * z.B. "Farben, Schriften geändert"
+ */
+export function describeChanges(changes) {
+  const groups = [...new Set(changes.map(c => c.group))];
+  return groups.length > 0 ? `${groups.join(', ')} geändert` : 'Gespeichert';
+}
+
+// ============================================
+// MERGE - Gleichzeitige Bearbeitung
+// ============================================
+
+/**
+ * Felder, deren Unterfelder einzeln zusammengeführt werden
+ * (z.B. colors.primary und colors.accent von zwei Personen)
+ */
+export const MERGE_NESTED_FIELDS = ['colors', 'fonts', 'voice'];
+
+// Verwaltungsfelder, die nie zusammengeführt werden
+const META_FIELDS = ['id', 'revision', 'created_at', 'updated_at', 'updated_by'];
+
+const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function fieldType(field, value) {
+  if (field.startsWith('colors.') && typeof value === 'string') return 'color';
+  if (field === 'fonts.heading' || field === 'fonts.body') return 'font';
+  if (field === 'logo') return 'image';
+  if (Array.isArray(value)) return 'list';
+  if (isPlainObject(value)) return 'json';
+  return 'text';
+}
+
+/**
+ * Drei-Wege-Merge: base = letzter gemeinsamer Stand, local = eigene Änderungen,
+ * remote = aktueller Stand auf dem Server
+ * Änderungen nur einer Seite werden übernommen, colors/fonts/voice pro Unterfeld.
+ * Haben beide Seiten dasselbe Feld unterschiedlich geändert, ist es ein Konflikt
+ * (im Ergebnis steht vorerst der eigene Wert).
+ * Rückgabe: { merged, conflicts: [{ field, label, type, local, remote }] }
+ */
+export function mergeBrands(base = {}, local = {}, remote = {}) {
+  const merged = { ...remote };
+  const conflicts = [];
+
+  const mergeValue = (field, baseValue, localValue, remoteValue, assign) => {
+    if (isSame(localValue, baseValue) || isSame(localValue, remoteValue)) {
+      assign(remoteValue);
+    } else if (isSame(remoteValue, baseValue)) {
+      assign(localValue);
+    } else {
+      conflicts.push({
+        field,
+        label: fieldLabels[field] || field,
+        type: fieldType(field, localValue ?? remoteValue),
+        local: localValue ?? null,
+        remote: remoteValue ?? null
+      });
+      assign(localValue);
+    }
+  };
+
+  const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  for (const field of fields) {
+    if (META_FIELDS.includes(field)) continue;
+
+    if (MERGE_NESTED_FIELDS.includes(field) && isPlainObject(local[field]) && isPlainObject(remote[field])) {
+      const nested = { ...remote[field] };
+      const keys = new Set([...Object.keys(local[field]), ...Object.keys(remote[field])]);
+      for (const key of keys) {
+        mergeValue(`${field}.${key}`, base[field]?.[key], local[field][key], remote[field][key], value => {
+          if (value === undefined) delete nested[key];
+          else nested[key] = value;
+        });
+      }
+      merged[field] = nested;
+    } else {
+      mergeValue(field, base[field], local[field], remote[field], value => {
+        if (value === undefined) delete merged[field];
+        else merged[field] = value;
+      });
+    }
+  }
+
+  return { merged, conflicts };
+}
+
+/**
+ * Wendet die Auswahl des Benutzers auf einen Merge an
+ * choices: { [field]: 'local' | 'remote' } – ohne Auswahl gilt der eigene Wert
+ */
+export function resolveConflicts(merged, conflicts, choices = {}) {
+  const resolved = { ...merged };
+  for (const conflict of conflicts) {
+    const value = choices[conflict.field] === 'remote' ? conflict.remote : conflict.local;
+    const [field, key] = conflict.field.split('.');
+    if (key) {
+      resolved[field] = { ...resolved[field], [key]: value };
+    } else {
+      resolved[field] = value;
+    }
+  }
+  return resolved;
+}
@@ -135,57 +135,8 @@ export async function imageToBase64(imageUrl) {
   });
 }
 
-/**
- * Verwaltet die lokale Bild-Bibliothek (hochgeladene Bilder)
- */
-export class ImageLibrary {
-  constructor(storageKey = 'brand_engine_images') {
-    this.storageKey = storageKey;
-    this.images = this.load();
-  }
-  
-  load() {
-    const saved = localStorage.getItem(this.storageKey);
-    return saved ? JSON.parse(saved) : [];
-  }
-  
-  save() {
-    localStorage.setItem(this.storageKey, JSON.stringify(this.images));
-  }
-  
-  add(image) {
-    const newImage = {
-      id: Date.now().toString(),
-      source: 'upload',
-      ...image,
-      addedAt: new Date().toISOString()
-    };
-    this.images.unshift(newImage);
-    this.save();
-    return newImage;
-  }
-  
-  remove(id) {
-    this.images = this.images.filter(img => img.id !== id);
-    this.save();
-  }
-  
-  getAll() {
-    return this.images;
-  }
-  
-  getByBrand(brandId) {
-    return this.images.filter(img => img.brandId === brandId);
-  }
-  
-  search(query) {
-    const q = query.toLowerCase();
-    return this.images.filter(img => 
-      img.alt?.toLowerCase().includes(q) ||
-      img.tags?.some(t => t.toLowerCase().includes(q))
-    );
-  }
-}
+// Eigene Bilder (Uploads) verwaltet die Asset-Bibliothek der Marke
+// (lib/assetLibrary.js, stores/libraryStore.js)
 
 /**
  * Kategorien für Quick-Search
@@ -238,7 +189,6 @@ export function suggestImageQueries(brand, content) {
 export default { 
   searchUnsplash, 
   imageToBase64, 
-  ImageLibrary, 
   imageCategories,
   suggestImageQueries
 };
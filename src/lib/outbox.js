@@ -0,0 +1,152 @@
+// ============================================
+// OUTBOX - Offline-Warteschlange (IndexedDB)
+// ============================================
+
+const DB_NAME = 'brand_engine_sync';
+const DB_VERSION = 1;
+const OUTBOX_STORE = 'outbox';
+const SERVER_STORE = 'server_state';
+
+// Mutationen, deren Payload sich bei gleichem Ziel zusammenfassen lässt
+// (z.B. viele Farbänderungen hintereinander → ein Update)
+const coalesce = {
+  'brand.update': (previous, next) => ({ ...next, updates: { ...previous.updates, ...next.updates } }),
+  'content.upsert': (previous, next) => next,
+  'rules.upsert': (previous, next) => next,
+  'library.upsert': (previous, next) => next
+};
+
+// Fallback ohne IndexedDB (z.B. privater Modus): nur im Speicher
+const memory = { outbox: [], server: {}, nextId: 1 };
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+          db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(SERVER_STORE)) {
+          db.createObjectStore(SERVER_STORE);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB not available, outbox is kept in memory:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function run(storeName, mode, operation) {
+  return openDb().then(db => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+  }));
+}
+
+/**
+ * Prüft, ob ein Supabase-Fehler auf fehlende Verbindung zurückgeht
+ * (dann bleibt die Mutation in der Warteschlange)
+ */
+export function isNetworkError(error) {
+  if (!error) return false;
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+  const message = String(error.message || error);
+  return /Failed to fetch|NetworkError|Load failed|Network request failed|fetch failed/i.test(message);
+}
+
+/**
+ * Legt eine Mutation in die Warteschlange
+ * mutation: { type, key, payload } – gleiche type+key am Ende werden zusammengefasst
+ */
+export async function enqueueMutation(mutation) {
+  const entry = { ...mutation, created_at: new Date().toISOString() };
+  const db = await openDb();
+  const pending = await getPendingMutations();
+  const last = pending[pending.length - 1];
+
+  if (last && last.type === entry.type && last.key === entry.key && coalesce[entry.type]) {
+    const merged = { ...last, payload: coalesce[entry.type](last.payload, entry.payload) };
+    if (!db) {
+      memory.outbox[memory.outbox.length - 1] = merged;
+    } else {
+      await run(OUTBOX_STORE, 'readwrite', store => store.put(merged));
+    }
+    return merged;
+  }
+
+  if (!db) {
+    const stored = { ...entry, id: memory.nextId++ };
+    memory.outbox.push(stored);
+    return stored;
+  }
+  const id = await run(OUTBOX_STORE, 'readwrite', store => store.add(entry));
+  return { ...entry, id };
+}
+
+/**
+ * Alle ausstehenden Mutationen in Reihenfolge
+ */
+export async function getPendingMutations() {
+  const db = await openDb();
+  if (!db) return [...memory.outbox];
+  return run(OUTBOX_STORE, 'readonly', store => store.getAll());
+}
+
+export async function removeMutation(id) {
+  const db = await openDb();
+  if (!db) {
+    memory.outbox = memory.outbox.filter(entry => entry.id !== id);
+    return;
+  }
+  await run(OUTBOX_STORE, 'readwrite', store => store.delete(id));
+}
+
+export async function countPendingMutations() {
+  const db = await openDb();
+  if (!db) return memory.outbox.length;
+  return run(OUTBOX_STORE, 'readonly', store => store.count());
+}
+
+export async function clearOutbox() {
+  const db = await openDb();
+  if (!db) {
+    memory.outbox = [];
+    memory.server = {};
+    return;
+  }
+  await run(OUTBOX_STORE, 'readwrite', store => store.clear());
+  await run(SERVER_STORE, 'readwrite', store => store.clear());
+}
+
+/**
+ * Letzter vom Server bestätigter Stand (Basis für den Merge nach dem Offline-Betrieb)
+ * scope z.B. 'brands' → { [id]: brand }
+ */
+export async function saveServerState(scope, state) {
+  const db = await openDb();
+  if (!db) {
+    memory.server[scope] = state;
+    return;
+  }
+  try {
+    await run(SERVER_STORE, 'readwrite', store => store.put(state, scope));
+  } catch (error) {
+    console.warn('Could not save server state:', error);
+  }
+}
+
+export async function loadServerState(scope) {
+  const db = await openDb();
+  if (!db) return memory.server[scope] || {};
+  return (await run(SERVER_STORE, 'readonly', store => store.get(scope))) || {};
+}
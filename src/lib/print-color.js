@@ -0,0 +1,310 @@
+// ============================================
+// PRINT COLOR - sRGB → CMYK über Druckprofile
+// ============================================
+// Statt der naiven Formel (K = 1 − max(R, G, B)) wird jede Farbe über ein
+// Druckmodell (Yule-Nielsen-Neugebauer) separiert: gerundete Lab-Werte von
+// Papier, Primär- und Sekundärfarben, Tonwertzunahme und maximaler
+// Farbauftrag je Druckstandard. Das Modell wird numerisch invertiert – mit
+// Unbuntaufbau (GCR), relativ farbmetrisch und Tiefenkompensierung.
+// Das ist eine Näherung, keine ICC-Transformation: die Werte können von
+// Photoshop/InDesign mit dem echten Profil abweichen. Verbindlich ist die
+// Separation im Layoutprogramm bzw. RIP.
+
+import { hexToRgb, hexToXyzD50, xyzToLab, labToXyz, deltaE2000Lab, D50_WHITE, DELTA_E_JND } from './color.js';
+
+// ============================================
+// PROFILE
+// ============================================
+
+// Lab-Werte (D50) der Volltöne und Überdrucke, Tonwertzunahme bei 50 %,
+// maximaler Gesamtfarbauftrag (TAC) in Prozent / 100; condition = Kennung im
+// ICC-Register der Charakterisierungsdaten (für den PDF-Output-Intent)
+export const PRINT_PROFILES = {
+  'fogra39': {
+    id: 'fogra39',
+    name: 'ISO Coated v2 (ECI)',
+    condition: 'FOGRA39',
+    short: 'FOGRA39',
+    description: 'Bogenoffset, gestrichenes Papier (ISO 12647-2:2004)',
+    paper: [95, 0, -2],
+    c: [55, -37, -50],
+    m: [48, 74, -3],
+    y: [89, -5, 93],
+    k: [16, 0, 0],
+    cm: [24, 22, -46],
+    cy: [50, -65, 27],
+    my: [47, 68, 48],
+    cmy: [23, 0, 0],
+    tvi: { cmy: 0.14, k: 0.17 },
+    tac: 3.3
+  },
+  'pso-coated-v3': {
+    id: 'pso-coated-v3',
+    name: 'PSO Coated v3',
+    condition: 'FOGRA51',
+    short: 'FOGRA51',
+    description: 'Bogenoffset, Premium-Papier mit optischen Aufhellern (ISO 12647-2:2013)',
+    paper: [95, 1, -4],
+    c: [56, -37, -50],
+    m: [48, 75, -4],
+    y: [89, -4, 93],
+    k: [16, 0, 0],
+    cm: [25, 20, -46],
+    cy: [50, -65, 26],
+    my: [48, 68, 47],
+    cmy: [23, 0, 0],
+    tvi: { cmy: 0.16, k: 0.16 },
+    tac: 3.0
+  },
+  'us-web-coated': {
+    id: 'us-web-coated',
+    name: 'U.S. Web Coated (SWOP) v2',
+    condition: 'CGATS TR 001',
+    short: 'SWOP',
+    description: 'Rollenoffset, gestrichenes Papier (USA)',
+    paper: [93, 0, -2],
+    c: [55, -37, -50],
+    m: [46, 72, -5],
+    y: [87, -6, 88],
+    k: [18, 1, 0],
+    cm: [23, 17, -46],
+    cy: [50, -65, 25],
+    my: [46, 67, 45],
+    cmy: [22, 1, 0],
+    tvi: { cmy: 0.20, k: 0.22 },
+    tac: 3.0
+  }
+};
+
+export const DEFAULT_PRINT_PROFILE = 'fogra39';
+
+// Hinweis für UI und Exporte: CMYK aus dem Druckmodell, nicht aus dem ICC-Profil
+export const CMYK_APPROXIMATION_NOTE = 'CMYK-Werte sind eine Näherung über ein Druckmodell, keine ICC-Umrechnung – verbindlich ist die Separation im Layoutprogramm.';
+
+// Yule-Nielsen-Faktor für gestrichene Papiere
+const YULE_NIELSEN_N = 1.7;
+
+// Unbuntaufbau: Farben heller als diese relative Tiefe bleiben ohne Schwarz
+const GCR_THRESHOLD = 0.25;
+
+const models = new Map();
+
+function getModel(profileId) {
+  const profile = PRINT_PROFILES[profileId] || PRINT_PROFILES[DEFAULT_PRINT_PROFILE];
+  if (models.has(profile.id)) return models.get(profile.id);
+
+  const toXyz = ([L, a, b]) => labToXyz({ L, a, b });
+  const paper = toXyz(profile.paper);
+  const black = toXyz(profile.k);
+
+  const model = {
+    profile,
+    // Reihenfolge = Bitmaske c=1, m=2, y=4
+    primaries: [profile.paper, profile.c, profile.m, profile.cm, profile.y, profile.cy, profile.my, profile.cmy].map(toXyz),
+    paper,
+    // Schwarz wirkt als Filter über jeder Primärfarbe
+    blackFilter: black.map((value, i) => value / paper[i])
+  };
+
+  // Tiefster druckbarer Punkt: K 100 plus CMY bis zum Gesamtfarbauftrag
+  const richBlack = (profile.tac - 1) / 3;
+  model.blackPoint = forward(model, [richBlack, richBlack, richBlack, 1]);
+  model.blackPointLab = xyzToLab(model.blackPoint, paper);
+
+  models.set(profile.id, model);
+  return model;
+}
+
+// ============================================
+// DRUCKMODELL
+// ============================================
+
+// Tonwertzunahme als Parabel mit Maximum bei 50 %
+const effectiveDot = (value, tvi) => value + 4 * tvi * value * (1 - value);
+
+/**
+ * CMYK (0–1) → XYZ (D50) nach Yule-Nielsen-Neugebauer
+ */
+function forward(model, [c, m, y, k]) {
+  const { tvi } = model.profile;
+  const [ec, em, ey] = [c, m, y].map(value => effectiveDot(value, tvi.cmy));
+  const ek = effectiveDot(k, tvi.k);
+  const exponent = 1 / YULE_NIELSEN_N;
+  const sum = [0, 0, 0];
+
+  model.primaries.forEach((primary, i) => {
+    const weight = (i & 1 ? ec : 1 - ec) * (i & 2 ? em : 1 - em) * (i & 4 ? ey : 1 - ey);
+    if (weight === 0) return;
+    for (let ch = 0; ch < 3; ch++) {
+      sum[ch] += weight * ((1 - ek) * primary[ch] ** exponent + ek * (primary[ch] * model.blackFilter[ch]) ** exponent);
+    }
+  });
+
+  return sum.map(value => value ** YULE_NIELSEN_N);
+}
+
+// Lab relativ zum Papierweiß (relativ farbmetrisch)
+const modelLab = (model, cmyk) => xyzToLab(forward(model, cmyk), model.paper);
+
+/**
+ * Zielfarbe: sRGB-Weiß → Papierweiß, sRGB-Schwarz → tiefster druckbarer Punkt
+ */
+function targetLab(model, hex) {
+  // Ungültige Werte wie in hexToRgb als Schwarz
+  const xyz = hexToXyzD50(hex) || [0, 0, 0];
+  const mapped = xyz.map((value, i) =>
+    model.blackPoint[i] + (model.paper[i] - model.blackPoint[i]) * value / D50_WHITE[i]
+  );
+  return xyzToLab(mapped, model.paper);
+}
+
+// ============================================
+// SEPARATION
+// ============================================
+
+const clamp = value => Math.min(1, Math.max(0, value));
+
+// Farbauftrag begrenzen: CMY anteilig kürzen, Schwarz bleibt
+function limitInk(model, [c, m, y], k) {
+  const cmy = [c, m, y].map(clamp);
+  const total = cmy[0] + cmy[1] + cmy[2];
+  const available = model.profile.tac - k;
+  return total > available ? cmy.map(value => value * available / total) : cmy;
+}
+
+const labError = (a, b) => [a.L - b.L, a.a - b.a, a.b - b.b];
+
+function solve3(A, v) {
+  const det = m => m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1])
+    - m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0])
+    + m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+  const d = det(A);
+  if (Math.abs(d) < 1e-12) return null;
+  return [0, 1, 2].map(col => det(A.map((row, i) => row.map((value, j) => (j === col ? v[i] : value)))) / d);
+}
+
+/**
+ * CMY bei festem Schwarz so wählen, dass die Zielfarbe möglichst genau
+ * getroffen wird (Levenberg-Marquardt, Grenzen 0–100 % und TAC)
+ */
+function solveCmy(model, target, k, start) {
+  let cmy = limitInk(model, start, k);
+  let residual = labError(modelLab(model, [...cmy, k]), target);
+  let error = residual.reduce((sum, r) => sum + r * r, 0);
+  let lambda = 1e-3;
+  const h = 1e-4;
+
+  for (let iteration = 0; iteration < 60 && error > 1e-6; iteration++) {
+    // Jacobi-Matrix numerisch (Spalten: ∂Lab/∂c, ∂Lab/∂m, ∂Lab/∂y)
+    const J = [0, 1, 2].map(i => {
+      const shifted = [...cmy];
+      shifted[i] = cmy[i] + (cmy[i] + h > 1 ? -h : h);
+      const lab = labError(modelLab(model, [...shifted, k]), target);
+      return lab.map((value, j) => (value - residual[j]) / (shifted[i] - cmy[i]));
+    });
+
+    const JtJ = [0, 1, 2].map(a => [0, 1, 2].map(b =>
+      J[a].reduce((sum, value, j) => sum + value * J[b][j], 0) + (a === b ? lambda : 0)
+    ));
+    const Jtr = [0, 1, 2].map(a => J[a].reduce((sum, value, j) => sum + value * residual[j], 0));
+    const step = solve3(JtJ, Jtr);
+    if (!step) break;
+
+    const candidate = limitInk(model, cmy.map((value, i) => value - step[i]), k);
+    const candidateResidual = labError(modelLab(model, [...candidate, k]), target);
+    const candidateError = candidateResidual.reduce((sum, r) => sum + r * r, 0);
+
+    if (candidateError < error) {
+      const moved = candidate.some((value, i) => Math.abs(value - cmy[i]) > 1e-7);
+      cmy = candidate;
+      residual = candidateResidual;
+      error = candidateError;
+      lambda = Math.max(lambda / 3, 1e-7);
+      if (!moved) break;
+    } else {
+      lambda *= 4;
+      if (lambda > 1e6) break;
+    }
+  }
+
+  return cmy;
+}
+
+/**
+ * Schwarzanteil aus Tiefe und Unbuntheit der Farbe (mittlerer Unbuntaufbau):
+ * helle Farben bleiben bunt, neutrale Tiefen gehen bis K 100
+ */
+function blackGeneration(model, target, chromatic) {
+  const darkness = (100 - target.L) / (100 - model.blackPointLab.L);
+  if (darkness <= GCR_THRESHOLD) return 0;
+
+  const max = Math.max(...chromatic);
+  const neutrality = max > 0 ? Math.min(...chromatic) / max : 0;
+  return Math.min(1, ((darkness - GCR_THRESHOLD) / (1 - GCR_THRESHOLD)) ** 1.2 * neutrality);
+}
+
+/**
+ * Farbe gegen ein Druckprofil separieren
+ * @param {string} hex - sRGB-Farbe
+ * @param {string} profileId - Schlüssel aus PRINT_PROFILES
+ * @returns {{ c, m, y, k, deltaE: number, inGamut: boolean }} Prozentwerte + Abweichung
+ */
+export function hexToCmyk(hex, profileId = DEFAULT_PRINT_PROFILE) {
+  const model = getModel(profileId);
+  const target = targetLab(model, hex);
+
+  // Startwert: naive Umrechnung ohne Schwarz
+  const start = hexToRgb(hex).map(value => 1 - value / 255);
+
+  // Erst rein bunt aufbauen, dann den Grauanteil durch Schwarz ersetzen
+  const chromatic = solveCmy(model, target, 0, start);
+  const k = blackGeneration(model, target, chromatic);
+  const cmy = k > 0
+    ? solveCmy(model, target, k, chromatic.map(value => value * (1 - k)))
+    : chromatic;
+
+  const [c, m, y, black] = [...cmy, k].map(value => Math.round(value * 100));
+  const deltaE = deltaE2000Lab(target, modelLab(model, [c / 100, m / 100, y / 100, black / 100]));
+
+  return {
+    c, m, y, k: black,
+    deltaE: Math.round(deltaE * 10) / 10,
+    inGamut: deltaE <= DELTA_E_JND
+  };
+}
+
+/**
+ * Unbunte Farben nur aus Schwarz aufbauen – für Text und feine Linien,
+ * die sonst in vier Auszügen passgenau übereinander liegen müssten.
+ * Tiefer als K 100 geht es dabei nicht.
+ */
+export function hexToBlack(hex, profileId = DEFAULT_PRINT_PROFILE) {
+  const model = getModel(profileId);
+  const target = targetLab(model, hex);
+
+  // Schwarzanteil per Bisektion auf die Helligkeit der Zielfarbe
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 20; i++) {
+    const mid = (low + high) / 2;
+    if (modelLab(model, [0, 0, 0, mid]).L > target.L) low = mid;
+    else high = mid;
+  }
+
+  const k = Math.round(high * 100);
+  const deltaE = deltaE2000Lab(target, modelLab(model, [0, 0, 0, k / 100]));
+  return { c: 0, m: 0, y: 0, k, deltaE: Math.round(deltaE * 10) / 10, inGamut: deltaE <= DELTA_E_JND };
+}
+
+/**
+ * Separation für alle Profile: { fogra39: {...}, 'pso-coated-v3': {...}, ... }
+ */
+export function hexToCmykProfiles(hex) {
+  return Object.fromEntries(Object.keys(PRINT_PROFILES).map(id => [id, hexToCmyk(hex, id)]));
+}
+
+export function formatCmyk({ c, m, y, k }) {
+  return `C${c} M${m} Y${y} K${k}`;
+}
+
+export default { PRINT_PROFILES, DEFAULT_PRINT_PROFILE, CMYK_APPROXIMATION_NOTE, hexToCmyk, hexToBlack, hexToCmykProfiles, formatCmyk };
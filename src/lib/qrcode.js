@@ -1,43 +1,733 @@
 // ============================================
 // QR CODE GENERATOR
 // ============================================
+import { getContrastRatio, getLuminance } from './accessibility.js';
+import { hexToRgb } from './color.js';
+import { getCachedAssetUrl } from './assetStore.js';
+
+// Encoder nach ISO/IEC 18004: Versionen 1–40, Modi Numerisch, Alphanumerisch
+// und Byte (UTF-8), Fehlerkorrektur L/M/Q/H mit Reed-Solomon über GF(256),
+// Format-/Versionsinformation und Maskenwahl nach den Strafpunktregeln.
+// Der Modus wird für den ganzen Text gewählt (kein Mischen von Segmenten),
+// UTF-8 wird ohne ECI-Kennung geschrieben – das lesen alle gängigen Scanner.
+
+export const QR_EC_LEVELS = {
+  L: { id: 'L', name: 'L (~7 %)', formatBits: 1, index: 0 },
+  M: { id: 'M', name: 'M (~15 %)', formatBits: 0, index: 1 },
+  Q: { id: 'Q', name: 'Q (~25 %)', formatBits: 3, index: 2 },
+  H: { id: 'H', name: 'H (~30 %)', formatBits: 2, index: 3 }
+};
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Fehlerkorrektur-Codewörter je Block [L, M, Q, H][Version]
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Anzahl der Fehlerkorrektur-Blöcke [L, M, Q, H][Version]
+const ECC_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// Modusindikator und Länge des Zeichenzählers je Versionsbereich (1–9, 10–26, 27–40)
+const QR_MODES = {
+  numeric: { indicator: 0x1, countBits: [10, 12, 14], test: (text) => /^[0-9]*$/.test(text) },
+  alphanumeric: { indicator: 0x2, countBits: [9, 11, 13], test: (text) => [...text].every(c => ALPHANUMERIC_CHARSET.includes(c)) },
+  byte: { indicator: 0x4, countBits: [8, 16, 16], test: () => true }
+};
+
+// Strafpunkte für die Maskenwahl
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER = 40;
+const PENALTY_BALANCE = 10;
+
+// ============================================
+// BITSTROM
+// ============================================
+
+function appendBits(bits, value, length) {
+  for (let i = length - 1; i >= 0; i--) {
+    bits.push((value >>> i) & 1);
+  }
+}
+
+function countBitsFor(mode, version) {
+  return QR_MODES[mode].countBits[version <= 9 ? 0 : version <= 26 ? 1 : 2];
+}
+
+/**
+ * Kompaktester Modus, in dem sich der ganze Text darstellen lässt
+ */
+function selectMode(text) {
+  return ['numeric', 'alphanumeric'].find(mode => QR_MODES[mode].test(text)) || 'byte';
+}
+
+/**
+ * Nutzdaten ohne Modusindikator und Zeichenzähler
+ * @returns {{ bits: number[], count: number }} count: Zeichen bzw. Bytes
+ */
+function encodePayload(text, mode) {
+  const bits = [];
+
+  if (mode === 'numeric') {
+    for (let i = 0; i < text.length; i += 3) {
+      const group = text.slice(i, i + 3);
+      appendBits(bits, parseInt(group, 10), group.length * 3 + 1);
+    }
+    return { bits, count: text.length };
+  }
+
+  if (mode === 'alphanumeric') {
+    for (let i = 0; i < text.length; i += 2) {
+      const first = ALPHANUMERIC_CHARSET.indexOf(text[i]);
+      if (i + 1 < text.length) {
+        appendBits(bits, first * 45 + ALPHANUMERIC_CHARSET.indexOf(text[i + 1]), 11);
+      } else {
+        appendBits(bits, first, 6);
+      }
+    }
+    return { bits, count: text.length };
+  }
+
+  const bytes = new TextEncoder().encode(text);
+  bytes.forEach(byte => appendBits(bits, byte, 8));
+  return { bits, count: bytes.length };
+}
+
+// ============================================
+// VERSION & KAPAZITÄT
+// ============================================
+
+/**
+ * Module für Daten und Fehlerkorrektur (ohne Funktionsmuster)
+ */
+function getRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const alignCount = Math.floor(version / 7) + 2;
+    result -= (25 * alignCount - 10) * alignCount - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function getDataCodewords(version, ecLevel) {
+  const { index } = QR_EC_LEVELS[ecLevel];
+  return Math.floor(getRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[index][version] * ECC_BLOCKS[index][version];
+}
+
+/**
+ * Mittelpunkte der Ausrichtungsmuster (Zeilen und Spalten identisch)
+ */
+function getAlignmentPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const positions = [6];
+  for (let pos = size - 7; positions.length < count; pos -= step) {
+    positions.splice(1, 0, pos);
+  }
+  return positions;
+}
+
+// ============================================
+// REED-SOLOMON (GF(256), Polynom 0x11D)
+// ============================================
+
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11D);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Generatorpolynom vom Grad degree (Koeffizienten ohne führende 1)
+ */
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+/**
+ * Teilt die Daten in Blöcke, ergänzt die Fehlerkorrektur und verschränkt alles
+ */
+function addErrorCorrection(data, version, ecLevel) {
+  const { index } = QR_EC_LEVELS[ecLevel];
+  const blockCount = ECC_BLOCKS[index][version];
+  const eccLength = ECC_CODEWORDS_PER_BLOCK[index][version];
+  const rawCodewords = Math.floor(getRawDataModules(version) / 8);
+  const shortBlockCount = blockCount - rawCodewords % blockCount;
+  const shortBlockLength = Math.floor(rawCodewords / blockCount);
+  const divisor = reedSolomonDivisor(eccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const length = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+    const blockData = data.slice(offset, offset + length);
+    offset += length;
+    blocks.push({ data: blockData, ecc: reedSolomonRemainder(blockData, divisor) });
+  }
+
+  // Erst alle Datencodewörter spaltenweise, dann die Fehlerkorrektur
+  const result = [];
+  const maxDataLength = blocks[blocks.length - 1].data.length;
+  for (let i = 0; i < maxDataLength; i++) {
+    blocks.forEach(block => {
+      if (i < block.data.length) result.push(block.data[i]);
+    });
+  }
+  for (let i = 0; i < eccLength; i++) {
+    blocks.forEach(block => result.push(block.ecc[i]));
+  }
+  return result;
+}
+
+// ============================================
+// MATRIX
+// ============================================
+
+function createGrid(size, value) {
+  return Array.from({ length: size }, () => new Array(size).fill(value));
+}
+
+/**
+ * Finder-, Timing- und Ausrichtungsmuster; reserviert Format- und Versionsbereiche
+ */
+function drawFunctionPatterns(version) {
+  const size = version * 4 + 17;
+  const modules = createGrid(size, false);
+  const isFunction = createGrid(size, false);
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+
+  // Finder inkl. hellem Separator
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || x >= size || y < 0 || y >= size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        set(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  }
+
+  // Ausrichtungsmuster (nicht über den Findern)
+  const positions = getAlignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Platzhalter, die Inhalte folgen nach der Maskenwahl
+  drawFormatBits({ modules, isFunction, size }, 'L', 0);
+  drawVersionBits({ modules, isFunction, size }, version);
+
+  return { modules, isFunction, size };
+}
+
+/**
+ * 15 Bit Formatinformation (Fehlerkorrektur + Maske, BCH-geschützt), zweifach
+ */
+function drawFormatBits({ modules, isFunction, size }, ecLevel, mask) {
+  const data = (QR_EC_LEVELS[ecLevel].formatBits << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  }
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+  const bit = (i) => ((bits >>> i) & 1) === 1;
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Um den Finder oben links
+  for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+  set(8, 7, bit(6));
+  set(8, 8, bit(7));
+  set(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+
+  // Kopie an den beiden anderen Findern
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+  set(8, size - 8, true); // Dunkles Modul
+}
+
+/**
+ * 18 Bit Versionsinformation (ab Version 7, BCH-geschützt)
+ */
+function drawVersionBits({ modules, isFunction, size }, version) {
+  if (version < 7) return;
+  let remainder = version;
+  for (let i = 0; i < 12; i++) {
+    remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+  }
+  const bits = (version << 12) | remainder;
+
+  for (let i = 0; i < 18; i++) {
+    const dark = ((bits >>> i) & 1) === 1;
+    const a = size - 11 + (i % 3);
+    const b = Math.floor(i / 3);
+    modules[b][a] = dark;
+    modules[a][b] = dark;
+    isFunction[b][a] = true;
+    isFunction[a][b] = true;
+  }
+}
+
+/**
+ * Codewörter im Zickzack von unten rechts in Doppelspalten einsetzen
+ */
+function placeCodewords({ modules, isFunction, size }, codewords) {
+  let i = 0;
+  const total = codewords.length * 8;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // Timing-Spalte überspringen
+    const upward = ((right + 1) & 2) === 0;
+    for (let step = 0; step < size; step++) {
+      const y = upward ? size - 1 - step : step;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (isFunction[y][x] || i >= total) continue;
+        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+        i++;
+      }
+    }
+  }
+}
+
+const MASK_PATTERNS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+function applyMask({ modules, isFunction, size }, mask) {
+  const pattern = MASK_PATTERNS[mask];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && pattern(x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+// Finder-ähnliche Folge 1:1:3:1:1 mit vier hellen Modulen davor oder danach
+const FINDER_LIKE = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+
+function linePenalty(line) {
+  let penalty = 0;
+
+  // Regel 1: fünf und mehr gleichfarbige Module in Folge
+  let run = 1;
+  for (let i = 1; i <= line.length; i++) {
+    if (i < line.length && line[i] === line[i - 1]) {
+      run++;
+    } else {
+      if (run >= 5) penalty += PENALTY_RUN + run - 5;
+      run = 1;
+    }
+  }
+
+  // Regel 3: Finder-ähnliche Muster (Ruhezone zählt als hell)
+  const padded = [0, 0, 0, 0, ...line.map(Number), 0, 0, 0, 0];
+  for (let i = 0; i + 11 <= padded.length; i++) {
+    if (FINDER_LIKE.some(pattern => pattern.every((value, k) => padded[i + k] === value))) {
+      penalty += PENALTY_FINDER;
+    }
+  }
+  return penalty;
+}
+
+/**
+ * Strafpunkte einer maskierten Matrix nach den vier Regeln der Norm
+ */
+function getPenalty(modules) {
+  const size = modules.length;
+  let penalty = 0;
+  let dark = 0;
+
+  for (let i = 0; i < size; i++) {
+    penalty += linePenalty(modules[i]);
+    penalty += linePenalty(modules.map(row => row[i]));
+  }
+
+  // Regel 2: gleichfarbige 2×2-Blöcke
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const color = modules[y][x];
+      if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+        penalty += PENALTY_BLOCK;
+      }
+    }
+  }
+
+  // Regel 4: Abweichung vom 50-%-Anteil dunkler Module
+  modules.forEach(row => row.forEach(module => { if (module) dark++; }));
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_BALANCE;
+
+  return penalty;
+}
+
+// ============================================
+// ENCODER
+// ============================================
+
+/**
+ * Kodiert Text als QR-Code
+ * @param {string} text
+ * @param {Object} options - { ecLevel: 'L'|'M'|'Q'|'H', minVersion, maxVersion, mask: 0–7 (sonst automatisch) }
+ * @returns {Object} { version, size, ecLevel, mode, mask, modules: boolean[][] } (modules[Zeile][Spalte], true = dunkel)
+ */
+export function encodeQR(text, options = {}) {
+  const {
+    ecLevel = 'M',
+    minVersion = MIN_VERSION,
+    maxVersion = MAX_VERSION,
+    mask = null
+  } = options;
+  if (!QR_EC_LEVELS[ecLevel]) {
+    throw new Error(`Unbekannte Fehlerkorrektur-Stufe: ${ecLevel}`);
+  }
+
+  text = String(text ?? '');
+  const mode = selectMode(text);
+  const payload = encodePayload(text, mode);
+
+  // Kleinste Version, in die die Daten passen
+  let version = Math.max(MIN_VERSION, minVersion);
+  const usedBits = (v) => 4 + countBitsFor(mode, v) + payload.bits.length;
+  while (
+    version <= Math.min(MAX_VERSION, maxVersion) &&
+    (usedBits(version) > getDataCodewords(version, ecLevel) * 8 || payload.count >= 2 ** countBitsFor(mode, version))
+  ) {
+    version++;
+  }
+  if (version > Math.min(MAX_VERSION, maxVersion)) {
+    throw new Error(`Text zu lang für einen QR-Code (Fehlerkorrektur ${ecLevel}, max. Version ${Math.min(MAX_VERSION, maxVersion)})`);
+  }
+
+  // Bitstrom: Modus, Zeichenzähler, Daten, Endekennung, Füllbytes
+  const capacity = getDataCodewords(version, ecLevel) * 8;
+  const bits = [];
+  appendBits(bits, QR_MODES[mode].indicator, 4);
+  appendBits(bits, payload.count, countBitsFor(mode, version));
+  bits.push(...payload.bits);
+  appendBits(bits, 0, Math.min(4, capacity - bits.length));
+  appendBits(bits, 0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+    appendBits(bits, pad, 8);
+  }
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  const matrix = drawFunctionPatterns(version);
+  placeCodewords(matrix, addErrorCorrection(data, version, ecLevel));
+
+  // Maske mit den wenigsten Strafpunkten (oder vorgegeben)
+  let chosenMask = mask;
+  if (chosenMask === null || chosenMask === undefined) {
+    let lowest = Infinity;
+    for (let candidate = 0; candidate < MASK_PATTERNS.length; candidate++) {
+      applyMask(matrix, candidate);
+      drawFormatBits(matrix, ecLevel, candidate);
+      const penalty = getPenalty(matrix.modules);
+      if (penalty < lowest) {
+        lowest = penalty;
+        chosenMask = candidate;
+      }
+      applyMask(matrix, candidate); // XOR: zurücksetzen
+    }
+  }
+  applyMask(matrix, chosenMask);
+  drawFormatBits(matrix, ecLevel, chosenMask);
+
+  return { version, size: matrix.size, ecLevel, mode, mask: chosenMask, modules: matrix.modules };
+}
 
 /**
- * Generiert einen QR-Code als SVG
- * Basiert auf einer einfachen QR-Code Matrix Implementierung
+ * QR-Matrix (true = dunkel) für einen Text
+ */
+export function generateQRMatrix(text, options = {}) {
+  return encodeQR(text, options).modules;
+}
+
+// ============================================
+// AUSGABE
+// ============================================
+
+export const QR_MODULE_SHAPES = {
+  square: { id: 'square', name: 'Quadrate' },
+  rounded: { id: 'rounded', name: 'Abgerundet' },
+  dots: { id: 'dots', name: 'Punkte' }
+};
+
+const FINDER_SIZE = 7;
+const ROUNDED_RADIUS = 0.3;
+const DOT_RADIUS = 0.42;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Rechteck mit abgerundeten Ecken als SVG-Pfad
+ * counterClockwise: Gegenrichtung, damit der Pfad als Loch ausgespart wird (Nonzero-Regel)
+ */
+function roundedRectPath(x, y, width, height, radius, counterClockwise = false) {
+  const r = round(Math.min(radius, width / 2, height / 2));
+  const [x0, y0, x1, y1] = [x, y, x + width, y + height].map(round);
+  if (r === 0) {
+    return counterClockwise
+      ? `M${x0} ${y0}V${y1}H${x1}V${y0}Z`
+      : `M${x0} ${y0}H${x1}V${y1}H${x0}Z`;
+  }
+  const arc = (toX, toY) => `A${r} ${r} 0 0 ${counterClockwise ? 0 : 1} ${round(toX)} ${round(toY)}`;
+  return counterClockwise
+    ? `M${round(x0 + r)} ${y0}${arc(x0, y0 + r)}V${round(y1 - r)}${arc(x0 + r, y1)}H${round(x1 - r)}${arc(x1, y1 - r)}V${round(y0 + r)}${arc(x1 - r, y0)}Z`
+    : `M${round(x0 + r)} ${y0}H${round(x1 - r)}${arc(x1, y0 + r)}V${round(y1 - r)}${arc(x1 - r, y1)}H${round(x0 + r)}${arc(x0, y1 - r)}V${round(y0 + r)}${arc(x0 + r, y0)}Z`;
+}
+
+function isFinderModule(x, y, size) {
+  return (x < FINDER_SIZE && y < FINDER_SIZE) ||
+    (x >= size - FINDER_SIZE && y < FINDER_SIZE) ||
+    (x < FINDER_SIZE && y >= size - FINDER_SIZE);
+}
+
+/**
+ * Dunkle Module als SVG-Pfad in Moduleinheiten (Ursprung oben links)
+ * Waagrechte Folgen werden zu einem Rechteck zusammengefasst
+ * @param {boolean[][]} modules
+ * @param {number} margin - Ruhezone in Modulen
+ */
+export function qrToSvgPath(modules, margin = 0) {
+  return getQRPaths(modules, { margin }).modules;
+}
+
+/**
+ * SVG-Pfade für Datenmodule und Finder getrennt (eigene Farbe für die Finder)
+ * @param {boolean[][]} modules
+ * @param {Object} options - { margin (Module), shape: 'square'|'rounded'|'dots', separateFinders }
+ * @returns {{ modules: string, finders: string }} finders ist leer, wenn nicht getrennt
+ */
+export function getQRPaths(modules, { margin = 0, shape = 'square', separateFinders = false } = {}) {
+  const size = modules.length;
+  const skip = (x, y) => separateFinders && isFinderModule(x, y, size);
+  const parts = [];
+
+  modules.forEach((row, y) => {
+    for (let x = 0; x < row.length; x++) {
+      if (!row[x] || skip(x, y)) continue;
+      if (shape === 'dots') {
+        const cx = round(x + margin + 0.5 - DOT_RADIUS);
+        const cy = round(y + margin + 0.5);
+        parts.push(`M${cx} ${cy}a${DOT_RADIUS} ${DOT_RADIUS} 0 1 0 ${DOT_RADIUS * 2} 0a${DOT_RADIUS} ${DOT_RADIUS} 0 1 0 ${-DOT_RADIUS * 2} 0z`);
+      } else if (shape === 'rounded') {
+        parts.push(roundedRectPath(x + margin, y + margin, 1, 1, ROUNDED_RADIUS));
+      } else {
+        const start = x;
+        while (x + 1 < row.length && row[x + 1] && !skip(x + 1, y)) x++;
+        parts.push(`M${start + margin} ${y + margin}h${x - start + 1}v1h${start - x - 1}z`);
+      }
+    }
+  });
+
+  // Finder: Rahmen 7×7 mit Loch 5×5 und Kern 3×3
+  const finders = [];
+  if (separateFinders) {
+    const radius = shape === 'square' ? 0 : 2;
+    for (const [fx, fy] of [[0, 0], [size - FINDER_SIZE, 0], [0, size - FINDER_SIZE]]) {
+      const x = fx + margin;
+      const y = fy + margin;
+      finders.push(
+        roundedRectPath(x, y, 7, 7, radius),
+        roundedRectPath(x + 1, y + 1, 5, 5, radius * 0.75, true),
+        roundedRectPath(x + 2, y + 2, 3, 3, shape === 'dots' ? 1.5 : radius * 0.5)
+      );
+    }
+  }
+
+  return { modules: parts.join(''), finders: finders.join('') };
+}
+
+// ============================================
+// MARKEN-STIL & KONTRAST
+// ============================================
+// Scanner brauchen dunkle Module auf hellem Grund mit deutlichem Abstand.
+// Helle Module auf dunklem Grund (invertiert) lesen viele Kamera-Apps nicht.
+
+export const MIN_QR_CONTRAST = 4;
+
+// Logo-Kachel als Anteil der Code-Breite; bei H bleiben ~30 % rekonstruierbar
+const DEFAULT_LOGO_SIZE = 0.22;
+const MAX_LOGO_SIZE = 0.3;
+
+/**
+ * Prüft, ob eine Farbkombination für Scanner lesbar ist
+ * @returns {{ ratio: number, inverted: boolean, pass: boolean }}
+ */
+export function checkQRContrast(darkColor, lightColor) {
+  const ratio = getContrastRatio(darkColor, lightColor);
+  const inverted = getLuminance(hexToRgb(darkColor)) > getLuminance(hexToRgb(lightColor));
+  return { ratio: Math.round(ratio * 100) / 100, inverted, pass: !inverted && ratio >= MIN_QR_CONTRAST };
+}
+
+/**
+ * Wirft einen Fehler, wenn Scanner die Kombination nicht lesen können
+ */
+export function assertQRContrast(darkColor, lightColor, label = 'Module') {
+  const { ratio, inverted, pass } = checkQRContrast(darkColor, lightColor);
+  if (pass) return;
+  if (inverted) {
+    throw new Error(`QR-Code nicht lesbar: ${label} (${darkColor}) sind heller als der Hintergrund (${lightColor})`);
+  }
+  throw new Error(`QR-Code nicht lesbar: ${label} (${darkColor}) auf ${lightColor} haben nur einen Kontrast von ${ratio.toFixed(1)}:1 (mindestens ${MIN_QR_CONTRAST}:1)`);
+}
+
+/**
+ * Lesbare QR-Farben aus Markenfarben: Module in Primär-, Finder in Sekundärfarbe,
+ * sonst die nächste Farbe mit genug Kontrast (Textfarbe, Schwarz)
+ * @param {Object} colors - { primary, secondary, text, background } als Hex
+ * @returns {{ darkColor, finderColor, lightColor }}
+ */
+export function getQRColors(colors = {}) {
+  const lightColor = colors.background && checkQRContrast('#000000', colors.background).pass
+    ? colors.background
+    : '#ffffff';
+  const pick = (...candidates) => (
+    candidates.find(color => color && checkQRContrast(color, lightColor).pass) || '#000000'
+  );
+  const darkColor = pick(colors.primary, colors.text);
+  return { darkColor, finderColor: pick(colors.secondary, darkColor), lightColor };
+}
+
+/**
+ * Stil-Optionen für einen QR-Code in Markenfarben (für generateQRCode)
+ * Das Marken-Logo sitzt mittig (erzwingt Stufe H); Asset-Referenzen werden
+ * über den Cache des Asset Stores aufgelöst – ist das Logo noch nicht
+ * geladen, übergibt der Aufrufer die URL (options.logo), logo: null = ohne
+ */
+export function getBrandQRStyle(brand, overrides = {}) {
+  return {
+    ...getQRColors(brand.colors),
+    moduleShape: 'rounded',
+    logo: getCachedAssetUrl(brand.logo),
+    ...overrides
+  };
+}
+
+/**
+ * Logo-Kachel in Moduleinheiten, mittig und auf ganze Module ausgerichtet
+ */
+export function getQRLogoArea(qrSize, margin = 0, logoSize = DEFAULT_LOGO_SIZE) {
+  let size = Math.ceil(qrSize * Math.min(logoSize, MAX_LOGO_SIZE));
+  if (size % 2 !== qrSize % 2) size++;
+  const offset = margin + (qrSize - size) / 2;
+  return { x: offset, y: offset, size };
+}
+
+/**
+ * Generiert einen QR-Code als SVG (Vektor, skaliert verlustfrei)
+ * options: size (px), darkColor, lightColor, margin (Ruhezone in Modulen, Norm: 4), ecLevel
+ *   Marken-Stil: finderColor, moduleShape ('square'|'rounded'|'dots'),
+ *   logo (URL, erzwingt Fehlerkorrektur H), logoSize (Anteil der Breite, max. 0.3)
+ * Wirft einen Fehler, wenn die Farben für Scanner zu wenig Kontrast haben
  */
 export function generateQRCode(text, options = {}) {
   const {
     size = 200,
     darkColor = '#000000',
     lightColor = '#ffffff',
-    margin = 4
+    margin = 4,
+    finderColor = null,
+    moduleShape = 'square',
+    logo = null,
+    logoSize = DEFAULT_LOGO_SIZE,
+    ...encodeOptions
   } = options;
 
-  // Für komplexe QR-Codes würde man normalerweise eine Library nutzen
-  // Hier generieren wir einen vereinfachten QR-Code-ähnlichen Pattern
-  // In Produktion: qrcode oder qr.js Library verwenden
-  
-  const matrix = generateQRMatrix(text);
-  const moduleCount = matrix.length;
-  const moduleSize = (size - margin * 2) / moduleCount;
-  
-  let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">`;
-  
-  // Hintergrund
-  svg += `<rect width="${size}" height="${size}" fill="${lightColor}"/>`;
-  
-  // Module zeichnen
-  for (let row = 0; row < moduleCount; row++) {
-    for (let col = 0; col < moduleCount; col++) {
-      if (matrix[row][col]) {
-        const x = margin + col * moduleSize;
-        const y = margin + row * moduleSize;
-        svg += `<rect x="${x}" y="${y}" width="${moduleSize}" height="${moduleSize}" fill="${darkColor}"/>`;
-      }
-    }
+  assertQRContrast(darkColor, lightColor);
+  if (finderColor) assertQRContrast(finderColor, lightColor, 'Positionsmarken');
+
+  const qr = encodeQR(text, logo ? { ...encodeOptions, ecLevel: 'H' } : encodeOptions);
+  const total = qr.size + 2 * margin;
+  const separateFinders = Boolean(finderColor) || moduleShape !== 'square';
+  const paths = getQRPaths(qr.modules, { margin, shape: moduleShape, separateFinders });
+
+  let svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${total} ${total}"${moduleShape === 'square' ? ' shape-rendering="crispEdges"' : ''}>`;
+  svg += `<rect width="${total}" height="${total}" fill="${lightColor}"/>`;
+  svg += `<path d="${paths.modules}" fill="${darkColor}"/>`;
+  if (paths.finders) {
+    svg += `<path d="${paths.finders}" fill="${finderColor || darkColor}"/>`;
   }
-  
+
+  // Logo auf heller Kachel; die verdeckten Module gleicht Stufe H aus
+  if (logo) {
+    const area = getQRLogoArea(qr.size, margin, logoSize);
+    svg += `<rect x="${area.x}" y="${area.y}" width="${area.size}" height="${area.size}" rx="${moduleShape === 'square' ? 0 : 1}" fill="${lightColor}"/>`;
+    svg += `<image href="${logo}" x="${area.x + 0.5}" y="${area.y + 0.5}" width="${area.size - 1}" height="${area.size - 1}" preserveAspectRatio="xMidYMid meet"/>`;
+  }
+
   svg += '</svg>';
   return svg;
 }
@@ -81,158 +771,248 @@ export async function generateQRCodePng(text, options = {}) {
   return canvas.toDataURL('image/png');
 }
 
+// ============================================
+// INHALTE (Payloads)
+// ============================================
+// Jeder Typ beschreibt seine Eingabefelder, prüft sie (validate → { feld: Meldung })
+// und baut daraus den Text im Format, das Kamera- und Banking-Apps erwarten.
+
+// IBAN-Längen der SEPA-Länder (EPC-QR ist nur für SEPA-Überweisungen definiert)
+const SEPA_IBAN_LENGTHS = {
+  AD: 24, AT: 20, BE: 16, BG: 22, CH: 21, CY: 28, CZ: 24, DE: 22, DK: 18, EE: 20,
+  ES: 24, FI: 18, FR: 27, GB: 22, GI: 23, GR: 27, HR: 21, HU: 28, IE: 22, IS: 26,
+  IT: 27, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MT: 31, NL: 18, NO: 15, PL: 28,
+  PT: 25, RO: 24, SE: 24, SI: 19, SK: 24, SM: 27, VA: 22
+};
+
+// EPC069-12: Betrag 0,01 bis 999.999.999,99 EUR, Nutzdaten max. 331 Byte, Version ≤ 13
+const EPC_MIN_AMOUNT = 0.01;
+const EPC_MAX_AMOUNT = 999999999.99;
+const EPC_MAX_BYTES = 331;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()/-]{2,}$/;
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+const byteLength = (text) => new TextEncoder().encode(text).length;
+
+// Sonderzeichen maskieren: WIFI (\ ; , : ") und iCalendar/vCard (\ ; , Zeilenumbruch)
+const escapeWifi = (value = '') => String(value).replace(/([\\;,:"])/g, '\\$1');
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/([;,])/g, '\\$1')
+  .replace(/\r?\n/g, '\\n');
+
 /**
- * Vereinfachte QR-Matrix Generierung
- * Für echte QR-Codes sollte eine Library wie 'qrcode' verwendet werden
+ * Mod-97-Rest einer Ziffernfolge mit Buchstaben (A = 10 … Z = 35)
  */
-function generateQRMatrix(text) {
-  // Bestimme Größe basierend auf Textlänge
-  const baseSize = 21; // QR Version 1
-  const extraModules = Math.ceil(text.length / 10) * 4;
-  const size = Math.min(baseSize + extraModules, 41); // Max Version 6
-  
-  // Matrix initialisieren
-  const matrix = Array(size).fill(null).map(() => Array(size).fill(false));
-  
-  // Finder Patterns (die drei großen Quadrate in den Ecken)
-  addFinderPattern(matrix, 0, 0);
-  addFinderPattern(matrix, size - 7, 0);
-  addFinderPattern(matrix, 0, size - 7);
-  
-  // Timing Patterns
-  for (let i = 8; i < size - 8; i++) {
-    matrix[6][i] = i % 2 === 0;
-    matrix[i][6] = i % 2 === 0;
-  }
-  
-  // Daten encodieren (vereinfacht)
-  const dataArea = getDataArea(matrix, size);
-  const binaryData = textToBinary(text);
-  
-  let dataIndex = 0;
-  for (const [row, col] of dataArea) {
-    if (dataIndex < binaryData.length) {
-      matrix[row][col] = binaryData[dataIndex] === '1';
-      dataIndex++;
-    } else {
-      // Padding mit Muster
-      matrix[row][col] = (row + col) % 3 === 0;
+function mod97(value) {
+  let remainder = 0;
+  for (const char of value) {
+    const digits = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of digits) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
     }
   }
-  
-  return matrix;
+  return remainder;
 }
 
+export const normalizeIban = (value = '') => String(value).replace(/\s+/g, '').toUpperCase();
+
 /**
- * Fügt ein Finder Pattern (7x7 Quadrat) hinzu
+ * Prüft eine IBAN (SEPA-Land, Länge, Prüfziffer)
+ * @returns {string|null} Fehlermeldung oder null
  */
-function addFinderPattern(matrix, startRow, startCol) {
-  for (let row = 0; row < 7; row++) {
-    for (let col = 0; col < 7; col++) {
-      const isOuter = row === 0 || row === 6 || col === 0 || col === 6;
-      const isInner = row >= 2 && row <= 4 && col >= 2 && col <= 4;
-      matrix[startRow + row][startCol + col] = isOuter || isInner;
-    }
-  }
-  
-  // Separator (weiße Linie um Finder Pattern)
-  for (let i = 0; i < 8; i++) {
-    if (startRow + 7 < matrix.length) matrix[startRow + 7][startCol + i] = false;
-    if (startCol + 7 < matrix.length) matrix[startRow + i][startCol + 7] = false;
-  }
+export function validateIban(value) {
+  const iban = normalizeIban(value);
+  if (!/^[A-Z]{2}[0-9]{2}[A-Z0-9]+$/.test(iban)) return 'Ungültiges IBAN-Format';
+  const length = SEPA_IBAN_LENGTHS[iban.slice(0, 2)];
+  if (!length) return `Land ${iban.slice(0, 2)} gehört nicht zum SEPA-Raum`;
+  if (iban.length !== length) return `IBAN für ${iban.slice(0, 2)} muss ${length} Zeichen lang sein`;
+  if (mod97(iban.slice(4) + iban.slice(0, 4)) !== 1) return 'IBAN-Prüfziffer stimmt nicht';
+  return null;
 }
 
 /**
- * Ermittelt verfügbare Datenbereiche
+ * Prüft einen BIC (8 oder 11 Zeichen)
  */
-function getDataArea(matrix, size) {
-  const dataPositions = [];
-  
-  for (let col = size - 1; col >= 0; col -= 2) {
-    if (col === 6) col = 5; // Skip timing pattern
-    
-    for (let row = 0; row < size; row++) {
-      for (let c = 0; c < 2; c++) {
-        const currentCol = col - c;
-        if (currentCol >= 0 && !isReserved(row, currentCol, size)) {
-          dataPositions.push([row, currentCol]);
-        }
-      }
-    }
-  }
-  
-  return dataPositions;
+export function validateBic(value) {
+  const bic = String(value || '').replace(/\s+/g, '').toUpperCase();
+  if (!/^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/.test(bic)) return 'Ungültiger BIC (8 oder 11 Zeichen, z.B. COBADEFFXXX)';
+  if (!SEPA_IBAN_LENGTHS[bic.slice(4, 6)]) return `Land ${bic.slice(4, 6)} im BIC gehört nicht zum SEPA-Raum`;
+  return null;
 }
 
 /**
- * Prüft ob Position reserviert ist (Finder Pattern etc.)
+ * Betrag aus Eingabe ("1.234,50", "12.5") in Euro
+ * @returns {number|null} null bei ungültiger Eingabe
  */
-function isReserved(row, col, size) {
-  // Finder Patterns + Separator
-  if (row < 9 && col < 9) return true;
-  if (row < 9 && col >= size - 8) return true;
-  if (row >= size - 8 && col < 9) return true;
-  
-  // Timing Patterns
-  if (row === 6 || col === 6) return true;
-  
-  return false;
+export function parseAmount(value) {
+  let text = String(value ?? '').replace(/\s|€|EUR/gi, '');
+  // Deutsches Format: Punkt als Tausender-, Komma als Dezimaltrennzeichen
+  if (text.includes(',')) text = text.replace(/\./g, '').replace(',', '.');
+  else if (/^\d{1,3}(\.\d{3})+$/.test(text)) text = text.replace(/\./g, '');
+  if (!/^\d+(\.\d{1,2})?$/.test(text)) return null;
+  return Number(text);
 }
 
 /**
- * Konvertiert Text zu Binärstring
+ * Strukturierte Gläubigerreferenz nach ISO 11649 (z.B. RF18 5390 0754 7034)
  */
-function textToBinary(text) {
-  return text.split('').map(char => 
-    char.charCodeAt(0).toString(2).padStart(8, '0')
-  ).join('');
+function isCreditorReference(value) {
+  const reference = String(value || '').replace(/\s+/g, '').toUpperCase();
+  return /^RF[0-9]{2}[A-Z0-9]{1,21}$/.test(reference) && mod97(reference.slice(4) + reference.slice(0, 4)) === 1;
+}
+
+function parseCoordinate(value) {
+  const number = Number(String(value ?? '').trim().replace(',', '.'));
+  return String(value ?? '').trim() === '' || Number.isNaN(number) ? null : number;
+}
+
+// Datum aus <input type="datetime-local"> → iCalendar (lokale, "floating" Zeit)
+function toIcsDate(value, allDay) {
+  const [date, time = '00:00'] = String(value).split('T');
+  const compact = date.replace(/-/g, '');
+  return allDay ? compact : `${compact}T${time.replace(/:/g, '').padEnd(6, '0').slice(0, 6)}`;
+}
+
+function nextDay(value) {
+  const [year, month, day] = String(value).split('T')[0].split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day + 1));
+  return date.toISOString().slice(0, 10);
+}
+
+// Zeitstempel in UTC (DTSTAMP), z.B. 20260619T143000Z
+function toIcsTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+// Eindeutige Kennung pro Termin (UID), damit Kalender Einträge nicht zusammenlegen
+function createEventUid() {
+  const random = globalThis.crypto?.randomUUID?.()
+    || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+  return `${random}@brand-engine`;
 }
 
 /**
  * Vordefinierte QR-Code Typen für häufige Anwendungsfälle
+ * fields: Eingabefelder ({ key, label, type, required, maxLength, options, placeholder })
+ * validate(values): zusätzliche Prüfungen → { feld: Meldung }
+ * format(values): Inhalt des QR-Codes
+ * encodeOptions / allowLogo: Vorgaben des Formats (z.B. EPC: Stufe M, ohne Logo)
  */
 export const qrCodeTypes = {
   url: {
     name: 'Website URL',
     icon: '🌐',
-    format: (value) => value.startsWith('http') ? value : `https://${value}`,
-    placeholder: 'https://beispiel.de'
+    fields: [{ key: 'url', label: 'URL', type: 'url', required: true, placeholder: 'https://beispiel.de' }],
+    validate: ({ url }) => {
+      try {
+        const parsed = new URL(/^[a-z]+:/i.test(url) ? url : `https://${url}`);
+        return ['http:', 'https:'].includes(parsed.protocol) && parsed.hostname.includes('.')
+          ? {}
+          : { url: 'Bitte eine Web-Adresse angeben (https://…)' };
+      } catch {
+        return { url: 'Ungültige URL' };
+      }
+    },
+    format: ({ url }) => (/^[a-z]+:/i.test(url) ? url : `https://${url}`)
   },
   email: {
     name: 'E-Mail',
     icon: '✉️',
-    format: (value) => `mailto:${value}`,
-    placeholder: 'email@beispiel.de'
+    fields: [
+      { key: 'email', label: 'E-Mail', type: 'email', required: true, placeholder: 'email@beispiel.de' },
+      { key: 'subject', label: 'Betreff' },
+      { key: 'body', label: 'Nachricht', type: 'textarea' }
+    ],
+    validate: ({ email }) => (EMAIL_PATTERN.test(email) ? {} : { email: 'Ungültige E-Mail-Adresse' }),
+    format: ({ email, subject, body }) => {
+      const params = [
+        subject && `subject=${encodeURIComponent(subject)}`,
+        body && `body=${encodeURIComponent(body)}`
+      ].filter(Boolean);
+      return `mailto:${email}${params.length ? `?${params.join('&')}` : ''}`;
+    }
   },
   phone: {
     name: 'Telefon',
     icon: '📞',
-    format: (value) => `tel:${value.replace(/\s/g, '')}`,
-    placeholder: '+49 123 456789'
+    fields: [{ key: 'phone', label: 'Telefon', type: 'tel', required: true, placeholder: '+49 123 456789' }],
+    validate: ({ phone }) => (PHONE_PATTERN.test(phone) ? {} : { phone: 'Ungültige Telefonnummer' }),
+    format: ({ phone }) => `tel:${phone.replace(/[^\d+]/g, '')}`
   },
   sms: {
     name: 'SMS',
     icon: '💬',
-    format: (value, message = '') => `sms:${value}${message ? `?body=${encodeURIComponent(message)}` : ''}`,
-    placeholder: '+49 123 456789'
+    fields: [
+      { key: 'phone', label: 'Telefon', type: 'tel', required: true, placeholder: '+49 123 456789' },
+      { key: 'message', label: 'Nachricht', type: 'textarea' }
+    ],
+    validate: ({ phone }) => (PHONE_PATTERN.test(phone) ? {} : { phone: 'Ungültige Telefonnummer' }),
+    format: ({ phone, message }) => `sms:${phone.replace(/[^\d+]/g, '')}${message ? `?body=${encodeURIComponent(message)}` : ''}`
   },
   wifi: {
     name: 'WLAN',
     icon: '📶',
-    format: (ssid, password, encryption = 'WPA') => 
-      `WIFI:T:${encryption};S:${ssid};P:${password};;`,
-    placeholder: 'Netzwerkname'
+    fields: [
+      { key: 'ssid', label: 'Netzwerkname (SSID)', required: true, placeholder: 'Netzwerkname' },
+      {
+        key: 'encryption',
+        label: 'Verschlüsselung',
+        type: 'select',
+        options: [
+          { value: 'WPA', label: 'WPA/WPA2/WPA3' },
+          { value: 'WEP', label: 'WEP' },
+          { value: 'nopass', label: 'Offen (ohne Passwort)' }
+        ]
+      },
+      { key: 'password', label: 'Passwort', type: 'password' },
+      { key: 'hidden', label: 'Verstecktes Netzwerk', type: 'checkbox' }
+    ],
+    validate: ({ ssid, encryption = 'WPA', password = '' }) => {
+      const errors = {};
+      if (byteLength(ssid) > 32) errors.ssid = 'SSID darf höchstens 32 Byte lang sein';
+      if (encryption === 'WPA' && (password.length < 8 || password.length > 63)) {
+        errors.password = 'WPA-Passwörter haben 8 bis 63 Zeichen';
+      }
+      if (encryption === 'WEP' && ![5, 13].includes(password.length) && !/^([0-9a-f]{10}|[0-9a-f]{26})$/i.test(password)) {
+        errors.password = 'WEP-Schlüssel: 5 oder 13 Zeichen bzw. 10 oder 26 Hex-Ziffern';
+      }
+      return errors;
+    },
+    format: ({ ssid, encryption = 'WPA', password, hidden }) => [
+      'WIFI:',
+      `T:${encryption};`,
+      `S:${escapeWifi(ssid)};`,
+      encryption !== 'nopass' ? `P:${escapeWifi(password)};` : '',
+      hidden ? 'H:true;' : '',
+      ';'
+    ].join('')
   },
   vcard: {
     name: 'Visitenkarte (vCard)',
     icon: '👤',
+    fields: [
+      { key: 'name', label: 'Name' },
+      { key: 'org', label: 'Firma' },
+      { key: 'phone', label: 'Telefon', type: 'tel' },
+      { key: 'email', label: 'E-Mail', type: 'email' },
+      { key: 'url', label: 'Website', type: 'url' }
+    ],
+    validate: ({ name, org, email }) => {
+      const errors = {};
+      if (isEmpty(name) && isEmpty(org)) errors.name = 'Name oder Firma angeben';
+      if (!isEmpty(email) && !EMAIL_PATTERN.test(email)) errors.email = 'Ungültige E-Mail-Adresse';
+      return errors;
+    },
     format: (data) => {
       const { name, org, phone, email, url } = data;
       return [
         'BEGIN:VCARD',
         'VERSION:3.0',
-        `FN:${name || ''}`,
-        org ? `ORG:${org}` : '',
+        `FN:${escapeText(name || '')}`,
+        org ? `ORG:${escapeText(org)}` : '',
         phone ? `TEL:${phone}` : '',
         email ? `EMAIL:${email}` : '',
         url ? `URL:${url}` : '',
@@ -240,17 +1020,164 @@ export const qrCodeTypes = {
       ].filter(Boolean).join('\n');
     }
   },
+  event: {
+    name: 'Termin',
+    icon: '📅',
+    fields: [
+      { key: 'title', label: 'Titel', required: true, maxLength: 120, placeholder: 'Sommerfest 2026' },
+      { key: 'start', label: 'Beginn', type: 'datetime-local', required: true },
+      { key: 'end', label: 'Ende', type: 'datetime-local' },
+      { key: 'allDay', label: 'Ganztägig', type: 'checkbox' },
+      { key: 'location', label: 'Ort' },
+      { key: 'description', label: 'Beschreibung', type: 'textarea', maxLength: 300 }
+    ],
+    validate: ({ start, end }) => {
+      const errors = {};
+      if (Number.isNaN(Date.parse(start))) errors.start = 'Ungültiges Datum';
+      if (!isEmpty(end)) {
+        if (Number.isNaN(Date.parse(end))) errors.end = 'Ungültiges Datum';
+        else if (Date.parse(end) < Date.parse(start)) errors.end = 'Ende liegt vor dem Beginn';
+      }
+      return errors;
+    },
+    // iCalendar (RFC 5545) mit einem VEVENT, Zeilenende CRLF
+    format: ({ title, start, end, allDay, location, description }) => {
+      const dateProperty = (name, value) => (allDay ? `${name};VALUE=DATE:${toIcsDate(value, true)}` : `${name}:${toIcsDate(value, false)}`);
+      return [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//TYRN.ON//Brand Engine//DE',
+        'BEGIN:VEVENT',
+        `UID:${createEventUid()}`,
+        `DTSTAMP:${toIcsTimestamp()}`,
+        `SUMMARY:${escapeText(title)}`,
+        dateProperty('DTSTART', start),
+        // Ganztägig: Ende ist der Folgetag (exklusiv)
+        allDay ? dateProperty('DTEND', nextDay(end || start)) : !isEmpty(end) && dateProperty('DTEND', end),
+        location ? `LOCATION:${escapeText(location)}` : '',
+        description ? `DESCRIPTION:${escapeText(description)}` : '',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].filter(Boolean).join('\r\n');
+    }
+  },
   location: {
     name: 'Standort',
     icon: '📍',
-    format: (lat, lng, label = '') => 
-      `geo:${lat},${lng}${label ? `?q=${encodeURIComponent(label)}` : ''}`,
-    placeholder: '52.5200,13.4050'
+    fields: [
+      { key: 'lat', label: 'Breitengrad', required: true, placeholder: '52.5200' },
+      { key: 'lng', label: 'Längengrad', required: true, placeholder: '13.4050' },
+      { key: 'label', label: 'Bezeichnung' }
+    ],
+    validate: ({ lat, lng }) => {
+      const errors = {};
+      const latitude = parseCoordinate(lat);
+      const longitude = parseCoordinate(lng);
+      if (latitude === null || latitude < -90 || latitude > 90) errors.lat = 'Breitengrad zwischen -90 und 90';
+      if (longitude === null || longitude < -180 || longitude > 180) errors.lng = 'Längengrad zwischen -180 und 180';
+      return errors;
+    },
+    format: ({ lat, lng, label }) =>
+      `geo:${parseCoordinate(lat)},${parseCoordinate(lng)}${label ? `?q=${encodeURIComponent(label)}` : ''}`
+  },
+  epc: {
+    name: 'Überweisung (GiroCode)',
+    icon: '💶',
+    fields: [
+      { key: 'name', label: 'Empfänger', required: true, maxLength: 70 },
+      { key: 'iban', label: 'IBAN', required: true, placeholder: 'DE89 3704 0044 0532 0130 00' },
+      { key: 'bic', label: 'BIC (optional im EWR)', placeholder: 'COBADEFFXXX' },
+      { key: 'amount', label: 'Betrag (EUR)', placeholder: '49,90' },
+      { key: 'reference', label: 'Gläubigerreferenz (RF…)', maxLength: 35, placeholder: 'RF18 5390 0754 7034' },
+      { key: 'text', label: 'Verwendungszweck', maxLength: 140 }
+    ],
+    encodeOptions: { ecLevel: 'M', maxVersion: 13 },
+    allowLogo: false,
+    validate: (values) => {
+      const errors = {};
+      const ibanError = validateIban(values.iban);
+      if (ibanError) errors.iban = ibanError;
+      if (!isEmpty(values.bic)) {
+        const bicError = validateBic(values.bic);
+        if (bicError) errors.bic = bicError;
+      }
+      if (!isEmpty(values.amount)) {
+        const amount = parseAmount(values.amount);
+        if (amount === null) errors.amount = 'Betrag mit höchstens zwei Nachkommastellen';
+        else if (amount < EPC_MIN_AMOUNT || amount > EPC_MAX_AMOUNT) errors.amount = 'Betrag zwischen 0,01 und 999.999.999,99 EUR';
+      }
+      // EPC erlaubt entweder eine strukturierte Referenz oder einen freien Verwendungszweck
+      if (!isEmpty(values.reference)) {
+        if (!isCreditorReference(values.reference)) errors.reference = 'Keine gültige RF-Gläubigerreferenz';
+        else if (!isEmpty(values.text)) errors.text = 'Nicht zusammen mit einer Gläubigerreferenz möglich';
+      }
+      if (!errors.iban && !errors.reference && byteLength(qrCodeTypes.epc.format(values)) > EPC_MAX_BYTES) {
+        errors.text = `Zu lang für einen GiroCode (max. ${EPC_MAX_BYTES} Byte)`;
+      }
+      return errors;
+    },
+    // EPC069-12 Version 002, UTF-8, SEPA Credit Transfer
+    format: ({ name, iban, bic, amount, reference, text }) => {
+      const value = isEmpty(amount) ? null : parseAmount(amount);
+      // Strukturierte Gläubigerreferenz (RF…) und freier Text haben je eine eigene Zeile
+      const structured = isEmpty(reference) ? '' : String(reference).replace(/\s+/g, '').toUpperCase();
+      return [
+        'BCD',
+        '002',
+        '1',
+        'SCT',
+        String(bic || '').replace(/\s+/g, '').toUpperCase(),
+        String(name).trim(),
+        normalizeIban(iban),
+        value ? `EUR${value.toFixed(2)}` : '',
+        '',
+        structured,
+        String(text || '').trim()
+      ].join('\n').replace(/\n+$/, '');
+    }
   }
 };
 
 /**
- * Generiert vCard QR-Code aus Visitenkarten-Daten
+ * Prüft die Eingaben eines QR-Typs (Pflichtfelder, Längen, Typ-Regeln)
+ * @returns {Object} { feld: Meldung } – leer, wenn alles passt
+ */
+export function validateQRPayload(typeId, values = {}) {
+  const type = qrCodeTypes[typeId];
+  if (!type) return { _type: `Unbekannter QR-Typ: ${typeId}` };
+
+  const errors = {};
+  for (const field of type.fields) {
+    const value = values[field.key];
+    if (field.required && isEmpty(value)) errors[field.key] = `${field.label} fehlt`;
+    else if (field.maxLength && String(value ?? '').length > field.maxLength) {
+      errors[field.key] = `${field.label}: höchstens ${field.maxLength} Zeichen`;
+    }
+  }
+  if (Object.keys(errors).length > 0) return errors;
+  return type.validate ? type.validate(values) : {};
+}
+
+/**
+ * Baut den Inhalt eines QR-Typs und wirft bei ungültigen Eingaben
+ * @returns {{ text: string, encodeOptions: Object, allowLogo: boolean }}
+ */
+export function formatQRPayload(typeId, values = {}) {
+  const errors = validateQRPayload(typeId, values);
+  const messages = Object.values(errors);
+  if (messages.length > 0) {
+    throw new Error(`${qrCodeTypes[typeId]?.name || 'QR-Code'}: ${messages.join(', ')}`);
+  }
+  const type = qrCodeTypes[typeId];
+  return {
+    text: type.format(values),
+    encodeOptions: type.encodeOptions || {},
+    allowLogo: type.allowLogo !== false
+  };
+}
+
+/**
+ * Generiert vCard QR-Code aus Visitenkarten-Daten (im Marken-Stil)
  */
 export function generateVCardQR(content, brand, options = {}) {
   const fields = content?.fields || {};
@@ -263,16 +1190,30 @@ export function generateVCardQR(content, brand, options = {}) {
     url: fields.website?.value || ''
   });
   
-  return generateQRCode(vcard, {
-    darkColor: brand.colors.primary,
-    ...options
-  });
+  return generateQRCode(vcard, getBrandQRStyle(brand, options));
 }
 
 export default {
+  QR_EC_LEVELS,
+  encodeQR,
+  generateQRMatrix,
+  QR_MODULE_SHAPES,
+  MIN_QR_CONTRAST,
+  qrToSvgPath,
+  getQRPaths,
+  checkQRContrast,
+  assertQRContrast,
+  getQRColors,
+  getBrandQRStyle,
+  getQRLogoArea,
   generateQRCode,
   generateQRCodeDataUrl,
   generateQRCodePng,
   generateVCardQR,
-  qrCodeTypes
+  qrCodeTypes,
+  validateQRPayload,
+  formatQRPayload,
+  validateIban,
+  validateBic,
+  parseAmount
 };
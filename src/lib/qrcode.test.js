@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import QRCode from 'qrcode';
+import jsQR from 'jsqr';
+import { encodeQR, formatQRPayload, validateQRPayload, getBrandQRStyle, generateVCardQR } from './qrcode.js';
+
+// Referenz: Matrix der Bibliothek "qrcode" mit gleichem Modus, gleicher
+// Version, Fehlerkorrektur und Maske – die Ausgabe muss Modul für Modul gleich sein.
+function referenceMatrix(text, mode, { version, ecLevel, mask }) {
+  const { modules } = QRCode.create([{ data: text, mode }], {
+    version,
+    errorCorrectionLevel: ecLevel,
+    maskPattern: mask
+  });
+  const rows = [];
+  for (let y = 0; y < modules.size; y++) {
+    rows.push([...modules.data.slice(y * modules.size, (y + 1) * modules.size)].map(Boolean));
+  }
+  return rows;
+}
+
+// Rendert die Matrix mit Ruhezone als RGBA-Bild und liest sie mit jsQR zurück
+function decode(modules, scale = 3, quiet = 4) {
+  const width = (modules.length + quiet * 2) * scale;
+  const pixels = new Uint8ClampedArray(width * width * 4).fill(255);
+  modules.forEach((row, y) => row.forEach((dark, x) => {
+    if (!dark) return;
+    for (let dy = 0; dy < scale; dy++) {
+      for (let dx = 0; dx < scale; dx++) {
+        const offset = (((y + quiet) * scale + dy) * width + (x + quiet) * scale + dx) * 4;
+        pixels.fill(0, offset, offset + 3);
+      }
+    }
+  }));
+  return jsQR(pixels, width, width, { inversionAttempts: 'dontInvert' });
+}
+
+// Kurz genug für Version 1 mit Stufe H (17 Ziffern, 10 Zeichen, 7 Bytes)
+const SAMPLES = {
+  numeric: '01234567890123456',
+  alphanumeric: 'QR CODE:42',
+  byte: 'Grüße'
+};
+
+describe('encodeQR', () => {
+  it('wählt den passenden Modus', () => {
+    expect(encodeQR(SAMPLES.numeric).mode).toBe('numeric');
+    expect(encodeQR(SAMPLES.alphanumeric).mode).toBe('alphanumeric');
+    expect(encodeQR(SAMPLES.byte).mode).toBe('byte');
+  });
+
+  for (const [mode, text] of Object.entries(SAMPLES)) {
+    for (const ecLevel of ['L', 'M', 'Q', 'H']) {
+      for (const version of [1, 7, 40]) {
+        it(`${mode}, ${ecLevel}, Version ${version} entspricht der Referenz`, () => {
+          const qr = encodeQR(text, { ecLevel, minVersion: version, maxVersion: version, mask: version % 8 });
+          expect(qr.version).toBe(version);
+          expect(qr.size).toBe(17 + version * 4);
+          expect(qr.modules).toEqual(referenceMatrix(text, mode, { version, ecLevel, mask: version % 8 }));
+        });
+      }
+
+      it(`${mode}, ${ecLevel} mit automatischer Maske ist lesbar`, () => {
+        const qr = encodeQR(text, { ecLevel });
+        const result = decode(qr.modules);
+        expect(result?.data).toBe(text);
+        expect(result.version).toBe(qr.version);
+        expect(result.chunks.map(chunk => chunk.type)).toEqual([mode]);
+      });
+    }
+  }
+
+  it('liest Version 40 mit maximaler Datenmenge zurück', () => {
+    const text = '7'.repeat(7089);
+    const qr = encodeQR(text, { ecLevel: 'L' });
+    expect(qr.version).toBe(40);
+    expect(decode(qr.modules)?.data).toBe(text);
+  });
+
+  it('lehnt zu lange Texte und unbekannte Stufen ab', () => {
+    expect(() => encodeQR('7'.repeat(7090), { ecLevel: 'L' })).toThrow(/zu lang/);
+    expect(() => encodeQR('A', { ecLevel: 'X' })).toThrow(/Fehlerkorrektur/);
+  });
+});
+
+describe('QR-Inhalte', () => {
+  const epc = { name: 'Muster GmbH', iban: 'DE89 3704 0044 0532 0130 00', amount: '49,90' };
+
+  it('Termin enthält UID und DTSTAMP in UTC', () => {
+    const { text } = formatQRPayload('event', { title: 'Sommerfest', start: '2026-06-19T18:00' });
+    const lines = text.split('\r\n');
+    expect(lines).toContain('DTSTART:20260619T180000');
+    expect(lines.find(line => line.startsWith('UID:'))).toMatch(/^UID:\S+@brand-engine$/);
+    expect(lines.find(line => line.startsWith('DTSTAMP:'))).toMatch(/^DTSTAMP:\d{8}T\d{6}Z$/);
+  });
+
+  it('GiroCode trennt Gläubigerreferenz und Verwendungszweck', () => {
+    const structured = formatQRPayload('epc', { ...epc, reference: 'rf18 5390 0754 7034' }).text.split('\n');
+    expect(structured.slice(-2)).toEqual(['', 'RF18539007547034']);
+    const unstructured = formatQRPayload('epc', { ...epc, text: 'Rechnung 4711' }).text.split('\n');
+    expect(unstructured.slice(-2)).toEqual(['', 'Rechnung 4711']);
+  });
+
+  it('GiroCode lehnt Referenz plus Verwendungszweck und ungültige Referenzen ab', () => {
+    expect(validateQRPayload('epc', { ...epc, reference: 'RF18539007547034', text: 'Rechnung 4711' }))
+      .toHaveProperty('text');
+    expect(validateQRPayload('epc', { ...epc, reference: 'Rechnung 4711' })).toHaveProperty('reference');
+  });
+});
+
+describe('Marken-Stil', () => {
+  const logo = 'data:image/png;base64,iVBORw0KGgo=';
+  const brand = { name: 'Muster GmbH', logo, colors: { primary: '#0B5FFF', secondary: '#222222', text: '#111111', background: '#FFFFFF' } };
+  const content = { fields: { name: { value: 'Erika Muster' }, email: { value: 'erika@example.com' } } };
+
+  it('setzt das Marken-Logo standardmäßig in die Mitte', () => {
+    expect(getBrandQRStyle(brand).logo).toBe(logo);
+    expect(getBrandQRStyle(brand, { logo: null }).logo).toBeNull();
+    expect(generateVCardQR(content, brand)).toContain(`href="${logo}"`);
+  });
+});
@@ -0,0 +1,180 @@
+// ============================================
+// BRAND RELEASES - Semver & Changelog
+// ============================================
+import { brandToTokens, resolveTokens } from './tokens.js';
+
+/**
+ * Version vor dem ersten Release (wird in Exporte gestempelt)
+ */
+export const UNRELEASED_VERSION = '0.0.0';
+
+/**
+ * Aktuelle Release-Version einer Marke (neuestes Release zuerst)
+ */
+export function getReleaseVersion(brand) {
+  return brand?.releases?.[0]?.version || UNRELEASED_VERSION;
+}
+
+/**
+ * Flache Token-Map (Pfad → Wert) als Vergleichsgrundlage zwischen Releases
+ * Enthält Farben, Schriften, Skalen, semantische Tokens, Themes und Extensions
+ */
+export function flattenTokenValues(tokens) {
+  const resolved = resolveTokens(tokens);
+  const flat = {};
+
+  const add = (path, value) => {
+    if (value === undefined || value === null) return;
+    flat[path] = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+
+  for (const [name, token] of Object.entries(resolved.colors)) {
+    add(`colors.${name}`, token.value);
+  }
+  add('typography.heading.fontFamily', resolved.typography.heading.fontFamily);
+  add('typography.body.fontFamily', resolved.typography.body.fontFamily);
+  for (const [name, step] of Object.entries(resolved.typography.scale)) {
+    add(`typography.scale.${name}`, step);
+  }
+  for (const [name, value] of Object.entries(resolved.spacing)) {
+    add(`spacing.${name}`, value);
+  }
+  for (const [name, value] of Object.entries(resolved.borderRadius)) {
+    add(`borderRadius.${name}`, value);
+  }
+
+  const addSemantic = (prefix, node) => {
+    for (const [key, child] of Object.entries(node || {})) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      if (child && child.value !== undefined) {
+        add(path, child.reference || child.value);
+      } else {
+        addSemantic(path, child);
+      }
+    }
+  };
+  addSemantic('semantic', resolved.semantic);
+
+  for (const [themeId, theme] of Object.entries(resolved.themes)) {
+    for (const [name, token] of Object.entries(theme.colors)) {
+      add(`themes.${themeId}.colors.${name}`, token.value);
+    }
+  }
+
+  for (const [path, token] of Object.entries(tokens.extensions || {})) {
+    add(`extensions.${path}`, token.$value);
+  }
+
+  return flat;
+}
+
+/**
+ * Vergleicht zwei flache Token-Maps
+ * Rückgabe: { added: [path], removed: [path], changed: [{ path, before, after }] }
+ */
+export function diffTokenMaps(previous = {}, next = {}) {
+  const added = Object.keys(next).filter(path => !(path in previous));
+  const removed = Object.keys(previous).filter(path => !(path in next));
+  const changed = Object.keys(next)
+    .filter(path => path in previous && previous[path] !== next[path])
+    .map(path => ({ path, before: previous[path], after: next[path] }));
+
+  return { added, removed, changed };
+}
+
+/**
+ * Art der Versionserhöhung nach Semver
+ * Entfernter Token → major, neuer Token → minor, geänderter Wert → patch
+ */
+export function getBumpType(changes) {
+  if (changes.removed.length > 0) return 'major';
+  if (changes.added.length > 0) return 'minor';
+  if (changes.changed.length > 0) return 'patch';
+  return null;
+}
+
+/**
+ * Erhöht eine Semver-Version, z.B. bumpVersion('2.3.1', 'minor') → '2.4.0'
+ */
+export function bumpVersion(version, type) {
+  const [major = 0, minor = 0, patch = 0] = String(version).split('.').map(n => parseInt(n, 10) || 0);
+
+  switch (type) {
+    case 'major': return `${major + 1}.0.0`;
+    case 'minor': return `${major}.${minor + 1}.0`;
+    case 'patch': return `${major}.${minor}.${patch + 1}`;
+    default: return `${major}.${minor}.${patch}`;
+  }
+}
+
+/**
+ * Berechnet das nächste Release aus dem aktuellen Stand der Marke
+ * Das erste Release ist immer 1.0.0
+ * Rückgabe: { version, bump, changes, tokens } – version ist null, wenn sich nichts geändert hat
+ */
+export function computeNextRelease(brand) {
+  const tokens = flattenTokenValues(brandToTokens(brand));
+  const latest = brand.releases?.[0];
+
+  if (!latest) {
+    const changes = { added: Object.keys(tokens), removed: [], changed: [] };
+    return { version: '1.0.0', bump: 'major', changes, tokens };
+  }
+
+  const changes = diffTokenMaps(latest.tokens, tokens);
+  const bump = getBumpType(changes);
+
+  return {
+    version: bump ? bumpVersion(latest.version, bump) : null,
+    bump,
+    changes,
+    tokens
+  };
+}
+
+/**
+ * Generiert CHANGELOG.md (Keep a Changelog) aus allen Releases einer Marke
+ */
+export function generateChangelog(brand) {
+  const releases = brand.releases || [];
+  const lines = [
+    `# Changelog – ${brand.name}`,
+    '',
+    'Alle veröffentlichten Versionen der Marke. Die Versionierung folgt Semantic Versioning:',
+    'entfernte Tokens erhöhen die Major-, neue Tokens die Minor- und geänderte Werte die Patch-Version.',
+    ''
+  ];
+
+  if (releases.length === 0) {
+    lines.push('Noch keine Releases veröffentlicht.', '');
+    return lines.join('\n');
+  }
+
+  for (const release of releases) {
+    lines.push(`## [${release.version}] - ${release.created_at.slice(0, 10)}`, '');
+
+    if (release.notes) {
+      lines.push(release.notes, '');
+    }
+
+    const { added = [], removed = [], changed = [] } = release.changes || {};
+
+    // Beim ersten Release wäre die Liste aller Tokens nur Rauschen
+    if (release === releases[releases.length - 1]) {
+      lines.push(`Erstes Release mit ${added.length} Tokens.`, '');
+      continue;
+    }
+
+    if (removed.length > 0) {
+      lines.push('### Removed', '', ...removed.map(path => `- \`${path}\``), '');
+    }
+    if (added.length > 0) {
+      lines.push('### Added', '', ...added.map(path => `- \`${path}\``), '');
+    }
+    if (changed.length > 0) {
+      lines.push('### Changed', '', ...changed.map(c => `- \`${c.path}\`: ${c.before} → ${c.after}`), '');
+    }
+  }
+
+  return lines.join('\n');
+}
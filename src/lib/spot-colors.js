@@ -0,0 +1,191 @@
+// ============================================
+// SPOT COLORS - Pantone- und RAL-Referenzfarben
+// ============================================
+// Sonderfarben-Fächer als sRGB-Referenzwerte (digitale Werte der Hersteller).
+// Sie dienen der Zuordnung "welche Sonderfarbe kommt am nächsten" per
+// CIEDE2000 – verbindlich für den Druck bleibt der gedruckte Farbfächer.
+//
+// Enthalten: Pantone Solid Coated (rund 1.830 Farben) und Solid Uncoated
+// (rund 1.340 Farben) vollständig aus data/pantone-table.js sowie
+// RAL Classic vollständig.
+// HKS steht auf der Roadmap (README): es braucht lizenzierte Referenzwerte.
+
+import { PANTONE_TABLE } from './data/pantone-table.js';
+import { hexToLab, deltaE2000Lab, DELTA_E_JND, DELTA_E_SAME } from './color.js';
+
+// ============================================
+// REFERENZTABELLEN
+// ============================================
+
+// "pantone_cool_gray_5_c" → "Cool Gray 5 C"
+function pantoneColors(suffix) {
+  const pattern = new RegExp(`^pantone_.+_${suffix}$`);
+  return Object.entries(PANTONE_TABLE)
+    .filter(([key]) => pattern.test(key))
+    .map(([key, hex]) => [
+      key.slice('pantone_'.length).split('_').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' '),
+      hex
+    ]);
+}
+
+const PANTONE_SOLID_COATED = pantoneColors('c');
+const PANTONE_SOLID_UNCOATED = pantoneColors('u');
+
+// RAL-Nummer → [sRGB, Farbname]
+const RAL_CLASSIC = {
+  'RAL 1000': ['#BEBD7F', 'Grünbeige'], 'RAL 1001': ['#C2B078', 'Beige'], 'RAL 1002': ['#C6A664', 'Sandgelb'],
+  'RAL 1003': ['#E5BE01', 'Signalgelb'], 'RAL 1004': ['#CDA434', 'Goldgelb'], 'RAL 1005': ['#A98307', 'Honiggelb'],
+  'RAL 1006': ['#E4A010', 'Maisgelb'], 'RAL 1007': ['#DC9D00', 'Narzissengelb'], 'RAL 1011': ['#8A6642', 'Braunbeige'],
+  'RAL 1012': ['#C7B446', 'Zitronengelb'], 'RAL 1013': ['#EAE6CA', 'Perlweiß'], 'RAL 1014': ['#E1CC4F', 'Elfenbein'],
+  'RAL 1015': ['#E6D690', 'Hellelfenbein'], 'RAL 1016': ['#EDFF21', 'Schwefelgelb'], 'RAL 1017': ['#F5D033', 'Safrangelb'],
+  'RAL 1018': ['#F8F32B', 'Zinkgelb'], 'RAL 1019': ['#9E9764', 'Graubeige'], 'RAL 1020': ['#999950', 'Olivgelb'],
+  'RAL 1021': ['#F3DA0B', 'Rapsgelb'], 'RAL 1023': ['#FAD201', 'Verkehrsgelb'], 'RAL 1024': ['#AEA04B', 'Ockergelb'],
+  'RAL 1026': ['#FFFF00', 'Leuchtgelb'], 'RAL 1027': ['#9D9101', 'Currygelb'], 'RAL 1028': ['#F4A900', 'Melonengelb'],
+  'RAL 1032': ['#D6AE01', 'Ginstergelb'], 'RAL 1033': ['#F3A505', 'Dahliengelb'], 'RAL 1034': ['#EFA94A', 'Pastellgelb'],
+  'RAL 1035': ['#6A5D4D', 'Perlbeige'], 'RAL 1036': ['#705335', 'Perlgold'], 'RAL 1037': ['#F39F18', 'Sonnengelb'],
+
+  'RAL 2000': ['#ED760E', 'Gelborange'], 'RAL 2001': ['#C93C20', 'Rotorange'], 'RAL 2002': ['#CB2821', 'Blutorange'],
+  'RAL 2003': ['#FF7514', 'Pastellorange'], 'RAL 2004': ['#F44611', 'Reinorange'], 'RAL 2005': ['#FF2301', 'Leuchtorange'],
+  'RAL 2007': ['#FFA420', 'Leuchthellorange'], 'RAL 2008': ['#F75E25', 'Hellrotorange'], 'RAL 2009': ['#F54021', 'Verkehrsorange'],
+  'RAL 2010': ['#D84B20', 'Signalorange'], 'RAL 2011': ['#EC7C26', 'Tieforange'], 'RAL 2012': ['#E55137', 'Lachsorange'],
+  'RAL 2013': ['#C35831', 'Perlorange'],
+
+  'RAL 3000': ['#AF2B1E', 'Feuerrot'], 'RAL 3001': ['#A52019', 'Signalrot'], 'RAL 3002': ['#A2231D', 'Karminrot'],
+  'RAL 3003': ['#9B111E', 'Rubinrot'], 'RAL 3004': ['#75151E', 'Purpurrot'], 'RAL 3005': ['#5E2129', 'Weinrot'],
+  'RAL 3007': ['#412227', 'Schwarzrot'], 'RAL 3009': ['#642424', 'Oxidrot'], 'RAL 3011': ['#781F19', 'Braunrot'],
+  'RAL 3012': ['#C1876B', 'Beigerot'], 'RAL 3013': ['#A12312', 'Tomatenrot'], 'RAL 3014': ['#D36E70', 'Altrosa'],
+  'RAL 3015': ['#EA899A', 'Hellrosa'], 'RAL 3016': ['#B32821', 'Korallenrot'], 'RAL 3017': ['#E63244', 'Rosé'],
+  'RAL 3018': ['#D53032', 'Erdbeerrot'], 'RAL 3020': ['#CC0605', 'Verkehrsrot'], 'RAL 3022': ['#D95030', 'Lachsrot'],
+  'RAL 3024': ['#F80000', 'Leuchtrot'], 'RAL 3026': ['#FE0000', 'Leuchthellrot'], 'RAL 3027': ['#C51D34', 'Himbeerrot'],
+  'RAL 3028': ['#CB3234', 'Reinrot'], 'RAL 3031': ['#B32428', 'Orientrot'], 'RAL 3032': ['#721422', 'Perlrubinrot'],
+  'RAL 3033': ['#B44C43', 'Perlrosa'],
+
+  'RAL 4001': ['#6D3F5B', 'Rotlila'], 'RAL 4002': ['#922B3E', 'Rotviolett'], 'RAL 4003': ['#DE4C8A', 'Erikaviolett'],
+  'RAL 4004': ['#641C34', 'Bordeauxviolett'], 'RAL 4005': ['#6C4675', 'Blaulila'], 'RAL 4006': ['#A03472', 'Verkehrspurpur'],
+  'RAL 4007': ['#4A192C', 'Purpurviolett'], 'RAL 4008': ['#924E7D', 'Signalviolett'], 'RAL 4009': ['#A18594', 'Pastellviolett'],
+  'RAL 4010': ['#CF3476', 'Telemagenta'], 'RAL 4011': ['#8673A1', 'Perlviolett'], 'RAL 4012': ['#6C6874', 'Perlbrombeer'],
+
+  'RAL 5000': ['#354D73', 'Violettblau'], 'RAL 5001': ['#1F3438', 'Grünblau'], 'RAL 5002': ['#20214F', 'Ultramarinblau'],
+  'RAL 5003': ['#1D1E33', 'Saphirblau'], 'RAL 5004': ['#18171C', 'Schwarzblau'], 'RAL 5005': ['#1E2460', 'Signalblau'],
+  'RAL 5007': ['#3E5F8A', 'Brillantblau'], 'RAL 5008': ['#26252D', 'Graublau'], 'RAL 5009': ['#025669', 'Azurblau'],
+  'RAL 5010': ['#0E294B', 'Enzianblau'], 'RAL 5011': ['#231A24', 'Stahlblau'], 'RAL 5012': ['#3B83BD', 'Lichtblau'],
+  'RAL 5013': ['#1E213D', 'Kobaltblau'], 'RAL 5014': ['#606E8C', 'Taubenblau'], 'RAL 5015': ['#2271B3', 'Himmelblau'],
+  'RAL 5017': ['#063971', 'Verkehrsblau'], 'RAL 5018': ['#3F888F', 'Türkisblau'], 'RAL 5019': ['#1B5583', 'Capriblau'],
+  'RAL 5020': ['#1D334A', 'Ozeanblau'], 'RAL 5021': ['#256D7B', 'Wasserblau'], 'RAL 5022': ['#252850', 'Nachtblau'],
+  'RAL 5023': ['#49678D', 'Fernblau'], 'RAL 5024': ['#5D9B9B', 'Pastellblau'], 'RAL 5025': ['#2A6478', 'Perlenzian'],
+  'RAL 5026': ['#102C54', 'Perlnachtblau'],
+
+  'RAL 6000': ['#316650', 'Patinagrün'], 'RAL 6001': ['#287233', 'Smaragdgrün'], 'RAL 6002': ['#2D572C', 'Laubgrün'],
+  'RAL 6003': ['#424632', 'Olivgrün'], 'RAL 6004': ['#1F3A3D', 'Blaugrün'], 'RAL 6005': ['#2F4538', 'Moosgrün'],
+  'RAL 6006': ['#3E3B32', 'Grauoliv'], 'RAL 6007': ['#343B29', 'Flaschengrün'], 'RAL 6008': ['#39352A', 'Braungrün'],
+  'RAL 6009': ['#31372B', 'Tannengrün'], 'RAL 6010': ['#35682D', 'Grasgrün'], 'RAL 6011': ['#587246', 'Resedagrün'],
+  'RAL 6012': ['#343E40', 'Schwarzgrün'], 'RAL 6013': ['#6C7156', 'Schilfgrün'], 'RAL 6014': ['#47402E', 'Gelboliv'],
+  'RAL 6015': ['#3B3C36', 'Schwarzoliv'], 'RAL 6016': ['#1E5945', 'Türkisgrün'], 'RAL 6017': ['#4C9141', 'Maigrün'],
+  'RAL 6018': ['#57A639', 'Gelbgrün'], 'RAL 6019': ['#BDECB6', 'Weißgrün'], 'RAL 6020': ['#2E3A23', 'Chromoxidgrün'],
+  'RAL 6021': ['#89AC76', 'Blassgrün'], 'RAL 6022': ['#25221B', 'Braunoliv'], 'RAL 6024': ['#308446', 'Verkehrsgrün'],
+  'RAL 6025': ['#3D642D', 'Farngrün'], 'RAL 6026': ['#015D52', 'Opalgrün'], 'RAL 6027': ['#84C3BE', 'Lichtgrün'],
+  'RAL 6028': ['#2C5545', 'Kieferngrün'], 'RAL 6029': ['#20603D', 'Minzgrün'], 'RAL 6032': ['#317F43', 'Signalgrün'],
+  'RAL 6033': ['#497E76', 'Minttürkis'], 'RAL 6034': ['#7FB5B5', 'Pastelltürkis'], 'RAL 6035': ['#1C542D', 'Perlgrün'],
+  'RAL 6036': ['#193737', 'Perlopalgrün'], 'RAL 6037': ['#008F39', 'Reingrün'], 'RAL 6038': ['#00BB2D', 'Leuchtgrün'],
+
+  'RAL 7000': ['#78858B', 'Fehgrau'], 'RAL 7001': ['#8A9597', 'Silbergrau'], 'RAL 7002': ['#7E7B52', 'Olivgrau'],
+  'RAL 7003': ['#6C7059', 'Moosgrau'], 'RAL 7004': ['#969992', 'Signalgrau'], 'RAL 7005': ['#646B63', 'Mausgrau'],
+  'RAL 7006': ['#6D6552', 'Beigegrau'], 'RAL 7008': ['#6A5F31', 'Khakigrau'], 'RAL 7009': ['#4D5645', 'Grüngrau'],
+  'RAL 7010': ['#4C514A', 'Zeltgrau'], 'RAL 7011': ['#434B4D', 'Eisengrau'], 'RAL 7012': ['#4E5754', 'Basaltgrau'],
+  'RAL 7013': ['#464531', 'Braungrau'], 'RAL 7015': ['#434750', 'Schiefergrau'], 'RAL 7016': ['#293133', 'Anthrazitgrau'],
+  'RAL 7021': ['#23282B', 'Schwarzgrau'], 'RAL 7022': ['#332F2C', 'Umbragrau'], 'RAL 7023': ['#686C5E', 'Betongrau'],
+  'RAL 7024': ['#474A51', 'Graphitgrau'], 'RAL 7026': ['#2F353B', 'Granitgrau'], 'RAL 7030': ['#8B8C7A', 'Steingrau'],
+  'RAL 7031': ['#474B4E', 'Blaugrau'], 'RAL 7032': ['#B8B799', 'Kieselgrau'], 'RAL 7033': ['#7D8471', 'Zementgrau'],
+  'RAL 7034': ['#8F8B66', 'Gelbgrau'], 'RAL 7035': ['#D7D7D7', 'Lichtgrau'], 'RAL 7036': ['#7F7679', 'Platingrau'],
+  'RAL 7037': ['#7D7F7D', 'Staubgrau'], 'RAL 7038': ['#B5B8B1', 'Achatgrau'], 'RAL 7039': ['#6C6960', 'Quarzgrau'],
+  'RAL 7040': ['#9DA1AA', 'Fenstergrau'], 'RAL 7042': ['#8D948D', 'Verkehrsgrau A'], 'RAL 7043': ['#4E5452', 'Verkehrsgrau B'],
+  'RAL 7044': ['#CAC4B0', 'Seidengrau'], 'RAL 7045': ['#909090', 'Telegrau 1'], 'RAL 7046': ['#82898F', 'Telegrau 2'],
+  'RAL 7047': ['#D0D0D0', 'Telegrau 4'], 'RAL 7048': ['#898176', 'Perlmausgrau'],
+
+  'RAL 8000': ['#826C34', 'Grünbraun'], 'RAL 8001': ['#955F20', 'Ockerbraun'], 'RAL 8002': ['#6C3B2A', 'Signalbraun'],
+  'RAL 8003': ['#734222', 'Lehmbraun'], 'RAL 8004': ['#8E402A', 'Kupferbraun'], 'RAL 8007': ['#59351F', 'Rehbraun'],
+  'RAL 8008': ['#6F4F28', 'Olivbraun'], 'RAL 8011': ['#5B3A29', 'Nussbraun'], 'RAL 8012': ['#592321', 'Rotbraun'],
+  'RAL 8014': ['#382C1E', 'Sepiabraun'], 'RAL 8015': ['#633A34', 'Kastanienbraun'], 'RAL 8016': ['#4C2F27', 'Mahagonibraun'],
+  'RAL 8017': ['#45322E', 'Schokoladenbraun'], 'RAL 8019': ['#403A3A', 'Graubraun'], 'RAL 8022': ['#212121', 'Schwarzbraun'],
+  'RAL 8023': ['#A65E2E', 'Orangebraun'], 'RAL 8024': ['#79553D', 'Beigebraun'], 'RAL 8025': ['#755C48', 'Blassbraun'],
+  'RAL 8028': ['#4E3B31', 'Terrabraun'], 'RAL 8029': ['#763C28', 'Perlkupfer'],
+
+  'RAL 9001': ['#FDF4E3', 'Cremeweiß'], 'RAL 9002': ['#E7EBDA', 'Grauweiß'], 'RAL 9003': ['#F4F4F4', 'Signalweiß'],
+  'RAL 9004': ['#282828', 'Signalschwarz'], 'RAL 9005': ['#0A0A0A', 'Tiefschwarz'], 'RAL 9006': ['#A5A5A5', 'Weißaluminium'],
+  'RAL 9007': ['#8F8F8F', 'Graualuminium'], 'RAL 9010': ['#FFFFFF', 'Reinweiß'], 'RAL 9011': ['#1C1C1C', 'Graphitschwarz'],
+  'RAL 9016': ['#F6F6F6', 'Verkehrsweiß'], 'RAL 9017': ['#1E1E1E', 'Verkehrsschwarz'], 'RAL 9018': ['#D7D7D7', 'Papyrusweiß'],
+  'RAL 9022': ['#9C9C9C', 'Perlhellgrau'], 'RAL 9023': ['#828282', 'Perldunkelgrau']
+};
+
+export const SPOT_LIBRARIES = {
+  'pantone-coated': {
+    id: 'pantone-coated',
+    name: 'Pantone Solid Coated',
+    colors: PANTONE_SOLID_COATED.map(([code, hex]) => ({ code: `PMS ${code}`, name: '', hex }))
+  },
+  'pantone-uncoated': {
+    id: 'pantone-uncoated',
+    name: 'Pantone Solid Uncoated',
+    colors: PANTONE_SOLID_UNCOATED.map(([code, hex]) => ({ code: `PMS ${code}`, name: '', hex }))
+  },
+  'ral-classic': {
+    id: 'ral-classic',
+    name: 'RAL Classic',
+    colors: Object.entries(RAL_CLASSIC).map(([code, [hex, name]]) => ({ code, name, hex }))
+  }
+};
+
+// ============================================
+// ZUORDNUNG
+// ============================================
+
+// Lab-Werte werden beim ersten Abgleich einmal je Fächer berechnet
+const labCache = new Map();
+
+function getLabColors(libraryId) {
+  if (!labCache.has(libraryId)) {
+    const library = SPOT_LIBRARIES[libraryId];
+    labCache.set(libraryId, library ? library.colors.map(color => ({ ...color, lab: hexToLab(color.hex) })) : []);
+  }
+  return labCache.get(libraryId);
+}
+
+/**
+ * Bewertung eines Farbabstands für Druckdaten und Guidelines
+ */
+export function describeMatch(deltaE) {
+  if (deltaE <= DELTA_E_JND) return 'identisch';
+  if (deltaE <= DELTA_E_SAME) return 'nah';
+  return 'abweichend';
+}
+
+/**
+ * Nächstliegende Sonderfarbe eines Fächers
+ * @param {string} hex
+ * @param {string} libraryId - Schlüssel aus SPOT_LIBRARIES
+ * @returns {{ library, code, name, hex, deltaE, match } | null}
+ */
+export function findClosestSpotColor(hex, libraryId) {
+  const lab = hexToLab(hex);
+  if (!lab) return null;
+
+  let best = null;
+  for (const color of getLabColors(libraryId)) {
+    const deltaE = deltaE2000Lab(lab, color.lab);
+    if (!best || deltaE < best.deltaE) best = { color, deltaE };
+  }
+  if (!best) return null;
+
+  const { code, name, hex: reference } = best.color;
+  const deltaE = Math.round(best.deltaE * 10) / 10;
+  return { library: libraryId, code, name, hex: reference, deltaE, match: describeMatch(deltaE) };
+}
+
+/**
+ * Nächstliegende Sonderfarbe aus jedem Fächer: { 'pantone-coated': {...}, 'pantone-uncoated': {...}, 'ral-classic': {...} }
+ */
+export function matchSpotColors(hex) {
+  return Object.fromEntries(Object.keys(SPOT_LIBRARIES).map(id => [id, findClosestSpotColor(hex, id)]));
+}
+
+export default { SPOT_LIBRARIES, findClosestSpotColor, matchSpotColors, describeMatch };
@@ -13,8 +13,16 @@ export const supabase = supabaseUrl && supabaseAnonKey
 
 export const isOnlineMode = () => !!supabase;
 
-// Generate anonymous user ID for presence tracking
+// Signed-in Supabase Auth user (set by authStore)
+let authUserId = null;
+
+export const setAuthUserId = (userId) => {
+  authUserId = userId || null;
+};
+
+// Auth user ID, or an anonymous ID for presence tracking in offline mode
 export const getOrCreateUserId = () => {
+  if (authUserId) return authUserId;
   let userId = localStorage.getItem('brand_engine_user_id');
   if (!userId) {
     userId = 'user_' + Math.random().toString(36).substr(2, 9);
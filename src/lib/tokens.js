@@ -1,6 +1,7 @@
 // ============================================
 // DESIGN TOKENS - Single Source of Truth
 // ============================================
+import { hexToRgb, rgbToHex, lightenColor, darkenColor, mixColors } from './color.js';
 
 /**
  * Konvertiert ein Brand-Objekt in standardisierte Design Tokens
@@ -11,52 +12,12 @@ export function brandToTokens(brand) {
     meta: {
       id: brand.id,
       name: brand.name,
-      version: '1.0',
+      // Version des letzten veröffentlichten Releases (siehe releases.js)
+      version: brand.releases?.[0]?.version || '0.0.0',
       created: new Date().toISOString()
     },
     
-    colors: {
-      primary: {
-        value: brand.colors.primary,
-        rgb: hexToRgb(brand.colors.primary),
-        description: 'Hauptfarbe für CTAs, Links, Akzente'
-      },
-      secondary: {
-        value: brand.colors.secondary,
-        rgb: hexToRgb(brand.colors.secondary),
-        description: 'Sekundärfarbe für Hintergründe, Hover-States'
-      },
-      accent: {
-        value: brand.colors.accent,
-        rgb: hexToRgb(brand.colors.accent),
-        description: 'Akzentfarbe für Highlights, Badges'
-      },
-      background: {
-        value: brand.colors.background,
-        rgb: hexToRgb(brand.colors.background),
-        description: 'Haupthintergrund'
-      },
-      text: {
-        value: brand.colors.text,
-        rgb: hexToRgb(brand.colors.text),
-        description: 'Haupttextfarbe'
-      },
-      // Automatisch generierte Varianten
-      primaryLight: {
-        value: lightenColor(brand.colors.primary, 0.2),
-        rgb: hexToRgb(lightenColor(brand.colors.primary, 0.2)),
-        description: 'Aufgehellte Primärfarbe'
-      },
-      primaryDark: {
-        value: darkenColor(brand.colors.primary, 0.2),
-        rgb: hexToRgb(darkenColor(brand.colors.primary, 0.2)),
-        description: 'Abgedunkelte Primärfarbe'
-      },
-      textMuted: {
-        value: brand.colors.text + '80',
-        description: 'Gedämpfte Textfarbe (50% Opacity)'
-      }
-    },
+    colors: buildColorTokens(brand.colors),
     
     typography: {
       heading: {
@@ -71,35 +32,13 @@ export function brandToTokens(brand) {
         weights: [400, 500, 600],
         description: 'Für Fließtext, UI-Elemente'
       },
-      // Typografie-Skala
-      scale: {
-        h1: { size: 48, lineHeight: 1.1, weight: 700 },
-        h2: { size: 36, lineHeight: 1.2, weight: 700 },
-        h3: { size: 28, lineHeight: 1.3, weight: 600 },
-        h4: { size: 22, lineHeight: 1.4, weight: 600 },
-        body: { size: 16, lineHeight: 1.6, weight: 400 },
-        small: { size: 14, lineHeight: 1.5, weight: 400 },
-        caption: { size: 12, lineHeight: 1.4, weight: 400 }
-      }
+      // Typografie-Skala (brand.scales.type oder Standard)
+      scale: { ...defaultTypeScale, ...brand.scales?.type }
     },
     
-    spacing: {
-      xs: 4,
-      sm: 8,
-      md: 16,
-      lg: 24,
-      xl: 32,
-      xxl: 48,
-      xxxl: 64
-    },
+    spacing: { ...defaultSpacingScale, ...brand.scales?.spacing },
     
-    borderRadius: {
-      sm: 4,
-      md: 8,
-      lg: 12,
-      xl: 16,
-      full: 9999
-    },
+    borderRadius: { ...defaultRadiusScale, ...brand.scales?.borderRadius },
     
     voice: {
       tone: brand.voice.tone,
@@ -111,119 +50,784 @@ export function brandToTokens(brand) {
     
     assets: {
       logo: brand.logo,
-      logoAlt: `${brand.name} Logo`
+      logoAlt: `${brand.name} Logo`,
+      // Hochgeladene Schriftdateien (für die Einbettung in PDFs)
+      fonts: (brand.fonts.additional || [])
+        .filter(font => font.dataUrl)
+        .map(({ name, format, dataUrl }) => ({ name, format, dataUrl }))
+    },
+    
+    // Semantische Tokens (Aliase auf Primitives, z.B. {colors.primary})
+    semantic: buildSemanticTokens(brand.semantic),
+
+    // Themes (Dark, High Contrast, ...) als Overrides auf die Basis
+    themes: buildThemeTokens(brand),
+
+    // Importierte, nicht zugeordnete Tokens (W3C-Format, Pfad → Token)
+    extensions: { ...brand.extensions?.tokens }
+  };
+}
+
+/**
+ * Farb-Primitives inkl. automatisch generierter Varianten
+ */
+function buildColorTokens(colors) {
+  return {
+    primary: {
+      value: colors.primary,
+      rgb: hexToRgb(colors.primary),
+      description: 'Hauptfarbe für CTAs, Links, Akzente'
+    },
+    secondary: {
+      value: colors.secondary,
+      rgb: hexToRgb(colors.secondary),
+      description: 'Sekundärfarbe für Hintergründe, Hover-States'
+    },
+    accent: {
+      value: colors.accent,
+      rgb: hexToRgb(colors.accent),
+      description: 'Akzentfarbe für Highlights, Badges'
+    },
+    background: {
+      value: colors.background,
+      rgb: hexToRgb(colors.background),
+      description: 'Haupthintergrund'
+    },
+    text: {
+      value: colors.text,
+      rgb: hexToRgb(colors.text),
+      description: 'Haupttextfarbe'
+    },
+    // Automatisch generierte Varianten
+    primaryLight: {
+      value: lightenColor(colors.primary, 0.2),
+      rgb: hexToRgb(lightenColor(colors.primary, 0.2)),
+      description: 'Aufgehellte Primärfarbe'
+    },
+    primaryDark: {
+      value: darkenColor(colors.primary, 0.2),
+      rgb: hexToRgb(darkenColor(colors.primary, 0.2)),
+      description: 'Abgedunkelte Primärfarbe'
+    },
+    textMuted: {
+      value: colors.text + '80',
+      description: 'Gedämpfte Textfarbe (50% Opacity)'
+    }
+  };
+}
+
+// ============================================
+// THEMES - Light, Dark, High Contrast, Saisonal
+// ============================================
+
+/**
+ * Die Basis-Marke ist immer das Theme "light"
+ * Weitere Themes liegen in brand.themes als Overrides:
+ * { dark: { name: 'Dunkel', colorScheme: 'dark', colors: { background: '#111' }, semantic: {} } }
+ */
+export const BASE_THEME_ID = 'light';
+
+/**
+ * Vorlagen für neue Themes, abgeleitet von den Basisfarben
+ */
+export const themePresets = {
+  dark: {
+    name: 'Dunkel',
+    colorScheme: 'dark',
+    createColors: (colors) => {
+      const background = getBrightness(colors.text) < 80 ? colors.text : '#121212';
+      return {
+        background,
+        text: getBrightness(colors.background) > 175 ? colors.background : '#f5f5f7',
+        primary: lightenColor(colors.primary, 0.15),
+        // secondary trägt surface.muted: etwas hellerer dunkler Hintergrund mit
+        // dem Farbton der Sekundärfarbe (eine helle Sekundärfarbe bliebe sonst fast weiß)
+        secondary: mixColors(lightenColor(background, 0.08), colors.secondary, 0.12)
+      };
+    }
+  },
+  highContrast: {
+    name: 'Hoher Kontrast',
+    colorScheme: 'light',
+    createColors: (colors) => ({
+      background: '#ffffff',
+      text: '#000000',
+      primary: darkenColor(colors.primary, 0.35),
+      secondary: '#000000'
+    })
+  },
+  seasonal: {
+    name: 'Saisonal',
+    colorScheme: 'light',
+    createColors: (colors) => ({
+      accent: colors.accent
+    })
+  }
+};
+
+/**
+ * Erstellt ein neues Theme aus einer Vorlage
+ */
+export function createThemeFromPreset(brand, presetId) {
+  const preset = themePresets[presetId];
+  if (!preset) {
+    throw new Error(`Unbekannte Theme-Vorlage: ${presetId}`);
+  }
+  return {
+    name: preset.name,
+    colorScheme: preset.colorScheme,
+    colors: preset.createColors(brand.colors),
+    semantic: {}
+  };
+}
+
+/**
+ * Liefert alle Themes einer Marke inkl. Basis-Theme
+ * Rückgabe: [{ id, name, colorScheme, isBase }]
+ */
+export function listThemes(brand) {
+  const themes = brand.themes || {};
+  const base = themes[BASE_THEME_ID] || {};
+  return [
+    { id: BASE_THEME_ID, name: base.name || 'Hell', colorScheme: 'light', isBase: true },
+    ...Object.entries(themes)
+      .filter(([id]) => id !== BASE_THEME_ID)
+      .map(([id, theme]) => ({
+        id,
+        name: theme.name || id,
+        colorScheme: theme.colorScheme || 'light',
+        isBase: false
+      }))
+  ];
+}
+
+/**
+ * Wendet ein Theme auf die Marke an (Farben + semantische Overrides)
+ * Unbekannte Themes liefern die Basis-Marke
+ */
+export function applyTheme(brand, themeId = BASE_THEME_ID) {
+  const theme = brand.themes?.[themeId];
+  if (!theme) return brand;
+  return {
+    ...brand,
+    colors: { ...brand.colors, ...theme.colors },
+    semantic: { ...brand.semantic, ...theme.semantic }
+  };
+}
+
+/**
+ * Token-Sets für alle Nicht-Basis-Themes
+ * Enthält vollständige Farben und semantische Tokens des Themes
+ */
+function buildThemeTokens(brand) {
+  const themes = {};
+  for (const theme of listThemes(brand)) {
+    if (theme.isBase) continue;
+    const themed = applyTheme(brand, theme.id);
+    themes[theme.id] = {
+      name: theme.name,
+      colorScheme: theme.colorScheme,
+      colors: buildColorTokens(themed.colors),
+      semantic: buildSemanticTokens(themed.semantic)
+    };
+  }
+  return themes;
+}
+
+/**
+ * Tokens eines Themes: Basis-Tokens mit den Farben und Aliasen des Themes
+ */
+export function getThemeTokens(tokens, themeId) {
+  const theme = tokens.themes?.[themeId];
+  if (!theme) return tokens;
+  return { ...tokens, colors: theme.colors, semantic: theme.semantic };
+}
+
+// ============================================
+// SCALES - Abstände, Radien, Typografie
+// ============================================
+
+/**
+ * Standard-Skalen, falls die Marke keine eigenen definiert
+ * Eigene Werte liegen in brand.scales = { spacing, borderRadius, type, modular }
+ */
+export const defaultSpacingScale = {
+  xs: 4,
+  sm: 8,
+  md: 16,
+  lg: 24,
+  xl: 32,
+  xxl: 48,
+  xxxl: 64
+};
+
+export const defaultRadiusScale = {
+  sm: 4,
+  md: 8,
+  lg: 12,
+  xl: 16,
+  full: 9999
+};
+
+export const defaultTypeScale = {
+  h1: { size: 48, lineHeight: 1.1, weight: 700 },
+  h2: { size: 36, lineHeight: 1.2, weight: 700 },
+  h3: { size: 28, lineHeight: 1.3, weight: 600 },
+  h4: { size: 22, lineHeight: 1.4, weight: 600 },
+  body: { size: 16, lineHeight: 1.6, weight: 400 },
+  small: { size: 14, lineHeight: 1.5, weight: 400 },
+  caption: { size: 12, lineHeight: 1.4, weight: 400 }
+};
+
+/**
+ * Gängige Verhältnisse für modulare Skalen
+ */
+export const modularScaleRatios = [
+  { value: 1.125, label: 'Große Sekunde (1.125)' },
+  { value: 1.2, label: 'Kleine Terz (1.2)' },
+  { value: 1.25, label: 'Große Terz (1.25)' },
+  { value: 1.333, label: 'Quarte (1.333)' },
+  { value: 1.414, label: 'Tritonus (1.414)' },
+  { value: 1.5, label: 'Quinte (1.5)' },
+  { value: 1.618, label: 'Goldener Schnitt (1.618)' }
+];
+
+// Stufe relativ zur Basisgröße (body = 0)
+const modularSteps = { h1: 5, h2: 4, h3: 3, h4: 2, body: 0, small: -1, caption: -2 };
+
+/**
+ * Modulare Typo-Skala: Größe = Basis × Verhältnis^Stufe
+ * Zeilenhöhe und Gewicht kommen aus der Standard-Skala
+ */
+export function generateModularScale(base = 16, ratio = 1.25) {
+  const scale = {};
+  for (const [name, step] of Object.entries(modularSteps)) {
+    scale[name] = {
+      ...defaultTypeScale[name],
+      size: Math.round(base * Math.pow(ratio, step))
+    };
+  }
+  return scale;
+}
+
+/**
+ * Leitet Skalen aus bestätigten Regeln des rulesStore ab
+ * (Grid-System → spacing, Border-Radius → borderRadius,
+ * Schriftgrößen-Hierarchie → type)
+ * Rückgabe: { scales, sources: [{ key, rule }] } – nur gefundene Skalen
+ */
+export function scalesFromRules(rules = []) {
+  const scales = {};
+  const sources = [];
+  const confirmed = rules.filter(rule => rule.confirmed && rule.value);
+
+  const spacingRule = confirmed.find(rule => rule.category === 'spacing' && rule.value.spacingTokens);
+  if (spacingRule) {
+    const { baseUnit = 8, spacingTokens } = spacingRule.value;
+    const spacing = { ...defaultSpacingScale, ...spacingTokens };
+    spacing.xxl = Math.max(baseUnit * 6, spacing.xl + baseUnit * 2);
+    spacing.xxxl = Math.max(baseUnit * 8, spacing.xxl + baseUnit * 2);
+    scales.spacing = spacing;
+    sources.push({ key: 'spacing', rule: spacingRule });
+  }
+
+  const radiusRule = confirmed.find(rule => rule.category === 'component' && typeof rule.value.borderRadius === 'number');
+  if (radiusRule) {
+    const md = radiusRule.value.borderRadius;
+    const values = (radiusRule.value.scale || [md]).slice().sort((a, b) => a - b);
+    const sm = values[0] < md ? values[0] : Math.round(md / 2);
+    const lg = values[values.length - 1] > md ? values[values.length - 1] : Math.round(md * 1.5);
+    scales.borderRadius = { sm, md, lg, xl: Math.max(md * 2, lg + 4), full: 9999 };
+    sources.push({ key: 'borderRadius', rule: radiusRule });
+  }
+
+  const typeRule = confirmed.find(rule => rule.category === 'typography' && rule.value.heading && rule.value.body);
+  if (typeRule) {
+    // Regelwerte sind pt (PPTX) – 1pt = 4/3px
+    const { heading, body } = typeRule.value;
+    const base = Math.round(body * 4 / 3);
+    const ratio = Math.min(1.618, Math.max(1.067, Math.pow(heading / body, 1 / modularSteps.h1)));
+    const modular = { base, ratio: Math.round(ratio * 1000) / 1000 };
+    scales.type = generateModularScale(modular.base, modular.ratio);
+    scales.modular = modular;
+    sources.push({ key: 'type', rule: typeRule });
+  }
+
+  return { scales, sources };
+}
+
+// ============================================
+// SEMANTIC TOKENS - Aliase mit {referenz}
+// ============================================
+
+/**
+ * Standard-Aliase für jede Marke
+ * Referenzen zeigen auf Primitives (colors, spacing, borderRadius)
+ * oder auf andere semantische Tokens
+ */
+export const defaultSemanticTokens = {
+  'button.background': { value: '{colors.primary}', description: 'Hintergrund primärer Buttons' },
+  'button.backgroundHover': { value: '{colors.primaryDark}', description: 'Button-Hintergrund bei Hover' },
+  'button.text': { value: '{colors.background}', description: 'Textfarbe auf primären Buttons' },
+  'button.radius': { value: '{borderRadius.md}', description: 'Eckenradius von Buttons' },
+  'surface.default': { value: '{colors.background}', description: 'Standard-Fläche' },
+  'surface.muted': { value: '{colors.secondary}', description: 'Gedämpfte Fläche, Sektionen' },
+  'surface.inverse': { value: '{colors.text}', description: 'Invertierte Fläche (Footer, Banner)' },
+  'content.default': { value: '{colors.text}', description: 'Fließtext' },
+  'content.muted': { value: '{colors.textMuted}', description: 'Sekundärer Text' },
+  'content.link': { value: '{colors.primary}', description: 'Links' },
+  'content.onInverse': { value: '{surface.default}', description: 'Text auf invertierten Flächen' },
+  'border.focus': { value: '{colors.accent}', description: 'Fokus-Ring' },
+  'badge.background': { value: '{colors.accent}', description: 'Badges, Highlights' },
+  'layout.gutter': { value: '{spacing.lg}', description: 'Abstand zwischen Spalten' },
+  'layout.section': { value: '{spacing.xxl}', description: 'Vertikaler Abstand zwischen Sektionen' }
+};
+
+/**
+ * Baut den semantischen Token-Baum aus Defaults + Brand-Overrides
+ * Overrides: { 'button.background': '{colors.accent}' }
+ */
+function buildSemanticTokens(overrides = {}) {
+  const tree = {};
+
+  const entries = { ...defaultSemanticTokens };
+  for (const [path, value] of Object.entries(overrides || {})) {
+    entries[path] = { ...entries[path], value };
+  }
+
+  for (const [path, token] of Object.entries(entries)) {
+    const parts = path.split('.');
+    let node = tree;
+    parts.slice(0, -1).forEach(key => {
+      node = node[key] = node[key] || {};
+    });
+    node[parts[parts.length - 1]] = { ...token };
+  }
+
+  return tree;
+}
+
+const REFERENCE_PATTERN = /^\{([^{}]+)\}$/;
+
+/**
+ * Prüft ob ein Wert eine {referenz} ist
+ */
+export function isTokenReference(value) {
+  return typeof value === 'string' && REFERENCE_PATTERN.test(value.trim());
+}
+
+/**
+ * Liefert alle semantischen Tokens als flache Liste [{ path, token }]
+ */
+export function listSemanticTokens(tokens) {
+  const list = [];
+  const walk = (node, path) => {
+    for (const [key, value] of Object.entries(node || {})) {
+      if (value && typeof value === 'object' && ('value' in value || 'reference' in value)) {
+        list.push({ path: [...path, key].join('.'), token: value });
+      } else if (value && typeof value === 'object') {
+        walk(value, [...path, key]);
+      }
     }
   };
+  walk(tokens.semantic, []);
+  return list;
+}
+
+/**
+ * Sucht einen Token-Pfad zuerst im Root (colors.primary),
+ * dann unter den semantischen Tokens (button.background)
+ */
+function lookupToken(tokens, path) {
+  const parts = path.split('.');
+  for (const root of [tokens, tokens.semantic || {}]) {
+    let node = root;
+    for (const part of parts) {
+      node = node != null && typeof node === 'object' ? node[part] : undefined;
+    }
+    if (node !== undefined) return node;
+  }
+  return undefined;
+}
+
+function tokenTypeForPath(path) {
+  const root = path.split('.')[0];
+  return { colors: 'color', spacing: 'spacing', borderRadius: 'radius' }[root] || 'other';
+}
+
+/**
+ * Löst eine Referenz rekursiv auf
+ * Rückgabe: { value, type, primitive, chain } oder { error }
+ */
+function resolveReference(tokens, value, chain = []) {
+  if (!isTokenReference(value)) {
+    const primitive = [...chain].reverse().find(p => tokenTypeForPath(p) !== 'other') || null;
+    const type = primitive
+      ? tokenTypeForPath(primitive)
+      : /^#[0-9a-f]{3,8}$/i.test(String(value)) ? 'color' : 'other';
+    return { value, type, primitive, chain };
+  }
+
+  const path = REFERENCE_PATTERN.exec(value.trim())[1].trim();
+
+  if (chain.includes(path)) {
+    return {
+      error: {
+        type: 'circular',
+        reference: value,
+        chain: [...chain, path],
+        message: `Zirkuläre Referenz: ${[...chain, path].join(' → ')}`
+      }
+    };
+  }
+
+  const target = lookupToken(tokens, path);
+  const targetValue = target && typeof target === 'object'
+    ? (target.reference ?? target.value)
+    : target;
+
+  if (targetValue === undefined || targetValue === null || typeof targetValue === 'object') {
+    return {
+      error: {
+        type: 'dangling',
+        reference: value,
+        chain: [...chain, path],
+        message: `Referenz ${value} zeigt auf keinen Token`
+      }
+    };
+  }
+
+  return resolveReference(tokens, targetValue, [...chain, path]);
+}
+
+/**
+ * Prüft alle semantischen Tokens auf zirkuläre und ins Leere zeigende Referenzen
+ * Rückgabe: [{ path, type: 'circular' | 'dangling', reference, chain, message }]
+ */
+export function validateTokenReferences(tokens) {
+  const errors = [];
+  for (const { path, token } of listSemanticTokens(tokens)) {
+    const result = resolveReference(tokens, token.reference ?? token.value, [path]);
+    if (result.error) {
+      errors.push({ path, ...result.error, message: `${path}: ${result.error.message}` });
+    }
+  }
+
+  // Themes prüfen (jeweils mit eigenen Farben und Aliasen)
+  for (const [themeId, theme] of Object.entries(tokens.themes || {})) {
+    const themeTokens = { ...tokens, colors: theme.colors, semantic: theme.semantic, themes: {} };
+    for (const error of validateTokenReferences(themeTokens)) {
+      errors.push({ ...error, theme: themeId, message: `[${theme.name}] ${error.message}` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Löst alle semantischen Referenzen auf (beim Export)
+ * Jeder semantische Token erhält value (aufgelöst), reference, type und primitive
+ * Wirft einen Fehler bei zirkulären oder ins Leere zeigenden Referenzen
+ */
+export function resolveTokens(tokens) {
+  const errors = validateTokenReferences(tokens);
+  if (errors.length > 0) {
+    const error = new Error(`Ungültige Token-Referenzen:\n${errors.map(e => e.message).join('\n')}`);
+    error.referenceErrors = errors;
+    throw error;
+  }
+
+  const resolved = resolveSemantic(tokens);
+  resolved.themes = {};
+  for (const [themeId, theme] of Object.entries(tokens.themes || {})) {
+    const themed = resolveSemantic({ ...tokens, colors: theme.colors, semantic: theme.semantic });
+    resolved.themes[themeId] = { ...theme, semantic: themed.semantic };
+  }
+
+  return resolved;
+}
+
+function resolveSemantic(tokens) {
+  const resolved = { ...tokens, semantic: JSON.parse(JSON.stringify(tokens.semantic || {})) };
+  for (const { path, token } of listSemanticTokens(resolved)) {
+    const reference = token.reference ?? token.value;
+    const result = resolveReference(tokens, reference, [path]);
+    token.reference = isTokenReference(reference) ? reference : null;
+    token.value = result.value;
+    token.type = result.type;
+    // Primitive am Ende der Kette und direktes Ziel (für CSS var()-Aliase)
+    token.primitive = result.primitive;
+    token.target = result.chain[1] || null;
+  }
+  return resolved;
 }
 
 /**
  * Exportiert Tokens als CSS Variables
+ * Semantische Tokens werden als var()-Alias auf ihr Ziel ausgegeben
+ * Themes landen unter [data-theme="id"], dunkle Themes zusätzlich
+ * unter @media (prefers-color-scheme: dark)
  */
 export function tokensToCss(tokens) {
-  return `:root {
-  /* Colors */
-  --color-primary: ${tokens.colors.primary.value};
-  --color-primary-rgb: ${tokens.colors.primary.rgb.join(', ')};
-  --color-primary-light: ${tokens.colors.primaryLight.value};
-  --color-primary-dark: ${tokens.colors.primaryDark.value};
-  --color-secondary: ${tokens.colors.secondary.value};
-  --color-accent: ${tokens.colors.accent.value};
-  --color-background: ${tokens.colors.background.value};
-  --color-text: ${tokens.colors.text.value};
-  --color-text-muted: ${tokens.colors.textMuted.value};
-  
-  /* Typography */
-  --font-heading: ${tokens.typography.heading.fontFamily};
-  --font-body: ${tokens.typography.body.fontFamily};
-  
-  /* Font Sizes */
-  --text-h1: ${tokens.typography.scale.h1.size}px;
-  --text-h2: ${tokens.typography.scale.h2.size}px;
-  --text-h3: ${tokens.typography.scale.h3.size}px;
-  --text-h4: ${tokens.typography.scale.h4.size}px;
-  --text-body: ${tokens.typography.scale.body.size}px;
-  --text-small: ${tokens.typography.scale.small.size}px;
-  --text-caption: ${tokens.typography.scale.caption.size}px;
-  
-  /* Spacing */
-  --space-xs: ${tokens.spacing.xs}px;
-  --space-sm: ${tokens.spacing.sm}px;
-  --space-md: ${tokens.spacing.md}px;
-  --space-lg: ${tokens.spacing.lg}px;
-  --space-xl: ${tokens.spacing.xl}px;
-  --space-xxl: ${tokens.spacing.xxl}px;
-  
-  /* Border Radius */
-  --radius-sm: ${tokens.borderRadius.sm}px;
-  --radius-md: ${tokens.borderRadius.md}px;
-  --radius-lg: ${tokens.borderRadius.lg}px;
-  --radius-xl: ${tokens.borderRadius.xl}px;
-}`;
+  const resolved = resolveTokens(tokens);
+  const lines = [];
+
+  lines.push('  /* Colors */');
+  lines.push(...colorCssLines(resolved.colors));
+
+  lines.push('  ', '  /* Typography */');
+  lines.push(`  --font-heading: ${resolved.typography.heading.fontFamily};`);
+  lines.push(`  --font-body: ${resolved.typography.body.fontFamily};`);
+
+  lines.push('  ', '  /* Font Sizes */');
+  for (const [name, scale] of Object.entries(resolved.typography.scale)) {
+    lines.push(`  --text-${toKebab(name)}: ${scale.size}px;`);
+  }
+
+  lines.push('  ', '  /* Spacing */');
+  for (const [name, value] of Object.entries(resolved.spacing)) {
+    lines.push(`  ${cssVarName(`spacing.${name}`)}: ${value}px;`);
+  }
+
+  lines.push('  ', '  /* Border Radius */');
+  for (const [name, value] of Object.entries(resolved.borderRadius)) {
+    lines.push(`  ${cssVarName(`borderRadius.${name}`)}: ${value}px;`);
+  }
+
+  lines.push('  ', '  /* Semantic */');
+  lines.push(...semanticCssLines(resolved.semantic));
+
+  const blocks = [`/* ${resolved.meta.name} Design Tokens v${resolved.meta.version} */
+:root {
+${lines.join('\n')}
+}`];
+
+  for (const [themeId, theme] of Object.entries(resolved.themes)) {
+    // Nur geänderte Farben, Aliase komplett (damit var() im Theme-Scope neu auflöst)
+    const changedColors = Object.fromEntries(
+      Object.entries(theme.colors).filter(([name, token]) => resolved.colors[name]?.value !== token.value)
+    );
+    const themeLines = [
+      `  /* Theme: ${theme.name} */`,
+      ...colorCssLines(changedColors),
+      ...semanticCssLines(theme.semantic)
+    ];
+    blocks.push(`[data-theme="${themeId}"] {
+${themeLines.join('\n')}
+}`);
+
+    if (theme.colorScheme === 'dark') {
+      blocks.push(`@media (prefers-color-scheme: dark) {
+  :root:not([data-theme]) {
+${themeLines.map(line => '  ' + line).join('\n')}
+  }
+}`);
+    }
+  }
+
+  return blocks.join('\n\n');
+}
+
+function colorCssLines(colors) {
+  const lines = [];
+  for (const [name, token] of Object.entries(colors)) {
+    lines.push(`  ${cssVarName(`colors.${name}`)}: ${token.value};`);
+    if (name === 'primary') {
+      lines.push(`  --color-primary-rgb: ${token.rgb.join(', ')};`);
+    }
+  }
+  return lines;
+}
+
+function semanticCssLines(semantic) {
+  return listSemanticTokens({ semantic }).map(({ path, token }) => {
+    const target = token.target ? cssVarName(token.target) : null;
+    const value = target ? `var(${target})` : formatCssValue(token);
+    return `  ${cssVarName(path)}: ${value};`;
+  });
+}
+
+/**
+ * CSS-Variablenname für einen Token-Pfad
+ */
+function cssVarName(path) {
+  const [root, ...rest] = path.split('.');
+  const prefixes = { colors: 'color', spacing: 'space', borderRadius: 'radius' };
+  if (prefixes[root]) {
+    return `--${prefixes[root]}-${rest.map(toKebab).join('-')}`;
+  }
+  return `--${path.split('.').map(toKebab).join('-')}`;
+}
+
+function formatCssValue(token) {
+  return token.type === 'spacing' || token.type === 'radius' ? `${token.value}px` : token.value;
+}
+
+function toKebab(text) {
+  return String(text).replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
 }
 
 /**
  * Exportiert Tokens als Tailwind Config
+ * Semantische Tokens landen aufgelöst unter colors, spacing und borderRadius
+ * Mit Themes: Farben als CSS-Variablen, ein Modus pro Theme via data-theme
  */
 export function tokensToTailwind(tokens) {
-  return `// tailwind.config.js
-export default {
-  theme: {
-    extend: {
-      colors: {
-        primary: {
-          DEFAULT: '${tokens.colors.primary.value}',
-          light: '${tokens.colors.primaryLight.value}',
-          dark: '${tokens.colors.primaryDark.value}',
-        },
-        secondary: '${tokens.colors.secondary.value}',
-        accent: '${tokens.colors.accent.value}',
-      },
-      fontFamily: {
-        heading: ['${tokens.typography.heading.fontFamilyClean}', 'sans-serif'],
-        body: ['${tokens.typography.body.fontFamilyClean}', 'sans-serif'],
+  const resolved = resolveTokens(tokens);
+  const themeIds = Object.keys(resolved.themes);
+  const hasThemes = themeIds.length > 0;
+
+  const semanticGroup = (type, format) => {
+    const tree = {};
+    listSemanticTokens(resolved)
+      .filter(({ token }) => token.type === type)
+      .forEach(({ path, token }) => {
+        const parts = path.split('.');
+        let node = tree;
+        parts.slice(0, -1).forEach(key => {
+          node = node[key] = node[key] || {};
+        });
+        node[parts[parts.length - 1]] = format(token.value, path);
+      });
+    return tree;
+  };
+
+  // Mit Themes verweisen Farben auf CSS-Variablen, die pro Modus wechseln
+  const color = (name) => hasThemes
+    ? `var(${cssVarName(`colors.${name}`)})`
+    : resolved.colors[name].value;
+
+  const extend = {
+    colors: {
+      primary: {
+        DEFAULT: color('primary'),
+        light: color('primaryLight'),
+        dark: color('primaryDark')
       },
+      secondary: color('secondary'),
+      accent: color('accent'),
+      ...semanticGroup('color', (value, path) => hasThemes ? `var(${cssVarName(path)})` : value)
     },
+    spacing: semanticGroup('spacing', value => `${value}px`),
+    borderRadius: semanticGroup('radius', value => `${value}px`),
+    fontFamily: {
+      heading: [resolved.typography.heading.fontFamilyClean, 'sans-serif'],
+      body: [resolved.typography.body.fontFamilyClean, 'sans-serif']
+    }
+  };
+
+  if (!hasThemes) {
+    return `// tailwind.config.js – ${resolved.meta.name} Design Tokens v${resolved.meta.version}
+export default {
+  theme: {
+    extend: ${toJsLiteral(extend, '    ')},
+  },
+}`;
+  }
+
+  // Modi: Basis unter :root, jedes Theme unter [data-theme]
+  const modeVariables = (colors, semantic) => {
+    const vars = {};
+    for (const [name, token] of Object.entries(colors)) {
+      vars[cssVarName(`colors.${name}`)] = token.value;
+    }
+    listSemanticTokens({ semantic })
+      .filter(({ token }) => token.type === 'color')
+      .forEach(({ path, token }) => {
+        vars[cssVarName(path)] = token.value;
+      });
+    return vars;
+  };
+
+  const modes = { ':root': modeVariables(resolved.colors, resolved.semantic) };
+  for (const [themeId, theme] of Object.entries(resolved.themes)) {
+    modes[`[data-theme="${themeId}"]`] = modeVariables(theme.colors, theme.semantic);
+  }
+
+  const darkTheme = themeIds.find(id => resolved.themes[id].colorScheme === 'dark');
+  const darkMode = darkTheme
+    ? `\n  darkMode: ['selector', '[data-theme="${darkTheme}"]'],`
+    : '';
+
+  return `// tailwind.config.js – ${resolved.meta.name} Design Tokens v${resolved.meta.version}
+import plugin from 'tailwindcss/plugin';
+
+// Theme-Modi: ${listThemes({ themes: resolved.themes }).map(t => t.id).join(', ')}
+const modes = ${toJsLiteral(modes)};
+
+export default {${darkMode}
+  theme: {
+    extend: ${toJsLiteral(extend, '    ')},
   },
+  plugins: [
+    plugin(({ addBase }) => addBase(modes)),
+  ],
 }`;
 }
 
+/**
+ * Serialisiert ein Objekt als JS-Literal (unquoted Keys, single quotes)
+ */
+function toJsLiteral(value, indent = '') {
+  if (Array.isArray(value)) {
+    return `[${value.map(v => toJsLiteral(v, indent)).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const inner = indent + '  ';
+    const entries = Object.entries(value).map(([key, v]) => {
+      const safeKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+      return `${inner}${safeKey}: ${toJsLiteral(v, inner)},`;
+    });
+    return entries.length ? `{\n${entries.join('\n')}\n${indent}}` : '{}';
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/'/g, "\\'")}'`;
+  }
+  return String(value);
+}
+
 /**
  * Exportiert Tokens als JSON (für Figma, andere Tools)
  */
 export function tokensToJson(tokens) {
-  return JSON.stringify(tokens, null, 2);
+  return JSON.stringify(resolveTokens(tokens), null, 2);
+}
+
+/**
+ * Fügt die Extension-Tokens an ihren Originalpfaden in einen Token-Baum ein
+ * Bestehende Tokens werden nicht überschrieben
+ * format: Token → Knoten im Zielformat (Standard: W3C unverändert)
+ * Rückgabe: Liste der eingefügten Pfade
+ */
+export function mergeExtensionTokens(tree, extensions = {}, format = token => token) {
+  const merged = [];
+  for (const [path, token] of Object.entries(extensions)) {
+    const parts = path.split('.');
+    let node = tree;
+    let blocked = false;
+    for (const key of parts.slice(0, -1)) {
+      if (node[key] === undefined) node[key] = {};
+      if (typeof node[key] !== 'object' || node[key].$value !== undefined || node[key].value !== undefined) {
+        blocked = true;
+        break;
+      }
+      node = node[key];
+    }
+    const last = parts[parts.length - 1];
+    if (!blocked && node[last] === undefined) {
+      node[last] = format(token);
+      merged.push(path);
+    }
+  }
+  return merged;
 }
 
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
-function hexToRgb(hex) {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? [
-    parseInt(result[1], 16),
-    parseInt(result[2], 16),
-    parseInt(result[3], 16)
-  ] : [0, 0, 0];
-}
-
-function rgbToHex(r, g, b) {
-  return '#' + [r, g, b].map(x => {
-    const hex = Math.max(0, Math.min(255, Math.round(x))).toString(16);
-    return hex.length === 1 ? '0' + hex : hex;
-  }).join('');
-}
-
-function lightenColor(hex, amount) {
-  const rgb = hexToRgb(hex);
-  const lightened = rgb.map(c => c + (255 - c) * amount);
-  return rgbToHex(...lightened);
-}
-
-function darkenColor(hex, amount) {
-  const rgb = hexToRgb(hex);
-  const darkened = rgb.map(c => c * (1 - amount));
-  return rgbToHex(...darkened);
+function getBrightness(hex) {
+  const [r, g, b] = hexToRgb(hex);
+  return (r * 299 + g * 587 + b * 114) / 1000;
 }
 
 function extractFontName(fontFamily) {
@@ -232,4 +836,5 @@ function extractFontName(fontFamily) {
   return match ? match[1] : fontFamily.split(',')[0].trim();
 }
 
+// Farbfunktionen stammen aus color.js und bleiben hier für bestehende Importe erreichbar
 export { hexToRgb, rgbToHex, lightenColor, darkenColor, extractFontName };
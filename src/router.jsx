@@ -7,6 +7,10 @@ import AssetGenerator from './components/assets/AssetGenerator';
 import ExportCenter from './components/exports/ExportCenter';
 import CampaignManager from './components/campaigns/CampaignManager';
 import BrandIntelligence from './components/intelligence/BrandIntelligence';
+import ComplianceChecker from './components/intelligence/ComplianceChecker';
+import BrandHistory from './components/history/BrandHistory';
+import BrandMembers from './components/members/BrandMembers';
+import AssetLibrary from './components/library/AssetLibrary';
 import Settings from './components/Settings';
 
 export const router = createBrowserRouter([
@@ -22,9 +26,13 @@ export const router = createBrowserRouter([
           { path: 'tokens', element: <TokenSystem /> },
           { path: 'assets', element: <AssetGenerator /> },
           { path: 'assets/:assetType', element: <AssetGenerator /> },
+          { path: 'library', element: <AssetLibrary /> },
           { path: 'campaigns', element: <CampaignManager /> },
           { path: 'exports', element: <ExportCenter /> },
           { path: 'intelligence', element: <BrandIntelligence /> },
+          { path: 'compliance', element: <ComplianceChecker /> },
+          { path: 'history', element: <BrandHistory /> },
+          { path: 'members', element: <BrandMembers /> },
         ]
       },
       { path: 'settings', element: <Settings /> },
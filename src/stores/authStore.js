@@ -0,0 +1,191 @@
+// ============================================
+// AUTH STORE - Supabase Auth & brand roles
+// ============================================
+import { create } from 'zustand';
+import { supabase, setAuthUserId } from '../lib/supabase';
+
+// Roles per brand membership, strongest first
+export const ROLES = {
+  owner: { label: 'Owner', description: 'Alles inkl. Mitglieder verwalten und Marke löschen' },
+  editor: { label: 'Editor', description: 'Marke, Inhalte und Regeln bearbeiten' },
+  viewer: { label: 'Viewer', description: 'Nur lesen und exportieren' }
+};
+
+let authInitialized = false;
+
+export const useAuthStore = create((set, get) => ({
+  // State
+  session: null,
+  user: null,
+  memberships: {}, // brandId -> 'owner' | 'editor' | 'viewer'
+  members: {},     // brandId -> [{ user_id, email, role }]
+  isLoading: true,
+  // Without Supabase there is no auth: local single-user mode
+  isAuthEnabled: !!supabase,
+
+  initialize: async () => {
+    if (authInitialized) return;
+    authInitialized = true;
+
+    if (!supabase) {
+      set({ isLoading: false });
+      return;
+    }
+
+    const { data } = await supabase.auth.getSession();
+    await get().setSession(data.session);
+    set({ isLoading: false });
+
+    // Sign-in/out in other tabs and token refreshes
+    supabase.auth.onAuthStateChange((event, session) => {
+      if (session?.user?.id === get().user?.id) {
+        set({ session });
+        return;
+      }
+      // Supabase calls inside this callback must not block the auth lock
+      setTimeout(() => get().setSession(session), 0);
+    });
+  },
+
+  setSession: async (session) => {
+    const user = session?.user || null;
+    setAuthUserId(user?.id);
+    set({ session, user, memberships: {}, members: {} });
+    if (user) {
+      await get().loadMemberships();
+    }
+  },
+
+  signIn: async (email, password) => {
+    const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+    if (error) throw new Error(translateAuthError(error));
+    await get().setSession(data.session);
+  },
+
+  signUp: async (email, password) => {
+    const { data, error } = await supabase.auth.signUp({ email, password });
+    if (error) throw new Error(translateAuthError(error));
+    // With e-mail confirmation enabled there is no session yet
+    if (data.session) {
+      await get().setSession(data.session);
+    }
+    return { needsConfirmation: !data.session };
+  },
+
+  signOut: async () => {
+    if (supabase) {
+      await supabase.auth.signOut();
+    }
+    await get().setSession(null);
+  },
+
+  // ============================================
+  // MEMBERSHIPS
+  // ============================================
+
+  loadMemberships: async () => {
+    const { user } = get();
+    if (!supabase || !user) return;
+
+    const { data, error } = await supabase
+      .from('brand_members')
+      .select('brand_id, role')
+      .eq('user_id', user.id);
+
+    if (error) {
+      console.error('Failed to load brand memberships:', error);
+      return;
+    }
+
+    const memberships = {};
+    data.forEach(row => {
+      memberships[row.brand_id] = row.role;
+    });
+    set({ memberships });
+  },
+
+  // Role of the current user; local mode is always owner
+  getRole: (brandId) => {
+    const { isAuthEnabled, memberships } = get();
+    if (!isAuthEnabled) return 'owner';
+    return memberships[brandId] || null;
+  },
+
+  canEdit: (brandId) => {
+    const role = get().getRole(brandId);
+    return role === 'owner' || role === 'editor';
+  },
+
+  isOwner: (brandId) => {
+    return get().getRole(brandId) === 'owner';
+  },
+
+  loadMembers: async (brandId) => {
+    if (!supabase) return [];
+
+    const { data, error } = await supabase
+      .from('brand_members')
+      .select('user_id, email, role, created_at')
+      .eq('brand_id', brandId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Failed to load brand members:', error);
+      return [];
+    }
+
+    set({ members: { ...get().members, [brandId]: data } });
+    return data;
+  },
+
+  // Invite an existing user by e-mail (owners only, see add_brand_member in schema)
+  addMember: async (brandId, email, role) => {
+    const { error } = await supabase.rpc('add_brand_member', {
+      p_brand_id: brandId,
+      p_email: email.trim(),
+      p_role: role
+    });
+    if (error) throw new Error(error.message);
+    await get().loadMembers(brandId);
+  },
+
+  updateMemberRole: async (brandId, userId, role) => {
+    const { error } = await supabase
+      .from('brand_members')
+      .update({ role })
+      .eq('brand_id', brandId)
+      .eq('user_id', userId);
+    if (error) throw new Error(error.message);
+    await get().loadMembers(brandId);
+  },
+
+  removeMember: async (brandId, userId) => {
+    const { error } = await supabase
+      .from('brand_members')
+      .delete()
+      .eq('brand_id', brandId)
+      .eq('user_id', userId);
+    if (error) throw new Error(error.message);
+    await get().loadMembers(brandId);
+  }
+}));
+
+function translateAuthError(error) {
+  if (error.message?.includes('Invalid login credentials')) return 'E-Mail oder Passwort falsch';
+  if (error.message?.includes('Email not confirmed')) return 'Bitte bestätige zuerst deine E-Mail-Adresse';
+  if (error.message?.includes('already registered')) return 'Diese E-Mail ist bereits registriert';
+  if (error.message?.includes('Password should be')) return 'Das Passwort muss mindestens 6 Zeichen lang sein';
+  return error.message;
+}
+
+// Reactive role of the current user for a brand
+export function useBrandRole(brandId) {
+  const role = useAuthStore(state => (state.isAuthEnabled ? state.memberships[brandId] || null : 'owner'));
+  return {
+    role,
+    canEdit: role === 'owner' || role === 'editor',
+    isOwner: role === 'owner'
+  };
+}
+
+export default useAuthStore;
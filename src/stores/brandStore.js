@@ -1,10 +1,33 @@
 import { create } from 'zustand';
 import { subscribeWithSelector } from 'zustand/middleware';
-import { createClient } from '@supabase/supabase-js';
-
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
-const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey) : null;
+import { supabase, getOrCreateUserId } from '../lib/supabase';
+import { useAuthStore } from './authStore';
+import { useSyncStore, registerSyncHandler, onReconnect } from './syncStore';
+import { isNetworkError, saveServerState, loadServerState } from '../lib/outbox';
+import { externalizeBrandAssets, hasInlineAssets, uploadPendingAssets } from '../lib/assetStore';
+import { createSnapshot, diffBrands, describeChanges, mergeBrands, resolveConflicts } from '../lib/history';
+import { computeNextRelease } from '../lib/releases';
+
+// Realtime channels of the current session (removed on re-initialize / sign-out)
+let realtimeChannels = [];
+
+// Optimistic concurrency: last state confirmed by the server per brand
+// (base for three-way merges) and one write queue per brand, so every
+// write is based on the revision returned by the previous one
+const serverBrands = {};
+const writeQueues = {};
+const MAX_MERGE_ATTEMPTS = 3;
+
+// The server state survives reloads, so edits made offline are merged against it
+const persistServerBrands = () => saveServerState('brands', serverBrands);
+
+// Columns managed by the server / concurrency control, never merged or sent as content
+const syncFields = ({ id, revision, created_at, updated_at, updated_by, ...fields }) => fields;
+
+// Send a mutation via the outbox (queued while offline); server rejections are only logged
+const submit = (type, key, payload) =>
+  useSyncStore.getState().submit({ type, key, payload })
+    .catch(error => console.error(`Failed to sync ${type}:`, error));
 
 const getLocalBrands = () => {
   try {
@@ -30,9 +53,35 @@ const saveLocalContent = (content) => {
   localStorage.setItem('brand_engine_content', JSON.stringify(content));
 };
 
+// Version history (brandId -> Version[], newest first)
+const MAX_LOCAL_VERSIONS = 30;
+const SNAPSHOT_DELAY = 2000; // Rapid edits (e.g. color picker) are bundled into one version
+const pendingSnapshots = {};
+
+const getLocalVersions = () => {
+  try {
+    return JSON.parse(localStorage.getItem('brand_engine_versions') || '{}');
+  } catch {
+    return {};
+  }
+};
+
+const saveLocalVersions = (versions) => {
+  try {
+    const trimmed = {};
+    for (const [brandId, list] of Object.entries(versions)) {
+      trimmed[brandId] = list.slice(0, MAX_LOCAL_VERSIONS);
+    }
+    localStorage.setItem('brand_engine_versions', JSON.stringify(trimmed));
+  } catch (e) {
+    console.warn('Could not save version history to localStorage:', e);
+  }
+};
+
 // Default brand template
 const createDefaultBrand = (name = 'Neue Marke') => ({
   id: Date.now().toString(),
+  revision: 0, // Incremented on every server write (optimistic concurrency)
   name,
   colors: {
     primary: '#0071e3',
@@ -54,8 +103,13 @@ const createDefaultBrand = (name = 'Neue Marke') => ({
     dos: '',
     donts: ''
   },
-  logo: null,
-  logos: [], // Additional logos { dataUrl, name, description }
+  semantic: {}, // Semantic alias overrides { 'button.background': '{colors.primary}' }
+  themes: {}, // Theme overrides { dark: { name, colorScheme, colors, semantic } }
+  scales: {}, // Custom scales { spacing, borderRadius, type, modular: { base, ratio } }
+  extensions: null, // Imported, unmapped tokens { format, tokens: { path: token } }
+  releases: [], // Published releases, newest first { version, created_at, author, notes, tokens, changes }
+  logo: null, // Asset reference "asset:<id>#<sha256>@<brandId>" (see lib/assetStore)
+  logos: [], // Additional logos { dataUrl (asset reference), name, description }
   toneOfVoice: null // AI-extracted tone of voice data
 });
 
@@ -66,9 +120,11 @@ export const useBrandStore = create(
     activeBrandId: null,
     assetContent: {},
     isLoading: true,
-    isOnline: !!supabase,
+    isOnline: !!supabase, // Supabase configured; connectivity is tracked by syncStore
     currentUser: null,
     onlineUsers: [],
+    versions: getLocalVersions(),
+    conflicts: {}, // brandId -> { conflicts: [{ field, label, type, local, remote }], remote }
 
     // Computed
     getActiveBrand: () => {
@@ -84,60 +140,162 @@ export const useBrandStore = create(
     initialize: async () => {
       set({ isLoading: true });
 
-      if (supabase) {
-        try {
-          const { data: brands } = await supabase.from('brands').select('*');
-          const { data: content } = await supabase.from('asset_content').select('*');
-
-          const contentMap = {};
-          content?.forEach(c => {
-            contentMap[c.id] = c.content;
-          });
-
-          set({
-            brands: brands || [],
-            assetContent: contentMap,
-            isLoading: false,
-            isOnline: true
-          });
-
-          // Setup realtime subscriptions
-          get().setupRealtimeSync();
-        } catch (error) {
-          console.error('Supabase error, falling back to localStorage:', error);
-          set({
-            brands: getLocalBrands(),
-            assetContent: getLocalContent(),
-            isLoading: false,
-            isOnline: false
-          });
-        }
-      } else {
+      if (!supabase) {
         set({
           brands: getLocalBrands(),
           assetContent: getLocalContent(),
           isLoading: false,
           isOnline: false
         });
+        get().migrateInlineAssets();
+        return;
+      }
+
+      // The local cache holds edits that may still wait in the outbox
+      Object.assign(serverBrands, await loadServerState('brands'));
+      set({ brands: getLocalBrands(), assetContent: getLocalContent() });
+
+      const sync = useSyncStore.getState();
+      if (sync.pending > 0 && sync.isConnected()) {
+        await sync.flush();
+      }
+
+      try {
+        await get().reconcile();
+        get().setupRealtimeSync();
+      } catch (error) {
+        console.error('Supabase error, working offline with local data:', error);
+        useSyncStore.getState().setOffline(error);
+      }
+      set({ isLoading: false });
+      get().migrateInlineAssets();
+    },
+
+    // Older brands embed logos as base64; move them to the asset store (quietly, no version)
+    migrateInlineAssets: async () => {
+      for (const brand of get().brands) {
+        if (!hasInlineAssets(brand) || !useAuthStore.getState().canEdit(brand.id)) continue;
+        try {
+          const updates = await externalizeBrandAssets(brand.id, {
+            logo: brand.logo,
+            logos: brand.logos || [],
+            fonts: brand.fonts
+          });
+          get().setLocalBrand({ ...get().getBrandById(brand.id), ...updates });
+          if (get().isOnline && supabase) {
+            await get().syncBrand(brand.id, updates);
+          }
+        } catch (error) {
+          console.error('Failed to move brand assets to the asset store:', error);
+        }
+      }
+
+      // Cached version snapshots are the other large localStorage entry
+      const migrated = {};
+      for (const [brandId, list] of Object.entries(get().versions)) {
+        if (!list.some(version => hasInlineAssets(version.snapshot))) continue;
+        migrated[brandId] = await Promise.all(list.map(async version => (
+          hasInlineAssets(version.snapshot)
+            ? { ...version, snapshot: await externalizeBrandAssets(brandId, version.snapshot) }
+            : version
+        )));
+      }
+      if (Object.keys(migrated).length > 0) {
+        const versions = { ...get().versions, ...migrated };
+        set({ versions });
+        saveLocalVersions(versions);
       }
     },
 
+    // Load the server state and merge it into the local one (own unsynced edits win
+    // on conflicting fields, everything else is taken over from the server)
+    reconcile: async () => {
+      const [{ data: remoteBrands, error }, { data: content, error: contentError }] = await Promise.all([
+        supabase.from('brands').select('*'),
+        supabase.from('asset_content').select('*')
+      ]);
+      if (error || contentError) throw error || contentError;
+
+      const hasPending = useSyncStore.getState().pending > 0;
+      const localBrands = get().brands;
+
+      const brands = remoteBrands.map(remote => {
+        const known = serverBrands[remote.id];
+        const local = localBrands.find(b => b.id === remote.id);
+        serverBrands[remote.id] = remote;
+        if (!local || !known) return remote;
+        return mergeBrands(known, local, remote).merged;
+      });
+
+      // Brands missing on the server were deleted remotely – unless they are still queued
+      if (hasPending) {
+        localBrands
+          .filter(local => !remoteBrands.some(remote => remote.id === local.id))
+          .forEach(local => brands.push(local));
+      }
+
+      const contentMap = {};
+      content.forEach(c => {
+        contentMap[c.id] = c.content;
+      });
+
+      set({
+        brands,
+        assetContent: hasPending ? { ...contentMap, ...get().assetContent } : contentMap
+      });
+      saveLocalBrands(brands);
+      saveLocalContent(get().assetContent);
+      persistServerBrands();
+    },
+
     setupRealtimeSync: () => {
       if (!supabase) return;
+      realtimeChannels.forEach(channel => supabase.removeChannel(channel));
 
-      supabase
+      const brandsChannel = supabase
         .channel('brands-changes')
         .on('postgres_changes', { event: '*', schema: 'public', table: 'brands' }, (payload) => {
           const { brands } = get();
           if (payload.eventType === 'INSERT') {
+            serverBrands[payload.new.id] = payload.new;
+            if (brands.some(b => b.id === payload.new.id)) return;
             set({ brands: [...brands, payload.new] });
           } else if (payload.eventType === 'UPDATE') {
-            set({ brands: brands.map(b => b.id === payload.new.id ? payload.new : b) });
+            get().applyRemoteBrand(payload.new);
           } else if (payload.eventType === 'DELETE') {
             set({ brands: brands.filter(b => b.id !== payload.old.id) });
           }
         })
         .subscribe();
+
+      const versionsChannel = supabase
+        .channel('brand-versions-changes')
+        .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'brand_versions' }, (payload) => {
+          const { versions } = get();
+          const brandVersions = versions[payload.new.brand_id] || [];
+          if (brandVersions.some(v => v.id === payload.new.id)) return;
+          set({ versions: { ...versions, [payload.new.brand_id]: [payload.new, ...brandVersions] } });
+        })
+        .subscribe();
+
+      realtimeChannels = [brandsChannel, versionsChannel];
+    },
+
+    // Drop all brand data of the signed-out user (incl. local caches)
+    reset: () => {
+      if (supabase) {
+        realtimeChannels.forEach(channel => supabase.removeChannel(channel));
+      }
+      realtimeChannels = [];
+      Object.keys(serverBrands).forEach(brandId => delete serverBrands[brandId]);
+      Object.keys(writeQueues).forEach(brandId => delete writeQueues[brandId]);
+      Object.values(pendingSnapshots).forEach(clearTimeout);
+      Object.keys(pendingSnapshots).forEach(brandId => delete pendingSnapshots[brandId]);
+
+      set({ brands: [], activeBrandId: null, assetContent: {}, versions: {}, conflicts: {}, isLoading: true });
+      localStorage.removeItem('brand_engine_brands');
+      localStorage.removeItem('brand_engine_content');
+      localStorage.removeItem('brand_engine_versions');
     },
 
     setActiveBrand: (brandId) => {
@@ -149,7 +307,10 @@ export const useBrandStore = create(
       const { brands, isOnline } = get();
 
       if (isOnline && supabase) {
-        await supabase.from('brands').insert(newBrand);
+        // The creator becomes owner (trigger add_brand_owner); until the insert
+        // reaches the server the role is assumed locally
+        useAuthStore.setState(state => ({ memberships: { ...state.memberships, [newBrand.id]: 'owner' } }));
+        await submit('brand.insert', newBrand.id, { brand: newBrand });
       }
 
       const updated = [...brands, newBrand];
@@ -159,32 +320,329 @@ export const useBrandStore = create(
       return newBrand;
     },
 
-    updateBrand: async (brandId, updates) => {
+    // Create a brand from imported design tokens (see analyzer/token-import.js)
+    importBrand: async (data) => {
+      const defaults = createDefaultBrand(data.name);
+      const newBrand = {
+        ...defaults,
+        ...data,
+        id: defaults.id,
+        colors: { ...defaults.colors, ...data.colors },
+        fonts: { ...defaults.fonts, ...data.fonts },
+        voice: { ...defaults.voice, ...data.voice },
+        scales: { ...data.scales },
+        semantic: { ...data.semantic },
+        themes: { ...data.themes }
+      };
+      Object.assign(newBrand, await externalizeBrandAssets(newBrand.id, newBrand));
       const { brands, isOnline } = get();
+
+      if (isOnline && supabase) {
+        // The creator becomes owner (trigger add_brand_owner); until the insert
+        // reaches the server the role is assumed locally
+        useAuthStore.setState(state => ({ memberships: { ...state.memberships, [newBrand.id]: 'owner' } }));
+        await submit('brand.insert', newBrand.id, { brand: newBrand });
+      }
+
+      const updated = [...brands, newBrand];
+      set({ brands: updated, activeBrandId: newBrand.id });
+      saveLocalBrands(updated);
+
+      return newBrand;
+    },
+
+    updateBrand: async (brandId, updates, message) => {
+      if (!useAuthStore.getState().canEdit(brandId)) {
+        console.warn('No edit permission for brand', brandId);
+        return;
+      }
+      // Binaries (logo uploads, font files) go to the asset store, the brand keeps references
+      updates = await externalizeBrandAssets(brandId, updates);
+      const { brands, isOnline, versions } = get();
+      const previous = brands.find(b => b.id === brandId);
       const updated = brands.map(b =>
         b.id === brandId ? { ...b, ...updates } : b
       );
 
+      // First edit: keep the state before it as base version
+      if (previous && !(versions[brandId]?.length) && !pendingSnapshots[brandId]) {
+        await get().saveVersion(brandId, 'Ausgangsversion', previous);
+      }
+
       set({ brands: updated });
       saveLocalBrands(updated);
 
       if (isOnline && supabase) {
-        await supabase.from('brands').update(updates).eq('id', brandId);
+        await get().syncBrand(brandId, updates);
       }
+
+      get().scheduleVersion(brandId, message);
+    },
+
+    // ============================================
+    // CONCURRENCY - Revisions, merge, conflicts
+    // ============================================
+
+    setLocalBrand: (brand) => {
+      const updated = get().brands.map(b => (b.id === brand.id ? brand : b));
+      set({ brands: updated });
+      saveLocalBrands(updated);
+    },
+
+    // Queue a write; resolves once the server confirmed, a conflict is pending
+    // or the update went to the outbox
+    syncBrand: (brandId, updates) => {
+      const queued = (writeQueues[brandId] || Promise.resolve())
+        .then(() => submit('brand.update', brandId, { brandId, updates }));
+      writeQueues[brandId] = queued.catch(() => {});
+      return queued;
+    },
+
+    // Write with revision check; stale writes are merged with the server state
+    writeBrand: async (brandId, updates, attempt = 0) => {
+      // While a conflict is open, the resolution writes the complete brand
+      if (get().conflicts[brandId]) return;
+
+      const base = serverBrands[brandId];
+      const revision = base?.revision ?? 0;
+
+      const { data, error } = await supabase
+        .from('brands')
+        .update({ ...syncFields(updates), revision: revision + 1, updated_by: getOrCreateUserId() })
+        .eq('id', brandId)
+        .eq('revision', revision)
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        // Offline: the outbox keeps the update and replays it later
+        if (isNetworkError(error)) throw error;
+        console.error('Failed to save brand:', error);
+        return;
+      }
+
+      if (data) {
+        serverBrands[brandId] = data;
+        persistServerBrands();
+        const local = get().getBrandById(brandId);
+        if (local) {
+          get().setLocalBrand({ ...local, revision: data.revision, updated_at: data.updated_at, updated_by: data.updated_by });
+        }
+        return;
+      }
+
+      // Rejected: someone else saved in between
+      const { data: remote, error: fetchError } = await supabase
+        .from('brands')
+        .select('*')
+        .eq('id', brandId)
+        .maybeSingle();
+
+      if (isNetworkError(fetchError)) throw fetchError;
+      if (fetchError || !remote) {
+        console.error('Failed to load brand after stale write:', fetchError);
+        return;
+      }
+
+      const local = get().getBrandById(brandId);
+      if (!local) return;
+
+      const { merged, conflicts } = mergeBrands(base || remote, local, remote);
+      serverBrands[brandId] = remote;
+      persistServerBrands();
+      get().setLocalBrand(merged);
+
+      if (conflicts.length > 0) {
+        set({ conflicts: { ...get().conflicts, [brandId]: { conflicts, remote } } });
+        return;
+      }
+
+      if (attempt < MAX_MERGE_ATTEMPTS) {
+        return get().writeBrand(brandId, merged, attempt + 1);
+      }
+      console.error('Could not save brand after repeated concurrent changes', brandId);
+    },
+
+    // Realtime update from another user: take over their changes, keep own pending edits
+    applyRemoteBrand: (remote) => {
+      const known = serverBrands[remote.id];
+      // Own writes come back via realtime as well
+      if (known && (remote.revision ?? 0) <= (known.revision ?? 0)) return;
+
+      serverBrands[remote.id] = remote;
+      persistServerBrands();
+      const local = get().getBrandById(remote.id);
+      if (!local) return;
+
+      // Conflicting fields keep the local value; the pending write detects them
+      const { merged } = mergeBrands(known || local, local, remote);
+      get().setLocalBrand(merged);
+    },
+
+    // choices: { [field]: 'local' | 'remote' }
+    resolveConflict: async (brandId, choices) => {
+      const pending = get().conflicts[brandId];
+      const local = get().getBrandById(brandId);
+      if (!pending || !local) return;
+
+      const resolved = resolveConflicts(local, pending.conflicts, choices);
+      const { [brandId]: resolvedConflict, ...remaining } = get().conflicts;
+      set({ conflicts: remaining });
+      get().setLocalBrand(resolved);
+
+      await get().syncBrand(brandId, resolved);
+      get().scheduleVersion(brandId, 'Konflikt aufgelöst');
+    },
+
+    // ============================================
+    // VERSION HISTORY
+    // ============================================
+
+    // Debounced snapshot after saves; an explicit message commits immediately
+    scheduleVersion: (brandId, message) => {
+      clearTimeout(pendingSnapshots[brandId]);
+      delete pendingSnapshots[brandId];
+
+      if (message) {
+        return get().saveVersion(brandId, message);
+      }
+
+      pendingSnapshots[brandId] = setTimeout(() => {
+        delete pendingSnapshots[brandId];
+        get().saveVersion(brandId);
+      }, SNAPSHOT_DELAY);
+    },
+
+    // Store an immutable snapshot of the brand (current state unless given)
+    saveVersion: async (brandId, message, brand = get().getBrandById(brandId)) => {
+      if (!brand) return null;
+      const { versions, isOnline } = get();
+      const brandVersions = versions[brandId] || [];
+      const snapshot = createSnapshot(brand);
+
+      // Skip snapshots without changes to the latest version
+      const latest = brandVersions[0];
+      if (latest && !message && JSON.stringify(latest.snapshot) === JSON.stringify(snapshot)) {
+        return null;
+      }
+      const changes = latest ? diffBrands(latest.snapshot, snapshot) : [];
+
+      const version = {
+        id: `${brandId}-${Date.now()}`,
+        brand_id: brandId,
+        snapshot,
+        message: message || describeChanges(changes),
+        author: getOrCreateUserId(), // Supabase overwrites it with the session user
+        created_at: new Date().toISOString()
+      };
+
+      const updatedVersions = { ...get().versions, [brandId]: [version, ...brandVersions] };
+      set({ versions: updatedVersions });
+      saveLocalVersions(updatedVersions);
+
+      if (isOnline && supabase) {
+        await submit('version.insert', version.id, { version });
+      }
+
+      return version;
+    },
+
+    loadVersions: async (brandId) => {
+      const { isOnline } = get();
+      if (!isOnline || !supabase) return get().versions[brandId] || [];
+
+      const { data, error } = await supabase
+        .from('brand_versions')
+        .select('*')
+        .eq('brand_id', brandId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Failed to load brand versions:', error);
+        return get().versions[brandId] || [];
+      }
+
+      const updatedVersions = { ...get().versions, [brandId]: data };
+      set({ versions: updatedVersions });
+      saveLocalVersions(updatedVersions);
+      return data;
+    },
+
+    getVersions: (brandId) => {
+      return get().versions[brandId] || [];
+    },
+
+    // Restore creates a new version – history stays immutable
+    restoreVersion: async (brandId, versionId) => {
+      const version = get().getVersions(brandId).find(v => v.id === versionId);
+      if (!version) return;
+
+      const date = new Date(version.created_at).toLocaleString('de-DE');
+      const snapshot = JSON.parse(JSON.stringify(version.snapshot));
+      await get().updateBrand(brandId, snapshot, `Wiederhergestellt: ${version.message} (${date})`);
+    },
+
+    // ============================================
+    // RELEASES
+    // ============================================
+
+    // Freeze the current state as semver release (bump derived from token diff)
+    publishRelease: async (brandId, notes = '') => {
+      const brand = get().getBrandById(brandId);
+      if (!brand) return null;
+      if (!useAuthStore.getState().canEdit(brandId)) {
+        throw new Error('Keine Berechtigung zum Veröffentlichen');
+      }
+
+      const next = computeNextRelease(brand);
+      if (!next.version) {
+        throw new Error('Keine Token-Änderungen seit dem letzten Release');
+      }
+
+      const version = await get().saveVersion(brandId, `Release ${next.version}`);
+      const release = {
+        version: next.version,
+        created_at: new Date().toISOString(),
+        author: getOrCreateUserId(),
+        notes: notes.trim(),
+        versionId: version?.id || get().getVersions(brandId)[0]?.id || null,
+        tokens: next.tokens,
+        changes: next.changes
+      };
+
+      // Releases are not part of snapshots, so no extra history entry
+      const releases = [release, ...(get().getBrandById(brandId).releases || [])];
+      get().setLocalBrand({ ...get().getBrandById(brandId), releases });
+
+      if (get().isOnline && supabase) {
+        await get().syncBrand(brandId, { releases });
+      }
+
+      return release;
     },
 
     deleteBrand: async (brandId) => {
-      const { brands, activeBrandId, isOnline } = get();
+      if (!useAuthStore.getState().isOwner(brandId)) {
+        console.warn('Only owners can delete brand', brandId);
+        return;
+      }
+      const { brands, activeBrandId, isOnline, versions } = get();
       const updated = brands.filter(b => b.id !== brandId);
+      const { [brandId]: removedVersions, ...remainingVersions } = versions;
+
+      clearTimeout(pendingSnapshots[brandId]);
+      delete pendingSnapshots[brandId];
 
       set({
         brands: updated,
-        activeBrandId: activeBrandId === brandId ? updated[0]?.id : activeBrandId
+        activeBrandId: activeBrandId === brandId ? updated[0]?.id : activeBrandId,
+        versions: remainingVersions
       });
       saveLocalBrands(updated);
+      saveLocalVersions(remainingVersions);
 
       if (isOnline && supabase) {
-        await supabase.from('brands').delete().eq('id', brandId);
+        await submit('brand.delete', brandId, { brandId });
       }
     },
 
@@ -194,6 +652,10 @@ export const useBrandStore = create(
     },
 
     updateAssetContent: async (brandId, assetType, content) => {
+      if (!useAuthStore.getState().canEdit(brandId)) {
+        console.warn('No edit permission for brand', brandId);
+        return;
+      }
       const { assetContent, isOnline } = get();
       const key = `${brandId}-${assetType}`;
 
@@ -202,17 +664,65 @@ export const useBrandStore = create(
       saveLocalContent(updated);
 
       if (isOnline && supabase) {
-        await supabase.from('asset_content').upsert({
-          id: key,
-          brand_id: brandId,
-          asset_type: assetType,
-          content,
-          updated_at: new Date().toISOString()
+        await submit('content.upsert', key, {
+          row: {
+            id: key,
+            brand_id: brandId,
+            asset_type: assetType,
+            content,
+            updated_at: new Date().toISOString()
+          }
         });
       }
     }
   }))
 );
 
-// Initialize on import
-useBrandStore.getState().initialize();
+// ============================================
+// OFFLINE SYNC - Outbox handlers (see syncStore)
+// ============================================
+
+// Handlers throw on errors; network errors keep the mutation in the outbox
+const throwOnError = ({ error }) => {
+  if (error) throw error;
+};
+
+registerSyncHandler('brand.insert', async ({ brand }) => {
+  throwOnError(await supabase.from('brands').insert(brand));
+  serverBrands[brand.id] = brand;
+  persistServerBrands();
+  await useAuthStore.getState().loadMemberships();
+});
+
+registerSyncHandler('brand.update', ({ brandId, updates }) =>
+  useBrandStore.getState().writeBrand(brandId, updates)
+);
+
+registerSyncHandler('brand.delete', async ({ brandId }) => {
+  throwOnError(await supabase.from('brands').delete().eq('id', brandId));
+  delete serverBrands[brandId];
+  persistServerBrands();
+});
+
+registerSyncHandler('content.upsert', async ({ row }) => {
+  throwOnError(await supabase.from('asset_content').upsert(row));
+});
+
+registerSyncHandler('version.insert', async ({ version }) => {
+  throwOnError(await supabase.from('brand_versions').insert(version));
+});
+
+// Back online: upload assets stored offline, take over what others changed in the meantime
+onReconnect(async () => {
+  const store = useBrandStore.getState();
+  if (store.isLoading) return;
+  try {
+    await uploadPendingAssets();
+    await store.reconcile();
+    store.setupRealtimeSync();
+  } catch (error) {
+    console.error('Failed to reconcile brands after reconnect:', error);
+  }
+});
+
+// Initialized by AppShell once the user is signed in (RLS scopes the data)
@@ -0,0 +1,326 @@
+// ============================================
+// LIBRARY STORE - Per-brand asset library & usage tracking
+// ============================================
+import { create } from 'zustand';
+import { supabase, getOrCreateUserId } from '../lib/supabase';
+import { useAuthStore } from './authStore';
+import { useBrandStore } from './brandStore';
+import { useSyncStore, registerSyncHandler, onReconnect } from './syncStore';
+import { storeAsset, getAssetInfo, isDataUrl } from '../lib/assetStore';
+import { createLibraryAsset, collectBrandAssets, normalizeTags, searchAssets } from '../lib/assetLibrary';
+import { onExport } from '../lib/exporters';
+
+// Realtime channel of the current session (removed on re-initialize / sign-out)
+let realtimeChannel = null;
+
+const getLocalLibrary = () => {
+  try {
+    return JSON.parse(localStorage.getItem('brand_engine_library') || '[]');
+  } catch {
+    return [];
+  }
+};
+
+const getLocalUsages = () => {
+  try {
+    return JSON.parse(localStorage.getItem('brand_engine_asset_usages') || '[]');
+  } catch {
+    return [];
+  }
+};
+
+const saveLocal = (assets, usages) => {
+  try {
+    localStorage.setItem('brand_engine_library', JSON.stringify(assets));
+    localStorage.setItem('brand_engine_asset_usages', JSON.stringify(usages));
+  } catch (e) {
+    console.warn('Could not save asset library to localStorage:', e);
+  }
+};
+
+// Local entries win while changes are still waiting in the outbox
+const mergeById = (remote, local) => {
+  const merged = new Map(remote.map(item => [item.id, item]));
+  local.forEach(item => merged.set(item.id, item));
+  return [...merged.values()];
+};
+
+// Send a mutation via the outbox (queued while offline); server rejections are only logged
+const submit = (type, key, payload) =>
+  useSyncStore.getState().submit({ type, key, payload })
+    .catch(error => console.error(`Failed to sync ${type}:`, error));
+
+export const useLibraryStore = create((set, get) => ({
+  // State
+  assets: [], // [{ id, brand_id, ref, category, name, description, tags, status, mime_type, size, ... }]
+  usages: [], // [{ id, asset_id, brand_id, kind, target, detail, used_by, used_at }]
+  isLoading: true,
+
+  initialize: async () => {
+    set({ isLoading: true });
+
+    if (supabase) {
+      try {
+        const [{ data: assets, error }, { data: usages, error: usageError }] = await Promise.all([
+          supabase.from('brand_assets').select('*'),
+          supabase.from('asset_usages').select('*').order('used_at', { ascending: false })
+        ]);
+        if (error || usageError) throw error || usageError;
+
+        const { pending } = useSyncStore.getState();
+        set({
+          assets: pending > 0 ? mergeById(assets, getLocalLibrary()) : assets,
+          usages: pending > 0 ? mergeById(usages, getLocalUsages()) : usages,
+          isLoading: false
+        });
+        get().setupRealtimeSync();
+      } catch (error) {
+        console.error('Supabase library error, working offline with localStorage:', error);
+        useSyncStore.getState().setOffline(error);
+        set({ assets: getLocalLibrary(), usages: getLocalUsages(), isLoading: false });
+      }
+    } else {
+      set({ assets: getLocalLibrary(), usages: getLocalUsages(), isLoading: false });
+    }
+
+    saveLocal(get().assets, get().usages);
+    await get().migrateImageLibrary();
+    await get().adoptBrandAssets(useBrandStore.getState().brands);
+  },
+
+  setupRealtimeSync: () => {
+    if (!supabase) return;
+    if (realtimeChannel) supabase.removeChannel(realtimeChannel);
+
+    realtimeChannel = supabase
+      .channel('library-changes')
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'brand_assets' }, (payload) => {
+        const { assets } = get();
+        if (payload.eventType === 'DELETE') {
+          set({ assets: assets.filter(a => a.id !== payload.old.id) });
+        } else {
+          set({ assets: mergeById(assets, [payload.new]) });
+        }
+        saveLocal(get().assets, get().usages);
+      })
+      .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'asset_usages' }, (payload) => {
+        const { usages } = get();
+        if (usages.some(u => u.id === payload.new.id)) return;
+        set({ usages: [payload.new, ...usages] });
+        saveLocal(get().assets, get().usages);
+      })
+      .subscribe();
+  },
+
+  // Drop the library of the signed-out user (incl. local caches)
+  reset: () => {
+    if (supabase && realtimeChannel) {
+      supabase.removeChannel(realtimeChannel);
+    }
+    realtimeChannel = null;
+    set({ assets: [], usages: [], isLoading: true });
+    localStorage.removeItem('brand_engine_library');
+    localStorage.removeItem('brand_engine_asset_usages');
+  },
+
+  // Computed
+  getAssetsForBrand: (brandId) => {
+    return get().assets.filter(a => a.brand_id === brandId);
+  },
+
+  searchBrandAssets: (brandId, query, filters) => {
+    return searchAssets(get().getAssetsForBrand(brandId), query, filters);
+  },
+
+  getUsages: (assetId) => {
+    return get().usages.filter(u => u.asset_id === assetId);
+  },
+
+  // ============================================
+  // EDITING
+  // ============================================
+
+  saveAsset: async (asset) => {
+    const { assets, usages } = get();
+    set({ assets: mergeById(assets, [asset]) });
+    saveLocal(get().assets, usages);
+    await submit('library.upsert', asset.id, { asset });
+    return asset;
+  },
+
+  // Upload a file (File/Blob/data URL) into the library of a brand
+  addAsset: async (brandId, file, data = {}) => {
+    if (!useAuthStore.getState().canEdit(brandId)) {
+      throw new Error('Keine Berechtigung zum Hochladen');
+    }
+
+    const ref = await storeAsset(file, { name: data.name || file.name, brandId });
+    const info = await getAssetInfo(ref);
+    const existing = get().assets.find(a => a.ref === ref);
+    if (existing) return existing;
+
+    const asset = createLibraryAsset(brandId, ref, {
+      ...data,
+      name: data.name || (file.name || '').replace(/\.[^.]+$/, ''),
+      mimeType: info?.mimeType || file.type,
+      size: info?.size || file.size
+    });
+    asset.created_by = getOrCreateUserId();
+    return get().saveAsset(asset);
+  },
+
+  updateAsset: async (assetId, updates) => {
+    const asset = get().assets.find(a => a.id === assetId);
+    if (!asset) return null;
+    if (!useAuthStore.getState().canEdit(asset.brand_id)) {
+      throw new Error('Keine Berechtigung zum Bearbeiten');
+    }
+
+    return get().saveAsset({
+      ...asset,
+      ...updates,
+      ...(updates.tags !== undefined && { tags: normalizeTags(updates.tags) }),
+      updated_at: new Date().toISOString()
+    });
+  },
+
+  deleteAsset: async (assetId) => {
+    const asset = get().assets.find(a => a.id === assetId);
+    if (!asset) return;
+    if (!useAuthStore.getState().canEdit(asset.brand_id)) {
+      throw new Error('Keine Berechtigung zum Löschen');
+    }
+
+    // Usages stay as history (asset_usages has no foreign key)
+    set({ assets: get().assets.filter(a => a.id !== assetId) });
+    saveLocal(get().assets, get().usages);
+    await submit('library.delete', assetId, { id: assetId });
+  },
+
+  // ============================================
+  // USAGE TRACKING
+  // ============================================
+
+  // refs: asset references used by a campaign or export
+  // usage: { kind: 'campaign' | 'export', target, detail }
+  recordUsage: async (brandId, refs, usage) => {
+    const assets = get().getAssetsForBrand(brandId).filter(a => refs.includes(a.ref));
+    if (assets.length === 0) return;
+
+    const now = new Date().toISOString();
+    const entries = assets.map(asset => ({
+      id: `${asset.id}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      asset_id: asset.id,
+      brand_id: brandId,
+      kind: usage.kind,
+      target: usage.target || '',
+      detail: usage.detail || '',
+      used_by: getOrCreateUserId(), // Supabase overwrites it with the session user
+      used_at: now
+    }));
+
+    set({ usages: [...entries, ...get().usages] });
+    saveLocal(get().assets, get().usages);
+    for (const entry of entries) {
+      await submit('usage.insert', entry.id, { usage: entry });
+    }
+  },
+
+  // ============================================
+  // MIGRATION
+  // ============================================
+
+  // Logos and font files of the brand appear in the library automatically
+  adoptBrandAssets: async (brands) => {
+    if (get().isLoading) return;
+    for (const brand of brands) {
+      if (!useAuthStore.getState().canEdit(brand.id)) continue;
+      const existingIds = get().getAssetsForBrand(brand.id).map(a => a.id);
+      for (const asset of collectBrandAssets(brand, existingIds)) {
+        const info = await getAssetInfo(asset.ref);
+        await get().saveAsset({ ...asset, mime_type: info?.mimeType || null, size: info?.size || null });
+      }
+    }
+  },
+
+  // Images of the former localStorage ImageLibrary (brand_engine_images)
+  migrateImageLibrary: async () => {
+    let images;
+    try {
+      images = JSON.parse(localStorage.getItem('brand_engine_images') || '[]');
+    } catch {
+      images = [];
+    }
+
+    // Images without brand, without edit rights or with a failed upload stay
+    // in localStorage for a later attempt; images without a source are dropped
+    const remaining = [];
+    for (const image of images) {
+      const source = image.dataUrl || image.urls?.regular || image.url;
+      if (!source) continue;
+      if (!image.brandId || !useAuthStore.getState().canEdit(image.brandId)) {
+        remaining.push(image);
+        continue;
+      }
+      try {
+        const ref = isDataUrl(source) ? await storeAsset(source, { name: image.alt, brandId: image.brandId }) : source;
+        await get().saveAsset(createLibraryAsset(image.brandId, ref, {
+          category: 'photo',
+          name: image.alt || 'Bild',
+          tags: image.tags,
+          description: image.author?.name ? `Foto: ${image.author.name}` : ''
+        }));
+      } catch (error) {
+        console.warn('Could not migrate library image:', error);
+        remaining.push(image);
+      }
+    }
+
+    if (remaining.length > 0) {
+      localStorage.setItem('brand_engine_images', JSON.stringify(remaining));
+    } else {
+      localStorage.removeItem('brand_engine_images');
+    }
+  }
+}));
+
+// ============================================
+// OFFLINE SYNC & TRACKING HOOKS
+// ============================================
+
+const throwOnError = ({ error }) => {
+  if (error) throw error;
+};
+
+registerSyncHandler('library.upsert', async ({ asset }) => {
+  throwOnError(await supabase.from('brand_assets').upsert(asset));
+});
+
+registerSyncHandler('library.delete', async ({ id }) => {
+  throwOnError(await supabase.from('brand_assets').delete().eq('id', id));
+});
+
+registerSyncHandler('usage.insert', async ({ usage }) => {
+  throwOnError(await supabase.from('asset_usages').insert(usage));
+});
+
+onReconnect(() => {
+  if (!useLibraryStore.getState().isLoading) {
+    return useLibraryStore.getState().initialize();
+  }
+});
+
+// New logo uploads / imports are added to the library
+useBrandStore.subscribe(
+  state => state.brands,
+  brands => useLibraryStore.getState().adoptBrandAssets(brands)
+);
+
+// Every export records which library assets ended up in the file
+onExport(({ brand, format, refs }) => {
+  useLibraryStore.getState().recordUsage(brand.id, refs, { kind: 'export', target: format });
+});
+
+// Initialized by AppShell once the user is signed in (RLS scopes the data)
+
+export default useLibraryStore;
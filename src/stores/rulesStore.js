@@ -4,11 +4,12 @@
 // ============================================
 import { create } from 'zustand';
 import { subscribeWithSelector } from 'zustand/middleware';
-import { createClient } from '@supabase/supabase-js';
+import { supabase } from '../lib/supabase';
+import { useSyncStore, registerSyncHandler, onReconnect } from './syncStore';
+import { storeAsset, isDataUrl } from '../lib/assetStore';
 
-const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
-const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
-const supabase = supabaseUrl && supabaseKey ? createClient(supabaseUrl, supabaseKey) : null;
+// Realtime channel of the current session (removed on re-initialize / sign-out)
+let realtimeChannel = null;
 
 // Local storage helpers
 const getLocalRules = () => {
@@ -36,6 +37,23 @@ const saveLocalRules = (rules) => {
   }
 };
 
+// Extracted media as asset references (binaries live in the asset store)
+const getLocalAssets = () => {
+  try {
+    return JSON.parse(localStorage.getItem('brand_rules_assets') || '{}');
+  } catch {
+    return {};
+  }
+};
+
+const saveLocalAssets = (assets) => {
+  try {
+    localStorage.setItem('brand_rules_assets', JSON.stringify(assets));
+  } catch (e) {
+    console.warn('Could not save extracted assets to localStorage:', e);
+  }
+};
+
 const getLocalStatus = () => {
   try {
     return JSON.parse(localStorage.getItem('brand_rules_status') || '{}');
@@ -53,7 +71,7 @@ export const useRulesStore = create(
     // State
     rules: {},           // brandId -> Rule[]
     analysisStatus: {},  // brandId -> 'none' | 'analyzing' | 'review' | 'complete'
-    extractedAssets: {}, // brandId -> { logos: [], images: [] } - NOT persisted
+    extractedAssets: getLocalAssets(), // brandId -> { logos: [], images: [] } - media as asset references
     isLoading: false,
     isOnline: !!supabase,
 
@@ -86,22 +104,25 @@ export const useRulesStore = create(
             rulesMap[brandId] = rulesMap[brandId].flat();
           }
 
+          // Rules still waiting in the outbox keep their local state
+          const { pending } = useSyncStore.getState();
           set({
-            rules: rulesMap,
-            analysisStatus: statusMap,
-            isLoading: false,
-            isOnline: true
+            rules: pending > 0 ? { ...rulesMap, ...getLocalRules() } : rulesMap,
+            analysisStatus: pending > 0 ? { ...statusMap, ...getLocalStatus() } : statusMap,
+            isLoading: false
           });
+          saveLocalRules(get().rules);
+          saveLocalStatus(get().analysisStatus);
 
           // Setup realtime sync
           get().setupRealtimeSync();
         } catch (error) {
-          console.error('Supabase rules error, using localStorage:', error);
+          console.error('Supabase rules error, working offline with localStorage:', error);
+          useSyncStore.getState().setOffline(error);
           set({
             rules: getLocalRules(),
             analysisStatus: getLocalStatus(),
-            isLoading: false,
-            isOnline: false
+            isLoading: false
           });
         }
       } else {
@@ -117,8 +138,9 @@ export const useRulesStore = create(
     // Realtime sync for team collaboration
     setupRealtimeSync: () => {
       if (!supabase) return;
+      if (realtimeChannel) supabase.removeChannel(realtimeChannel);
 
-      supabase
+      realtimeChannel = supabase
         .channel('rules-changes')
         .on('postgres_changes',
           { event: '*', schema: 'public', table: 'brand_rules' },
@@ -148,9 +170,45 @@ export const useRulesStore = create(
         .subscribe();
     },
 
+    // Drop all rules of the signed-out user (incl. local caches)
+    reset: () => {
+      if (supabase && realtimeChannel) {
+        supabase.removeChannel(realtimeChannel);
+      }
+      realtimeChannel = null;
+      set({ rules: {}, analysisStatus: {}, extractedAssets: {} });
+      localStorage.removeItem('brand_rules');
+      localStorage.removeItem('brand_rules_status');
+      localStorage.removeItem('brand_rules_assets');
+    },
+
+    // Push the current rules and status of a brand (queued while offline, last state wins)
+    syncRules: async (brandId) => {
+      if (!get().isOnline || !supabase) return;
+
+      const { rules, analysisStatus } = get();
+      const mutation = brandId in rules && analysisStatus[brandId] !== 'none'
+        ? {
+          type: 'rules.upsert',
+          key: brandId,
+          payload: {
+            brand_id: brandId,
+            rules_data: rules[brandId] || [],
+            status: analysisStatus[brandId] || 'complete',
+            updated_at: new Date().toISOString()
+          }
+        }
+        : { type: 'rules.delete', key: brandId, payload: { brand_id: brandId } };
+
+      try {
+        await useSyncStore.getState().submit(mutation);
+      } catch (error) {
+        console.error('Failed to sync rules to Supabase:', error);
+      }
+    },
+
     // Set rules for a brand (with Supabase sync)
     setRulesForBrand: async (brandId, rules) => {
-      const { isOnline, analysisStatus } = get();
 
       // Update local state immediately
       set(state => ({
@@ -163,100 +221,44 @@ export const useRulesStore = create(
       saveLocalStatus(get().analysisStatus);
 
       // Sync to Supabase
-      if (isOnline && supabase) {
-        try {
-          await supabase.from('brand_rules').upsert({
-            brand_id: brandId,
-            rules_data: rules,
-            status: 'review',
-            updated_at: new Date().toISOString()
-          }, { onConflict: 'brand_id' });
-        } catch (error) {
-          console.error('Failed to sync rules to Supabase:', error);
-        }
-      }
+      await get().syncRules(brandId);
     },
 
-    // Store extracted assets temporarily (with optional Supabase Storage)
+    // Store extracted media (logos, images) in the asset store; only references are persisted
     setExtractedAssets: async (brandId, assets) => {
-      // Store in memory (not persisted to localStorage)
       set(state => ({
         extractedAssets: { ...state.extractedAssets, [brandId]: assets }
       }));
 
-      // Optionally upload logos to Supabase Storage
-      if (supabase && assets?.logos?.length > 0) {
-        try {
-          const uploadedLogos = [];
-
-          for (const logo of assets.logos.slice(0, 5)) { // Max 5 logos
-            if (logo.data && logo.data.startsWith('data:')) {
-              // Convert base64 to blob
-              const base64Data = logo.data.split(',')[1];
-              const mimeType = logo.data.split(';')[0].split(':')[1];
-              const byteCharacters = atob(base64Data);
-              const byteNumbers = new Array(byteCharacters.length);
-              for (let i = 0; i < byteCharacters.length; i++) {
-                byteNumbers[i] = byteCharacters.charCodeAt(i);
-              }
-              const byteArray = new Uint8Array(byteNumbers);
-              const blob = new Blob([byteArray], { type: mimeType });
-
-              // Upload to Supabase Storage
-              const fileName = `${brandId}/${Date.now()}-${logo.name || 'logo.png'}`;
-              const { data, error } = await supabase.storage
-                .from('brand-assets')
-                .upload(fileName, blob, { contentType: mimeType });
-
-              if (!error && data) {
-                const { data: urlData } = supabase.storage
-                  .from('brand-assets')
-                  .getPublicUrl(fileName);
-
-                uploadedLogos.push({
-                  ...logo,
-                  data: urlData.publicUrl, // Replace base64 with URL
-                  storageKey: fileName
-                });
-              }
-            }
-          }
-
-          if (uploadedLogos.length > 0) {
-            set(state => ({
-              extractedAssets: {
-                ...state.extractedAssets,
-                [brandId]: {
-                  ...state.extractedAssets[brandId],
-                  logos: uploadedLogos
-                }
-              }
-            }));
-          }
-        } catch (error) {
-          console.error('Failed to upload assets to storage:', error);
-        }
+      try {
+        const toRefs = (items = []) => Promise.all(items.map(async item => (
+          isDataUrl(item.data)
+            ? { ...item, data: await storeAsset(item.data, { name: item.name, brandId }) }
+            : item
+        )));
+        const stored = {
+          ...assets,
+          logos: await toRefs(assets?.logos),
+          images: await toRefs(assets?.images)
+        };
+
+        set(state => ({
+          extractedAssets: { ...state.extractedAssets, [brandId]: stored }
+        }));
+        saveLocalAssets(get().extractedAssets);
+      } catch (error) {
+        console.error('Failed to store extracted assets:', error);
       }
     },
 
     // Update analysis status
     setAnalysisStatus: async (brandId, status) => {
-      const { isOnline } = get();
-
       set(state => ({
         analysisStatus: { ...state.analysisStatus, [brandId]: status }
       }));
       saveLocalStatus(get().analysisStatus);
 
-      if (isOnline && supabase) {
-        try {
-          await supabase.from('brand_rules')
-            .update({ status, updated_at: new Date().toISOString() })
-            .eq('brand_id', brandId);
-        } catch (error) {
-          console.error('Failed to update status in Supabase:', error);
-        }
-      }
+      await get().syncRules(brandId);
     },
 
     // Get rules for a brand
@@ -280,7 +282,7 @@ export const useRulesStore = create(
 
     // Update a single rule
     updateRule: async (brandId, ruleId, updates) => {
-      const { rules, isOnline } = get();
+      const { rules } = get();
       const brandRules = rules[brandId] || [];
       const updatedRules = brandRules.map(rule =>
         rule.id === ruleId ? { ...rule, ...updates } : rule
@@ -291,20 +293,12 @@ export const useRulesStore = create(
       }));
       saveLocalRules(get().rules);
 
-      if (isOnline && supabase) {
-        try {
-          await supabase.from('brand_rules')
-            .update({ rules_data: updatedRules, updated_at: new Date().toISOString() })
-            .eq('brand_id', brandId);
-        } catch (error) {
-          console.error('Failed to update rule in Supabase:', error);
-        }
-      }
+      await get().syncRules(brandId);
     },
 
     // Delete a rule
     deleteRule: async (brandId, ruleId) => {
-      const { rules, isOnline } = get();
+      const { rules } = get();
       const brandRules = rules[brandId] || [];
       const filteredRules = brandRules.filter(rule => rule.id !== ruleId);
 
@@ -313,15 +307,7 @@ export const useRulesStore = create(
       }));
       saveLocalRules(get().rules);
 
-      if (isOnline && supabase) {
-        try {
-          await supabase.from('brand_rules')
-            .update({ rules_data: filteredRules, updated_at: new Date().toISOString() })
-            .eq('brand_id', brandId);
-        } catch (error) {
-          console.error('Failed to delete rule in Supabase:', error);
-        }
-      }
+      await get().syncRules(brandId);
     },
 
     // Confirm a rule (sets confidence to 1.0)
@@ -331,7 +317,7 @@ export const useRulesStore = create(
 
     // Confirm all rules
     confirmAllRules: async (brandId) => {
-      const { rules, isOnline } = get();
+      const { rules } = get();
       const brandRules = rules[brandId] || [];
       const updatedRules = brandRules.map(rule => ({
         ...rule,
@@ -346,23 +332,12 @@ export const useRulesStore = create(
       saveLocalRules(get().rules);
       saveLocalStatus(get().analysisStatus);
 
-      if (isOnline && supabase) {
-        try {
-          await supabase.from('brand_rules').upsert({
-            brand_id: brandId,
-            rules_data: updatedRules,
-            status: 'complete',
-            updated_at: new Date().toISOString()
-          }, { onConflict: 'brand_id' });
-        } catch (error) {
-          console.error('Failed to confirm rules in Supabase:', error);
-        }
-      }
+      await get().syncRules(brandId);
     },
 
     // Add a new rule manually
     addRule: async (brandId, rule) => {
-      const { rules, isOnline } = get();
+      const { rules } = get();
       const brandRules = rules[brandId] || [];
       const newRule = {
         ...rule,
@@ -378,24 +353,11 @@ export const useRulesStore = create(
       }));
       saveLocalRules(get().rules);
 
-      if (isOnline && supabase) {
-        try {
-          await supabase.from('brand_rules').upsert({
-            brand_id: brandId,
-            rules_data: updatedRules,
-            status: 'complete',
-            updated_at: new Date().toISOString()
-          }, { onConflict: 'brand_id' });
-        } catch (error) {
-          console.error('Failed to add rule in Supabase:', error);
-        }
-      }
+      await get().syncRules(brandId);
     },
 
     // Clear all rules for a brand
     clearRules: async (brandId) => {
-      const { isOnline } = get();
-
       set(state => ({
         rules: { ...state.rules, [brandId]: [] },
         analysisStatus: { ...state.analysisStatus, [brandId]: 'none' },
@@ -403,14 +365,9 @@ export const useRulesStore = create(
       }));
       saveLocalRules(get().rules);
       saveLocalStatus(get().analysisStatus);
+      saveLocalAssets(get().extractedAssets);
 
-      if (isOnline && supabase) {
-        try {
-          await supabase.from('brand_rules').delete().eq('brand_id', brandId);
-        } catch (error) {
-          console.error('Failed to clear rules in Supabase:', error);
-        }
-      }
+      await get().syncRules(brandId);
     },
 
     // Export rules as JSON
@@ -467,7 +424,20 @@ export const useRulesStore = create(
   }))
 );
 
-// Initialize on import
-useRulesStore.getState().initialize();
+// Outbox handlers (see syncStore); errors are thrown so network errors stay queued
+registerSyncHandler('rules.upsert', async (row) => {
+  const { error } = await supabase.from('brand_rules').upsert(row, { onConflict: 'brand_id' });
+  if (error) throw error;
+});
+
+registerSyncHandler('rules.delete', async ({ brand_id }) => {
+  const { error } = await supabase.from('brand_rules').delete().eq('brand_id', brand_id);
+  if (error) throw error;
+});
+
+// Back online: reload rules changed by others in the meantime
+onReconnect(() => useRulesStore.getState().initialize());
+
+// Initialized by AppShell once the user is signed in (RLS scopes the data)
 
 export default useRulesStore;
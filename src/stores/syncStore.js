@@ -0,0 +1,146 @@
+// ============================================
+// SYNC STORE - Connection status & outbox replay
+// ============================================
+import { create } from 'zustand';
+import { supabase } from '../lib/supabase';
+import {
+  enqueueMutation,
+  getPendingMutations,
+  removeMutation,
+  countPendingMutations,
+  clearOutbox,
+  isNetworkError
+} from '../lib/outbox';
+
+const RETRY_DELAY = 15000;
+
+// Mutation type -> async handler (registered by brandStore / rulesStore)
+const handlers = {};
+// Called after the outbox was replayed following an offline phase
+const reconnectListeners = [];
+let retryTimer = null;
+let listening = false;
+
+export const registerSyncHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+export const onReconnect = (listener) => {
+  reconnectListeners.push(listener);
+};
+
+export const useSyncStore = create((set, get) => ({
+  // 'local' (no Supabase) | 'online' | 'offline' | 'syncing' | 'error'
+  status: supabase ? 'online' : 'local',
+  pending: 0,
+  lastSyncedAt: null,
+  lastError: null,
+
+  initialize: async () => {
+    if (!supabase) return;
+
+    if (!listening && typeof window !== 'undefined') {
+      listening = true;
+      window.addEventListener('online', () => get().flush());
+      window.addEventListener('offline', () => get().setOffline());
+    }
+
+    const pending = await countPendingMutations();
+    set({ pending });
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      get().setOffline();
+    }
+  },
+
+  isConnected: () => {
+    const { status } = get();
+    return status === 'online' || status === 'syncing' || status === 'error';
+  },
+
+  setOffline: (error) => {
+    if (!supabase) return;
+    set({ status: 'offline', lastError: error ? String(error.message || error) : null });
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(() => get().flush(), RETRY_DELAY);
+  },
+
+  // Run a mutation now, or queue it while offline / behind older pending ones
+  submit: async (mutation) => {
+    if (!supabase) return { queued: false };
+
+    if (!get().isConnected() || get().pending > 0) {
+      await enqueueMutation(mutation);
+      set({ pending: await countPendingMutations() });
+      if (get().isConnected()) get().flush();
+      return { queued: true };
+    }
+
+    try {
+      await handlers[mutation.type](mutation.payload);
+      set({ lastSyncedAt: new Date().toISOString() });
+      return { queued: false };
+    } catch (error) {
+      if (!isNetworkError(error)) throw error;
+      await enqueueMutation(mutation);
+      set({ pending: await countPendingMutations() });
+      get().setOffline(error);
+      return { queued: true };
+    }
+  },
+
+  // Replay the outbox in order; stops at the first network error
+  flush: async () => {
+    if (!supabase || get().status === 'syncing') return;
+    clearTimeout(retryTimer);
+
+    const wasOffline = get().status === 'offline';
+    set({ status: 'syncing' });
+
+    let entries = await getPendingMutations();
+    let replayed = 0;
+    let lastError = null;
+
+    // Mutations queued during the replay are picked up by the next round
+    while (entries.length > 0) {
+      for (const entry of entries) {
+        try {
+          await handlers[entry.type](entry.payload);
+        } catch (error) {
+          if (isNetworkError(error)) {
+            set({ pending: await countPendingMutations() });
+            get().setOffline(error);
+            return;
+          }
+          // Rejected by the server (e.g. missing permission): cannot be replayed
+          console.error(`Dropping ${entry.type} from outbox:`, error);
+          lastError = String(error.message || error);
+        }
+        await removeMutation(entry.id);
+        replayed++;
+        set({ pending: await countPendingMutations() });
+      }
+      entries = await getPendingMutations();
+    }
+
+    set({
+      status: lastError ? 'error' : 'online',
+      lastError,
+      lastSyncedAt: new Date().toISOString()
+    });
+
+    if (wasOffline || replayed > 0) {
+      for (const listener of reconnectListeners) {
+        await listener();
+      }
+    }
+  },
+
+  // Sign-out: pending changes of the user are discarded
+  reset: async () => {
+    clearTimeout(retryTimer);
+    await clearOutbox();
+    set({ status: supabase ? 'online' : 'local', pending: 0, lastSyncedAt: null, lastError: null });
+  }
+}));
+
+export default useSyncStore;
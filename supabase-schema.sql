@@ -10,12 +10,50 @@ CREATE TABLE IF NOT EXISTS brands (
   colors JSONB NOT NULL DEFAULT '{}',
   fonts JSONB NOT NULL DEFAULT '{}',
   voice JSONB NOT NULL DEFAULT '{}',
-  logo TEXT,
+  semantic JSONB NOT NULL DEFAULT '{}', -- semantic alias overrides { "button.background": "{colors.primary}" }
+  themes JSONB NOT NULL DEFAULT '{}', -- theme overrides { "dark": { "name", "colorScheme", "colors", "semantic" } }
+  scales JSONB NOT NULL DEFAULT '{}', -- { "spacing", "borderRadius", "type", "modular": { "base", "ratio" } }
+  extensions JSONB, -- imported, unmapped design tokens { "format", "tokens": { "path": token } }
+  releases JSONB NOT NULL DEFAULT '[]', -- published releases, newest first [{ "version", "created_at", "author", "notes", "tokens", "changes" }]
+  logo TEXT, -- asset reference "asset:<id>#<sha256>@<brand_id>" (binary in storage bucket brand-assets)
+  logos JSONB NOT NULL DEFAULT '[]', -- additional logos [{ "dataUrl" (asset reference), "name", "description" }]
+  "toneOfVoice" JSONB, -- AI-extracted tone of voice
+  revision INTEGER NOT NULL DEFAULT 0, -- optimistic concurrency, +1 per write
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_by TEXT
 );
 
+-- Migration for existing installations
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS semantic JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS themes JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS scales JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS extensions JSONB;
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS releases JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS logos JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS "toneOfVoice" JSONB;
+ALTER TABLE brands ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0;
+
+-- Optimistic concurrency: every write must be based on the current revision.
+-- Clients update with .eq('revision', known) and revision = known + 1;
+-- writes based on an outdated revision are rejected.
+CREATE OR REPLACE FUNCTION brands_check_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.revision IS DISTINCT FROM OLD.revision + 1 THEN
+    RAISE EXCEPTION 'Stale write on brand % (revision %, current %)', OLD.id, NEW.revision, OLD.revision
+      USING ERRCODE = '40001';
+  END IF;
+  NEW.updated_at := NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS brands_revision ON brands;
+CREATE TRIGGER brands_revision
+  BEFORE UPDATE ON brands
+  FOR EACH ROW EXECUTE FUNCTION brands_check_revision();
+
 -- Asset content table (stores content for each brand-asset combination)
 CREATE TABLE IF NOT EXISTS asset_content (
   id TEXT PRIMARY KEY, -- format: brandId-assetType
@@ -26,6 +64,88 @@ CREATE TABLE IF NOT EXISTS asset_content (
   updated_by TEXT
 );
 
+-- Brand versions (immutable snapshots on each save)
+CREATE TABLE IF NOT EXISTS brand_versions (
+  id TEXT PRIMARY KEY,
+  brand_id TEXT REFERENCES brands(id) ON DELETE CASCADE,
+  snapshot JSONB NOT NULL, -- name, colors, fonts, voice, logo, logos, ...
+  message TEXT,
+  author TEXT NOT NULL DEFAULT auth.uid()::text, -- always the signed-in user (trigger below)
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Authorship comes from the session, not from the client:
+-- a version cannot be attributed to another user
+CREATE OR REPLACE FUNCTION brand_versions_set_author()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL THEN
+    NEW.author := auth.uid()::text;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE brand_versions ALTER COLUMN author SET DEFAULT auth.uid()::text;
+DROP TRIGGER IF EXISTS brand_versions_author ON brand_versions;
+CREATE TRIGGER brand_versions_author
+  BEFORE INSERT ON brand_versions
+  FOR EACH ROW EXECUTE FUNCTION brand_versions_set_author();
+
+-- Brand rules (learned from uploaded brand documents, one row per brand)
+CREATE TABLE IF NOT EXISTS brand_rules (
+  brand_id TEXT PRIMARY KEY REFERENCES brands(id) ON DELETE CASCADE,
+  rules_data JSONB NOT NULL DEFAULT '[]',
+  status TEXT DEFAULT 'review', -- 'none' | 'analyzing' | 'review' | 'complete'
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Asset library (one entry per file of a brand, binary in storage bucket brand-assets)
+CREATE TABLE IF NOT EXISTS brand_assets (
+  id TEXT PRIMARY KEY, -- id of the asset reference
+  brand_id TEXT NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  ref TEXT NOT NULL, -- "asset:<id>#<sha256>@<brand_id>" or external URL
+  category TEXT NOT NULL CHECK (category IN ('logo', 'logo-variant', 'icon', 'photo', 'font', 'pattern')),
+  name TEXT NOT NULL,
+  description TEXT NOT NULL DEFAULT '',
+  tags TEXT[] NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'approved' CHECK (status IN ('draft', 'approved', 'deprecated')),
+  mime_type TEXT,
+  size INTEGER,
+  created_by TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Asset usages (append-only: which campaign or export used an asset)
+CREATE TABLE IF NOT EXISTS asset_usages (
+  id TEXT PRIMARY KEY,
+  asset_id TEXT NOT NULL, -- no foreign key: usages outlive deleted library entries
+  brand_id TEXT NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  kind TEXT NOT NULL CHECK (kind IN ('campaign', 'export')),
+  target TEXT NOT NULL DEFAULT '', -- campaign name or export format
+  detail TEXT NOT NULL DEFAULT '', -- e.g. channels of a campaign
+  used_by TEXT DEFAULT auth.uid()::text, -- always the signed-in user (trigger below)
+  used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Same as brand_versions.author: usages are recorded for the session user
+CREATE OR REPLACE FUNCTION asset_usages_set_user()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL THEN
+    NEW.used_by := auth.uid()::text;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE asset_usages ALTER COLUMN used_by SET DEFAULT auth.uid()::text;
+DROP TRIGGER IF EXISTS asset_usages_user ON asset_usages;
+CREATE TRIGGER asset_usages_user
+  BEFORE INSERT ON asset_usages
+  FOR EACH ROW EXECUTE FUNCTION asset_usages_set_user();
+
 -- Presence table (tracks who is online and what they're doing)
 CREATE TABLE IF NOT EXISTS presence (
   user_id TEXT PRIMARY KEY,
@@ -36,26 +156,197 @@ CREATE TABLE IF NOT EXISTS presence (
   last_seen TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- ============================================
+-- AUTH & ROLES
+-- ============================================
+-- Users sign in with Supabase Auth (E-Mail + Passwort).
+-- Access to a brand is granted per membership:
+--   owner  - everything incl. deleting the brand and managing members
+--   editor - edit brand, content and rules
+--   viewer - read only
+
+CREATE TABLE IF NOT EXISTS brand_members (
+  brand_id TEXT NOT NULL REFERENCES brands(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT, -- denormalized for the member list
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('owner', 'editor', 'viewer')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (brand_id, user_id)
+);
+
+-- Role of the current user for a brand (NULL if not a member)
+-- SECURITY DEFINER so policies on brand_members can use it without recursion
+CREATE OR REPLACE FUNCTION brand_role(p_brand_id TEXT)
+RETURNS TEXT AS $$
+  SELECT role FROM brand_members
+  WHERE brand_id = p_brand_id AND user_id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION can_edit_brand(p_brand_id TEXT)
+RETURNS BOOLEAN AS $$
+  SELECT COALESCE(brand_role(p_brand_id) IN ('owner', 'editor'), false);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- The creator of a brand becomes its owner
+CREATE OR REPLACE FUNCTION add_brand_owner()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL THEN
+    INSERT INTO brand_members (brand_id, user_id, email, role)
+    VALUES (NEW.id, auth.uid(), auth.jwt() ->> 'email', 'owner')
+    ON CONFLICT (brand_id, user_id) DO UPDATE SET role = 'owner';
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS brands_add_owner ON brands;
+CREATE TRIGGER brands_add_owner
+  AFTER INSERT ON brands
+  FOR EACH ROW EXECUTE FUNCTION add_brand_owner();
+
+-- Invite an existing user by e-mail (owners only)
+CREATE OR REPLACE FUNCTION add_brand_member(p_brand_id TEXT, p_email TEXT, p_role TEXT)
+RETURNS brand_members AS $$
+DECLARE
+  v_user_id UUID;
+  v_member brand_members;
+BEGIN
+  IF brand_role(p_brand_id) IS DISTINCT FROM 'owner' THEN
+    RAISE EXCEPTION 'Nur Owner können Mitglieder verwalten';
+  END IF;
+
+  SELECT id INTO v_user_id FROM auth.users WHERE lower(email) = lower(p_email);
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Kein Benutzer mit der E-Mail % gefunden', p_email;
+  END IF;
+
+  INSERT INTO brand_members (brand_id, user_id, email, role)
+  VALUES (p_brand_id, v_user_id, lower(p_email), p_role)
+  ON CONFLICT (brand_id, user_id) DO UPDATE SET role = EXCLUDED.role
+  RETURNING * INTO v_member;
+
+  RETURN v_member;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
 -- Enable Row Level Security (RLS)
 ALTER TABLE brands ENABLE ROW LEVEL SECURITY;
 ALTER TABLE asset_content ENABLE ROW LEVEL SECURITY;
 ALTER TABLE presence ENABLE ROW LEVEL SECURITY;
+ALTER TABLE brand_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE brand_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE brand_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE brand_assets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE asset_usages ENABLE ROW LEVEL SECURITY;
+
+-- Migration: remove the old shared-workspace policies
+DROP POLICY IF EXISTS "Allow all access to brands" ON brands;
+DROP POLICY IF EXISTS "Allow all access to asset_content" ON asset_content;
+DROP POLICY IF EXISTS "Allow all access to presence" ON presence;
+DROP POLICY IF EXISTS "Allow reading brand_versions" ON brand_versions;
+DROP POLICY IF EXISTS "Allow inserting brand_versions" ON brand_versions;
+
+-- Brands: members read, owner/editor write, owner deletes
+CREATE POLICY "Members read brands" ON brands
+  FOR SELECT USING (brand_role(id) IS NOT NULL);
+
+CREATE POLICY "Authenticated users create brands" ON brands
+  FOR INSERT TO authenticated WITH CHECK (true);
+
+CREATE POLICY "Editors update brands" ON brands
+  FOR UPDATE USING (can_edit_brand(id)) WITH CHECK (can_edit_brand(id));
 
--- Allow all authenticated and anonymous users to read/write
--- (For a shared workspace without authentication)
-CREATE POLICY "Allow all access to brands" ON brands
-  FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Owners delete brands" ON brands
+  FOR DELETE USING (brand_role(id) = 'owner');
 
-CREATE POLICY "Allow all access to asset_content" ON asset_content
-  FOR ALL USING (true) WITH CHECK (true);
+-- Asset content and rules: members read, owner/editor write
+CREATE POLICY "Members read asset_content" ON asset_content
+  FOR SELECT USING (brand_role(brand_id) IS NOT NULL);
 
-CREATE POLICY "Allow all access to presence" ON presence
-  FOR ALL USING (true) WITH CHECK (true);
+CREATE POLICY "Editors write asset_content" ON asset_content
+  FOR ALL USING (can_edit_brand(brand_id)) WITH CHECK (can_edit_brand(brand_id));
+
+CREATE POLICY "Members read brand_rules" ON brand_rules
+  FOR SELECT USING (brand_role(brand_id) IS NOT NULL);
+
+CREATE POLICY "Editors write brand_rules" ON brand_rules
+  FOR ALL USING (can_edit_brand(brand_id)) WITH CHECK (can_edit_brand(brand_id));
+
+-- Versions are append-only: members read, owner/editor insert, no update/delete
+CREATE POLICY "Members read brand_versions" ON brand_versions
+  FOR SELECT USING (brand_role(brand_id) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Editors insert brand_versions" ON brand_versions;
+CREATE POLICY "Editors insert brand_versions" ON brand_versions
+  FOR INSERT WITH CHECK (can_edit_brand(brand_id) AND author = auth.uid()::text);
+
+-- Library: members read, owner/editor write; every member may record usages (viewers export too)
+CREATE POLICY "Members read brand_assets" ON brand_assets
+  FOR SELECT USING (brand_role(brand_id) IS NOT NULL);
+
+CREATE POLICY "Editors write brand_assets" ON brand_assets
+  FOR ALL USING (can_edit_brand(brand_id)) WITH CHECK (can_edit_brand(brand_id));
+
+CREATE POLICY "Members read asset_usages" ON asset_usages
+  FOR SELECT USING (brand_role(brand_id) IS NOT NULL);
+
+DROP POLICY IF EXISTS "Members insert asset_usages" ON asset_usages;
+CREATE POLICY "Members insert asset_usages" ON asset_usages
+  FOR INSERT WITH CHECK (brand_role(brand_id) IS NOT NULL AND used_by = auth.uid()::text);
+
+-- Members: visible to all members of the brand, managed by owners
+CREATE POLICY "Members read brand_members" ON brand_members
+  FOR SELECT USING (brand_role(brand_id) IS NOT NULL);
+
+CREATE POLICY "Owners manage brand_members" ON brand_members
+  FOR ALL USING (brand_role(brand_id) = 'owner') WITH CHECK (brand_role(brand_id) = 'owner');
+
+-- Presence: own row is writable, others only visible on shared brands
+CREATE POLICY "Users write own presence" ON presence
+  FOR ALL USING (user_id = auth.uid()::text) WITH CHECK (user_id = auth.uid()::text);
+
+CREATE POLICY "Members read presence" ON presence
+  FOR SELECT USING (
+    user_id = auth.uid()::text
+    OR (active_brand_id IS NOT NULL AND brand_role(active_brand_id) IS NOT NULL)
+  );
+
+-- ============================================
+-- ASSET STORAGE
+-- ============================================
+-- Logos, font files and extracted media are stored content-addressed
+-- (<brand_id>/<sha256>) in the bucket brand-assets; brands only keep references.
+-- The first path segment is the brand, so access follows brand membership.
+-- Identical files are stored once per brand, objects are never overwritten.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('brand-assets', 'brand-assets', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Signed-in users read brand assets" ON storage.objects;
+DROP POLICY IF EXISTS "Brand members read brand assets" ON storage.objects;
+CREATE POLICY "Brand members read brand assets" ON storage.objects
+  FOR SELECT TO authenticated USING (
+    bucket_id = 'brand-assets'
+    AND brand_role((storage.foldername(name))[1]) IS NOT NULL
+  );
+DROP POLICY IF EXISTS "Signed-in users upload brand assets" ON storage.objects;
+DROP POLICY IF EXISTS "Brand editors upload brand assets" ON storage.objects;
+CREATE POLICY "Brand editors upload brand assets" ON storage.objects
+  FOR INSERT TO authenticated WITH CHECK (
+    bucket_id = 'brand-assets'
+    AND can_edit_brand((storage.foldername(name))[1])
+  );
 
 -- Enable realtime for all tables
 ALTER PUBLICATION supabase_realtime ADD TABLE brands;
 ALTER PUBLICATION supabase_realtime ADD TABLE asset_content;
 ALTER PUBLICATION supabase_realtime ADD TABLE presence;
+ALTER PUBLICATION supabase_realtime ADD TABLE brand_versions;
+ALTER PUBLICATION supabase_realtime ADD TABLE brand_rules;
+ALTER PUBLICATION supabase_realtime ADD TABLE brand_members;
+ALTER PUBLICATION supabase_realtime ADD TABLE brand_assets;
+ALTER PUBLICATION supabase_realtime ADD TABLE asset_usages;
 
 -- Function to clean up stale presence entries (older than 2 minutes)
 CREATE OR REPLACE FUNCTION cleanup_stale_presence()
@@ -68,6 +359,10 @@ $$ LANGUAGE plpgsql;
 -- Create index for faster queries
 CREATE INDEX IF NOT EXISTS idx_asset_content_brand_id ON asset_content(brand_id);
 CREATE INDEX IF NOT EXISTS idx_presence_last_seen ON presence(last_seen);
+CREATE INDEX IF NOT EXISTS idx_brand_versions_brand_id ON brand_versions(brand_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_brand_members_user_id ON brand_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_brand_assets_brand_id ON brand_assets(brand_id);
+CREATE INDEX IF NOT EXISTS idx_asset_usages_asset_id ON asset_usages(asset_id, used_at DESC);
 
 -- Insert demo brand if table is empty
 INSERT INTO brands (id, name, colors, fonts, voice)
@@ -76,3 +371,10 @@ SELECT '1', 'Demo Brand',
   '{"heading": "''Space Grotesk'', sans-serif", "body": "''Inter'', sans-serif"}',
   '{"tone": "professional", "formality": "sie", "tagline": "Innovation trifft Zuverlässigkeit", "dos": "nachhaltig, zukunftsorientiert", "donts": "billig, irgendwie"}'
 WHERE NOT EXISTS (SELECT 1 FROM brands LIMIT 1);
+
+-- Brands created in the SQL editor (like the demo brand) have no members.
+-- Assign an owner once after the first sign-up:
+-- INSERT INTO brand_members (brand_id, user_id, email, role)
+-- SELECT b.id, u.id, u.email, 'owner' FROM brands b, auth.users u
+-- WHERE u.email = 'you@example.com'
+-- ON CONFLICT (brand_id, user_id) DO NOTHING;